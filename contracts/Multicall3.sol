@@ -0,0 +1,92 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title Multicall3
+ * @notice Batches read calls into a single eth_call
+ * @dev ABI-compatible subset of Multicall3 (aggregate, tryAggregate,
+ *      aggregate3 and the block helpers), so the frontend can use the
+ *      canonical deployment at 0xcA11bde05977b3631167028862bE2a173976CA11
+ *      where it exists and this contract on local networks.
+ * @author VoltProtocol Team
+ */
+contract Multicall3 {
+    struct Call {
+        address target;
+        bytes callData;
+    }
+
+    struct Call3 {
+        address target;
+        bool allowFailure;
+        bytes callData;
+    }
+
+    struct Result {
+        bool success;
+        bytes returnData;
+    }
+
+    /**
+     * @notice Run calls in order, reverting if any of them fails
+     * @param calls Calls to run
+     * @return blockNumber Block the calls ran in
+     * @return returnData Return data of each call
+     */
+    function aggregate(Call[] calldata calls) public payable returns (uint256 blockNumber, bytes[] memory returnData) {
+        blockNumber = block.number;
+        returnData = new bytes[](calls.length);
+        for (uint256 i = 0; i < calls.length; i++) {
+            (bool success, bytes memory data) = calls[i].target.call(calls[i].callData);
+            require(success, "Multicall3: call failed");
+            returnData[i] = data;
+        }
+    }
+
+    /**
+     * @notice Run calls in order, optionally tolerating failures
+     * @param requireSuccess Revert if any call fails
+     * @param calls Calls to run
+     * @return returnData Success flag and return data of each call
+     */
+    function tryAggregate(bool requireSuccess, Call[] calldata calls) public payable returns (Result[] memory returnData) {
+        returnData = new Result[](calls.length);
+        for (uint256 i = 0; i < calls.length; i++) {
+            (bool success, bytes memory data) = calls[i].target.call(calls[i].callData);
+            require(success || !requireSuccess, "Multicall3: call failed");
+            returnData[i] = Result(success, data);
+        }
+    }
+
+    /**
+     * @notice Run calls in order, each with its own failure tolerance
+     * @param calls Calls to run
+     * @return returnData Success flag and return data (revert data on failure) of each call
+     */
+    function aggregate3(Call3[] calldata calls) public payable returns (Result[] memory returnData) {
+        returnData = new Result[](calls.length);
+        for (uint256 i = 0; i < calls.length; i++) {
+            (bool success, bytes memory data) = calls[i].target.call(calls[i].callData);
+            require(success || calls[i].allowFailure, "Multicall3: call failed");
+            returnData[i] = Result(success, data);
+        }
+    }
+
+    // ============ Block helpers ============
+
+    function getBlockNumber() public view returns (uint256 blockNumber) {
+        blockNumber = block.number;
+    }
+
+    function getCurrentBlockTimestamp() public view returns (uint256 timestamp) {
+        timestamp = block.timestamp;
+    }
+
+    function getChainId() public view returns (uint256 chainid) {
+        chainid = block.chainid;
+    }
+
+    function getEthBalance(address addr) public view returns (uint256 balance) {
+        balance = addr.balance;
+    }
+}
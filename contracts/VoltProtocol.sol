@@ -0,0 +1,1445 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/**
+ * @title Volt Protocol
+ * @notice Linear payment streams with a P2P marketplace for stream shares
+ * @dev Streams are funded with vUSDC (or native USDC via createStream) and
+ *      vest linearly over their duration. A stream's sender funds it and its
+ *      owner (the receiver) is paid by it; createStreamFor streams to another
+ *      address, the other creation functions to the caller. Owners can
+ *      withdraw vested funds, take an advance on unvested funds (sellShare)
+ *      or list a percentage of the unvested balance as a sell order. Filling
+ *      an order carves the share out of the seller's stream into a new stream
+ *      owned by the buyer; buyers can take part of an order at a pro-rata price.
+ *      Orders can also be listed as Dutch auctions whose ask decays linearly
+ *      from a start price to a floor price, or priced as a ratio of the
+ *      share's unvested value. Either way the ask is computed at fill time.
+ *      Orders can expire; expired orders can no longer be filled and drop out
+ *      of the order book views.
+ *      Senders can cancel a stream: what has flowed goes to its owner and
+ *      the rest of the owner's balance is refunded. Shares sold out of a
+ *      stream were paid for by their buyers, so they cannot be cancelled.
+ *      Senders can also pause a stream: accrual stops until it is resumed,
+ *      and the end of the stream moves back by the pause. Sold shares cannot
+ *      be paused either and keep streaming while their parent is paused.
+ *      Buyers can also bid below the asking price; bids are escrowed in vUSDC
+ *      until the seller accepts or rejects them, or the bidder cancels.
+ *      Standing buy orders escrow a vUSDC budget for any order that sells at
+ *      a minimum discount to its unvested value, optionally only on streams
+ *      ending within a maximum time. They fill when a matching order is
+ *      listed, or when anyone (e.g. a keeper) matches them to a listed order.
+ *      Every vUSDC payment also has a *WithPermit variant that takes an
+ *      EIP-2612 signature instead of a prior approve transaction.
+ * @author VoltProtocol Team
+ */
+contract VoltProtocol is Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    struct Stream {
+        uint256 totalDeposit;
+        uint256 startTime;
+        uint256 duration;
+        uint256 claimedAmount;
+        uint256 soldAmount;
+        bool isActive;
+        address owner;
+        address sender;
+        uint256 pausedAt; // 0 while the stream is running
+        uint256 pausedDuration; // Total time spent in completed pauses
+    }
+
+    struct Order {
+        uint256 orderId;
+        uint256 streamId;
+        address seller;
+        uint256 price;
+        uint256 percentage;
+        uint256 listedAt;
+        bool isActive;
+        uint256 floorPrice; // Equal to price for fixed-price orders
+        uint256 decayDuration; // Seconds from price to floorPrice, 0 for fixed-price orders
+        uint256 priceRatio; // Basis points of the share's unvested value, 0 unless ratio-priced
+        uint256 expiresAt; // Last fillable second is expiresAt - 1, 0 for good-til-cancelled
+        uint256 filledAmount; // Stream amount already sold through this order
+    }
+
+    enum BidStatus {
+        Pending,
+        Accepted,
+        Rejected,
+        Cancelled
+    }
+
+    // One payout of a cancellation (see previewCancel)
+    struct CancelShare {
+        uint256 streamId;
+        address receiver;
+        uint256 amount;
+    }
+
+    struct Bid {
+        uint256 bidId;
+        uint256 orderId;
+        address bidder;
+        uint256 amount;
+        uint256 createdAt;
+        BidStatus status;
+    }
+
+    struct BuyOrder {
+        uint256 buyOrderId;
+        address buyer;
+        uint256 budget; // vUSDC left in escrow
+        uint256 spent;
+        uint256 minDiscount; // Basis points below the share's unvested value
+        uint256 maxDuration; // Longest time left on the stream, in seconds (0 = any)
+        uint256 createdAt;
+        bool isActive;
+    }
+
+    IERC20 public vusdcToken;
+    address public vusdcTokenAddress;
+
+    // Denominator of Order.priceRatio
+    uint256 public constant RATIO_DENOMINATOR = 10000;
+    // Buy orders checked against each new sell order
+    uint256 public constant MAX_MATCH_SCAN = 20;
+
+    uint256 public nextStreamId = 1;
+    uint256 public nextOrderId = 1;
+    uint256 public nextBidId = 1;
+    uint256 public nextBuyOrderId = 1;
+
+    mapping(uint256 => Stream) public streams;
+    mapping(uint256 => Order) public orders;
+    mapping(uint256 => Bid) public bids;
+    mapping(uint256 => BuyOrder) public buyOrders;
+    mapping(address => uint256[]) public userStreams;
+
+    uint256[] public activeOrderIds;
+    uint256[] public activeBuyOrderIds;
+
+    // Streams funded with native USDC pay out in native USDC
+    mapping(uint256 => bool) private nativeStreams;
+    // Position of an order in activeOrderIds, offset by one (0 = not listed)
+    mapping(uint256 => uint256) private activeOrderIndex;
+    // Streams a sender funds for other receivers
+    mapping(address => uint256[]) private senderStreams;
+    // Streams created by a filled order; the buyer paid for them, so the sender cannot cancel or pause them
+    mapping(uint256 => bool) public soldShares;
+    // Every order listed on a stream
+    mapping(uint256 => uint256[]) private streamOrders;
+    mapping(address => uint256[]) private sellerOrders;
+    mapping(uint256 => uint256[]) private orderBids;
+    mapping(address => uint256[]) private bidderBids;
+    mapping(address => uint256[]) private sellerBids;
+    // Position of a buy order in activeBuyOrderIds, offset by one
+    mapping(uint256 => uint256) private activeBuyOrderIndex;
+    // Where the next listing starts scanning activeBuyOrderIds
+    uint256 private matchScanStart;
+    mapping(address => uint256[]) private buyerBuyOrders;
+
+    event StreamCreated(address indexed user, uint256 indexed streamId, uint256 amount, uint256 duration, address sender);
+    event Withdraw(address indexed user, uint256 indexed streamId, uint256 amount);
+    event StreamSold(address indexed user, uint256 indexed streamId, uint256 amountSold, uint256 cashReceived);
+    event OrderCreated(uint256 indexed orderId, uint256 indexed streamId, address indexed seller, uint256 price, uint256 percentage);
+    event OrderFilled(
+        uint256 indexed orderId,
+        uint256 indexed streamId,
+        address indexed buyer,
+        address seller,
+        uint256 price,
+        uint256 percentage,
+        uint256 amount,
+        uint256 remainingPercentage
+    );
+    event OrderCancelled(uint256 indexed orderId, address indexed seller);
+    event DutchOrderCreated(uint256 indexed orderId, uint256 startPrice, uint256 floorPrice, uint256 decayDuration);
+    event RatioOrderCreated(uint256 indexed orderId, uint256 priceRatio);
+    event BidPlaced(uint256 indexed bidId, uint256 indexed orderId, address indexed bidder, uint256 amount);
+    event BidAccepted(uint256 indexed bidId, uint256 indexed orderId, address indexed seller, address bidder, uint256 amount);
+    event BidRejected(uint256 indexed bidId, uint256 indexed orderId, address indexed seller);
+    event BidCancelled(uint256 indexed bidId, uint256 indexed orderId, address indexed bidder);
+    event BuyOrderPlaced(uint256 indexed buyOrderId, address indexed buyer, uint256 budget, uint256 minDiscount, uint256 maxDuration);
+    event BuyOrderMatched(uint256 indexed buyOrderId, uint256 indexed orderId, address indexed buyer, uint256 price);
+    event BuyOrderCancelled(uint256 indexed buyOrderId, address indexed buyer, uint256 refund);
+    event StreamCancelled(uint256 indexed streamId, address indexed sender, address indexed receiver, uint256 receiverAmount, uint256 refundAmount);
+    event StreamPaused(uint256 indexed streamId, address indexed sender, address indexed receiver);
+    event StreamResumed(uint256 indexed streamId, address indexed sender, address indexed receiver, uint256 pausedFor);
+
+    /**
+     * @param _vusdcTokenAddress Address of the vUSDC token (may be zero and set later)
+     */
+    constructor(address _vusdcTokenAddress) Ownable(msg.sender) {
+        vusdcTokenAddress = _vusdcTokenAddress;
+        vusdcToken = IERC20(_vusdcTokenAddress);
+    }
+
+    /**
+     * @notice Accept native USDC (used to fund native streams)
+     */
+    receive() external payable {}
+
+    // ============ Admin ============
+
+    /**
+     * @notice Set the vUSDC token used for streams and order settlement
+     * @param _vusdcTokenAddress Address of the vUSDC token contract
+     */
+    function setVusdcTokenAddress(address _vusdcTokenAddress) external onlyOwner {
+        require(_vusdcTokenAddress != address(0), "Invalid token address");
+        vusdcTokenAddress = _vusdcTokenAddress;
+        vusdcToken = IERC20(_vusdcTokenAddress);
+    }
+
+    // ============ Streams ============
+
+    /**
+     * @notice Create a stream funded with native USDC
+     * @param durationInSeconds Vesting duration of the stream
+     * @return streamId ID of the new stream
+     */
+    function createStream(uint256 durationInSeconds) external payable nonReentrant returns (uint256) {
+        require(durationInSeconds > 0, "Duration must be greater than 0");
+        require(msg.value > 0, "Amount must be greater than 0");
+
+        uint256 streamId = _createStream(msg.sender, msg.sender, msg.value, block.timestamp, durationInSeconds);
+        nativeStreams[streamId] = true;
+        return streamId;
+    }
+
+    /**
+     * @notice Create a stream funded with vUSDC (requires prior approval)
+     * @param durationInSeconds Vesting duration of the stream
+     * @param amount Amount of vUSDC to deposit
+     * @return streamId ID of the new stream
+     */
+    function createStreamWithVUSDC(uint256 durationInSeconds, uint256 amount) external nonReentrant returns (uint256) {
+        return _createVUSDCStream(msg.sender, durationInSeconds, amount);
+    }
+
+    /**
+     * @notice Create a vUSDC stream paying another address (requires prior approval)
+     * @dev The caller funds the stream; only the receiver can withdraw,
+     *      sell or list it
+     * @param receiver Address the stream pays out to
+     * @param durationInSeconds Vesting duration of the stream
+     * @param amount Amount of vUSDC to deposit
+     * @return streamId ID of the new stream
+     */
+    function createStreamFor(address receiver, uint256 durationInSeconds, uint256 amount) external nonReentrant returns (uint256) {
+        return _createVUSDCStream(receiver, durationInSeconds, amount);
+    }
+
+    /**
+     * @notice Withdraw vested funds from a stream
+     * @param streamId Stream to withdraw from
+     * @param amount Amount to withdraw
+     */
+    function withdraw(uint256 streamId, uint256 amount) external nonReentrant {
+        Stream storage stream = streams[streamId];
+        require(stream.isActive, "No active stream");
+        require(stream.owner == msg.sender, "Not stream owner");
+        require(amount > 0, "Amount must be greater than 0");
+        require(amount <= _withdrawable(stream), "Nothing to withdraw");
+
+        stream.claimedAmount += amount;
+        _closeIfSettled(stream);
+
+        _payout(streamId, msg.sender, amount);
+        emit Withdraw(msg.sender, streamId, amount);
+    }
+
+    /**
+     * @notice Withdraw everything vested from several streams at once
+     * @dev Streams with nothing to withdraw are skipped. Emits Withdraw for
+     *      every stream paid, and pays out once per currency.
+     * @param streamIds Streams to withdraw from (all owned by the caller)
+     * @return total Total amount withdrawn
+     */
+    function withdrawMany(uint256[] calldata streamIds) external nonReentrant returns (uint256 total) {
+        uint256 tokenTotal;
+        uint256 nativeTotal;
+
+        for (uint256 i = 0; i < streamIds.length; i++) {
+            uint256 streamId = streamIds[i];
+            Stream storage stream = streams[streamId];
+            require(stream.isActive, "No active stream");
+            require(stream.owner == msg.sender, "Not stream owner");
+
+            uint256 amount = _withdrawable(stream);
+            if (amount == 0) {
+                continue;
+            }
+
+            stream.claimedAmount += amount;
+            _closeIfSettled(stream);
+
+            if (nativeStreams[streamId]) {
+                nativeTotal += amount;
+            } else {
+                tokenTotal += amount;
+            }
+            emit Withdraw(msg.sender, streamId, amount);
+        }
+
+        total = tokenTotal + nativeTotal;
+        require(total > 0, "Nothing to withdraw");
+
+        if (tokenTotal > 0) {
+            vusdcToken.safeTransfer(msg.sender, tokenTotal);
+        }
+        if (nativeTotal > 0) {
+            (bool success, ) = payable(msg.sender).call{value: nativeTotal}("");
+            require(success, "Native transfer failed");
+        }
+    }
+
+    /**
+     * @notice Take an advance on unvested funds of a stream
+     * @dev The advanced amount is booked as sold, which shortens the tail of
+     *      the stream by the same amount.
+     * @param streamId Stream to sell from
+     * @param amountToSell Amount of unvested funds to advance
+     */
+    function sellShare(uint256 streamId, uint256 amountToSell) external nonReentrant {
+        Stream storage stream = streams[streamId];
+        require(stream.isActive, "No active stream");
+        require(stream.owner == msg.sender, "Not stream owner");
+        require(amountToSell > 0, "Amount must be greater than 0");
+        require(amountToSell <= _unvested(stream), "Amount exceeds unvested balance");
+
+        stream.soldAmount += amountToSell;
+        _closeIfSettled(stream);
+
+        _payout(streamId, msg.sender, amountToSell);
+        emit StreamSold(msg.sender, streamId, amountToSell, amountToSell);
+    }
+
+    /**
+     * @notice Cancel a stream the caller funds
+     * @dev Funds that have flowed are paid to the stream owner, the owner's
+     *      unvested balance is refunded to the sender and active orders on
+     *      the stream are voided. Shares sold out of the stream keep
+     *      streaming to their buyers, and sold shares themselves cannot be
+     *      cancelled. Advances taken with sellShare were already paid out and
+     *      are not refunded.
+     * @param streamId Stream to cancel
+     * @return refund Amount refunded to the sender
+     */
+    function cancelStream(uint256 streamId) external nonReentrant returns (uint256 refund) {
+        Stream storage stream = streams[streamId];
+        require(stream.isActive, "No active stream");
+        require(stream.sender == msg.sender, "Not stream sender");
+        require(!soldShares[streamId], "Cannot cancel a sold share");
+
+        refund = _cancelStream(streamId);
+        if (refund > 0) {
+            _payout(streamId, msg.sender, refund);
+        }
+    }
+
+    /**
+     * @notice Pause a stream the caller funds
+     * @dev Nothing accrues while paused; what vested before the pause can
+     *      still be withdrawn. Shares sold out of the stream were paid for
+     *      by their buyers: they keep streaming and cannot be paused.
+     * @param streamId Stream to pause
+     */
+    function pauseStream(uint256 streamId) external nonReentrant {
+        Stream storage stream = streams[streamId];
+        require(stream.isActive, "No active stream");
+        require(stream.sender == msg.sender, "Not stream sender");
+        require(!soldShares[streamId], "Cannot pause a sold share");
+        require(stream.pausedAt == 0, "Stream already paused");
+
+        _setPaused(streamId, true);
+    }
+
+    /**
+     * @notice Resume a paused stream the caller funds
+     * @dev Vesting continues where it stopped, so the end of the stream
+     *      moves back by the length of the pause
+     * @param streamId Stream to resume
+     */
+    function resumeStream(uint256 streamId) external nonReentrant {
+        Stream storage stream = streams[streamId];
+        require(stream.isActive, "No active stream");
+        require(stream.sender == msg.sender, "Not stream sender");
+        require(stream.pausedAt != 0, "Stream not paused");
+
+        _setPaused(streamId, false);
+    }
+
+    // ============ Marketplace ============
+
+    /**
+     * @notice List a percentage of a stream's unvested balance for sale
+     * @dev Orders can be filled in parts (see buyPartial); price and
+     *      percentage of the order then track what is left
+     * @param streamId Stream to sell from
+     * @param price Asking price in vUSDC
+     * @param percentage Percentage (1-100) of the unvested balance at fill time
+     * @return orderId ID of the new order
+     */
+    function createOrder(uint256 streamId, uint256 price, uint256 percentage) external nonReentrant returns (uint256) {
+        return _createFixedOrder(streamId, price, percentage, 0);
+    }
+
+    /**
+     * @notice List a percentage of a stream's unvested balance until a deadline
+     * @dev Fills revert from expiresAt on, and the order is left out of
+     *      getAllOrders and getActiveOrderCount. The seller can still cancel
+     *      or relist it.
+     * @param streamId Stream to sell from
+     * @param price Asking price in vUSDC
+     * @param percentage Percentage (1-100) of the unvested balance at fill time
+     * @param expiresAt Unix time the order expires at (0 for no expiry)
+     * @return orderId ID of the new order
+     */
+    function createOrderWithExpiry(
+        uint256 streamId,
+        uint256 price,
+        uint256 percentage,
+        uint256 expiresAt
+    ) external nonReentrant returns (uint256) {
+        return _createFixedOrder(streamId, price, percentage, expiresAt);
+    }
+
+    /**
+     * @notice List a percentage of a stream's unvested balance as a Dutch auction
+     * @dev The ask falls linearly from startPrice at listing to floorPrice
+     *      after decayDuration seconds and stays at the floor afterwards.
+     *      Buyers pay the ask of the block their fill is mined in, which is
+     *      never above the ask they saw when sending it.
+     * @param streamId Stream to sell from
+     * @param startPrice Ask in vUSDC at listing time
+     * @param floorPrice Lowest ask in vUSDC
+     * @param percentage Percentage (1-100) of the unvested balance at fill time
+     * @param decayDuration Seconds for the ask to reach the floor
+     * @param expiresAt Unix time the order expires at (0 for no expiry)
+     * @return orderId ID of the new order
+     */
+    function createDutchOrder(
+        uint256 streamId,
+        uint256 startPrice,
+        uint256 floorPrice,
+        uint256 percentage,
+        uint256 decayDuration,
+        uint256 expiresAt
+    ) external nonReentrant returns (uint256) {
+        require(floorPrice > 0, "Price must be greater than 0");
+        require(startPrice > floorPrice, "Start price must exceed floor price");
+        require(decayDuration > 0, "Decay duration must be greater than 0");
+
+        uint256 orderId = _createOrder(streamId, startPrice, floorPrice, percentage, decayDuration, expiresAt);
+        emit OrderCreated(orderId, streamId, msg.sender, startPrice, percentage);
+        emit DutchOrderCreated(orderId, startPrice, floorPrice, decayDuration);
+        _matchNewOrder(orderId);
+        return orderId;
+    }
+
+    /**
+     * @notice List a percentage of a stream's unvested balance at a ratio of its value
+     * @dev The ask is the share's unvested value at fill time times
+     *      priceRatio / RATIO_DENOMINATOR, so it follows the stream as it
+     *      vests. OrderCreated carries the ask at listing time.
+     * @param streamId Stream to sell from
+     * @param priceRatio Ask in basis points of the share's value (1-10000)
+     * @param percentage Percentage (1-100) of the unvested balance at fill time
+     * @param expiresAt Unix time the order expires at (0 for no expiry)
+     * @return orderId ID of the new order
+     */
+    function createRatioOrder(
+        uint256 streamId,
+        uint256 priceRatio,
+        uint256 percentage,
+        uint256 expiresAt
+    ) external nonReentrant returns (uint256) {
+        require(priceRatio > 0 && priceRatio <= RATIO_DENOMINATOR, "Invalid price ratio");
+
+        uint256 orderId = _createOrder(streamId, 0, 0, percentage, 0, expiresAt);
+        Order storage order = orders[orderId];
+        order.priceRatio = priceRatio;
+
+        emit OrderCreated(orderId, streamId, msg.sender, _currentPrice(order), percentage);
+        emit RatioOrderCreated(orderId, priceRatio);
+        _matchNewOrder(orderId);
+        return orderId;
+    }
+
+    /**
+     * @notice Buy an active sell order
+     * @dev Transfers the price in vUSDC from buyer to seller and moves the
+     *      listed share of the seller's stream into a new stream for the buyer
+     * @param orderId Order to fill
+     */
+    function buyOrder(uint256 orderId) external nonReentrant {
+        _buyOrder(orderId, orders[orderId].percentage, type(uint256).max, 0);
+    }
+
+    /**
+     * @notice Buy part of an active sell order
+     * @dev The price scales pro-rata with the percentage bought, and the
+     *      order keeps listing the rest. Percentages apply to the unvested
+     *      balance as it would be without earlier fills of this order, so
+     *      each fill buys the share the listing showed. The bounds protect
+     *      against other fills, price moves and sales racing this one.
+     * @param orderId Order to fill
+     * @param percentage Percentage of the stream to buy (at most the order's remaining percentage)
+     * @param maxPrice Most vUSDC to pay for the fill
+     * @param minAmount Least stream amount to receive
+     */
+    function buyPartial(uint256 orderId, uint256 percentage, uint256 maxPrice, uint256 minAmount) external nonReentrant {
+        _buyOrder(orderId, percentage, maxPrice, minAmount);
+    }
+
+    /**
+     * @notice Cancel an active sell order
+     * @param orderId Order to cancel
+     */
+    function cancelOrder(uint256 orderId) external nonReentrant {
+        Order storage order = orders[orderId];
+        require(order.isActive, "Order not active");
+        require(order.seller == msg.sender, "Not order seller");
+
+        order.isActive = false;
+        _removeActiveOrder(orderId);
+
+        emit OrderCancelled(orderId, msg.sender);
+    }
+
+    /**
+     * @notice Replace an active (e.g. expired) order with a fresh listing on the same terms
+     * @dev Cancels the order and lists what is left of it again from now:
+     *      same price, or ratio, and a Dutch auction restarts its decay.
+     *      Pending bids stay on the old order for their bidders to cancel.
+     * @param orderId Order to relist
+     * @param expiresAt Unix time the new order expires at (0 for no expiry)
+     * @return newOrderId ID of the new order
+     */
+    function relistOrder(uint256 orderId, uint256 expiresAt) external nonReentrant returns (uint256 newOrderId) {
+        Order storage order = orders[orderId];
+        require(order.isActive, "Order not active");
+        require(order.seller == msg.sender, "Not order seller");
+
+        order.isActive = false;
+        _removeActiveOrder(orderId);
+        emit OrderCancelled(orderId, msg.sender);
+
+        newOrderId = _createOrder(order.streamId, order.price, order.floorPrice, order.percentage, order.decayDuration, expiresAt);
+        Order storage relisted = orders[newOrderId];
+        relisted.priceRatio = order.priceRatio;
+        relisted.filledAmount = order.filledAmount;
+
+        emit OrderCreated(newOrderId, order.streamId, msg.sender, _currentPrice(relisted), order.percentage);
+        if (order.decayDuration != 0) {
+            emit DutchOrderCreated(newOrderId, order.price, order.floorPrice, order.decayDuration);
+        }
+        if (order.priceRatio != 0) {
+            emit RatioOrderCreated(newOrderId, order.priceRatio);
+        }
+        _matchNewOrder(newOrderId);
+    }
+
+    // ============ Bids ============
+
+    /**
+     * @notice Bid on an active sell order, escrowing the bid amount in vUSDC
+     * @param orderId Order to bid on
+     * @param amount Offered price in vUSDC
+     * @return bidId ID of the new bid
+     */
+    function placeBid(uint256 orderId, uint256 amount) external nonReentrant returns (uint256) {
+        return _placeBid(orderId, amount);
+    }
+
+    /**
+     * @notice Cancel a pending bid and reclaim the escrowed vUSDC
+     * @dev Allowed even after the order was filled or cancelled
+     * @param bidId Bid to cancel
+     */
+    function cancelBid(uint256 bidId) external nonReentrant {
+        Bid storage bid = bids[bidId];
+        require(bid.status == BidStatus.Pending, "Bid not pending");
+        require(bid.bidder == msg.sender, "Not bidder");
+
+        bid.status = BidStatus.Cancelled;
+        vusdcToken.safeTransfer(bid.bidder, bid.amount);
+
+        emit BidCancelled(bidId, bid.orderId, msg.sender);
+    }
+
+    /**
+     * @notice Accept a pending bid, filling the order at the bid amount
+     * @dev The escrowed bid is paid to the seller and what is left of the
+     *      order moves to the bidder exactly as in buyOrder
+     * @param bidId Bid to accept
+     */
+    function acceptBid(uint256 bidId) external nonReentrant {
+        Bid storage bid = bids[bidId];
+        require(bid.status == BidStatus.Pending, "Bid not pending");
+
+        Order storage order = orders[bid.orderId];
+        require(order.isActive, "Order not active");
+        require(order.seller == msg.sender, "Not order seller");
+
+        bid.status = BidStatus.Accepted;
+        _fillOrder(order, bid.bidder, order.percentage, bid.amount);
+        vusdcToken.safeTransfer(order.seller, bid.amount);
+
+        emit BidAccepted(bidId, bid.orderId, msg.sender, bid.bidder, bid.amount);
+    }
+
+    /**
+     * @notice Reject a pending bid, refunding the escrowed vUSDC to the bidder
+     * @param bidId Bid to reject
+     */
+    function rejectBid(uint256 bidId) external nonReentrant {
+        Bid storage bid = bids[bidId];
+        require(bid.status == BidStatus.Pending, "Bid not pending");
+        require(orders[bid.orderId].seller == msg.sender, "Not order seller");
+
+        bid.status = BidStatus.Rejected;
+        vusdcToken.safeTransfer(bid.bidder, bid.amount);
+
+        emit BidRejected(bidId, bid.orderId, msg.sender);
+    }
+
+    // ============ Buy Orders ============
+
+    /**
+     * @notice Escrow a vUSDC budget to buy orders listed below their value
+     * @dev A sell order matches when its whole remainder costs at most
+     *      what is left of the budget and at least minDiscount basis points
+     *      less than its share of the unvested balance, and (unless
+     *      maxDuration is 0) its stream ends within maxDuration seconds.
+     *      Orders listed from now on are matched as they are created;
+     *      orders already listed can be matched with matchBuyOrder.
+     * @param budget Most vUSDC to spend across fills
+     * @param minDiscount Minimum discount in basis points (0-9999)
+     * @param maxDuration Longest time left on a bought stream in seconds (0 for any)
+     * @return buyOrderId ID of the new buy order
+     */
+    function placeBuyOrder(uint256 budget, uint256 minDiscount, uint256 maxDuration) external nonReentrant returns (uint256) {
+        return _placeBuyOrder(budget, minDiscount, maxDuration);
+    }
+
+    /**
+     * @notice Cancel an active buy order and reclaim what is left of its budget
+     * @param buyOrderId Buy order to cancel
+     */
+    function cancelBuyOrder(uint256 buyOrderId) external nonReentrant {
+        BuyOrder storage buy = buyOrders[buyOrderId];
+        require(buy.isActive, "Buy order not active");
+        require(buy.buyer == msg.sender, "Not buyer");
+
+        uint256 refund = buy.budget;
+        buy.budget = 0;
+        buy.isActive = false;
+        _removeActiveBuyOrder(buyOrderId);
+        vusdcToken.safeTransfer(buy.buyer, refund);
+
+        emit BuyOrderCancelled(buyOrderId, msg.sender, refund);
+    }
+
+    /**
+     * @notice Fill a listed sell order from a matching buy order
+     * @dev Anyone can call this, so keepers can match orders that were
+     *      listed before the buy order or missed the scan at listing time.
+     *      The escrowed ask is paid to the seller and the share streams to
+     *      the buyer exactly as in buyOrder.
+     * @param buyOrderId Buy order to spend from
+     * @param orderId Sell order to fill
+     */
+    function matchBuyOrder(uint256 buyOrderId, uint256 orderId) external nonReentrant {
+        require(_canMatch(buyOrders[buyOrderId], orders[orderId]), "Orders do not match");
+        _matchBuyOrder(buyOrderId, orderId);
+    }
+
+    // ============ Permit ============
+
+    /**
+     * @notice createStreamWithVUSDC, authorized by an EIP-2612 permit signature
+     * @dev The permit must be signed for exactly `amount` to this contract
+     * @param durationInSeconds Vesting duration of the stream
+     * @param amount Amount of vUSDC to deposit
+     * @param deadline Permit expiry timestamp
+     * @return streamId ID of the new stream
+     */
+    function createStreamWithPermit(
+        uint256 durationInSeconds,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant returns (uint256) {
+        _permit(amount, deadline, v, r, s);
+        return _createVUSDCStream(msg.sender, durationInSeconds, amount);
+    }
+
+    /**
+     * @notice createStreamFor, authorized by an EIP-2612 permit signature
+     * @dev The permit must be signed for exactly `amount` to this contract
+     * @param receiver Address the stream pays out to
+     * @param durationInSeconds Vesting duration of the stream
+     * @param amount Amount of vUSDC to deposit
+     * @param deadline Permit expiry timestamp
+     * @return streamId ID of the new stream
+     */
+    function createStreamForWithPermit(
+        address receiver,
+        uint256 durationInSeconds,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant returns (uint256) {
+        _permit(amount, deadline, v, r, s);
+        return _createVUSDCStream(receiver, durationInSeconds, amount);
+    }
+
+    /**
+     * @notice buyOrder, authorized by an EIP-2612 permit signature
+     * @param orderId Order to fill
+     * @param value Permit amount (at least the order price)
+     * @param deadline Permit expiry timestamp
+     */
+    function buyOrderWithPermit(
+        uint256 orderId,
+        uint256 value,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        _permit(value, deadline, v, r, s);
+        _buyOrder(orderId, orders[orderId].percentage, type(uint256).max, 0);
+    }
+
+    /**
+     * @notice buyPartial, authorized by an EIP-2612 permit signature
+     * @param orderId Order to fill
+     * @param percentage Percentage of the stream to buy
+     * @param maxPrice Most vUSDC to pay for the fill, also the permit amount
+     * @param minAmount Least stream amount to receive
+     * @param deadline Permit expiry timestamp
+     */
+    function buyPartialWithPermit(
+        uint256 orderId,
+        uint256 percentage,
+        uint256 maxPrice,
+        uint256 minAmount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant {
+        _permit(maxPrice, deadline, v, r, s);
+        _buyOrder(orderId, percentage, maxPrice, minAmount);
+    }
+
+    /**
+     * @notice placeBid, authorized by an EIP-2612 permit signature
+     * @dev The permit must be signed for exactly `amount` to this contract
+     * @param orderId Order to bid on
+     * @param amount Offered price in vUSDC
+     * @param deadline Permit expiry timestamp
+     * @return bidId ID of the new bid
+     */
+    function placeBidWithPermit(
+        uint256 orderId,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant returns (uint256) {
+        _permit(amount, deadline, v, r, s);
+        return _placeBid(orderId, amount);
+    }
+
+    /**
+     * @notice placeBuyOrder, authorized by an EIP-2612 permit signature
+     * @param budget Most vUSDC to spend across fills
+     * @param minDiscount Minimum discount in basis points (0-9999)
+     * @param maxDuration Longest time left on a bought stream in seconds (0 for any)
+     * @param deadline Permit expiry timestamp
+     * @return buyOrderId ID of the new buy order
+     */
+    function placeBuyOrderWithPermit(
+        uint256 budget,
+        uint256 minDiscount,
+        uint256 maxDuration,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external nonReentrant returns (uint256) {
+        _permit(budget, deadline, v, r, s);
+        return _placeBuyOrder(budget, minDiscount, maxDuration);
+    }
+
+    // ============ Views ============
+
+    /**
+     * @notice Get all stream IDs owned by a user
+     * @param user Address to query
+     * @return Array of stream IDs
+     */
+    function getUserStreams(address user) external view returns (uint256[] memory) {
+        return userStreams[user];
+    }
+
+    /**
+     * @notice Get all stream IDs paying out to a receiver
+     * @dev Includes streams the receiver funded itself or bought on the
+     *      marketplace (same list as getUserStreams)
+     * @param receiver Address to query
+     * @return Array of stream IDs
+     */
+    function getIncomingStreams(address receiver) external view returns (uint256[] memory) {
+        return userStreams[receiver];
+    }
+
+    /**
+     * @notice Get all stream IDs a sender funds for other receivers
+     * @param sender Address to query
+     * @return Array of stream IDs
+     */
+    function getOutgoingStreams(address sender) external view returns (uint256[] memory) {
+        return senderStreams[sender];
+    }
+
+    /**
+     * @notice Preview the split of cancelling a stream now
+     * @param streamId Stream to cancel
+     * @return shares Payout to the stream owner (sold shares are not cancelled)
+     * @return refund Amount that would be refunded to the sender
+     */
+    function previewCancel(uint256 streamId) external view returns (CancelShare[] memory shares, uint256 refund) {
+        Stream storage stream = streams[streamId];
+        require(stream.isActive, "No active stream");
+
+        shares = new CancelShare[](1);
+        shares[0] = CancelShare({ streamId: streamId, receiver: stream.owner, amount: _withdrawable(stream) });
+        refund = _unvested(stream);
+    }
+
+    /**
+     * @notice Get the number of streams owned by a user
+     * @param user Address to query
+     * @return Number of streams
+     */
+    function getUserStreamCount(address user) external view returns (uint256) {
+        return userStreams[user].length;
+    }
+
+    /**
+     * @notice Get all active sell orders that have not expired
+     * @return Array of active orders
+     */
+    function getAllOrders() external view returns (Order[] memory) {
+        Order[] memory result = new Order[](_liveOrderCount());
+        uint256 count = 0;
+        for (uint256 i = 0; i < activeOrderIds.length; i++) {
+            Order storage order = orders[activeOrderIds[i]];
+            if (!_isExpired(order)) {
+                result[count++] = order;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * @notice Get every order (active or not) created by a seller
+     * @param seller Address to query
+     * @return Array of orders
+     */
+    function getUserOrders(address seller) external view returns (Order[] memory) {
+        uint256[] storage ids = sellerOrders[seller];
+        Order[] memory result = new Order[](ids.length);
+        for (uint256 i = 0; i < ids.length; i++) {
+            result[i] = orders[ids[i]];
+        }
+        return result;
+    }
+
+    /**
+     * @notice Get the current ask of an order for everything it has left
+     * @dev Constant for fixed-price orders; decays for Dutch auctions and
+     *      follows the unvested balance for ratio-priced orders
+     * @param orderId Order to query
+     * @return Ask in vUSDC
+     */
+    function getOrderPrice(uint256 orderId) external view returns (uint256) {
+        return _currentPrice(orders[orderId]);
+    }
+
+    /**
+     * @notice Get the number of active sell orders that have not expired
+     * @dev activeOrderIds also lists expired orders until they are cancelled
+     *      or relisted
+     * @return Number of active orders
+     */
+    function getActiveOrderCount() external view returns (uint256) {
+        return _liveOrderCount();
+    }
+
+    /**
+     * @notice Get every bid placed on an order
+     * @param orderId Order to query
+     * @return Array of bids
+     */
+    function getOrderBids(uint256 orderId) external view returns (Bid[] memory) {
+        return _getBids(orderBids[orderId]);
+    }
+
+    /**
+     * @notice Get every bid placed by a bidder
+     * @param bidder Address to query
+     * @return Array of bids
+     */
+    function getUserBids(address bidder) external view returns (Bid[] memory) {
+        return _getBids(bidderBids[bidder]);
+    }
+
+    /**
+     * @notice Get every bid received on a seller's orders
+     * @param seller Address to query
+     * @return Array of bids
+     */
+    function getSellerBids(address seller) external view returns (Bid[] memory) {
+        return _getBids(sellerBids[seller]);
+    }
+
+    /**
+     * @notice Whether a buy order can fill a sell order right now
+     * @param buyOrderId Buy order to check
+     * @param orderId Sell order to check
+     * @return True if matchBuyOrder would succeed
+     */
+    function canMatch(uint256 buyOrderId, uint256 orderId) external view returns (bool) {
+        return _canMatch(buyOrders[buyOrderId], orders[orderId]);
+    }
+
+    /**
+     * @notice Get all active buy orders
+     * @return Array of buy orders
+     */
+    function getActiveBuyOrders() external view returns (BuyOrder[] memory) {
+        return _getBuyOrders(activeBuyOrderIds);
+    }
+
+    /**
+     * @notice Get every buy order (active or not) placed by a buyer
+     * @param buyer Address to query
+     * @return Array of buy orders
+     */
+    function getUserBuyOrders(address buyer) external view returns (BuyOrder[] memory) {
+        return _getBuyOrders(buyerBuyOrders[buyer]);
+    }
+
+    // ============ Internal ============
+
+    function _createStream(
+        address sender,
+        address owner_,
+        uint256 amount,
+        uint256 startTime,
+        uint256 duration
+    ) internal returns (uint256) {
+        uint256 streamId = nextStreamId++;
+        streams[streamId] = Stream({
+            totalDeposit: amount,
+            startTime: startTime,
+            duration: duration,
+            claimedAmount: 0,
+            soldAmount: 0,
+            isActive: true,
+            owner: owner_,
+            sender: sender,
+            pausedAt: 0,
+            pausedDuration: 0
+        });
+        userStreams[owner_].push(streamId);
+        if (sender != owner_) {
+            senderStreams[sender].push(streamId);
+        }
+
+        emit StreamCreated(owner_, streamId, amount, duration, sender);
+        return streamId;
+    }
+
+    /**
+     * @dev Time the stream has been running, excluding pauses
+     */
+    function _activeElapsed(Stream storage stream) internal view returns (uint256) {
+        uint256 until = stream.pausedAt != 0 ? stream.pausedAt : block.timestamp;
+        return until - stream.startTime - stream.pausedDuration;
+    }
+
+    /**
+     * @dev End of the stream's schedule, assuming a pause ends now
+     */
+    function _endTime(Stream storage stream) internal view returns (uint256) {
+        uint256 ongoingPause = stream.pausedAt != 0 ? block.timestamp - stream.pausedAt : 0;
+        return stream.startTime + stream.duration + stream.pausedDuration + ongoingPause;
+    }
+
+    /**
+     * @dev Amount vested so far on the stream's linear schedule
+     */
+    function _vested(Stream storage stream) internal view returns (uint256) {
+        uint256 elapsed = _activeElapsed(stream);
+        if (elapsed >= stream.duration) {
+            return stream.totalDeposit;
+        }
+        return (stream.totalDeposit * elapsed) / stream.duration;
+    }
+
+    /**
+     * @dev Sold shares are taken from the tail of the stream, so the owner
+     *      keeps vesting at the original rate until reaching totalDeposit - soldAmount
+     */
+    function _withdrawable(Stream storage stream) internal view returns (uint256) {
+        uint256 ownerCap = stream.totalDeposit - stream.soldAmount;
+        uint256 vested = _vested(stream);
+        uint256 ownerVested = vested < ownerCap ? vested : ownerCap;
+        return ownerVested > stream.claimedAmount ? ownerVested - stream.claimedAmount : 0;
+    }
+
+    /**
+     * @dev Unvested funds still owned by the stream owner (available to sell)
+     */
+    function _unvested(Stream storage stream) internal view returns (uint256) {
+        uint256 ownerCap = stream.totalDeposit - stream.soldAmount;
+        uint256 vested = _vested(stream);
+        return ownerCap > vested ? ownerCap - vested : 0;
+    }
+
+    function _createOrder(
+        uint256 streamId,
+        uint256 price,
+        uint256 floorPrice,
+        uint256 percentage,
+        uint256 decayDuration,
+        uint256 expiresAt
+    ) internal returns (uint256) {
+        Stream storage stream = streams[streamId];
+        require(stream.isActive, "No active stream");
+        require(stream.owner == msg.sender, "Not stream owner");
+        require(percentage > 0 && percentage <= 100, "Invalid percentage");
+        require(expiresAt == 0 || expiresAt > block.timestamp, "Expiry must be in the future");
+
+        uint256 orderId = nextOrderId++;
+        orders[orderId] = Order({
+            orderId: orderId,
+            streamId: streamId,
+            seller: msg.sender,
+            price: price,
+            percentage: percentage,
+            listedAt: block.timestamp,
+            isActive: true,
+            floorPrice: floorPrice,
+            decayDuration: decayDuration,
+            priceRatio: 0,
+            expiresAt: expiresAt,
+            filledAmount: 0
+        });
+        sellerOrders[msg.sender].push(orderId);
+        streamOrders[streamId].push(orderId);
+        activeOrderIds.push(orderId);
+        activeOrderIndex[orderId] = activeOrderIds.length;
+
+        return orderId;
+    }
+
+    function _createFixedOrder(uint256 streamId, uint256 price, uint256 percentage, uint256 expiresAt) internal returns (uint256) {
+        require(price > 0, "Price must be greater than 0");
+
+        uint256 orderId = _createOrder(streamId, price, price, percentage, 0, expiresAt);
+        emit OrderCreated(orderId, streamId, msg.sender, price, percentage);
+        _matchNewOrder(orderId);
+        return orderId;
+    }
+
+    function _isExpired(Order storage order) internal view returns (bool) {
+        return order.expiresAt != 0 && block.timestamp >= order.expiresAt;
+    }
+
+    function _liveOrderCount() internal view returns (uint256 count) {
+        for (uint256 i = 0; i < activeOrderIds.length; i++) {
+            if (!_isExpired(orders[activeOrderIds[i]])) {
+                count++;
+            }
+        }
+    }
+
+    /**
+     * @dev Unvested balance an order's percentages apply to: the stream's
+     *      unvested balance plus what earlier fills of this order took out
+     *      of it, so partial fills do not shrink the rest of the listing
+     */
+    function _orderBase(Order storage order) internal view returns (uint256) {
+        Stream storage stream = streams[order.streamId];
+        uint256 ownerCap = stream.totalDeposit - stream.soldAmount + order.filledAmount;
+        uint256 vested = _vested(stream);
+        return ownerCap > vested ? ownerCap - vested : 0;
+    }
+
+    /**
+     * @dev Ask for everything left in an order: the listed price, for a
+     *      Dutch auction the linear decay from price towards floorPrice, for
+     *      a ratio-priced order its ratio of the share's unvested value
+     */
+    function _currentPrice(Order storage order) internal view returns (uint256) {
+        if (order.priceRatio != 0) {
+            return (_orderBase(order) * order.percentage * order.priceRatio) / (100 * RATIO_DENOMINATOR);
+        }
+        if (order.decayDuration == 0) {
+            return order.price;
+        }
+
+        uint256 elapsed = block.timestamp - order.listedAt;
+        if (elapsed >= order.decayDuration) {
+            return order.floorPrice;
+        }
+        return order.price - ((order.price - order.floorPrice) * elapsed) / order.decayDuration;
+    }
+
+    /**
+     * @dev Fill `percentage` of an order and move that share of the seller's
+     *      stream into a new stream for the buyer; the order closes once
+     *      nothing is left. Payment is settled by the caller. The share is
+     *      still funded by the original sender, who can no longer cancel
+     *      or pause it. Returns the amount of the share.
+     */
+    function _fillOrder(
+        Order storage order,
+        address buyer,
+        uint256 percentage,
+        uint256 price
+    ) internal returns (uint256 shareAmount) {
+        require(!_isExpired(order), "Order expired");
+        Stream storage stream = streams[order.streamId];
+        require(stream.isActive && stream.owner == order.seller, "Stream no longer available");
+
+        // Other sales since listing can leave less than the order's share
+        shareAmount = (_orderBase(order) * percentage) / 100;
+        uint256 unvested = _unvested(stream);
+        if (shareAmount > unvested) {
+            shareAmount = unvested;
+        }
+        require(shareAmount > 0, "Nothing left to sell");
+        order.filledAmount += shareAmount;
+
+        // The listed prices of what is left keep the same rate per percent
+        order.price -= (order.price * percentage) / order.percentage;
+        order.floorPrice -= (order.floorPrice * percentage) / order.percentage;
+        order.percentage -= percentage;
+        if (order.percentage == 0) {
+            order.isActive = false;
+            _removeActiveOrder(order.orderId);
+        }
+
+        stream.soldAmount += shareAmount;
+        _closeIfSettled(stream);
+        _createShare(order.streamId, buyer, shareAmount);
+
+        emit StreamSold(order.seller, order.streamId, shareAmount, price);
+        emit OrderFilled(order.orderId, order.streamId, buyer, order.seller, price, percentage, shareAmount, order.percentage);
+    }
+
+    /**
+     * @dev Stream a share sold out of `parentId` to the buyer over the rest
+     *      of the parent's schedule. It runs even while the parent is paused.
+     */
+    function _createShare(uint256 parentId, address buyer, uint256 amount) internal {
+        Stream storage parent = streams[parentId];
+        uint256 endTime = _endTime(parent);
+        uint256 remainingDuration = endTime > block.timestamp ? endTime - block.timestamp : 1;
+
+        uint256 shareId = _createStream(parent.sender, buyer, amount, block.timestamp, remainingDuration);
+        nativeStreams[shareId] = nativeStreams[parentId];
+        soldShares[shareId] = true;
+    }
+
+    function _createVUSDCStream(address receiver, uint256 durationInSeconds, uint256 amount) internal returns (uint256) {
+        require(vusdcTokenAddress != address(0), "vUSDC token not set");
+        require(receiver != address(0), "Invalid receiver");
+        require(durationInSeconds > 0, "Duration must be greater than 0");
+        require(amount > 0, "Amount must be greater than 0");
+
+        vusdcToken.safeTransferFrom(msg.sender, address(this), amount);
+        return _createStream(msg.sender, receiver, amount, block.timestamp, durationInSeconds);
+    }
+
+    function _buyOrder(uint256 orderId, uint256 percentage, uint256 maxPrice, uint256 minAmount) internal {
+        Order storage order = orders[orderId];
+        require(order.isActive, "Order not active");
+        require(order.seller != msg.sender, "Cannot buy own order");
+        require(percentage > 0 && percentage <= order.percentage, "Invalid fill percentage");
+        require(vusdcTokenAddress != address(0), "vUSDC token not set");
+
+        uint256 price = (_currentPrice(order) * percentage) / order.percentage;
+        require(price > 0, "Fill too small");
+        require(price <= maxPrice, "Price above max");
+
+        uint256 shareAmount = _fillOrder(order, msg.sender, percentage, price);
+        require(shareAmount >= minAmount, "Share below min amount");
+        vusdcToken.safeTransferFrom(msg.sender, order.seller, price);
+    }
+
+    function _placeBid(uint256 orderId, uint256 amount) internal returns (uint256) {
+        Order storage order = orders[orderId];
+        require(order.isActive, "Order not active");
+        require(order.seller != msg.sender, "Cannot bid on own order");
+        require(!_isExpired(order), "Order expired");
+        require(vusdcTokenAddress != address(0), "vUSDC token not set");
+        require(amount > 0, "Amount must be greater than 0");
+
+        vusdcToken.safeTransferFrom(msg.sender, address(this), amount);
+
+        uint256 bidId = nextBidId++;
+        bids[bidId] = Bid({
+            bidId: bidId,
+            orderId: orderId,
+            bidder: msg.sender,
+            amount: amount,
+            createdAt: block.timestamp,
+            status: BidStatus.Pending
+        });
+        orderBids[orderId].push(bidId);
+        bidderBids[msg.sender].push(bidId);
+        sellerBids[order.seller].push(bidId);
+
+        emit BidPlaced(bidId, orderId, msg.sender, amount);
+        return bidId;
+    }
+
+    function _placeBuyOrder(uint256 budget, uint256 minDiscount, uint256 maxDuration) internal returns (uint256) {
+        require(vusdcTokenAddress != address(0), "vUSDC token not set");
+        require(budget > 0, "Amount must be greater than 0");
+        require(minDiscount < RATIO_DENOMINATOR, "Invalid discount");
+
+        vusdcToken.safeTransferFrom(msg.sender, address(this), budget);
+
+        uint256 buyOrderId = nextBuyOrderId++;
+        buyOrders[buyOrderId] = BuyOrder({
+            buyOrderId: buyOrderId,
+            buyer: msg.sender,
+            budget: budget,
+            spent: 0,
+            minDiscount: minDiscount,
+            maxDuration: maxDuration,
+            createdAt: block.timestamp,
+            isActive: true
+        });
+        buyerBuyOrders[msg.sender].push(buyOrderId);
+        activeBuyOrderIds.push(buyOrderId);
+        activeBuyOrderIndex[buyOrderId] = activeBuyOrderIds.length;
+
+        emit BuyOrderPlaced(buyOrderId, msg.sender, budget, minDiscount, maxDuration);
+        return buyOrderId;
+    }
+
+    /**
+     * @dev Whether the buy order can take everything left in the sell order
+     *      at its current ask (see placeBuyOrder for the terms)
+     */
+    function _canMatch(BuyOrder storage buy, Order storage order) internal view returns (bool) {
+        if (!buy.isActive || !order.isActive || _isExpired(order) || order.seller == buy.buyer) {
+            return false;
+        }
+        Stream storage stream = streams[order.streamId];
+        if (!stream.isActive || stream.owner != order.seller) {
+            return false;
+        }
+        if (buy.maxDuration != 0 && _endTime(stream) > block.timestamp + buy.maxDuration) {
+            return false;
+        }
+
+        uint256 value = (_orderBase(order) * order.percentage) / 100;
+        uint256 price = _currentPrice(order);
+        if (value == 0 || price == 0 || price > buy.budget) {
+            return false;
+        }
+        return price * RATIO_DENOMINATOR <= value * (RATIO_DENOMINATOR - buy.minDiscount);
+    }
+
+    /**
+     * @dev Fill the whole sell order from the buy order's escrow; the buy
+     *      order closes once its budget is spent
+     */
+    function _matchBuyOrder(uint256 buyOrderId, uint256 orderId) internal {
+        BuyOrder storage buy = buyOrders[buyOrderId];
+        Order storage order = orders[orderId];
+        uint256 price = _currentPrice(order);
+
+        buy.budget -= price;
+        buy.spent += price;
+        if (buy.budget == 0) {
+            buy.isActive = false;
+            _removeActiveBuyOrder(buyOrderId);
+        }
+
+        _fillOrder(order, buy.buyer, order.percentage, price);
+        vusdcToken.safeTransfer(order.seller, price);
+
+        emit BuyOrderMatched(buyOrderId, orderId, buy.buyer, price);
+    }
+
+    /**
+     * @dev Fill a newly listed order from the first matching buy order, if
+     *      any. Each listing checks the next MAX_MATCH_SCAN buy orders after
+     *      those the previous listing checked, wrapping around, so listing
+     *      gas stays bounded and buy orders that never match cannot keep
+     *      the ones behind them from being reached. Buy orders outside the
+     *      window are left to matchBuyOrder.
+     */
+    function _matchNewOrder(uint256 orderId) internal {
+        uint256 count = activeBuyOrderIds.length;
+        if (count == 0) {
+            return;
+        }
+
+        uint256 scan = count < MAX_MATCH_SCAN ? count : MAX_MATCH_SCAN;
+        uint256 start = matchScanStart % count;
+        matchScanStart = start + scan;
+        for (uint256 i = 0; i < scan; i++) {
+            uint256 buyOrderId = activeBuyOrderIds[(start + i) % count];
+            if (_canMatch(buyOrders[buyOrderId], orders[orderId])) {
+                _matchBuyOrder(buyOrderId, orderId);
+                return;
+            }
+        }
+    }
+
+    /**
+     * @dev Apply the caller's permit for this contract. A failed permit is
+     *      ignored: if it was front-run the allowance is already in place,
+     *      otherwise the transfer that follows reverts on the allowance.
+     */
+    function _permit(uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s) internal {
+        require(vusdcTokenAddress != address(0), "vUSDC token not set");
+        try IERC20Permit(vusdcTokenAddress).permit(msg.sender, address(this), value, deadline, v, r, s) {
+            // Allowance set
+        } catch {
+            // Checked by the transfer
+        }
+    }
+
+    /**
+     * @dev Cancel a stream, paying its owner what has flowed and voiding
+     *      active orders. Returns the amount to refund.
+     */
+    function _cancelStream(uint256 streamId) internal returns (uint256 refund) {
+        Stream storage stream = streams[streamId];
+
+        uint256 receiverAmount = _withdrawable(stream);
+        refund = _unvested(stream);
+
+        stream.claimedAmount += receiverAmount;
+        stream.isActive = false;
+
+        uint256[] storage orderIds = streamOrders[streamId];
+        for (uint256 i = 0; i < orderIds.length; i++) {
+            Order storage order = orders[orderIds[i]];
+            if (order.isActive) {
+                order.isActive = false;
+                _removeActiveOrder(order.orderId);
+                emit OrderCancelled(order.orderId, order.seller);
+            }
+        }
+
+        if (receiverAmount > 0) {
+            _payout(streamId, stream.owner, receiverAmount);
+        }
+        emit StreamCancelled(streamId, stream.sender, stream.owner, receiverAmount, refund);
+    }
+
+    /**
+     * @dev Pause or resume a stream; a stream already in the requested
+     *      state is left alone
+     */
+    function _setPaused(uint256 streamId, bool paused) internal {
+        Stream storage stream = streams[streamId];
+
+        if (paused && stream.pausedAt == 0) {
+            stream.pausedAt = block.timestamp;
+            emit StreamPaused(streamId, stream.sender, stream.owner);
+        } else if (!paused && stream.pausedAt != 0) {
+            uint256 pausedFor = block.timestamp - stream.pausedAt;
+            stream.pausedDuration += pausedFor;
+            stream.pausedAt = 0;
+            emit StreamResumed(streamId, stream.sender, stream.owner, pausedFor);
+        }
+    }
+
+    function _getBids(uint256[] storage ids) internal view returns (Bid[] memory) {
+        Bid[] memory result = new Bid[](ids.length);
+        for (uint256 i = 0; i < ids.length; i++) {
+            result[i] = bids[ids[i]];
+        }
+        return result;
+    }
+
+    function _getBuyOrders(uint256[] storage ids) internal view returns (BuyOrder[] memory) {
+        BuyOrder[] memory result = new BuyOrder[](ids.length);
+        for (uint256 i = 0; i < ids.length; i++) {
+            result[i] = buyOrders[ids[i]];
+        }
+        return result;
+    }
+
+    function _closeIfSettled(Stream storage stream) internal {
+        if (stream.claimedAmount + stream.soldAmount >= stream.totalDeposit) {
+            stream.isActive = false;
+        }
+    }
+
+    function _removeActiveOrder(uint256 orderId) internal {
+        uint256 index = activeOrderIndex[orderId];
+        if (index == 0) {
+            return;
+        }
+
+        uint256 lastOrderId = activeOrderIds[activeOrderIds.length - 1];
+        activeOrderIds[index - 1] = lastOrderId;
+        activeOrderIndex[lastOrderId] = index;
+        activeOrderIds.pop();
+        delete activeOrderIndex[orderId];
+    }
+
+    function _removeActiveBuyOrder(uint256 buyOrderId) internal {
+        uint256 index = activeBuyOrderIndex[buyOrderId];
+        if (index == 0) {
+            return;
+        }
+
+        uint256 lastBuyOrderId = activeBuyOrderIds[activeBuyOrderIds.length - 1];
+        activeBuyOrderIds[index - 1] = lastBuyOrderId;
+        activeBuyOrderIndex[lastBuyOrderId] = index;
+        activeBuyOrderIds.pop();
+        delete activeBuyOrderIndex[buyOrderId];
+    }
+
+    function _payout(uint256 streamId, address to, uint256 amount) internal {
+        if (nativeStreams[streamId]) {
+            (bool success, ) = payable(to).call{value: amount}("");
+            require(success, "Native transfer failed");
+        } else {
+            vusdcToken.safeTransfer(to, amount);
+        }
+    }
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title PlainERC20
+ * @notice Test helper: an ERC20 without EIP-2612 permit
+ * @dev Only used by the test suites to cover the approve fallback.
+ * @author VoltProtocol Team
+ */
+contract PlainERC20 is ERC20 {
+    constructor(uint256 initialSupply) ERC20("Plain USDC", "pUSDC") {
+        _mint(msg.sender, initialSupply);
+    }
+}
@@ -0,0 +1,46 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../VoltProtocol.sol";
+
+/**
+ * @title ReentrancyAttacker
+ * @notice Test helper that re-enters VoltProtocol.withdraw from its receive hook
+ * @dev Only used by the Hardhat test suite. The inner revert data is recorded
+ *      so tests can assert which guard stopped the re-entry.
+ * @author VoltProtocol Team
+ */
+contract ReentrancyAttacker {
+    VoltProtocol public immutable volt;
+
+    uint256 public streamId;
+    uint256 public reentryAmount;
+    bytes public lastRevertData;
+
+    constructor(address payable _volt) {
+        volt = VoltProtocol(_volt);
+    }
+
+    function openStream(uint256 duration) external payable {
+        streamId = volt.createStream{value: msg.value}(duration);
+    }
+
+    function attack(uint256 amount, uint256 _reentryAmount) external {
+        reentryAmount = _reentryAmount;
+        volt.withdraw(streamId, amount);
+    }
+
+    receive() external payable {
+        if (reentryAmount == 0) {
+            return;
+        }
+
+        uint256 amount = reentryAmount;
+        reentryAmount = 0;
+        try volt.withdraw(streamId, amount) {
+            // Re-entry succeeded; the test will flag this
+        } catch (bytes memory reason) {
+            lastRevertData = reason;
+        }
+    }
+}
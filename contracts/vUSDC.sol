@@ -4,6 +4,7 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Burnable.sol";
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Pausable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 
 /**
@@ -11,9 +12,10 @@ import "@openzeppelin/contracts/access/Ownable.sol";
  * @notice ERC20 token for Volt Protocol on Arc Network
  * @dev Initial supply: 10,000,000,000 vUSDC (10 billion)
  * @dev Max supply: 100,000,000,000 vUSDC (100 billion)
+ * @dev Supports EIP-2612 permit, so approvals can be signed off-chain
  * @author VoltProtocol Team
  */
-contract vUSDC is ERC20, ERC20Burnable, ERC20Pausable, Ownable {
+contract vUSDC is ERC20, ERC20Burnable, ERC20Pausable, ERC20Permit, Ownable {
     uint256 public constant INITIAL_SUPPLY = 10_000_000_000 * 10**18; // 10 billion tokens
     uint256 public constant MAX_SUPPLY = 100_000_000_000 * 10**18; // 100 billion tokens max
     
@@ -25,6 +27,7 @@ contract vUSDC is ERC20, ERC20Burnable, ERC20Pausable, Ownable {
 
     constructor(address initialOwner) 
         ERC20("Volt USDC", "vUSDC") 
+        ERC20Permit("Volt USDC")
         Ownable(initialOwner) 
     {
         // Mint initial supply to contract deployer
@@ -40,8 +40,25 @@ async function main() {
   const faucetBalance = await vusdc.balanceOf(faucetAddress);
   console.log("✅ Faucet balance:", ethers.formatEther(faucetBalance), "vUSDC");
 
+  // Deploy VoltProtocol
+  console.log("\n4. Deploying VoltProtocol...");
+  const VoltProtocol = await ethers.getContractFactory("VoltProtocol");
+  const volt = await VoltProtocol.deploy(vusdcAddress);
+  await volt.waitForDeployment();
+  const voltAddress = await volt.getAddress();
+  console.log("✅ VoltProtocol deployed to:", voltAddress);
+  console.log("✅ vUSDC token set to:", await volt.vusdcTokenAddress());
+
+  // Deploy Multicall3 (the canonical deployment does not exist on a fresh local chain)
+  console.log("\n5. Deploying Multicall3...");
+  const Multicall3 = await ethers.getContractFactory("Multicall3");
+  const multicall = await Multicall3.deploy();
+  await multicall.waitForDeployment();
+  const multicallAddress = await multicall.getAddress();
+  console.log("✅ Multicall3 deployed to:", multicallAddress);
+
   // Test faucet request
-  console.log("\n4. Testing faucet...");
+  console.log("\n6. Testing faucet...");
   const testUser = (await ethers.getSigners())[1];
   console.log("Test user:", testUser.address);
   
@@ -60,12 +77,16 @@ async function main() {
   console.log("\n📋 Contract Addresses:");
   console.log("vUSDC Token:", vusdcAddress);
   console.log("Faucet:", faucetAddress);
+  console.log("VoltProtocol:", voltAddress);
+  console.log("Multicall3:", multicallAddress);
   console.log("\n💡 For Arc Network deployment:");
   console.log("1. Add your PRIVATE_KEY to .env file");
   console.log("2. Run: npm run deploy:arc");
   console.log("3. Copy the addresses to your .env file:");
   console.log(`   VITE_VUSDC_TOKEN_ADDRESS=${vusdcAddress}`);
   console.log(`   VITE_FAUCET_ADDRESS=${faucetAddress}`);
+  console.log(`   VITE_CONTRACT_ADDRESS=${voltAddress}`);
+  console.log(`   VITE_MULTICALL_ADDRESS=${multicallAddress}`);
   console.log("\n" + "=".repeat(50));
 }
 
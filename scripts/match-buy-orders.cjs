@@ -0,0 +1,62 @@
+const { ethers } = require("hardhat");
+require("dotenv").config();
+
+/**
+ * Buy Order Keeper Script
+ *
+ * Matches standing buy orders against the sell orders already listed.
+ * New listings are matched on-chain as they are created; this covers
+ * orders listed before a buy order was placed, orders whose discount or
+ * remaining duration only fits later, and buy orders outside the
+ * MAX_MATCH_SCAN window the contract checked at listing time. Anyone can run it; the keeper only pays gas.
+ *
+ * Usage:
+ *   npx hardhat run scripts/match-buy-orders.cjs --network arc
+ *
+ * Run it from a cron job to keep buy orders filling, e.g. every few minutes.
+ */
+
+async function main() {
+  const VOLT_ADDRESS = process.env.VITE_CONTRACT_ADDRESS || "0x416B58ab512DFA5D44aa918aC817B9B17Dfd350a";
+
+  const [keeper] = await ethers.getSigners();
+  console.log("👤 Keeper:", keeper.address);
+  console.log("📍 Volt address:", VOLT_ADDRESS);
+
+  const VoltProtocol = await ethers.getContractFactory("VoltProtocol");
+  const volt = VoltProtocol.attach(VOLT_ADDRESS);
+
+  const [buyOrders, orders] = await Promise.all([volt.getActiveBuyOrders(), volt.getAllOrders()]);
+  console.log(`🔍 ${buyOrders.length} active buy orders, ${orders.length} listed sell orders`);
+
+  let matched = 0;
+  const filledOrderIds = new Set();
+
+  for (const buy of buyOrders) {
+    for (const order of orders) {
+      if (filledOrderIds.has(order.orderId)) continue;
+
+      // Re-checked per pair: earlier matches spend budgets and fill orders
+      if (!(await volt.canMatch(buy.buyOrderId, order.orderId))) continue;
+
+      try {
+        const tx = await volt.matchBuyOrder(buy.buyOrderId, order.orderId);
+        console.log(`📝 Buy order #${buy.buyOrderId} → order #${order.orderId}: ${tx.hash}`);
+        await tx.wait();
+        filledOrderIds.add(order.orderId);
+        matched++;
+      } catch (err) {
+        console.warn(`⚠️  Could not match buy order #${buy.buyOrderId} with order #${order.orderId}:`, err.message);
+      }
+    }
+  }
+
+  console.log(`✅ Matched ${matched} order${matched === 1 ? "" : "s"}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
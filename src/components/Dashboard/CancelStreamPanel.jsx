@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { useVolt } from '../../context/VoltContext';
+import styles from './CancelStreamPanel.module.css';
+
+/**
+ * CancelStreamPanel Component
+ *
+ * Lets the sender of a stream cancel it. Previews the split first: what
+ * has already flowed goes to the receiver, the unvested remainder is
+ * refunded to the sender. Portions sold to buyers keep streaming to them.
+ */
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const CancelStreamPanel = ({ stream, onCancelled }) => {
+  const { previewCancelStream, cancelStream, toast } = useVolt();
+  const [preview, setPreview] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [isCancelling, setIsCancelling] = useState(false);
+
+  const handlePreview = async () => {
+    setIsPreviewing(true);
+    try {
+      setPreview(await previewCancelStream(stream.id));
+    } catch (error) {
+      console.error('Cancel preview error:', error);
+      toast.error(error.message || 'Failed to preview cancellation');
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  const handleConfirm = async () => {
+    setIsCancelling(true);
+    try {
+      await cancelStream(stream.id);
+      onCancelled?.();
+    } catch (error) {
+      console.error('Cancel stream error:', error);
+    } finally {
+      setIsCancelling(false);
+    }
+  };
+
+  return (
+    <div className={styles.cancelPanel}>
+      <h3 className={styles.title}>Cancel Stream</h3>
+
+      {!preview ? (
+        <>
+          <p className={styles.hint}>
+            Stops the stream: what has flowed is paid out, the rest is refunded to you.
+            Active sell orders on the stream are voided; portions already sold keep streaming to their buyers.
+          </p>
+          <button
+            className={styles.cancelButton}
+            onClick={handlePreview}
+            disabled={isPreviewing}
+            type="button"
+          >
+            {isPreviewing ? 'Loading...' : 'Preview Cancellation'}
+          </button>
+        </>
+      ) : (
+        <>
+          <div className={styles.split}>
+            {preview.shares.map((share) => (
+              <div key={share.streamId} className={styles.row}>
+                <span>Stream #{share.streamId} → {shortAddress(share.receiver)}</span>
+                <span className={styles.amount}>{share.amount.toFixed(6)} vUSDC</span>
+              </div>
+            ))}
+            <div className={`${styles.row} ${styles.refundRow}`}>
+              <span>Refund to you</span>
+              <span className={styles.amount}>{preview.refund.toFixed(6)} vUSDC</span>
+            </div>
+          </div>
+          <p className={styles.hint}>
+            Funds keep flowing until the transaction is mined, so the refund can be slightly lower.
+          </p>
+          <div className={styles.actions}>
+            <button
+              className={styles.backButton}
+              onClick={() => setPreview(null)}
+              disabled={isCancelling}
+              type="button"
+            >
+              Back
+            </button>
+            <button
+              className={styles.cancelButton}
+              onClick={handleConfirm}
+              disabled={isCancelling}
+              type="button"
+            >
+              {isCancelling ? 'Cancelling...' : 'Confirm Cancellation'}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CancelStreamPanel;
@@ -0,0 +1,114 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useVolt } from '../../context/VoltContext';
+import { getWithdrawableAmount } from '../../utils/streamMath';
+import { NETWORK_CONFIG } from '../../config';
+import styles from './ClaimAllPanel.module.css';
+
+/**
+ * ClaimAllPanel Component
+ *
+ * Claims vested funds from every incoming stream in one transaction
+ * (withdrawMany). Previews the claimable amount per stream, then shows
+ * the per-stream breakdown read from the receipt.
+ */
+
+// Dust below this is not worth a claim
+const MIN_CLAIMABLE = 0.000001;
+
+const ClaimAllPanel = ({ streams }) => {
+  const { claimAllStreams } = useVolt();
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+  const [isClaiming, setIsClaiming] = useState(false);
+  const [lastClaim, setLastClaim] = useState(null);
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const claimable = useMemo(
+    () => streams
+      .map((stream) => ({ streamId: stream.id, amount: getWithdrawableAmount(stream, now) }))
+      .filter((entry) => entry.amount > MIN_CLAIMABLE),
+    [streams, now]
+  );
+  const total = claimable.reduce((sum, entry) => sum + entry.amount, 0);
+
+  const handleClaimAll = async () => {
+    setIsClaiming(true);
+    try {
+      const result = await claimAllStreams(claimable.map((entry) => entry.streamId));
+      setLastClaim(result);
+    } catch (error) {
+      console.error('Claim all error:', error);
+    } finally {
+      setIsClaiming(false);
+    }
+  };
+
+  if (claimable.length === 0 && !lastClaim) {
+    return null;
+  }
+
+  return (
+    <div className={styles.claimAllPanel}>
+      <div className={styles.header}>
+        <div>
+          <h3 className={styles.title}>Claim All</h3>
+          <p className={styles.subtitle}>
+            {claimable.length} stream{claimable.length !== 1 ? 's' : ''} with vested funds, claimed in one transaction
+          </p>
+        </div>
+        <div className={styles.totalSection}>
+          <span className={styles.totalValue}>{total.toFixed(6)} vUSDC</span>
+          <button
+            className={styles.claimButton}
+            onClick={handleClaimAll}
+            disabled={isClaiming || claimable.length === 0}
+          >
+            {isClaiming ? 'Claiming...' : 'Claim All'}
+          </button>
+        </div>
+      </div>
+
+      {claimable.length > 0 && (
+        <div className={styles.previewList}>
+          {claimable.map((entry) => (
+            <div key={entry.streamId} className={styles.previewRow}>
+              <span className={styles.streamId}>Stream #{entry.streamId}</span>
+              <span className={styles.amount}>{entry.amount.toFixed(6)} vUSDC</span>
+            </div>
+          ))}
+          <p className={styles.note}>
+            Amounts keep vesting until the transaction is mined, so the claim can be slightly higher.
+          </p>
+        </div>
+      )}
+
+      {lastClaim && (
+        <div className={styles.receipt}>
+          <div className={styles.receiptHeader}>
+            <span>Last claim: {lastClaim.total.toFixed(6)} vUSDC</span>
+            <a
+              href={`${NETWORK_CONFIG.explorerUrl}/tx/${lastClaim.txHash}`}
+              target="_blank"
+              rel="noopener noreferrer"
+              className={styles.txLink}
+            >
+              {lastClaim.txHash.slice(0, 10)}...
+            </a>
+            <button className={styles.dismissButton} onClick={() => setLastClaim(null)}>×</button>
+          </div>
+          {lastClaim.withdrawals.map((withdrawal) => (
+            <div key={withdrawal.streamId} className={styles.previewRow}>
+              <span className={styles.streamId}>Stream #{withdrawal.streamId}</span>
+              <span className={styles.amount}>{withdrawal.amount.toFixed(6)} vUSDC</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ClaimAllPanel;
@@ -124,7 +124,7 @@ const CreateStreamForm = () => {
               aria-label="Receiver wallet address"
               aria-describedby="receiverAddressHelp"
             />
-            <small id="receiverAddressHelp">Enter the wallet address that will receive the stream</small>
+            <small id="receiverAddressHelp">Enter the wallet address that will receive the stream (your own address streams to yourself)</small>
           </div>
 
           <div className={styles.formRow}>
@@ -0,0 +1,52 @@
+import React, { useState } from 'react';
+import { useVolt } from '../../context/VoltContext';
+import { getEndTime, isStreamPaused } from '../../utils/streamMath';
+import styles from './PauseStreamPanel.module.css';
+
+/**
+ * PauseStreamPanel Component
+ *
+ * Lets the sender of a stream put it on hold and resume it. Nothing flows
+ * while paused, and the end of the stream moves back by the pause. Shares
+ * sold out of the stream keep streaming to their buyers.
+ */
+
+const PauseStreamPanel = ({ stream }) => {
+  const { pauseStream, resumeStream } = useVolt();
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const isPaused = isStreamPaused(stream);
+
+  const handleToggle = async () => {
+    setIsSubmitting(true);
+    try {
+      await (isPaused ? resumeStream(stream.id) : pauseStream(stream.id));
+    } catch (error) {
+      console.error('Pause stream error:', error);
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className={`${styles.pausePanel} ${isPaused ? styles.paused : ''}`}>
+      <div>
+        <h3 className={styles.title}>{isPaused ? '⏸ Stream Paused' : 'Pause Stream'}</h3>
+        <p className={styles.hint}>
+          {isPaused
+            ? `Paused since ${new Date(stream.pausedAt * 1000).toLocaleString()}. Resuming now ends the stream on ${new Date(getEndTime(stream) * 1000).toLocaleDateString()}.`
+            : 'Temporarily stops the flow to the receiver. Vested funds stay withdrawable.'}
+        </p>
+      </div>
+      <button
+        className={styles.toggleButton}
+        onClick={handleToggle}
+        disabled={isSubmitting}
+        type="button"
+      >
+        {isSubmitting ? 'Confirming...' : isPaused ? 'Resume Stream' : 'Pause Stream'}
+      </button>
+    </div>
+  );
+};
+
+export default PauseStreamPanel;
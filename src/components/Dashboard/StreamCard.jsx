@@ -2,6 +2,7 @@ import React, { useState, useMemo } from 'react';
 import { useVolt } from '../../context/VoltContext';
 import { useLiveStreamPrice } from '../../hooks/useLiveStreamPrice';
 import { useStreamNotes } from '../../hooks/useStreamNotes';
+import { getActiveElapsed } from '../../utils/streamMath';
 import StreamDetailModal from './StreamDetailModal';
 import styles from './StreamCard.module.css';
 
@@ -28,7 +29,7 @@ const [claimableAmount, setClaimableAmount] = useState(0);
 React.useEffect(() => {
   const updateClaimable = () => {
     const now = Math.floor(Date.now() / 1000);
-    const elapsed = Math.max(0, now - stream.startTime);
+    const elapsed = getActiveElapsed(stream, now);
     const cappedElapsed = Math.min(elapsed, stream.duration);
     
     const totalFlowed = stream.duration > 0 
@@ -49,7 +50,7 @@ React.useEffect(() => {
 
   // Calculate progress
   const now = Math.floor(Date.now() / 1000);
-  const elapsed = Math.max(0, now - stream.startTime);
+  const elapsed = getActiveElapsed(stream, now);
   const progress = stream.duration > 0 ? (elapsed / stream.duration) * 100 : 0;
   const progressPercent = Math.min(100, Math.max(0, progress));
 
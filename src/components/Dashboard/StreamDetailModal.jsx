@@ -2,12 +2,15 @@ import React, { useState, useMemo } from 'react';
 import { useVolt } from '../../context/VoltContext';
 import { useLiveStreamPrice } from '../../hooks/useLiveStreamPrice';
 import { useStreamNotes } from '../../hooks/useStreamNotes';
+import { getActiveElapsed, getEndTime } from '../../utils/streamMath';
+import CancelStreamPanel from './CancelStreamPanel';
+import PauseStreamPanel from './PauseStreamPanel';
 import styles from './StreamDetailModal.module.css';
 
 const StreamDetailModal = ({ stream, type, onClose }) => {
   if (!stream) return null;
 
-  const { withdrawFromStream, toast, activeStreams } = useVolt();
+  const { withdrawFromStream, toast, activeStreams, user } = useVolt();
   const { note, isEditing, setIsEditing, saveNote, deleteNote } = useStreamNotes(stream.id);
   const [tempNote, setTempNote] = useState(note);
   const [isWithdrawing, setIsWithdrawing] = useState(false);
@@ -27,7 +30,7 @@ const StreamDetailModal = ({ stream, type, onClose }) => {
 React.useEffect(() => {
   const updateClaimable = () => {
     const now = Math.floor(Date.now() / 1000);
-    const elapsed = Math.max(0, now - currentStream.startTime);
+    const elapsed = getActiveElapsed(currentStream, now);
     const cappedElapsed = Math.min(elapsed, currentStream.duration);
     
     const totalFlowed = currentStream.duration > 0 
@@ -54,7 +57,7 @@ React.useEffect(() => {
 }, [currentStream]);
 
   const now = Math.floor(Date.now() / 1000);
-  const elapsed = Math.max(0, now - currentStream.startTime);
+  const elapsed = getActiveElapsed(currentStream, now);
   const progress = currentStream.duration > 0 ? (elapsed / currentStream.duration) * 100 : 0;
   const progressPercent = Math.min(100, Math.max(0, progress));
 
@@ -68,7 +71,7 @@ React.useEffect(() => {
   const ratePerMonth = ratePerDay * 30;
 
   const startDate = new Date(currentStream.startTime * 1000);
-  const endDate = new Date((currentStream.startTime + currentStream.duration) * 1000);
+  const endDate = new Date(getEndTime(currentStream, now) * 1000);
 
   const address = type === 'incoming' ? currentStream.sender : currentStream.receiver;
   const addressLabel = type === 'incoming' ? 'From' : 'To';
@@ -115,6 +118,7 @@ React.useEffect(() => {
   }, [note]);
 
   const showWithdrawSection = type === 'incoming' && claimableAmount > 0.000001;
+  const canCancel = !!user.address && currentStream.sender?.toLowerCase() === user.address.toLowerCase();
 
   return (
     <div className={styles.modalOverlay} onClick={onClose}>
@@ -153,6 +157,9 @@ React.useEffect(() => {
   </div>
 )}
 
+          {canCancel && !currentStream.isSoldShare && <PauseStreamPanel stream={currentStream} />}
+          {canCancel && !currentStream.isSoldShare && <CancelStreamPanel stream={currentStream} onCancelled={onClose} />}
+
           <div className={styles.statsGrid}>
             <div className={styles.statCard}>
               <div className={styles.statLabel}>Total Deposit</div>
@@ -0,0 +1,66 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import { useVolt } from '../../context/VoltContext';
+import StreamDetailModal from './StreamDetailModal';
+
+/**
+ * StreamDetailModal tests
+ *
+ * VoltContext is mocked; the connected wallet is the stream's sender.
+ */
+
+vi.mock('../../context/VoltContext', () => ({ useVolt: vi.fn() }));
+
+const sender = '0x00000000000000000000000000000000000000aa';
+const buyer = '0x00000000000000000000000000000000000000bb';
+
+const makeStream = (overrides = {}) => ({
+  id: '2',
+  sender,
+  receiver: buyer,
+  totalDeposit: 400,
+  startTime: Math.floor(Date.now() / 1000) - 3600,
+  duration: 86400,
+  claimedAmount: 0,
+  soldAmount: 0,
+  pausedAt: 0,
+  pausedDuration: 0,
+  isSoldShare: false,
+  ...overrides,
+});
+
+const renderModal = (stream) => {
+  useVolt.mockReturnValue({
+    activeStreams: [stream],
+    user: { address: sender },
+    toast: { error: vi.fn(), success: vi.fn() },
+  });
+  return render(<StreamDetailModal stream={stream} type="outgoing" onClose={() => {}} />);
+};
+
+describe('StreamDetailModal', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    localStorage.clear();
+  });
+
+  it('lets the sender cancel or pause a stream they fund', () => {
+    renderModal(makeStream());
+
+    expect(screen.getByRole('heading', { name: 'Cancel Stream' })).toBeInTheDocument();
+    expect(screen.getByRole('heading', { name: 'Pause Stream' })).toBeInTheDocument();
+  });
+
+  it('hides cancelling from the sender of a sold share', () => {
+    renderModal(makeStream({ isSoldShare: true }));
+
+    expect(screen.queryByRole('heading', { name: 'Cancel Stream' })).not.toBeInTheDocument();
+  });
+
+  it('hides pausing and resuming from the sender of a sold share', () => {
+    renderModal(makeStream({ isSoldShare: true }));
+
+    expect(screen.queryByRole('heading', { name: 'Pause Stream' })).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /Pause|Resume/ })).not.toBeInTheDocument();
+  });
+});
@@ -1,38 +1,40 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useVolt } from '../../context/VoltContext';
 import StreamCard from './StreamCard';
+import ClaimAllPanel from './ClaimAllPanel';
 import InfoBox from '../Shared/InfoBox';
 import styles from './StreamList.module.css';
 
 /**
  * StreamList Component - Dashboard View
  * 
- * Displays all active streams owned by the user
+ * Displays the user's active streams in two tabs:
+ * - Incoming: streams paying the user (including self-funded ones)
+ * - Outgoing: streams the user funds for other receivers
  */
 
 const StreamList = ({ onNavigateToCreateStream }) => {
   const { activeStreams, user } = useVolt();
+  const [activeTab, setActiveTab] = useState('incoming');
 
-  // Filter streams owned by user (receiver)
-  // NOTE: In the current contract, sender and receiver are the same (user creates stream for themselves)
-  // So we show all streams where user is either sender or receiver
+  // Streams paying the user (the user is the receiver and can withdraw)
   const userStreams = activeStreams.filter(
     (stream) => {
       if (!user.address) return false;
       const userAddr = user.address.toLowerCase();
       const receiverAddr = stream.receiver?.toLowerCase();
-      const senderAddr = stream.sender?.toLowerCase();
-      return receiverAddr === userAddr || senderAddr === userAddr;
+      return receiverAddr === userAddr;
     }
   );
 
-  // Filter streams sent by user (same as userStreams in current implementation)
+  // Streams the user funds for someone else
   const sentStreams = activeStreams.filter(
     (stream) => {
       if (!user.address) return false;
       const userAddr = user.address.toLowerCase();
+      const receiverAddr = stream.receiver?.toLowerCase();
       const senderAddr = stream.sender?.toLowerCase();
-      return senderAddr === userAddr;
+      return senderAddr === userAddr && receiverAddr !== userAddr;
     }
   );
 
@@ -72,8 +74,8 @@ const StreamList = ({ onNavigateToCreateStream }) => {
         </p>
         <p><strong>What you can do here:</strong></p>
         <ul>
-          <li><strong>View Streams:</strong> Monitor your incoming and outgoing streams with real-time balance updates.</li>
-          <li><strong>Claim Income:</strong> As the receiver, withdraw your accrued earnings at any time.</li>
+          <li><strong>View Streams:</strong> Switch between streams paying you (Incoming) and streams you pay to others (Outgoing), with real-time balance updates.</li>
+          <li><strong>Claim Income:</strong> As the receiver, withdraw your accrued earnings at any time, or claim from every stream at once with <strong>Claim All</strong>.</li>
           <li><strong>Stream Details:</strong> Click on any stream card to see detailed information and actions.</li>
           <li><strong>Create New Stream:</strong> Use the "Create Stream" page in the sidebar to start a new payment stream.</li>
         </ul>
@@ -93,47 +95,74 @@ const StreamList = ({ onNavigateToCreateStream }) => {
         </div>
       )}
 
-      {/* Incoming Streams */}
-      <div className={styles.section}>
-        <h2 className={styles.sectionTitle}>
-          Incoming Streams
-        </h2>
-        <p className={styles.sectionSubtitle}>
-          {userStreams.length} active stream{userStreams.length !== 1 ? 's' : ''} you are receiving
-        </p>
-        {userStreams.length === 0 ? (
-          <div className={styles.emptyState}>
-            <p>No incoming streams</p>
-          </div>
-        ) : (
-          <div className={styles.streamGrid}>
-            {userStreams.map((stream) => (
-              <StreamCard key={stream.id} stream={stream} type="incoming" />
-            ))}
-          </div>
-        )}
+      {/* Incoming / Outgoing tabs */}
+      <div className={styles.tabs} role="tablist">
+        <button
+          role="tab"
+          aria-selected={activeTab === 'incoming'}
+          className={`${styles.tab} ${activeTab === 'incoming' ? styles.tabActive : ''}`}
+          onClick={() => setActiveTab('incoming')}
+        >
+          Incoming <span className={styles.tabCount}>{userStreams.length}</span>
+        </button>
+        <button
+          role="tab"
+          aria-selected={activeTab === 'outgoing'}
+          className={`${styles.tab} ${activeTab === 'outgoing' ? styles.tabActive : ''}`}
+          onClick={() => setActiveTab('outgoing')}
+        >
+          Outgoing <span className={styles.tabCount}>{sentStreams.length}</span>
+        </button>
       </div>
 
-      {/* Outgoing Streams */}
-      <div className={styles.section}>
-        <h2 className={styles.sectionTitle}>
-          Outgoing Streams
-        </h2>
-        <p className={styles.sectionSubtitle}>
-          {sentStreams.length} active stream{sentStreams.length !== 1 ? 's' : ''} you have created
-        </p>
-        {sentStreams.length === 0 ? (
-          <div className={styles.emptyState}>
-            <p>No outgoing streams</p>
-          </div>
-        ) : (
-          <div className={styles.streamGrid}>
-            {sentStreams.map((stream) => (
-              <StreamCard key={stream.id} stream={stream} type="outgoing" />
-            ))}
+      {activeTab === 'incoming' ? (
+        <>
+          {/* Claim All */}
+          <ClaimAllPanel streams={userStreams} />
+
+          {/* Incoming Streams */}
+          <div className={styles.section}>
+            <h2 className={styles.sectionTitle}>
+              Incoming Streams
+            </h2>
+            <p className={styles.sectionSubtitle}>
+              {userStreams.length} active stream{userStreams.length !== 1 ? 's' : ''} you are receiving
+            </p>
+            {userStreams.length === 0 ? (
+              <div className={styles.emptyState}>
+                <p>No incoming streams</p>
+              </div>
+            ) : (
+              <div className={styles.streamGrid}>
+                {userStreams.map((stream) => (
+                  <StreamCard key={stream.id} stream={stream} type="incoming" />
+                ))}
+              </div>
+            )}
           </div>
-        )}
-      </div>
+        </>
+      ) : (
+        /* Outgoing Streams */
+        <div className={styles.section}>
+          <h2 className={styles.sectionTitle}>
+            Outgoing Streams
+          </h2>
+          <p className={styles.sectionSubtitle}>
+            {sentStreams.length} active stream{sentStreams.length !== 1 ? 's' : ''} you are paying to other wallets
+          </p>
+          {sentStreams.length === 0 ? (
+            <div className={styles.emptyState}>
+              <p>No outgoing streams</p>
+            </div>
+          ) : (
+            <div className={styles.streamGrid}>
+              {sentStreams.map((stream) => (
+                <StreamCard key={stream.id} stream={stream} type="outgoing" />
+              ))}
+            </div>
+          )}
+        </div>
+      )}
     </div>
   );
 };
@@ -1,16 +1,19 @@
 import React, { useState } from 'react';
 import { useVolt } from '../../context/VoltContext';
 import InfoBox from '../Shared/InfoBox';
+import { NETWORK_CONFIG } from '../../config';
+import { formatSyncProgress } from '../../utils/historyIndexer';
 import styles from './OrderHistory.module.css';
 
 /**
  * OrderHistory Component
  * 
  * Displays user's order history (listed, sold, cancelled)
+ * Orders are indexed from OrderCreated/OrderFilled/OrderCancelled events
  */
 
 const OrderHistory = () => {
-  const { orderHistory, user, activeStreams } = useVolt();
+  const { orderHistory, user, isHistorySyncing, historySyncProgress } = useVolt();
   const [filter, setFilter] = useState('all'); // 'all', 'listed', 'sold', 'cancelled'
 
   if (!user.address) {
@@ -52,7 +55,9 @@ const OrderHistory = () => {
   if (userOrders.length === 0) {
     return (
       <div className={styles.emptyState}>
-        <p>No order history</p>
+        <p>
+          {isHistorySyncing ? `Indexing order history${formatSyncProgress(historySyncProgress)}...` : 'No order history'}
+        </p>
         <p className={styles.emptySubtext}>
           Your past orders will appear here
         </p>
@@ -113,31 +118,23 @@ const OrderHistory = () => {
               <th>Order ID</th>
               <th>Stream ID</th>
               <th>Percentage</th>
-              <th>Price Ratio</th>
-              <th>Risk Score</th>
+              <th>Price</th>
               <th>Status</th>
               <th>Listed At</th>
               <th>Completed At</th>
+              <th>Tx</th>
             </tr>
           </thead>
           <tbody>
             {filteredOrders.map((order) => {
-              const stream = activeStreams.find((s) => s.id === order.streamId);
               const statusColor = getStatusColor(order.status);
 
               return (
                 <tr key={order.id} className={styles.historyRow}>
                   <td className={styles.orderId}>#{order.id.slice(-8)}</td>
-                  <td className={styles.streamId}>
-                    {stream ? `#${stream.id.slice(-8)}` : 'N/A'}
-                  </td>
+                  <td className={styles.streamId}>#{order.streamId}</td>
                   <td>{order.percentage}%</td>
-                  <td>{(order.priceRatio * 100).toFixed(1)}%</td>
-                  <td>
-                    <span className={styles.riskScore}>
-                      {order.riskScore}/100 ({order.riskLevel})
-                    </span>
-                  </td>
+                  <td>{order.price.toFixed(6)} vUSDC</td>
                   <td>
                     <span
                       className={styles.statusBadge}
@@ -160,6 +157,16 @@ const OrderHistory = () => {
                       ? new Date(order.cancelledAt * 1000).toLocaleString()
                       : '-'}
                   </td>
+                  <td>
+                    <a
+                      className={styles.txLink}
+                      href={`${NETWORK_CONFIG.explorerUrl}/tx/${order.closeTxHash || order.txHash}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                    >
+                      {(order.closeTxHash || order.txHash).slice(0, 8)}...
+                    </a>
+                  </td>
                 </tr>
               );
             })}
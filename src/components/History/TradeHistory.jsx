@@ -1,16 +1,20 @@
 import React from 'react';
 import { useVolt } from '../../context/VoltContext';
 import InfoBox from '../Shared/InfoBox';
+import { NETWORK_CONFIG } from '../../config';
+import { formatSyncProgress } from '../../utils/historyIndexer';
 import styles from './TradeHistory.module.css';
 
 /**
  * TradeHistory Component
  * 
  * Displays all completed trades (both as buyer and seller)
+ * Trades are indexed from OrderFilled events, so they include fills where
+ * the user was the counterparty and link to the executing transaction
  */
 
 const TradeHistory = () => {
-  const { tradeHistory, user, activeStreams } = useVolt();
+  const { tradeHistory, user, isHistorySyncing, historySyncProgress } = useVolt();
 
   if (!user.address) {
     return (
@@ -30,7 +34,9 @@ const TradeHistory = () => {
   if (userTrades.length === 0) {
     return (
       <div className={styles.emptyState}>
-        <p>No trade history</p>
+        <p>
+          {isHistorySyncing ? `Indexing trade history${formatSyncProgress(historySyncProgress)}...` : 'No trade history'}
+        </p>
         <p className={styles.emptySubtext}>
           Your completed trades will appear here
         </p>
@@ -88,11 +94,11 @@ const TradeHistory = () => {
               <th>Price</th>
               <th>Percentage</th>
               <th>Executed At</th>
+              <th>Tx</th>
             </tr>
           </thead>
           <tbody>
             {userTrades.map((trade) => {
-              const stream = activeStreams.find((s) => s.id === trade.streamId);
               const isBuyer = trade.buyer.toLowerCase() === user.address.toLowerCase();
               const role = isBuyer ? 'Buyer' : 'Seller';
               const counterparty = isBuyer ? trade.seller : trade.buyer;
@@ -100,9 +106,7 @@ const TradeHistory = () => {
               return (
                 <tr key={trade.id} className={styles.tradeRow}>
                   <td className={styles.tradeId}>#{trade.id.slice(-8)}</td>
-                  <td className={styles.streamId}>
-                    {stream ? `#${stream.id.slice(-8)}` : 'N/A'}
-                  </td>
+                  <td className={styles.streamId}>#{trade.streamId}</td>
                   <td>
                     <span
                       className={styles.roleBadge}
@@ -116,6 +120,7 @@ const TradeHistory = () => {
                     >
                       {role}
                     </span>
+                    {trade.viaBid && <span className={styles.date}> via bid</span>}
                   </td>
                   <td className={styles.counterparty}>
                     {counterparty.slice(0, 6)}...{counterparty.slice(-4)}
@@ -126,6 +131,16 @@ const TradeHistory = () => {
                   <td className={styles.date}>
                     {new Date(trade.executedAt * 1000).toLocaleString()}
                   </td>
+                  <td>
+                    <a
+                      className={styles.txLink}
+                      href={`${NETWORK_CONFIG.explorerUrl}/tx/${trade.txHash}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                    >
+                      {trade.txHash.slice(0, 8)}...
+                    </a>
+                  </td>
                 </tr>
               );
             })}
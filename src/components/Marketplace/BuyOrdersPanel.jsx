@@ -0,0 +1,188 @@
+import React, { useState } from 'react';
+import { useVolt } from '../../context/VoltContext';
+import styles from './BuyOrdersPanel.module.css';
+
+/**
+ * BuyOrdersPanel Component
+ *
+ * Places standing buy orders: a vUSDC budget held in escrow that buys any
+ * order listed at least a minimum discount below its value, optionally only
+ * on streams ending within a number of days. Matching happens on-chain when
+ * an order is listed (or by a keeper), so no browser tab has to stay open.
+ */
+
+const DAY = 86400;
+
+const BuyOrdersPanel = () => {
+  const { buyOrders, user, placeBuyOrder, cancelBuyOrder, toast } = useVolt();
+  const [budget, setBudget] = useState('');
+  const [minDiscount, setMinDiscount] = useState('10');
+  const [maxDays, setMaxDays] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  if (!user.address) {
+    return null;
+  }
+
+  const activeBuyOrders = buyOrders.filter((buy) => buy.isActive);
+  const escrowed = activeBuyOrders.reduce((sum, buy) => sum + buy.budget, 0);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const discountNum = parseFloat(minDiscount);
+    if (isNaN(discountNum) || discountNum < 0 || discountNum >= 100) {
+      toast.error('Minimum discount must be between 0 and 100%');
+      return;
+    }
+
+    // Blank accepts streams of any remaining duration
+    let maxDuration = 0;
+    if (maxDays !== '') {
+      const maxDaysNum = parseFloat(maxDays);
+      if (isNaN(maxDaysNum) || maxDaysNum <= 0) {
+        toast.error('Max remaining time must be greater than 0 days, or blank for any');
+        return;
+      }
+      maxDuration = Math.round(maxDaysNum * DAY);
+    }
+
+    setLoading(true);
+    try {
+      await placeBuyOrder(budget, discountNum, maxDuration);
+      setBudget('');
+    } catch (error) {
+      console.error('Place buy order error:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCancel = async (buyOrderId) => {
+    if (!window.confirm('Cancel this buy order? What is left of the budget will be refunded.')) {
+      return;
+    }
+
+    try {
+      await cancelBuyOrder(buyOrderId);
+    } catch (error) {
+      console.error('Cancel buy order error:', error);
+    }
+  };
+
+  const formatDuration = (seconds) => (seconds === 0 ? 'Any' : `≤ ${(seconds / DAY).toFixed(1)}d`);
+
+  return (
+    <div className={styles.buyOrdersPanel}>
+      <div className={styles.header}>
+        <div>
+          <h2 className={styles.title}>Buy Orders</h2>
+          <p className={styles.subtitle}>Buy matching listings automatically, even while you are away</p>
+        </div>
+        <div className={styles.stats}>
+          <span className={styles.statItem}>
+            <span className={styles.statLabel}>Active:</span>
+            <span className={styles.statValue}>{activeBuyOrders.length}</span>
+          </span>
+          <span className={styles.statItem}>
+            <span className={styles.statLabel}>In escrow:</span>
+            <span className={styles.statValue}>{escrowed.toFixed(2)} vUSDC</span>
+          </span>
+        </div>
+      </div>
+
+      <form onSubmit={handleSubmit} className={styles.form}>
+        <div className={styles.fieldGroup}>
+          <label htmlFor="buyBudget" className={styles.label}>Budget (vUSDC)</label>
+          <input
+            id="buyBudget"
+            className={styles.input}
+            type="number"
+            value={budget}
+            onChange={(e) => setBudget(e.target.value)}
+            placeholder="0.00"
+            min="0"
+            step="0.01"
+          />
+        </div>
+        <div className={styles.fieldGroup}>
+          <label htmlFor="buyMinDiscount" className={styles.label}>Min Discount (%)</label>
+          <input
+            id="buyMinDiscount"
+            className={styles.input}
+            type="number"
+            value={minDiscount}
+            onChange={(e) => setMinDiscount(e.target.value)}
+            min="0"
+            max="99"
+            step="0.5"
+          />
+        </div>
+        <div className={styles.fieldGroup}>
+          <label htmlFor="buyMaxDays" className={styles.label}>Max Time Left (days)</label>
+          <input
+            id="buyMaxDays"
+            className={styles.input}
+            type="number"
+            value={maxDays}
+            onChange={(e) => setMaxDays(e.target.value)}
+            placeholder="Any"
+            min="0"
+            step="0.5"
+          />
+        </div>
+        <button
+          type="submit"
+          className={styles.submitButton}
+          disabled={loading || !budget}
+          aria-busy={loading}
+        >
+          {loading ? 'Placing...' : 'Place Buy Order'}
+        </button>
+      </form>
+
+      {buyOrders.length > 0 && (
+        <div className={styles.tableWrapper}>
+          <table className={styles.buyOrdersTable}>
+            <thead>
+              <tr>
+                <th>ID</th>
+                <th>Budget Left</th>
+                <th>Spent</th>
+                <th>Min Discount</th>
+                <th>Time Left</th>
+                <th>Status</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {buyOrders.map((buy) => (
+                <tr key={buy.id} className={styles.buyOrderRow}>
+                  <td className={styles.buyOrderId}>#{buy.id}</td>
+                  <td className={styles.amount}>{buy.budget.toFixed(6)} vUSDC</td>
+                  <td className={styles.amount}>{buy.spent.toFixed(6)} vUSDC</td>
+                  <td className={styles.discount}>{buy.minDiscount.toFixed(1)}%</td>
+                  <td>{formatDuration(buy.maxDuration)}</td>
+                  <td>
+                    <span className={`${styles.statusBadge} ${buy.isActive ? styles.active : ''}`}>
+                      {buy.isActive ? 'Active' : 'Closed'}
+                    </span>
+                  </td>
+                  <td>
+                    {buy.isActive && (
+                      <button className={styles.cancelButton} onClick={() => handleCancel(buy.id)}>
+                        Cancel
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BuyOrdersPanel;
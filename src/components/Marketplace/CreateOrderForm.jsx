@@ -5,14 +5,28 @@ import styles from './CreateOrderForm.module.css';
 /**
  * CreateOrderForm Component
  * 
- * Allows users to create new sell orders for their streams
+ * Allows users to create new sell orders for their streams, priced:
+ * - fixed: the price ratio of the stream's value now, in vUSDC
+ * - ratio: the price ratio of the value left when the order is filled
+ * - auction: a Dutch auction whose ask falls to a floor over time
+ * Any of them can expire after a number of hours.
  */
 
+const PRICING_HINTS = {
+  fixed: 'Price locked in vUSDC now; it does not fall as the stream vests',
+  ratio: 'Price follows the unvested value of the share until it is filled',
+  auction: 'Ask falls from the start ratio to a floor until it sells',
+};
+
 const CreateOrderForm = () => {
   const { activeStreams, user, listStreamForSale, toast } = useVolt();
   const [selectedStreamId, setSelectedStreamId] = useState('');
   const [percentage, setPercentage] = useState('');
   const [priceRatio, setPriceRatio] = useState('0.95');
+  const [pricing, setPricing] = useState('fixed');
+  const [floorRatio, setFloorRatio] = useState('0.85');
+  const [decayHours, setDecayHours] = useState('24');
+  const [expiryHours, setExpiryHours] = useState('');
   const [loading, setLoading] = useState(false);
 
   // Filter streams owned by user
@@ -52,6 +66,35 @@ const CreateOrderForm = () => {
       return;
     }
 
+    let auction = null;
+    if (pricing === 'auction') {
+      const floorRatioNum = parseFloat(floorRatio);
+      const decayHoursNum = parseFloat(decayHours);
+
+      if (isNaN(floorRatioNum) || floorRatioNum <= 0 || floorRatioNum >= priceRatioNum) {
+        toast.error('Floor ratio must be above 0 and below the start price ratio');
+        return;
+      }
+
+      if (isNaN(decayHoursNum) || decayHoursNum <= 0) {
+        toast.error('Decay time must be greater than 0 hours');
+        return;
+      }
+
+      auction = { floorRatio: floorRatioNum, decayDuration: Math.round(decayHoursNum * 3600) };
+    }
+
+    // Blank keeps the order listed until cancelled
+    let expiresAt = 0;
+    if (expiryHours !== '') {
+      const expiryHoursNum = parseFloat(expiryHours);
+      if (isNaN(expiryHoursNum) || expiryHoursNum <= 0) {
+        toast.error('Expiry must be greater than 0 hours, or blank for none');
+        return;
+      }
+      expiresAt = Math.floor(Date.now() / 1000) + Math.round(expiryHoursNum * 3600);
+    }
+
     // Validate that selected stream has enough balance
     const selectedStream = activeStreams.find((s) => s.id === selectedStreamId);
     if (selectedStream) {
@@ -67,7 +110,11 @@ const CreateOrderForm = () => {
       // Mock seller history (in production, fetch from blockchain)
       const sellerHistory = [];
       
-      const order = listStreamForSale(selectedStreamId, percentageNum, priceRatioNum, sellerHistory);
+      const order = listStreamForSale(selectedStreamId, percentageNum, priceRatioNum, sellerHistory, {
+        auction,
+        ratioPriced: pricing === 'ratio',
+        expiresAt,
+      });
       
       toast.success(`Order created! Risk Score: ${order.riskScore}/100 (${order.riskLevel}), Discount: ${(order.recommendedDiscount * 100).toFixed(1)}%`);
       
@@ -75,6 +122,8 @@ const CreateOrderForm = () => {
       setSelectedStreamId('');
       setPercentage('');
       setPriceRatio('0.95');
+      setPricing('fixed');
+      setExpiryHours('');
     } catch (error) {
       console.error('Error creating order:', error);
       toast.error(`Error: ${error.message}`);
@@ -87,6 +136,7 @@ const CreateOrderForm = () => {
   const discount = priceRatio ? ((1 - parseFloat(priceRatio)) * 100).toFixed(1) : '0';
   const orderAmount = selectedStream && percentage ? (selectedStream.remainingBalance * parseFloat(percentage || 0) / 100) : 0;
   const orderPrice = orderAmount * parseFloat(priceRatio || 0);
+  const floorPrice = orderAmount * parseFloat(floorRatio || 0);
 
   return (
     <div className={styles.container}>
@@ -147,7 +197,7 @@ const CreateOrderForm = () => {
             </div>
 
             <div className={styles.fieldGroup}>
-              <label htmlFor="priceRatio" className={styles.label}>Price Ratio</label>
+              <label htmlFor="priceRatio" className={styles.label}>{pricing === 'auction' ? 'Start Price Ratio' : 'Price Ratio'}</label>
               <input
                 id="priceRatio"
                 className={styles.input}
@@ -166,6 +216,77 @@ const CreateOrderForm = () => {
             </div>
           </div>
 
+          <div className={styles.fieldGroup}>
+            <label htmlFor="pricing" className={styles.label}>Pricing</label>
+            <select
+              id="pricing"
+              className={styles.select}
+              value={pricing}
+              onChange={(e) => setPricing(e.target.value)}
+              aria-describedby="pricingHelp"
+            >
+              <option value="fixed">Fixed price</option>
+              <option value="ratio">Ratio of remaining value</option>
+              <option value="auction">Dutch auction</option>
+            </select>
+            <span id="pricingHelp" className={styles.hint}>{PRICING_HINTS[pricing]}</span>
+          </div>
+
+          {pricing === 'auction' && (
+            <div className={styles.row}>
+              <div className={styles.fieldGroup}>
+                <label htmlFor="floorRatio" className={styles.label}>Floor Price Ratio</label>
+                <input
+                  id="floorRatio"
+                  className={styles.input}
+                  type="number"
+                  value={floorRatio}
+                  onChange={(e) => setFloorRatio(e.target.value)}
+                  placeholder="0.85"
+                  min="0"
+                  max="1"
+                  step="0.01"
+                  required
+                  aria-describedby="floorRatioHelp"
+                />
+                <span id="floorRatioHelp" className={styles.hint}>Lowest ask, below the start ratio</span>
+              </div>
+
+              <div className={styles.fieldGroup}>
+                <label htmlFor="decayHours" className={styles.label}>Decay Time (hours)</label>
+                <input
+                  id="decayHours"
+                  className={styles.input}
+                  type="number"
+                  value={decayHours}
+                  onChange={(e) => setDecayHours(e.target.value)}
+                  placeholder="24"
+                  min="0"
+                  step="0.5"
+                  required
+                  aria-describedby="decayHoursHelp"
+                />
+                <span id="decayHoursHelp" className={styles.hint}>Time for the ask to fall to the floor</span>
+              </div>
+            </div>
+          )}
+
+          <div className={styles.fieldGroup}>
+            <label htmlFor="expiryHours" className={styles.label}>Expires In (hours)</label>
+            <input
+              id="expiryHours"
+              className={styles.input}
+              type="number"
+              value={expiryHours}
+              onChange={(e) => setExpiryHours(e.target.value)}
+              placeholder="Never"
+              min="0"
+              step="0.5"
+              aria-describedby="expiryHoursHelp"
+            />
+            <span id="expiryHoursHelp" className={styles.hint}>Leave blank to keep the order until you cancel it</span>
+          </div>
+
           {selectedStream && percentage && priceRatio && (
             <div className={styles.preview}>
               <div className={styles.previewHeader}>Order Summary</div>
@@ -183,8 +304,10 @@ const CreateOrderForm = () => {
                   <span className={`${styles.previewValue} ${styles.highlight}`}>{discount}%</span>
                 </div>
                 <div className={styles.previewItem}>
-                  <span className={styles.previewLabel}>You Receive</span>
-                  <span className={`${styles.previewValue} ${styles.primary}`}>{orderPrice.toFixed(6)} vUSDC</span>
+                  <span className={styles.previewLabel}>{pricing === 'ratio' ? 'You Receive Now' : 'You Receive'}</span>
+                  <span className={`${styles.previewValue} ${styles.primary}`}>
+                    {pricing === 'auction' ? `${orderPrice.toFixed(6)} → ${floorPrice.toFixed(6)}` : orderPrice.toFixed(6)} vUSDC
+                  </span>
                 </div>
               </div>
             </div>
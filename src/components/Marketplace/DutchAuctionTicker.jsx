@@ -0,0 +1,41 @@
+import React from 'react';
+import { useDutchAuctionPrice } from '../../hooks/useDutchAuctionPrice';
+import styles from './DutchAuctionTicker.module.css';
+
+/**
+ * DutchAuctionTicker Component
+ *
+ * Live ask of a Dutch-auction order, with a countdown until the ask
+ * reaches its floor price. Renders nothing for fixed-price orders.
+ */
+
+const formatCountdown = (seconds) => {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  const clock = [hours, minutes, secs].map((part) => String(part).padStart(2, '0')).join(':');
+  return days > 0 ? `${days}d ${clock}` : clock;
+};
+
+const DutchAuctionTicker = ({ order }) => {
+  const { ask, secondsToFloor, isDutch } = useDutchAuctionPrice(order);
+
+  if (!isDutch) {
+    return null;
+  }
+
+  return (
+    <div className={styles.ticker} title={`Starts at ${order.startPrice.toFixed(6)} vUSDC, floor ${order.floorPrice.toFixed(6)} vUSDC`}>
+      <span className={styles.badge}>Dutch</span>
+      <span className={styles.ask}>{ask.toFixed(6)} vUSDC</span>
+      <span className={styles.countdown}>
+        {secondsToFloor > 0
+          ? `Floor ${order.floorPrice.toFixed(2)} in ${formatCountdown(secondsToFloor)}`
+          : 'At floor price'}
+      </span>
+    </div>
+  );
+};
+
+export default DutchAuctionTicker;
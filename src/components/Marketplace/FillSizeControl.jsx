@@ -0,0 +1,59 @@
+import React, { useState } from 'react';
+import { useDutchAuctionPrice } from '../../hooks/useDutchAuctionPrice';
+import styles from './FillSizeControl.module.css';
+
+/**
+ * FillSizeControl Component
+ *
+ * Fill-size input and buy button for a sell order. Buyers can take part
+ * of an order (in percent of the stream); the price scales pro-rata with
+ * the order's current ask and the rest stays listed.
+ */
+
+const FillSizeControl = ({ order, onBuy, buttonClassName, compact = false }) => {
+  const [fillSize, setFillSize] = useState('');
+  const { ask } = useDutchAuctionPrice(order);
+
+  // Empty input buys everything that is left
+  const parsed = fillSize === '' ? order.percentage : Number(fillSize);
+  const isValid = Number.isInteger(parsed) && parsed >= 1 && parsed <= order.percentage;
+  const isPartial = isValid && parsed < order.percentage;
+  const fillPrice = isValid ? (ask * parsed) / order.percentage : 0;
+
+  const handleBuy = (e) => {
+    e.stopPropagation();
+    if (!isValid) return;
+    onBuy(isPartial ? parsed : undefined);
+  };
+
+  return (
+    <div className={`${styles.fillControl} ${compact ? styles.compact : ''}`} onClick={(e) => e.stopPropagation()}>
+      <label className={styles.fillLabel}>
+        <span>Fill size</span>
+        <div className={styles.inputWrapper}>
+          <input
+            type="number"
+            min="1"
+            max={order.percentage}
+            step="1"
+            value={fillSize}
+            placeholder={String(order.percentage)}
+            onChange={(e) => setFillSize(e.target.value)}
+            className={`${styles.fillInput} ${isValid ? '' : styles.invalid}`}
+          />
+          <span className={styles.inputSuffix}>% of {order.percentage}%</span>
+        </div>
+      </label>
+      <button
+        className={buttonClassName}
+        onClick={handleBuy}
+        disabled={!isValid}
+        type="button"
+      >
+        {isPartial ? `Buy ${parsed}% · ${fillPrice.toFixed(2)}` : 'Buy Now'}
+      </button>
+    </div>
+  );
+};
+
+export default FillSizeControl;
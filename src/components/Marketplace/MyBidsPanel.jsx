@@ -6,10 +6,11 @@ import styles from './MyBidsPanel.module.css';
  * MyBidsPanel Component
  * 
  * Displays user's bids (pending, accepted, rejected, cancelled)
+ * Bids are read from the contract; pending bids hold vUSDC in escrow
  */
 
 const MyBidsPanel = () => {
-  const { bids, orderBook, activeStreams, user, cancelBid, toast } = useVolt();
+  const { bids, orderBook, user, cancelBid } = useVolt();
 
   if (!user.address) {
     return (
@@ -30,17 +31,15 @@ const MyBidsPanel = () => {
   const rejectedBids = userBids.filter((b) => b.status === 'rejected');
   const cancelledBids = userBids.filter((b) => b.status === 'cancelled');
 
-  const handleCancelBid = (bidId) => {
-    if (!window.confirm('Are you sure you want to cancel this bid?')) {
+  const handleCancelBid = async (bidId) => {
+    if (!window.confirm('Are you sure you want to cancel this bid? Your escrowed vUSDC will be refunded.')) {
       return;
     }
 
     try {
-      cancelBid(bidId);
-      toast.success('Bid cancelled successfully');
+      await cancelBid(bidId);
     } catch (error) {
       console.error('Cancel bid error:', error);
-      toast.error(`Error: ${error.message}`);
     }
   };
 
@@ -66,16 +65,15 @@ const MyBidsPanel = () => {
 
   const renderBidRow = (bid) => {
     const order = orderBook.find((o) => o.id === bid.orderId);
-    const stream = order ? activeStreams.find((s) => s.id === order.streamId) : null;
 
     return (
       <tr key={bid.id} className={styles.bidRow}>
         <td className={styles.bidId}>#{bid.id.slice(-8)}</td>
         <td className={styles.orderId}>
-          {order ? `#${order.id.slice(-8)}` : 'Order not found'}
+          #{bid.orderId.slice(-8)}
         </td>
         <td className={styles.streamId}>
-          {stream ? `#${stream.id.slice(-8)}` : 'N/A'}
+          {order ? `#${order.streamId.slice(-8)}` : 'N/A'}
         </td>
         <td className={styles.amount}>{bid.amount.toFixed(6)} USDC</td>
         <td className={styles.discount}>{bid.discount.toFixed(1)}%</td>
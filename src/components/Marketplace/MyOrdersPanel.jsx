@@ -1,20 +1,53 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { useVolt } from '../../context/VoltContext';
+import { isOrderExpired } from '../../utils/orderPricing';
 import styles from './MyOrdersPanel.module.css';
 
 /**
  * MyOrdersPanel Component
- * Shows user's active sell orders
+ * Shows user's active sell orders, with the time left until they expire.
+ * Expired orders stay here until cancelled or relisted in one click.
  */
 
+const formatTimeLeft = (seconds) => {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m ${seconds % 60}s`;
+};
+
 const MyOrdersPanel = ({ onViewBids, onCancelOrder }) => {
-  const { orderBook, user, activeStreams, bids } = useVolt();
+  const { orderBook, expiredOrders, user, activeStreams, bids, relistOrder } = useVolt();
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+  const [relistingId, setRelistingId] = useState(null);
 
   // Filter user's own orders
-  const myOrders = orderBook.filter(
+  const myOrders = [...orderBook, ...expiredOrders].filter(
     (order) => order.isActive && user.address && 
     order.seller.toLowerCase() === user.address.toLowerCase()
   );
+  const hasExpiry = myOrders.some((order) => order.expiresAt > 0);
+
+  useEffect(() => {
+    if (!hasExpiry) return;
+
+    const interval = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(interval);
+  }, [hasExpiry]);
+
+  // Relist for as long as the order was listed for before
+  const handleRelist = async (order) => {
+    setRelistingId(order.id);
+    try {
+      await relistOrder(order.id, Math.floor(Date.now() / 1000) + (order.expiresAt - order.listedAt));
+    } catch (error) {
+      console.error('Relist error:', error);
+    } finally {
+      setRelistingId(null);
+    }
+  };
 
   if (myOrders.length === 0) {
     return (
@@ -38,7 +71,8 @@ const MyOrdersPanel = ({ onViewBids, onCancelOrder }) => {
       <div className={styles.ordersList}>
         {myOrders.map((order) => {
           const stream = activeStreams.find((s) => s.id === order.streamId);
-          const orderBids = bids.filter((bid) => bid.orderId === order.id);
+          const orderBids = bids.filter((bid) => bid.orderId === order.id && bid.status === 'pending');
+          const isExpired = isOrderExpired(order, now);
           
           return (
             <div key={order.id} className={styles.orderCard}>
@@ -71,6 +105,14 @@ const MyOrdersPanel = ({ onViewBids, onCancelOrder }) => {
                     {order.percentage || 0}%
                   </span>
                 </div>
+                {order.expiresAt > 0 && (
+                  <div className={styles.stat}>
+                    <span className={styles.statLabel}>Expires</span>
+                    <span className={`${styles.statValue} ${isExpired ? styles.expired : ''}`}>
+                      {isExpired ? 'Expired' : `in ${formatTimeLeft(order.expiresAt - now)}`}
+                    </span>
+                  </div>
+                )}
                 {stream && (
                   <div className={styles.stat}>
                     <span className={styles.statLabel}>Stream Value</span>
@@ -102,12 +144,22 @@ const MyOrdersPanel = ({ onViewBids, onCancelOrder }) => {
                 >
                   Cancel Order
                 </button>
-                <button
-                  className={styles.btnDetails}
-                  onClick={() => onViewBids(order.id)}
-                >
-                  Manage
-                </button>
+                {isExpired ? (
+                  <button
+                    className={styles.btnDetails}
+                    onClick={() => handleRelist(order)}
+                    disabled={relistingId === order.id}
+                  >
+                    {relistingId === order.id ? 'Relisting...' : 'Relist'}
+                  </button>
+                ) : (
+                  <button
+                    className={styles.btnDetails}
+                    onClick={() => onViewBids(order.id)}
+                  >
+                    Manage
+                  </button>
+                )}
               </div>
 
               <div className={styles.orderFooter}>
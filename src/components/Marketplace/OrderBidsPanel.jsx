@@ -9,7 +9,7 @@ import styles from './OrderBidsPanel.module.css';
  */
 
 const OrderBidsPanel = ({ orderId, onClose }) => {
-  const { bids, orderBook, activeStreams, user, acceptBid, rejectBid, toast } = useVolt();
+  const { bids, orderBook, user, acceptBid, rejectBid } = useVolt();
 
   if (!orderId) return null;
 
@@ -24,32 +24,28 @@ const OrderBidsPanel = ({ orderId, onClose }) => {
     (bid) => bid.orderId === orderId && bid.status === 'pending'
   );
 
-  const handleAcceptBid = (bidId) => {
+  const handleAcceptBid = async (bidId) => {
     if (!window.confirm('Are you sure you want to accept this bid?')) {
       return;
     }
 
     try {
-      acceptBid(bidId);
-      toast.success('Bid accepted! Trade executed successfully.');
+      await acceptBid(bidId);
       if (onClose) onClose();
     } catch (error) {
       console.error('Accept bid error:', error);
-      toast.error(`Error: ${error.message}`);
     }
   };
 
-  const handleRejectBid = (bidId) => {
+  const handleRejectBid = async (bidId) => {
     if (!window.confirm('Are you sure you want to reject this bid?')) {
       return;
     }
 
     try {
-      rejectBid(bidId);
-      toast.success('Bid rejected');
+      await rejectBid(bidId);
     } catch (error) {
       console.error('Reject bid error:', error);
-      toast.error(`Error: ${error.message}`);
     }
   };
 
@@ -108,7 +104,7 @@ const OrderBidsPanel = ({ orderId, onClose }) => {
                 </span>
               </div>
               <div className={styles.bidDetailRow}>
-                <span className={styles.label}>Price Ratio:</span>
+                <span className={styles.label}>Of Ask Price:</span>
                 <span className={styles.value}>
                   {(bid.priceRatio * 100).toFixed(1)}%
                 </span>
@@ -1,10 +1,13 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { useVolt } from '../../context/VoltContext';
 import { useDebounce } from '../../hooks/useDebounce';
+import { useOrderExpiryClock } from '../../hooks/useOrderExpiryClock';
+import { isOrderExpired } from '../../utils/orderPricing';
 import OrderBookRow from './OrderBookRow';
 import CreateOrderForm from './CreateOrderForm';
 import OrderDetailModal from './OrderDetailModal';
 import MyBidsPanel from './MyBidsPanel';
+import BuyOrdersPanel from './BuyOrdersPanel';
 import MyOrdersPanel from './MyOrdersPanel';
 import OrderBidsPanel from './OrderBidsPanel';
 import InfoBox from '../Shared/InfoBox';
@@ -14,7 +17,7 @@ import styles from './OrderBook.module.css';
  * OrderBook Component - Main Marketplace View
  * 
  * Displays:
- * - Table of all active sell orders
+ * - Table of all active sell orders (expired ones drop out as they expire)
  * - Real-time price updates (every second)
  * - Buy Now and Place Bid actions
  * - Create new sell order form
@@ -22,13 +25,13 @@ import styles from './OrderBook.module.css';
  */
 
 const OrderBook = () => {
-  const { orderBook, activeStreams, user, buyStream, cancelOrder, placeBid, bids, toast } = useVolt();
+  const { orderBook, activeStreams, user, buyStream, cancelOrder, placeBid, toast } = useVolt();
   const [selectedOrder, setSelectedOrder] = useState(null);
   const [selectedOrderForDetail, setSelectedOrderForDetail] = useState(null);
   const [selectedOrderForBids, setSelectedOrderForBids] = useState(null);
   const [bidModalOpen, setBidModalOpen] = useState(false);
   const [bidAmount, setBidAmount] = useState('');
-  const [bidPrice, setBidPrice] = useState('');
+  const [isPlacingBid, setIsPlacingBid] = useState(false);
   
   // Filter and search state
   const [searchQuery, setSearchQuery] = useState('');
@@ -37,11 +40,12 @@ const OrderBook = () => {
 
   // Debounce search query to avoid excessive filtering
   const debouncedSearchQuery = useDebounce(searchQuery, 300);
+  const now = useOrderExpiryClock(orderBook);
 
   // Memoize filtered and sorted orders for performance
   const activeOrders = useMemo(() => {
-    // Show all orders from orderBook
-    let filtered = orderBook;
+    // Show every order from orderBook that has not expired since it was fetched
+    let filtered = orderBook.filter((order) => !isOrderExpired(order, now));
 
     // Apply search filter
     if (debouncedSearchQuery) {
@@ -76,10 +80,11 @@ const OrderBook = () => {
           return 0;
       }
     });
-  }, [orderBook, activeStreams, debouncedSearchQuery, riskFilter, sortBy]);
+  }, [orderBook, now, activeStreams, debouncedSearchQuery, riskFilter, sortBy]);
 
   // Handle Buy Now
-  const handleBuyNow = async (orderId) => {
+  // `percentage` is set for a partial fill
+  const handleBuyNow = async (orderId, percentage) => {
     if (!user.address) {
       toast.error('Please connect your wallet first');
       return;
@@ -87,7 +92,7 @@ const OrderBook = () => {
 
     try {
       toast.info('Processing purchase...');
-      const result = await buyStream(orderId);
+      const result = await buyStream(orderId, { percentage });
       
       toast.success(`Stream purchased successfully! Price: ${result.purchasePrice.toFixed(6)} vUSDC`);
     } catch (error) {
@@ -99,7 +104,7 @@ const OrderBook = () => {
   // Handle Place Bid
   const handlePlaceBid = (order) => {
     setSelectedOrder(order);
-    setBidPrice(((1 - order.priceRatio) * 100).toFixed(1)); // Pre-fill with current discount
+    setBidAmount(order.price.toFixed(6)); // Pre-fill with the asking price
     setBidModalOpen(true);
   };
 
@@ -124,9 +129,9 @@ const OrderBook = () => {
     setSelectedOrderForBids(orderId);
   };
 
-  const handleBidSubmit = () => {
-    if (!bidAmount || !bidPrice) {
-      toast.error('Please fill in all fields');
+  const handleBidSubmit = async () => {
+    if (!bidAmount || parseFloat(bidAmount) <= 0) {
+      toast.error('Please enter a bid amount');
       return;
     }
 
@@ -135,19 +140,24 @@ const OrderBook = () => {
       return;
     }
 
+    setIsPlacingBid(true);
     try {
-      placeBid(selectedOrder.id, bidAmount, bidPrice);
-      toast.success(`Bid placed successfully! Amount: ${bidAmount} vUSDC, Discount: ${bidPrice}%`);
+      await placeBid(selectedOrder.id, bidAmount);
       setBidModalOpen(false);
       setSelectedOrder(null);
       setBidAmount('');
-      setBidPrice('');
     } catch (error) {
       console.error('Bid error:', error);
-      toast.error(`Error: ${error.message}`);
+    } finally {
+      setIsPlacingBid(false);
     }
   };
 
+  // Discount of the bid relative to the asking price
+  const bidDiscount = selectedOrder && selectedOrder.price > 0
+    ? (1 - (parseFloat(bidAmount) || 0) / selectedOrder.price) * 100
+    : 0;
+
   return (
     <div className={styles.orderBookContainer}>
       {/* Info Box */}
@@ -161,6 +171,7 @@ const OrderBook = () => {
           <li><strong>Create Sell Order:</strong> List your stream shares with a price and percentage. The AI risk engine automatically calculates risk scores.</li>
           <li><strong>Buy Now:</strong> Purchase streams instantly at the listed price.</li>
           <li><strong>Place Bid:</strong> Make an offer below the asking price. Sellers can accept or reject your bid.</li>
+          <li><strong>Buy Orders:</strong> Escrow a budget that automatically buys new listings at your minimum discount.</li>
           <li><strong>Filter & Search:</strong> Use filters to find streams by risk level, price, or search by order ID.</li>
         </ul>
         <p>
@@ -278,15 +289,15 @@ const OrderBook = () => {
               </thead>
               <tbody>
                 {activeOrders.map((order) => {
-                  const stream = activeStreams.find((s) => s.id === order.streamId);
-                  // Don't skip if no stream - OrderBookRow handles it
+                  // Other sellers' streams come with the order
+                  const stream = activeStreams.find((s) => s.id === order.streamId) || order.stream;
                   
                   return (
                     <OrderBookRow
                       key={order.id}
                       order={order}
                       stream={stream}
-                      onBuyNow={() => handleBuyNow(order.id)}
+                      onBuyNow={(percentage) => handleBuyNow(order.id, percentage)}
                       onPlaceBid={() => handlePlaceBid(order)}
                       onViewDetails={() => handleViewDetails(order)}
                       onCancelOrder={() => handleCancelOrder(order.id)}
@@ -304,6 +315,9 @@ const OrderBook = () => {
       {/* My Bids Panel */}
       <MyBidsPanel />
 
+      {/* Standing Buy Orders */}
+      <BuyOrdersPanel />
+
       {/* Order Bids Panel (for sellers) */}
       {selectedOrderForBids && (
         <OrderBidsPanel
@@ -318,8 +332,8 @@ const OrderBook = () => {
           order={selectedOrderForDetail}
           stream={activeStreams.find((s) => s.id === selectedOrderForDetail.streamId)}
           onClose={() => setSelectedOrderForDetail(null)}
-          onBuyNow={() => {
-            handleBuyNow(selectedOrderForDetail.id);
+          onBuyNow={(percentage) => {
+            handleBuyNow(selectedOrderForDetail.id, percentage);
             setSelectedOrderForDetail(null);
           }}
           onPlaceBid={() => {
@@ -357,17 +371,15 @@ const OrderBook = () => {
                 />
               </div>
               <div className={styles.formGroup}>
-                <label>Discount (%)</label>
+                <label>Discount vs Ask</label>
                 <input
-                  type="number"
-                  value={bidPrice}
-                  onChange={(e) => setBidPrice(e.target.value)}
-                  placeholder="10.0"
-                  step="0.1"
-                  min="0"
-                  max="100"
+                  type="text"
+                  value={`${bidDiscount.toFixed(1)}%`}
+                  readOnly
                 />
-                <small>Current: {((1 - selectedOrder.priceRatio) * 100).toFixed(1)}%</small>
+                <small>
+                  Ask: {selectedOrder.price.toFixed(6)} vUSDC. Your bid is held in escrow until the seller accepts or rejects it, or you cancel.
+                </small>
               </div>
               <div className={styles.modalActions}>
                 <button
@@ -379,8 +391,9 @@ const OrderBook = () => {
                 <button
                   className={styles.btnPrimary}
                   onClick={handleBidSubmit}
+                  disabled={isPlacingBid}
                 >
-                  Place Bid
+                  {isPlacingBid ? 'Placing Bid...' : 'Place Bid'}
                 </button>
               </div>
             </div>
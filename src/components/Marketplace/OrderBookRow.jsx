@@ -1,15 +1,19 @@
 import React, { useState, useEffect } from 'react';
 import { useLiveStreamPrice } from '../../hooks/useLiveStreamPrice';
+import { getActiveElapsed, isStreamPaused } from '../../utils/streamMath';
+import FillSizeControl from './FillSizeControl';
+import DutchAuctionTicker from './DutchAuctionTicker';
 import styles from './OrderBookRow.module.css';
 
 /**
  * OrderBookRow Component
  * 
  * Displays a single order row with:
- * - Real-time stream progress bar
+ * - Real-time stream progress bar (flagged when the sender paused the stream)
  * - AI risk score badge
- * - Live price updates (every second)
- * - Buy Now and Place Bid buttons
+ * - Live price updates (every second), and the falling ask of Dutch auctions
+ *   and ratio-priced orders
+ * - Buy Now (with a fill size for partial fills) and Place Bid buttons
  */
 
 const OrderBookRow = ({ order, stream, onBuyNow, onPlaceBid, onViewDetails, onCancelOrder, onViewBids, isOwnOrder }) => {
@@ -24,9 +28,10 @@ const OrderBookRow = ({ order, stream, onBuyNow, onPlaceBid, onViewDetails, onCa
 
   // Calculate stream progress
   const progress = stream.duration > 0 
-    ? ((Date.now() / 1000 - stream.startTime) / stream.duration) * 100 
+    ? (getActiveElapsed(stream) / stream.duration) * 100 
     : 0;
   const progressPercent = Math.min(100, Math.max(0, progress));
+  const isPaused = order.isPaused || isStreamPaused(stream);
 
   // Risk score styling
   const getRiskColor = (riskLevel) => {
@@ -75,6 +80,14 @@ const OrderBookRow = ({ order, stream, onBuyNow, onPlaceBid, onViewDetails, onCa
             {progressPercent.toFixed(1)}%
           </div>
         </div>
+        {isPaused && (
+          <div
+            className={styles['paused-badge']}
+            title="The sender paused this stream: nothing flows until it is resumed"
+          >
+            ⏸ Paused
+          </div>
+        )}
       </td>
 
       <td className={styles.riskCell}>
@@ -96,6 +109,7 @@ const OrderBookRow = ({ order, stream, onBuyNow, onPlaceBid, onViewDetails, onCa
         </div>
         <div className={styles.amountSubtext}>
           {order.percentage || 0}% of stream
+          {order.listedPercentage > order.percentage && ` left of ${order.listedPercentage}%`}
         </div>
       </td>
 
@@ -109,9 +123,21 @@ const OrderBookRow = ({ order, stream, onBuyNow, onPlaceBid, onViewDetails, onCa
       </td>
 
       <td className={styles.orderPriceCell}>
-        <div className={styles.orderPriceValue}>
-          {(orderPrice || 0).toFixed(6)} USDC
-        </div>
+        {order.isDutch ? (
+          <DutchAuctionTicker order={order} />
+        ) : (
+          <div className={styles.orderPriceValue}>
+            {(orderPrice || 0).toFixed(6)} USDC
+          </div>
+        )}
+        {order.isRatioPriced && (
+          <div
+            className={styles['ratio-badge']}
+            title="Priced as a ratio of the share's unvested value when the order is filled"
+          >
+            {(order.priceRatio * 100).toFixed(1)}% of value
+          </div>
+        )}
       </td>
 
       <td className={styles.discountCell}>
@@ -155,15 +181,12 @@ const OrderBookRow = ({ order, stream, onBuyNow, onPlaceBid, onViewDetails, onCa
           </div>
         ) : (
           <div className={styles.actionButtons} onClick={(e) => e.stopPropagation()}>
-            <button
-              className={styles['btn-buy-now']}
-              onClick={(e) => {
-                e.stopPropagation();
-                onBuyNow();
-              }}
-            >
-              Buy Now
-            </button>
+            <FillSizeControl
+              order={order}
+              onBuy={onBuyNow}
+              buttonClassName={styles['btn-buy-now']}
+              compact
+            />
             <button
               className={styles['btn-bid']}
               onClick={(e) => {
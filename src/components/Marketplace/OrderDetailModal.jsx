@@ -1,5 +1,7 @@
 import React from 'react';
 import { useLiveStreamPrice } from '../../hooks/useLiveStreamPrice';
+import FillSizeControl from './FillSizeControl';
+import DutchAuctionTicker from './DutchAuctionTicker';
 import styles from './OrderDetailModal.module.css';
 
 /**
@@ -74,7 +76,10 @@ const OrderDetailModal = ({ order, stream, onClose, onBuyNow, onPlaceBid, onCanc
                 <div className={styles.summaryValue}>
                   {orderValue.toFixed(6)} USDC
                 </div>
-                <div className={styles.summarySubtext}>{order.percentage}% of stream</div>
+                <div className={styles.summarySubtext}>
+                  {order.percentage}% of stream
+                  {order.listedPercentage > order.percentage && ` left of ${order.listedPercentage}% listed`}
+                </div>
               </div>
 
               <div className={styles.summaryCard}>
@@ -83,6 +88,7 @@ const OrderDetailModal = ({ order, stream, onClose, onBuyNow, onPlaceBid, onCanc
                   {orderPrice.toFixed(6)} USDC
                 </div>
                 <div className={styles.summarySubtext}>{(parseFloat(order.priceRatio) * 100).toFixed(1)}% of face value</div>
+                <DutchAuctionTicker order={order} />
               </div>
 
               <div className={styles.summaryCard}>
@@ -212,15 +218,14 @@ const OrderDetailModal = ({ order, stream, onClose, onBuyNow, onPlaceBid, onCanc
             </div>
           ) : (
             <div className={styles.actionsSection}>
-              <button
-                className={styles.actionButtonPrimary}
-                onClick={() => {
-                  onBuyNow();
+              <FillSizeControl
+                order={order}
+                onBuy={(percentage) => {
+                  onBuyNow(percentage);
                   onClose();
                 }}
-              >
-                Buy Now
-              </button>
+                buttonClassName={styles.actionButtonPrimary}
+              />
               <button
                 className={styles.actionButtonSecondary}
                 onClick={() => {
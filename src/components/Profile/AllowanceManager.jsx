@@ -0,0 +1,192 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { useVolt } from '../../context/VoltContext';
+import { APPROVAL_POLICIES, isUnlimitedAllowance } from '../../utils/approvalPolicy';
+import ApprovalModal from '../Shared/ApprovalModal';
+import styles from './AllowanceManager.module.css';
+
+/**
+ * AllowanceManager Component
+ *
+ * Lists the vUSDC allowances the wallet has granted to the protocol
+ * contracts and lets the user revoke them or set an exact amount.
+ * Also picks the approval policy (exact / 2x / unlimited) used when a
+ * transaction needs a new approval.
+ */
+
+const formatAllowance = (allowance) => {
+  if (isUnlimitedAllowance(allowance)) return 'Unlimited';
+  return `${parseFloat(ethers.formatEther(allowance)).toFixed(6)} vUSDC`;
+};
+
+const AllowanceManager = () => {
+  const { user, approvalPolicy, setApprovalPolicy, getVUSDCAllowances, setVUSDCAllowance } = useVolt();
+  const [allowances, setAllowances] = useState([]);
+  const [amounts, setAmounts] = useState({});
+  const [pendingKey, setPendingKey] = useState(null);
+  const [confirming, setConfirming] = useState(null);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    getVUSDCAllowances()
+      .then((list) => {
+        if (!cancelled) setAllowances(list);
+      })
+      .catch((error) => console.error('Error fetching allowances:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [getVUSDCAllowances]);
+
+  const refresh = useCallback(async () => {
+    setIsRefreshing(true);
+    try {
+      setAllowances(await getVUSDCAllowances());
+    } catch (error) {
+      console.error('Error fetching allowances:', error);
+    } finally {
+      setIsRefreshing(false);
+    }
+  }, [getVUSDCAllowances]);
+
+  const updateAllowance = async (entry, amount) => {
+    setPendingKey(entry.key);
+    try {
+      await setVUSDCAllowance(entry.spender, amount);
+      setAmounts((prev) => ({ ...prev, [entry.key]: '' }));
+      await refresh();
+    } catch (error) {
+      console.error('Update allowance error:', error);
+    } finally {
+      setPendingKey(null);
+    }
+  };
+
+  const handleRevoke = (entry) => {
+    if (!window.confirm(`Revoke the vUSDC allowance of ${entry.name}?`)) {
+      return;
+    }
+    updateAllowance(entry, 0);
+  };
+
+  const handleSetExact = (entry) => {
+    const amount = parseFloat(amounts[entry.key]);
+    if (!amount || amount <= 0) return;
+    setConfirming({ entry, amount });
+  };
+
+  const handleConfirm = () => {
+    const { entry, amount } = confirming;
+    setConfirming(null);
+    updateAllowance(entry, amount);
+  };
+
+  if (!user.address) {
+    return null;
+  }
+
+  return (
+    <div className={styles.allowanceManager}>
+      <div className={styles.header}>
+        <h3 className={styles.title}>vUSDC Allowances</h3>
+        <button className={styles.refreshButton} onClick={refresh} disabled={isRefreshing}>
+          {isRefreshing ? 'Refreshing...' : 'Refresh'}
+        </button>
+      </div>
+
+      <div className={styles.policySection}>
+        <div className={styles.policyLabel}>Approval policy</div>
+        <div className={styles.policyOptions}>
+          {Object.entries(APPROVAL_POLICIES).map(([key, policy]) => (
+            <button
+              key={key}
+              className={`${styles.policyOption} ${approvalPolicy === key ? styles.policyActive : ''}`}
+              onClick={() => setApprovalPolicy(key)}
+            >
+              {policy.label}
+            </button>
+          ))}
+        </div>
+        <p className={styles.policyDescription}>
+          {APPROVAL_POLICIES[approvalPolicy].description} Only used when vUSDC cannot be spent with a signed permit.
+        </p>
+      </div>
+
+      {allowances.length === 0 ? (
+        <div className={styles.emptyState}>No protocol contracts configured</div>
+      ) : (
+        <div className={styles.tableWrapper}>
+          <table className={styles.allowanceTable}>
+            <thead>
+              <tr>
+                <th>Spender</th>
+                <th>Address</th>
+                <th>Allowance</th>
+                <th>Set Exact</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {allowances.map((entry) => {
+                const isPending = pendingKey === entry.key;
+                return (
+                  <tr key={entry.key} className={styles.allowanceRow}>
+                    <td>{entry.name}</td>
+                    <td className={styles.address}>
+                      {entry.spender.slice(0, 6)}...{entry.spender.slice(-4)}
+                    </td>
+                    <td className={entry.allowance === 0n ? styles.amountNone : styles.amount}>
+                      {entry.allowance === 0n ? 'None' : formatAllowance(entry.allowance)}
+                    </td>
+                    <td>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.000001"
+                        placeholder="vUSDC"
+                        className={styles.amountInput}
+                        value={amounts[entry.key] || ''}
+                        onChange={(e) => setAmounts((prev) => ({ ...prev, [entry.key]: e.target.value }))}
+                        disabled={isPending}
+                      />
+                    </td>
+                    <td className={styles.actions}>
+                      <button
+                        className={styles.setButton}
+                        onClick={() => handleSetExact(entry)}
+                        disabled={isPending || !(parseFloat(amounts[entry.key]) > 0)}
+                      >
+                        Set
+                      </button>
+                      <button
+                        className={styles.revokeButton}
+                        onClick={() => handleRevoke(entry)}
+                        disabled={isPending || entry.allowance === 0n}
+                      >
+                        {isPending ? 'Pending...' : 'Revoke'}
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <ApprovalModal
+        isOpen={!!confirming}
+        onConfirm={handleConfirm}
+        onCancel={() => setConfirming(null)}
+        tokenSymbol="vUSDC"
+        amount={confirming ? `${confirming.amount} vUSDC` : ''}
+        spender={confirming?.entry.spender}
+        policy="exact"
+        purpose={confirming ? `Set the ${confirming.entry.name} allowance` : ''}
+      />
+    </div>
+  );
+};
+
+export default AllowanceManager;
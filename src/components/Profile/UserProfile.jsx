@@ -1,7 +1,9 @@
 import React, { useMemo } from 'react';
 import { useVolt } from '../../context/VoltContext';
 import { calculateReputation, getReputationLevel, calculateUserStats } from '../../utils/reputationEngine';
+import { getUserActivity } from '../../utils/historyIndexer';
 import InfoBox from '../Shared/InfoBox';
+import AllowanceManager from './AllowanceManager';
 import styles from './UserProfile.module.css';
 
 /**
@@ -11,10 +13,11 @@ import styles from './UserProfile.module.css';
  * - Reputation score and level
  * - Transaction statistics
  * - Trading history summary
+ * - vUSDC allowances and approval policy
  */
 
 const UserProfile = () => {
-  const { user, tradeHistory, orderHistory, activeStreams } = useVolt();
+  const { user, tradeHistory, orderHistory, activeStreams, historyEvents } = useVolt();
 
   if (!user.address) {
     return (
@@ -26,8 +29,14 @@ const UserProfile = () => {
 
   // Memoize user statistics calculations
   const stats = useMemo(
-    () => calculateUserStats(user.address, tradeHistory, orderHistory, activeStreams),
-    [user.address, tradeHistory, orderHistory, activeStreams]
+    () => calculateUserStats(
+      user.address,
+      tradeHistory,
+      orderHistory,
+      activeStreams,
+      getUserActivity(historyEvents, user.address)
+    ),
+    [user.address, tradeHistory, orderHistory, activeStreams, historyEvents]
   );
 
   // Memoize reputation calculations
@@ -362,6 +371,8 @@ const UserProfile = () => {
           </div>
         </div>
       )}
+
+      <AllowanceManager />
     </div>
   );
 };
@@ -1,4 +1,5 @@
 import React from 'react';
+import { APPROVAL_POLICIES } from '../../utils/approvalPolicy';
 import styles from './ApprovalModal.module.css';
 
 /**
@@ -6,11 +7,23 @@ import styles from './ApprovalModal.module.css';
  * 
  * Shows a warning/explanation before ERC20 token approval
  * to prevent user confusion when MetaMask shows "NFT withdrawal"
+ * Shows the approval policy (exact / 2x / unlimited) that sizes the amount
  */
 
-const ApprovalModal = ({ isOpen, onConfirm, onCancel, tokenSymbol, amount, spender }) => {
+const ApprovalModal = ({
+  isOpen,
+  onConfirm,
+  onCancel,
+  tokenSymbol,
+  amount,
+  spender,
+  policy,
+  purpose = 'Allow contract to transfer tokens for stream creation',
+}) => {
   if (!isOpen) return null;
 
+  const approvalPolicy = APPROVAL_POLICIES[policy];
+
   return (
     <div className={styles.modalOverlay} onClick={onCancel}>
       <div className={styles.modalContent} onClick={(e) => e.stopPropagation()}>
@@ -46,9 +59,23 @@ const ApprovalModal = ({ isOpen, onConfirm, onCancel, tokenSymbol, amount, spend
             </div>
             <div className={styles.detailRow}>
               <span className={styles.label}>Purpose:</span>
-              <span className={styles.value}>Allow contract to transfer tokens for stream creation</span>
+              <span className={styles.value}>{purpose}</span>
             </div>
+            {approvalPolicy && (
+              <div className={styles.detailRow}>
+                <span className={styles.label}>Policy:</span>
+                <span className={styles.value}>{approvalPolicy.label}</span>
+              </div>
+            )}
           </div>
+
+          {approvalPolicy && (
+            <div className={styles.policyBox}>
+              <p>
+                <strong>{approvalPolicy.label} approval:</strong> {approvalPolicy.description}
+              </p>
+            </div>
+          )}
           
           <div className={styles.infoBox}>
             <p>
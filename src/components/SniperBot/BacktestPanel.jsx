@@ -0,0 +1,209 @@
+import React, { useState } from 'react';
+import { useVolt } from '../../context/VoltContext';
+import { buildTimelineFromEvents, compareBacktests, normalizeTimeline } from '../../utils/backtestEngine';
+import styles from './BacktestPanel.module.css';
+
+/**
+ * BacktestPanel Component
+ *
+ * Replays indexed order book history (or a JSON timeline fixture) through
+ * the sniper bot's matching rules and compares parameter sets side by side
+ */
+
+const METRICS = [
+  { key: 'ordersSeen', label: 'Orders Seen', format: (v) => v },
+  { key: 'fills', label: 'Fills', format: (v) => v },
+  { key: 'totalCost', label: 'Capital Spent', format: (v) => `${v.toFixed(2)} vUSDC` },
+  { key: 'totalPayout', label: 'Stream Payout', format: (v) => `${v.toFixed(2)} vUSDC` },
+  { key: 'pnl', label: 'P&L', format: (v) => `${v >= 0 ? '+' : ''}${v.toFixed(2)} vUSDC` },
+  { key: 'returnPct', label: 'Return', format: (v) => `${v.toFixed(2)}%` },
+  { key: 'hitRate', label: 'Hit Rate', format: (v) => `${(v * 100).toFixed(1)}%` },
+  { key: 'fillRate', label: 'Fill Rate', format: (v) => `${(v * 100).toFixed(1)}%` },
+  { key: 'capitalUtilisation', label: 'Capital Utilisation', format: (v) => `${(v * 100).toFixed(1)}%` },
+];
+
+const PARAM_FIELDS = [
+  { key: 'maxRisk', label: 'Max Risk' },
+  { key: 'minDiscount', label: 'Min Discount %' },
+  { key: 'maxDuration', label: 'Max Days' },
+];
+
+const BacktestPanel = ({ currentCriteria }) => {
+  const { historyEvents, isHistorySyncing } = useVolt();
+
+  const [source, setSource] = useState('history'); // 'history' | 'fixture'
+  const [fixture, setFixture] = useState(null);
+  const [fixtureName, setFixtureName] = useState('');
+  const [initialCapital, setInitialCapital] = useState(1000);
+  const [stepHours, setStepHours] = useState(1);
+  const [parameterSets, setParameterSets] = useState(() => [
+    { maxRisk: currentCriteria.maxRisk, minDiscount: currentCriteria.minDiscount, maxDuration: currentCriteria.maxDuration },
+    { maxRisk: 70, minDiscount: 5, maxDuration: 90 },
+  ]);
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleFixtureUpload = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+
+    try {
+      const parsed = JSON.parse(await file.text());
+      normalizeTimeline(parsed); // Validate before accepting
+      setFixture(parsed);
+      setFixtureName(file.name);
+      setError(null);
+    } catch (err) {
+      setFixture(null);
+      setFixtureName('');
+      setError(`Invalid timeline fixture: ${err.message}`);
+    }
+  };
+
+  const updateParam = (index, key, value) => {
+    setParameterSets((prev) =>
+      prev.map((set, i) => (i === index ? { ...set, [key]: parseFloat(value) || 0 } : set))
+    );
+  };
+
+  const addParameterSet = () => {
+    setParameterSets((prev) => [...prev, { ...prev[prev.length - 1] }]);
+  };
+
+  const removeParameterSet = (index) => {
+    setParameterSets((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const runComparison = () => {
+    try {
+      const timeline = source === 'fixture' ? fixture : buildTimelineFromEvents(historyEvents);
+      if (!timeline) {
+        throw new Error('Load a timeline fixture first');
+      }
+
+      setResults(compareBacktests(timeline, parameterSets, {
+        initialCapital,
+        stepSeconds: stepHours * 3600,
+        endTime: Math.floor(Date.now() / 1000),
+      }));
+      setError(null);
+    } catch (err) {
+      console.error('Backtest failed:', err);
+      setResults(null);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className={styles.backtest}>
+      <h3 className={styles.sectionTitle}>Backtest</h3>
+      <p className={styles.hint}>
+        Replays recorded orders through the same matching rules as the live bot.
+        P&L is measured against each share's full remaining stream payout.
+      </p>
+
+      <div className={styles.options}>
+        <label className={styles.option}>
+          <span>Timeline</span>
+          <select value={source} onChange={(e) => setSource(e.target.value)} className={styles.input}>
+            <option value="history">Indexed history ({historyEvents.length} events)</option>
+            <option value="fixture">JSON fixture</option>
+          </select>
+        </label>
+        {source === 'fixture' && (
+          <label className={styles.option}>
+            <span>{fixtureName || 'Fixture file'}</span>
+            <input type="file" accept="application/json,.json" onChange={handleFixtureUpload} className={styles.input} />
+          </label>
+        )}
+        <label className={styles.option}>
+          <span>Initial Capital (vUSDC)</span>
+          <input
+            type="number"
+            value={initialCapital}
+            onChange={(e) => setInitialCapital(parseFloat(e.target.value) || 0)}
+            min="0"
+            className={styles.input}
+          />
+        </label>
+        <label className={styles.option}>
+          <span>Re-scan Every (hours)</span>
+          <input
+            type="number"
+            value={stepHours}
+            onChange={(e) => setStepHours(Math.max(0, parseFloat(e.target.value) || 0))}
+            min="0"
+            className={styles.input}
+          />
+        </label>
+      </div>
+
+      <div className={styles.tableWrapper}>
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <th></th>
+              {parameterSets.map((_, index) => (
+                <th key={index}>
+                  Set {index + 1}
+                  {parameterSets.length > 1 && (
+                    <button onClick={() => removeParameterSet(index)} className={styles.removeBtn} title="Remove set">
+                      ✕
+                    </button>
+                  )}
+                </th>
+              ))}
+              <th>
+                <button onClick={addParameterSet} className={styles.addBtn}>+ Add Set</button>
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {PARAM_FIELDS.map(({ key, label }) => (
+              <tr key={key}>
+                <td className={styles.rowLabel}>{label}</td>
+                {parameterSets.map((set, index) => (
+                  <td key={index}>
+                    <input
+                      type="number"
+                      value={set[key]}
+                      onChange={(e) => updateParam(index, key, e.target.value)}
+                      className={styles.cellInput}
+                    />
+                  </td>
+                ))}
+                <td></td>
+              </tr>
+            ))}
+            {results && METRICS.map(({ key, label, format }) => (
+              <tr key={key} className={styles.metricRow}>
+                <td className={styles.rowLabel}>{label}</td>
+                {results.map((result, index) => (
+                  <td
+                    key={index}
+                    className={key === 'pnl' ? (result.metrics.pnl >= 0 ? styles.positive : styles.negative) : undefined}
+                  >
+                    {format(result.metrics[key])}
+                  </td>
+                ))}
+                <td></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {error && <div className={styles.error}>{error}</div>}
+
+      <button
+        onClick={runComparison}
+        disabled={parameterSets.length === 0 || (source === 'history' && isHistorySyncing && historyEvents.length === 0)}
+        className={styles.runBtn}
+      >
+        RUN BACKTEST
+      </button>
+    </div>
+  );
+};
+
+export default BacktestPanel;
@@ -1,7 +1,17 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useSniperBot } from '../../hooks/useSniperBot';
 import { useVolt } from '../../context/VoltContext';
 import InfoBox from '../Shared/InfoBox';
+import BacktestPanel from './BacktestPanel';
+import { NETWORK_CONFIG } from '../../config';
+import { listStrategies, getDefaultParams } from '../../utils/sniperStrategies';
+import {
+  downloadFile,
+  journalToCSV,
+  journalToJSON,
+  loadSniperConfig,
+  saveSniperConfig,
+} from '../../utils/sniperJournal';
 import styles from './SniperBotPanel.module.css';
 
 /**
@@ -10,18 +20,109 @@ import styles from './SniperBotPanel.module.css';
  * Control panel for the automated trading agent
  */
 
+const DEFAULT_CONFIG = {
+  maxRisk: 40,
+  minDiscount: 10,
+  maxDuration: 30,
+  maxConcurrent: 2,
+  strategyId: 'threshold',
+  strategyParams: {}, // Params per strategy ID
+  limits: {
+    sessionBudget: 100,
+    dailySpendCap: 500,
+    maxSpendPerOrder: 50,
+    maxSellerExposure: 100,
+    maxStreamExposure: 100,
+  },
+};
+
 const SniperBotPanel = () => {
-  const [maxRisk, setMaxRisk] = useState(40);
-  const [minDiscount, setMinDiscount] = useState(10);
-  const [maxDuration, setMaxDuration] = useState(30);
+  const { orderBook, activeStreams, user } = useVolt();
+
+  const [maxRisk, setMaxRisk] = useState(DEFAULT_CONFIG.maxRisk);
+  const [minDiscount, setMinDiscount] = useState(DEFAULT_CONFIG.minDiscount);
+  const [maxDuration, setMaxDuration] = useState(DEFAULT_CONFIG.maxDuration);
+  const [maxConcurrent, setMaxConcurrent] = useState(DEFAULT_CONFIG.maxConcurrent);
+  const [strategyId, setStrategyId] = useState(DEFAULT_CONFIG.strategyId);
+  const [strategyParams, setStrategyParams] = useState(DEFAULT_CONFIG.strategyParams);
+  const [limits, setLimits] = useState(DEFAULT_CONFIG.limits);
+  const [configFor, setConfigFor] = useState(null); // Wallet whose saved config is loaded
 
-  const { orderBook, activeStreams } = useVolt();
+  // Load the connected wallet's saved configuration (once per wallet)
+  const address = user.address || null;
+  if (address !== configFor) {
+    const saved = { ...DEFAULT_CONFIG, ...loadSniperConfig(address) };
+    setConfigFor(address);
+    setMaxRisk(saved.maxRisk);
+    setMinDiscount(saved.minDiscount);
+    setMaxDuration(saved.maxDuration);
+    setMaxConcurrent(saved.maxConcurrent);
+    setStrategyId(saved.strategyId);
+    setStrategyParams(saved.strategyParams);
+    setLimits({ ...DEFAULT_CONFIG.limits, ...saved.limits });
+  }
+
+  useEffect(() => {
+    if (address && configFor === address) {
+      saveSniperConfig(address, {
+        maxRisk,
+        minDiscount,
+        maxDuration,
+        maxConcurrent,
+        strategyId,
+        strategyParams,
+        limits,
+      });
+    }
+  }, [address, configFor, maxRisk, minDiscount, maxDuration, maxConcurrent, strategyId, strategyParams, limits]);
   const sniperBot = useSniperBot({
     maxRisk,
     minDiscount,
     maxDuration,
+    maxConcurrent,
+    ...limits,
+    strategy: strategyId,
+    strategyParams: strategyId === 'threshold' ? {} : strategyParams[strategyId],
   });
 
+  const strategies = listStrategies();
+  const currentParams = strategyId === 'threshold'
+    ? {}
+    : { ...getDefaultParams(strategyId), ...strategyParams[strategyId] };
+
+  const updateStrategyParam = (key) => (e) => {
+    const value = parseFloat(e.target.value) || 0;
+    setStrategyParams((prev) => ({
+      ...prev,
+      [strategyId]: { ...getDefaultParams(strategyId), ...prev[strategyId], [key]: value },
+    }));
+  };
+
+  const latestDecisions = Object.values(sniperBot.decisions);
+
+  const updateLimit = (key) => (e) => {
+    const value = parseFloat(e.target.value);
+    setLimits((prev) => ({ ...prev, [key]: value > 0 ? value : 0 }));
+  };
+
+  const exportJournal = (format) => {
+    const date = new Date().toISOString().slice(0, 10);
+    const filename = `sniper-journal-${address || 'wallet'}-${date}.${format}`;
+    if (format === 'csv') {
+      downloadFile(filename, journalToCSV(sniperBot.executionHistory), 'text/csv');
+    } else {
+      downloadFile(filename, journalToJSON(sniperBot.executionHistory, address), 'application/json');
+    }
+  };
+
+  const limitFields = [
+    { key: 'sessionBudget', label: 'Session Budget (vUSDC)', hint: 'Total the bot may spend after START' },
+    { key: 'dailySpendCap', label: 'Daily Spend Cap (vUSDC)', hint: 'Total the bot may spend per day (UTC) for this wallet' },
+    { key: 'maxSpendPerOrder', label: 'Max Spend Per Order (vUSDC)', hint: 'Orders priced above this are skipped' },
+    { key: 'maxSellerExposure', label: 'Max Exposure Per Seller (vUSDC)', hint: 'Session spend allowed on one seller' },
+    { key: 'maxStreamExposure', label: 'Max Exposure Per Stream (vUSDC)', hint: 'Session spend allowed on one stream' },
+  ];
+
   return (
     <div className={styles.panel}>
       <div className={styles.header}>
@@ -42,13 +143,15 @@ const SniperBotPanel = () => {
         <p><strong>How it works:</strong></p>
         <ul>
           <li><strong>Configure Settings:</strong> Set your risk tolerance, minimum discount, and maximum duration.</li>
-          <li><strong>Start Bot:</strong> The bot scans the marketplace every 3 seconds for matching opportunities.</li>
+          <li><strong>Start Bot:</strong> The bot scans the marketplace every 3 seconds for matching opportunities, in a background worker so it keeps scanning while this tab is in the background.</li>
           <li><strong>Auto-Execute:</strong> When a stream matches your criteria, the bot automatically purchases it.</li>
-          <li><strong>Monitor Activity:</strong> View execution history and statistics in real-time.</li>
+          <li><strong>Safe Execution:</strong> Each order is bought at most once at a time, and orders whose purchase reverts are blacklisted.</li>
+          <li><strong>Monitor Activity:</strong> View execution history and statistics in real-time. Settings, stats and the full journal are saved per wallet and can be exported as CSV or JSON.</li>
         </ul>
         <p>
           ⚠️ <strong>Warning:</strong> The bot will automatically spend your vUSDC when conditions are met. 
           Make sure you have sufficient balance and are comfortable with your settings.
+          The bot stops automatically once a spend limit is reached.
         </p>
       </InfoBox>
 
@@ -78,6 +181,26 @@ const SniperBotPanel = () => {
         </div>
       </div>
 
+      {sniperBot.resumeAvailable && !sniperBot.isActive && (
+        <div className={styles.resumeBanner}>
+          <span>The bot was running when this page was last closed. Resume it with the saved settings?</span>
+          <div className={styles.statusActions}>
+            <button onClick={sniperBot.resume} className={`${styles.btn} ${styles.btnStart}`}>
+              RESUME BOT
+            </button>
+            <button onClick={sniperBot.dismissResume} className={`${styles.btn} ${styles.btnSecondary}`}>
+              KEEP STOPPED
+            </button>
+          </div>
+        </div>
+      )}
+
+      {sniperBot.stopReason && !sniperBot.isActive && (
+        <div className={styles.marketplaceStatusWarning}>
+          Stopped: {sniperBot.stopReason}
+        </div>
+      )}
+
       {/* Marketplace Status */}
       <div className={styles.marketplaceStatusSection}>
         <h3 className={styles.sectionTitle}>Marketplace Status</h3>
@@ -101,70 +224,157 @@ const SniperBotPanel = () => {
       {/* Configuration */}
       <div className={styles.configSection}>
         <h3 className={styles.sectionTitle}>Configuration</h3>
-        
+
         <div className={styles.configGroup}>
           <label className={styles.configLabel}>
-            Max Risk Score (0-100)
+            Strategy
             <span className={styles.configHint}>
-              Lower = less risk (e.g., 40 = A or B rating only)
+              {sniperBot.strategy.description}
             </span>
           </label>
-          <input
-            type="number"
-            value={maxRisk}
-            onChange={(e) => setMaxRisk(parseInt(e.target.value) || 0)}
-            min="0"
-            max="100"
+          <select
+            value={strategyId}
+            onChange={(e) => setStrategyId(e.target.value)}
             className={styles.configInput}
             disabled={sniperBot.isActive}
-          />
-          <div className={styles.configValue}>
-            Current: {maxRisk}/100
-          </div>
+          >
+            {strategies.map((strategy) => (
+              <option key={strategy.id} value={strategy.id}>{strategy.name}</option>
+            ))}
+          </select>
         </div>
 
-        <div className={styles.configGroup}>
-          <label className={styles.configLabel}>
-            Min Discount (%)
-            <span className={styles.configHint}>
-              Minimum discount required (e.g., 10 = 10% off)
-            </span>
-          </label>
-          <input
-            type="number"
-            value={minDiscount}
-            onChange={(e) => setMinDiscount(parseInt(e.target.value) || 0)}
-            min="0"
-            max="100"
-            className={styles.configInput}
-            disabled={sniperBot.isActive}
-          />
-          <div className={styles.configValue}>
-            Current: {minDiscount}%
+        {strategyId !== 'threshold' && sniperBot.strategy.params.map((param) => (
+          <div key={param.key} className={styles.configGroup}>
+            <label className={styles.configLabel}>{param.label}</label>
+            <input
+              type="number"
+              value={currentParams[param.key]}
+              onChange={updateStrategyParam(param.key)}
+              min={param.min}
+              max={param.max}
+              className={styles.configInput}
+              disabled={sniperBot.isActive}
+            />
           </div>
-        </div>
+        ))}
+
+        {strategyId === 'threshold' && (
+          <>
+            <div className={styles.configGroup}>
+              <label className={styles.configLabel}>
+                Max Risk Score (0-100)
+                <span className={styles.configHint}>
+                  Lower = less risk (e.g., 40 = A or B rating only)
+                </span>
+              </label>
+              <input
+                type="number"
+                value={maxRisk}
+                onChange={(e) => setMaxRisk(parseInt(e.target.value) || 0)}
+                min="0"
+                max="100"
+                className={styles.configInput}
+                disabled={sniperBot.isActive}
+              />
+              <div className={styles.configValue}>
+                Current: {maxRisk}/100
+              </div>
+            </div>
+
+            <div className={styles.configGroup}>
+              <label className={styles.configLabel}>
+                Min Discount (%)
+                <span className={styles.configHint}>
+                  Minimum discount required (e.g., 10 = 10% off)
+                </span>
+              </label>
+              <input
+                type="number"
+                value={minDiscount}
+                onChange={(e) => setMinDiscount(parseInt(e.target.value) || 0)}
+                min="0"
+                max="100"
+                className={styles.configInput}
+                disabled={sniperBot.isActive}
+              />
+              <div className={styles.configValue}>
+                Current: {minDiscount}%
+              </div>
+            </div>
+
+            <div className={styles.configGroup}>
+              <label className={styles.configLabel}>
+                Max Duration (days)
+                <span className={styles.configHint}>
+                  Maximum stream duration in days
+                </span>
+              </label>
+              <input
+                type="number"
+                value={maxDuration}
+                onChange={(e) => setMaxDuration(parseInt(e.target.value) || 0)}
+                min="1"
+                className={styles.configInput}
+                disabled={sniperBot.isActive}
+              />
+              <div className={styles.configValue}>
+                Current: {maxDuration} days
+              </div>
+            </div>
+          </>
+        )}
 
         <div className={styles.configGroup}>
           <label className={styles.configLabel}>
-            Max Duration (days)
+            Max Concurrent Purchases
             <span className={styles.configHint}>
-              Maximum stream duration in days
+              Purchases allowed to be pending at the same time
             </span>
           </label>
           <input
             type="number"
-            value={maxDuration}
-            onChange={(e) => setMaxDuration(parseInt(e.target.value) || 0)}
+            value={maxConcurrent}
+            onChange={(e) => setMaxConcurrent(Math.max(1, parseInt(e.target.value) || 1))}
             min="1"
             className={styles.configInput}
             disabled={sniperBot.isActive}
           />
           <div className={styles.configValue}>
-            Current: {maxDuration} days
+            Current: {maxConcurrent}
           </div>
         </div>
       </div>
 
+      {/* Spend Limits */}
+      <div className={styles.configSection}>
+        <h3 className={styles.sectionTitle}>Spend Limits</h3>
+        <p className={styles.configHint}>
+          Pending purchases count towards every limit. Set a limit to 0 to disable it.
+        </p>
+
+        {limitFields.map(({ key, label, hint }) => (
+          <div key={key} className={styles.configGroup}>
+            <label className={styles.configLabel}>
+              {label}
+              <span className={styles.configHint}>{hint}</span>
+            </label>
+            <input
+              type="number"
+              value={limits[key]}
+              onChange={updateLimit(key)}
+              min="0"
+              step="any"
+              className={styles.configInput}
+              disabled={sniperBot.isActive}
+            />
+            <div className={styles.configValue}>
+              Current: {limits[key] > 0 ? `${limits[key]} vUSDC` : 'No limit'}
+            </div>
+          </div>
+        ))}
+      </div>
+
       {/* Statistics */}
       <div className={styles.statsSection}>
         <h3 className={styles.sectionTitle}>Statistics</h3>
@@ -181,6 +391,24 @@ const SniperBotPanel = () => {
             <div className={styles.statLabel}>Executions</div>
             <div className={styles.statValue}>{sniperBot.stats.totalExecutions}</div>
           </div>
+          <div className={styles.statCard}>
+            <div className={styles.statLabel}>Pending</div>
+            <div className={styles.statValue}>{sniperBot.pendingCount}</div>
+          </div>
+          <div className={styles.statCard}>
+            <div className={styles.statLabel}>Session Spend</div>
+            <div className={styles.statValue}>
+              {sniperBot.spend.session.toFixed(2)}
+              {limits.sessionBudget > 0 && ` / ${limits.sessionBudget}`}
+            </div>
+          </div>
+          <div className={styles.statCard}>
+            <div className={styles.statLabel}>Spent Today</div>
+            <div className={styles.statValue}>
+              {sniperBot.spend.daily.toFixed(2)}
+              {limits.dailySpendCap > 0 && ` / ${limits.dailySpendCap}`}
+            </div>
+          </div>
           {sniperBot.stats.lastScanTime && (
             <div className={styles.statCard}>
               <div className={styles.statLabel}>Last Scan</div>
@@ -192,31 +420,107 @@ const SniperBotPanel = () => {
         </div>
       </div>
 
+      {/* Strategy Decisions */}
+      {sniperBot.isActive && latestDecisions.length > 0 && (
+        <div className={styles.historySection}>
+          <h3 className={styles.sectionTitle}>Latest Decisions</h3>
+          <div className={styles.historyList}>
+            {latestDecisions.map((decision) => (
+              <div key={decision.orderId} className={styles.decisionItem}>
+                <span className={styles.historyOrderId}>Order #{decision.orderId}</span>
+                <span className={`${styles.executionStatus} ${decision.action === 'buy' ? styles.confirmed : styles.skipped}`}>
+                  {decision.action.toUpperCase()}
+                </span>
+                <span className={styles.decisionReason}>{decision.reason}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Backtest */}
+      <BacktestPanel currentCriteria={{ maxRisk, minDiscount, maxDuration }} />
+
       {/* Execution History */}
       {sniperBot.executionHistory.length > 0 && (
         <div className={styles.historySection}>
-          <h3 className={styles.sectionTitle}>Execution History</h3>
+          <div className={styles.historyTitleRow}>
+            <h3 className={styles.sectionTitle}>
+              Execution History ({sniperBot.executionHistory.length})
+            </h3>
+            <div className={styles.statusActions}>
+              <button onClick={() => exportJournal('csv')} className={`${styles.btn} ${styles.btnSecondary}`}>
+                EXPORT CSV
+              </button>
+              <button onClick={() => exportJournal('json')} className={`${styles.btn} ${styles.btnSecondary}`}>
+                EXPORT JSON
+              </button>
+            </div>
+          </div>
           <div className={styles.historyList}>
             {sniperBot.executionHistory.slice(0, 10).map((exec) => (
               <div key={exec.id} className={styles.historyItem}>
                 <div className={styles.historyHeader}>
                   <span className={styles.historyOrderId}>
-                    Order #{exec.orderId.slice(-8)}
+                    Order #{exec.orderId}
+                  </span>
+                  <span className={`${styles.executionStatus} ${styles[exec.status]}`}>
+                    {exec.status.toUpperCase()}
                   </span>
                   <span className={styles.historyTime}>
-                    {new Date(exec.executedAt).toLocaleString()}
+                    {new Date(exec.settledAt || exec.startedAt).toLocaleString()}
                   </span>
                 </div>
                 <div className={styles.historyDetails}>
-                  <span>Price: {exec.price.toFixed(6)} USDC</span>
+                  <span>Price: {exec.price.toFixed(6)} vUSDC</span>
                   <span>Risk: {exec.riskScore}/100</span>
                   <span>Discount: {exec.discount.toFixed(1)}%</span>
+                  {exec.txHash && (
+                    <a
+                      href={`${NETWORK_CONFIG.explorerUrl}/tx/${exec.txHash}`}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className={styles.txLink}
+                    >
+                      {exec.txHash.slice(0, 10)}...
+                    </a>
+                  )}
                 </div>
+                {exec.reason && (
+                  <div className={styles.decisionReason}>
+                    {exec.strategy}: {exec.reason}
+                  </div>
+                )}
+                {exec.error && (
+                  <div className={styles.historyError}>{exec.error}</div>
+                )}
               </div>
             ))}
           </div>
         </div>
       )}
+
+      {/* Blacklist */}
+      {sniperBot.blacklist.length > 0 && (
+        <div className={styles.historySection}>
+          <h3 className={styles.sectionTitle}>Blacklisted Orders</h3>
+          <p className={styles.configHint}>
+            Purchases of these orders reverted, so the bot will not retry them this session.
+          </p>
+          <div className={styles.blacklist}>
+            {sniperBot.blacklist.map((orderId) => (
+              <button
+                key={orderId}
+                onClick={() => sniperBot.clearBlacklist(orderId)}
+                className={styles.blacklistItem}
+                title="Allow the bot to retry this order"
+              >
+                Order #{orderId} ✕
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -12,6 +12,7 @@ export const NETWORK_CONFIG = {
   name: import.meta.env.VITE_NETWORK_NAME || 'Arc Testnet',
   chainId: import.meta.env.VITE_CHAIN_ID ? BigInt(import.meta.env.VITE_CHAIN_ID) : BigInt(5042002),
   rpcUrl: import.meta.env.VITE_RPC_URL || 'https://rpc.testnet.arc.network',
+  explorerUrl: import.meta.env.VITE_EXPLORER_URL || 'https://testnet.arcscan.net',
 };
 
 /**
@@ -22,6 +23,38 @@ export const CONTRACT_ADDRESSES = {
   usdcToken: import.meta.env.VITE_USDC_TOKEN_ADDRESS || null,
   vusdcToken: import.meta.env.VITE_VUSDC_TOKEN_ADDRESS || '0xe4987ACA7b7fAB6f4291b33E24873A79E721e9c2', // Volt USDC Token
   faucet: import.meta.env.VITE_FAUCET_ADDRESS || null, // vUSDC Faucet Contract
+  multicall: import.meta.env.VITE_MULTICALL_ADDRESS || '0xcA11bde05977b3631167028862bE2a173976CA11', // Multicall3 (canonical address)
+};
+
+/**
+ * History Indexer
+ * Event backfill starts at the deployment block and is fetched in chunks
+ * to stay under RPC log-range limits
+ */
+export const INDEXER_CONFIG = {
+  deploymentBlock: parseInt(import.meta.env.VITE_CONTRACT_DEPLOY_BLOCK || '0', 10),
+  chunkSize: parseInt(import.meta.env.VITE_LOG_CHUNK_SIZE || '5000', 10),
+  pollInterval: 30000, // Only used when block sync does not drive refresh
+};
+
+/**
+ * Block Sync
+ * App state follows new blocks; blocks deeper than `confirmations` are
+ * treated as final when rewinding after a reorg
+ */
+export const BLOCK_SYNC_CONFIG = {
+  confirmations: parseInt(import.meta.env.VITE_FINALITY_DEPTH || '12', 10),
+  pollInterval: 4000, // Only used when the provider has no block subscriptions
+};
+
+/**
+ * Order Book Sync
+ * Remote sources for syncOrderBook (see src/utils/orderBookSync.js)
+ */
+export const ORDERBOOK_SYNC_CONFIG = {
+  apiEndpoint: import.meta.env.VITE_ORDERBOOK_API_URL || null,
+  ipfsGateway: import.meta.env.VITE_IPFS_GATEWAY || 'https://ipfs.io',
+  snapshotCid: import.meta.env.VITE_ORDERBOOK_SNAPSHOT_CID || null,
 };
 
 /**
@@ -81,6 +114,9 @@ export const LOG_CONFIG = {
 export const getConfig = () => ({
   network: NETWORK_CONFIG,
   contracts: CONTRACT_ADDRESSES,
+  indexer: INDEXER_CONFIG,
+  blockSync: BLOCK_SYNC_CONFIG,
+  orderBookSync: ORDERBOOK_SYNC_CONFIG,
   environment: APP_ENV,
   sentry: SENTRY_CONFIG,
   analytics: ANALYTICS_CONFIG,
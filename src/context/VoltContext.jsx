@@ -2,10 +2,34 @@ import React, { createContext, useContext, useState, useEffect, useCallback, use
 import { ethers } from 'ethers';
 import { calculateStreamRisk } from '../hooks/useRiskEngine';
 import { useVoltContract } from '../hooks/useVoltContract';
-import { CONTRACT_ADDRESSES } from '../config';
+import { useHistoryIndexer } from '../hooks/useHistoryIndexer';
+import { getUserActivity, INDEXED_EVENTS } from '../utils/historyIndexer';
+import { createBlockSync } from '../utils/blockSync';
+import { getUnvestedAmount, getVestedAmount } from '../utils/streamMath';
+import { getCurrentAskWei, getShareValue, isOrderExpired, RATIO_DENOMINATOR } from '../utils/orderPricing';
+import { mapContractOrder } from '../utils/orderMapping';
+import { CONTRACT_ADDRESSES, BLOCK_SYNC_CONFIG } from '../config';
+import { subscribeTxEvents, TX_EVENT } from '../utils/txPipeline';
+import { DEFAULT_APPROVAL_POLICY, getApproveAmount, loadApprovalPolicy, saveApprovalPolicy } from '../utils/approvalPolicy';
 
 const VoltContext = createContext(undefined);
 
+// Matches the BidStatus enum in VoltProtocol.sol
+const BID_STATUSES = ['pending', 'accepted', 'rejected', 'cancelled'];
+
+// VoltProtocol events that change the order book, the bid lists or buy orders
+const ORDER_EVENTS = ['OrderCreated', 'OrderFilled', 'OrderCancelled'];
+const BID_EVENTS = ['BidPlaced', 'BidAccepted', 'BidRejected', 'BidCancelled'];
+const BUY_ORDER_EVENTS = ['BuyOrderPlaced', 'BuyOrderMatched', 'BuyOrderCancelled'];
+const PAUSE_EVENTS = ['StreamPaused', 'StreamResumed'];
+
+// Max age of a cached streams(streamId) read used for order pricing
+const STREAM_CACHE_TTL = 60000;
+
+// Share a partial fill may come up short of the quote, as the stream keeps
+// vesting until the fill is mined
+const FILL_AMOUNT_TOLERANCE = 0.01;
+
 import { sanitizeInput } from '../utils/sanitize';
 
 export const VoltProvider = ({ children }) => {
@@ -26,7 +50,7 @@ export const VoltProvider = ({ children }) => {
     setToasts((prev) => prev.filter((t) => t.id !== id));
   }, []);
 
-  const toast = {
+  const toast = useMemo(() => ({
     toasts,
     showToast,
     removeToast,
@@ -34,13 +58,14 @@ export const VoltProvider = ({ children }) => {
     error: (message, duration) => showToast(message, 'error', duration),
     warning: (message, duration) => showToast(message, 'warning', duration),
     info: (message, duration) => showToast(message, 'info', duration),
-  };
+  }), [toasts, showToast, removeToast]);
 
   // Use real contract hook
   const {
     provider,
     signer,
     contract,
+    reader,
     account,
     network,
     isConnecting,
@@ -50,13 +75,19 @@ export const VoltProvider = ({ children }) => {
     getUSDCBalance,
     getVUSDCBalance,
     getFaucetBalance,
+    getAllowances,
+    setAllowance,
     requestVUSDCFromFaucet,
-    fetchStream: fetchStreamFromContract,
     fetchUserStreams,
+    sendTransaction,
     createStream: createStreamContract,
     sellShare,
     withdrawFromStream,
-    setupEventListeners,
+    withdrawMany,
+    previewCancelStream,
+    cancelStream: cancelStreamContract,
+    pauseStream: pauseStreamContract,
+    resumeStream: resumeStreamContract,
   } = useVoltContract();
 
   // User state
@@ -72,40 +103,86 @@ export const VoltProvider = ({ children }) => {
     hash: null,
     success: false,
     error: null,
+    stage: null,
+    label: null,
   });
 
+  // Mirror transaction pipeline events into txStatus and toasts
+  // (failures are toasted by the action that started the transaction)
+  const toastRef = useRef(toast);
+  useEffect(() => {
+    toastRef.current = toast;
+  }, [toast]);
+
+  useEffect(() => {
+    return subscribeTxEvents((event) => {
+      const { messages = {} } = event;
+
+      switch (event.type) {
+        case TX_EVENT.PREFLIGHT:
+          setTxStatus((prev) => (prev.pending && prev.id === event.id
+            ? prev
+            : { id: event.id, pending: true, hash: null, success: false, error: null, stage: event.type, label: event.label }));
+          break;
+        case TX_EVENT.PERMIT_REQUESTED:
+          setTxStatus((prev) => ({ ...prev, stage: event.type }));
+          toastRef.current.info('Sign the vUSDC permit in your wallet...');
+          break;
+        case TX_EVENT.APPROVAL_REQUIRED:
+          setTxStatus((prev) => ({ ...prev, stage: event.type }));
+          toastRef.current.info('Approving vUSDC...');
+          break;
+        case TX_EVENT.PERMIT_SIGNED:
+        case TX_EVENT.APPROVAL_SUBMITTED:
+        case TX_EVENT.APPROVAL_CONFIRMED:
+        case TX_EVENT.ESTIMATED:
+          setTxStatus((prev) => ({ ...prev, stage: event.type }));
+          break;
+        case TX_EVENT.SUBMITTED:
+          setTxStatus((prev) => ({ ...prev, stage: event.type, hash: event.hash }));
+          toastRef.current.info(messages.pending || `${event.label} submitted`);
+          break;
+        case TX_EVENT.REPLACED:
+          setTxStatus((prev) => ({ ...prev, stage: event.type, hash: event.hash }));
+          toastRef.current.warning(`${event.label} transaction was ${event.reason}`);
+          break;
+        case TX_EVENT.CONFIRMED:
+          setTxStatus({ id: event.id, pending: false, hash: event.hash, success: true, error: null, stage: event.type, label: event.label });
+          if (messages.success) toastRef.current.success(messages.success);
+          break;
+        case TX_EVENT.FAILED:
+          setTxStatus((prev) => ({ ...prev, id: event.id, pending: false, success: false, error: event.error.message, stage: event.type, label: event.label }));
+          break;
+        default:
+          break;
+      }
+    });
+  }, []);
+
   const [activeStreams, setActiveStreams] = useState([]);
 
   // NEW: OrderBook from contract (no localStorage)
   const [orderBook, setOrderBook] = useState([]);
+  // The connected seller's orders that expired but were not cancelled or relisted
+  const [expiredOrders, setExpiredOrders] = useState([]);
 
-  // Bids - Keep localStorage for now (can be moved to contract later)
-  const [bids, setBids] = useState(() => {
-    try {
-      const saved = localStorage.getItem('volt_bids');
-      return saved ? JSON.parse(saved) : [];
-    } catch (e) {
-      return [];
-    }
-  });
+  // Bids placed or received by the connected account (from contract)
+  const [bids, setBids] = useState([]);
 
-  const [orderHistory, setOrderHistory] = useState(() => {
-    try {
-      const saved = localStorage.getItem('volt_order_history');
-      return saved ? JSON.parse(saved) : [];
-    } catch (e) {
-      return [];
-    }
-  });
+  // Standing buy orders placed by the connected account (from contract)
+  const [buyOrders, setBuyOrders] = useState([]);
 
-  const [tradeHistory, setTradeHistory] = useState(() => {
-    try {
-      const saved = localStorage.getItem('volt_trade_history');
-      return saved ? JSON.parse(saved) : [];
-    } catch (e) {
-      return [];
-    }
-  });
+  // Trade and order history indexed from contract events; the block sync
+  // below refreshes it as blocks arrive, so it does not poll on its own
+  const {
+    events: historyEvents,
+    orderHistory,
+    tradeHistory,
+    isSyncing: isHistorySyncing,
+    progress: historySyncProgress,
+    refresh: refreshHistory,
+    rewind: rewindHistory,
+  } = useHistoryIndexer(contract, { poll: false });
 
   const isMountedRef = useRef(true);
 
@@ -119,10 +196,10 @@ export const VoltProvider = ({ children }) => {
 
       setActiveStreams((prevStreams) => {
         return prevStreams.map((stream) => {
-          const elapsedTime = Math.max(0, now - stream.startTime);
-          const ratePerSecond = stream.duration > 0 ? stream.totalDeposit / stream.duration : 0;
-          const flowedAmount = Math.min(elapsedTime * ratePerSecond, stream.totalDeposit);
-          const remainingBalance = Math.max(0, stream.totalDeposit - flowedAmount);
+          // Paused intervals do not count towards the flow; sold shares are
+          // no longer the owner's to flow
+          const flowedAmount = getVestedAmount(stream, now);
+          const remainingBalance = getUnvestedAmount(stream, now);
 
           return {
             ...stream,
@@ -145,16 +222,18 @@ export const VoltProvider = ({ children }) => {
   // Recalculate implied values for orders
   useEffect(() => {
     if (!isMountedRef.current) return;
+    const now = Math.floor(Date.now() / 1000);
 
     setOrderBook((prevOrders) => {
       return prevOrders.map((order) => {
         const stream = activeStreams.find((s) => s.id === order.streamId);
         
+        // Other sellers' streams: keep the value computed when orders were fetched
         if (!stream) {
-          return { ...order, impliedValue: 0 };
+          return order;
         }
 
-        const streamValueAtPercentage = (stream.remainingBalance * order.percentage) / 100;
+        const streamValueAtPercentage = getShareValue(order, stream, now);
         const impliedValue = streamValueAtPercentage * order.priceRatio;
 
         return {
@@ -165,46 +244,280 @@ export const VoltProvider = ({ children }) => {
     });
   }, [activeStreams]);
 
+  // Per-stream reads used to price orders. An entry is reused until it
+  // expires or the indexer sees a newer event for that stream.
+  const streamCacheRef = useRef(new Map());
+  const historyEventsRef = useRef([]);
+
+  useEffect(() => {
+    historyEventsRef.current = historyEvents;
+  }, [historyEvents]);
+
+  useEffect(() => {
+    streamCacheRef.current.clear();
+  }, [contract]);
+
+  const getCachedStream = useCallback(async (streamId, version) => {
+    const cached = streamCacheRef.current.get(streamId);
+    if (cached && cached.version >= version && Date.now() - cached.fetchedAt < STREAM_CACHE_TTL) {
+      return cached.stream;
+    }
+
+    const [streamData, isSoldShare] = await Promise.all([
+      reader.read(contract, 'streams', [streamId]),
+      reader.read(contract, 'soldShares', [streamId]),
+    ]);
+    const stream = {
+      id: streamId,
+      sender: streamData.sender,
+      receiver: streamData.owner,
+      totalDeposit: parseFloat(ethers.formatEther(streamData.totalDeposit)),
+      startTime: Number(streamData.startTime),
+      duration: Number(streamData.duration),
+      claimedAmount: parseFloat(ethers.formatEther(streamData.claimedAmount)),
+      soldAmount: parseFloat(ethers.formatEther(streamData.soldAmount)),
+      isActive: streamData.isActive,
+      pausedAt: Number(streamData.pausedAt),
+      pausedDuration: Number(streamData.pausedDuration),
+      isSoldShare,
+    };
+
+    streamCacheRef.current.set(streamId, { stream, version, fetchedAt: Date.now() });
+    return stream;
+  }, [contract, reader]);
+
   // NEW: Fetch orders from contract
   const fetchOrdersFromContract = useCallback(async () => {
-    if (!contract) return;
+    if (!contract || !reader) return;
     
     try {
       console.log('📋 Fetching orders from contract...');
-      const ordersData = await contract.getAllOrders();
-      
-      const mappedOrders = ordersData.map((order) => ({
-        id: order.orderId.toString(),
-        streamId: order.streamId.toString(),
-        seller: order.seller,
-        price: parseFloat(ethers.formatEther(order.price)),
-        percentage: Number(order.percentage),
-        priceRatio: 0.9, // Default - calculate from price if needed
-        listedAt: Number(order.listedAt),
-        isActive: order.isActive,
-        riskScore: 50, // Default - can calculate
-        riskLevel: 'B', // Default
-        impliedValue: 0, // Will be calculated by useEffect
-      }));
+      const [liveData, sellerData] = await Promise.all([
+        reader.read(contract, 'getAllOrders'),
+        account ? reader.read(contract, 'getUserOrders', [account]) : [],
+      ]);
+
+      // getAllOrders leaves out expired orders; the seller's own stay active
+      // on-chain until cancelled or relisted
+      const liveIds = new Set(liveData.map((order) => order.orderId));
+      const ordersData = [
+        ...liveData,
+        ...sellerData.filter((order) => order.isActive && !liveIds.has(order.orderId)),
+      ];
+
+      // Latest indexed block per stream, used to invalidate cached reads
+      const events = historyEventsRef.current;
+      const streamVersions = new Map();
+      events.forEach((event) => {
+        const streamId = event.args.streamId;
+        if (streamId !== undefined && event.blockNumber > (streamVersions.get(streamId) || 0)) {
+          streamVersions.set(streamId, event.blockNumber);
+        }
+      });
+
+      const streamIds = [...new Set(ordersData.map((order) => order.streamId.toString()))];
+      const streams = await Promise.all(
+        streamIds.map((streamId) => getCachedStream(streamId, streamVersions.get(streamId) || 0))
+      );
+      const streamsById = new Map(streams.map((stream) => [stream.id, stream]));
+
+      const now = Math.floor(Date.now() / 1000);
+      const sellerHistories = new Map();
+
+      // Listed size, to show how much of a partially filled order is left
+      const listedPercentages = new Map(
+        events
+          .filter((event) => event.name === 'OrderCreated')
+          .map((event) => [event.args.orderId, Number(event.args.percentage)])
+      );
+
+      const mappedOrders = ordersData.map((order) => {
+        const stream = streamsById.get(order.streamId.toString());
+
+        if (!sellerHistories.has(order.seller)) {
+          sellerHistories.set(
+            order.seller,
+            getUserActivity(events, order.seller).map((event) => ({
+              txHash: event.txHash,
+              type: event.name,
+              timestamp: event.timestamp,
+              status: 'success',
+            }))
+          );
+        }
+
+        return mapContractOrder(order, stream, {
+          now,
+          sellerHistory: sellerHistories.get(order.seller),
+          listedPercentage: listedPercentages.get(order.orderId.toString()),
+          isExpired: !liveIds.has(order.orderId),
+        });
+      });
       
       console.log('✅ Fetched orders:', mappedOrders);
-      setOrderBook(mappedOrders);
+      setOrderBook(mappedOrders.filter((order) => !order.isExpired));
+      setExpiredOrders(mappedOrders.filter((order) => order.isExpired));
     } catch (error) {
       console.error('❌ Error fetching orders:', error);
     }
-  }, [contract]);
+  }, [contract, reader, account, getCachedStream]);
 
-  // Fetch orders periodically
+  // Initial load; afterwards the block sync keeps orders current
   useEffect(() => {
     if (!contract) return;
     
     fetchOrdersFromContract();
-    
-    const interval = setInterval(fetchOrdersFromContract, 15000); // Every 15 seconds
-    
-    return () => clearInterval(interval);
   }, [contract, fetchOrdersFromContract]);
 
+  // Fetch bids placed by the user and bids received on the user's orders
+  const fetchBidsFromContract = useCallback(async () => {
+    if (!contract || !reader || !account) return;
+
+    try {
+      const [placedBids, receivedBids] = await Promise.all([
+        reader.read(contract, 'getUserBids', [account]),
+        reader.read(contract, 'getSellerBids', [account]),
+      ]);
+
+      const bidsById = new Map();
+      [...placedBids, ...receivedBids].forEach((bid) => {
+        bidsById.set(bid.bidId.toString(), bid);
+      });
+
+      // Bids only store the order ID; look up the seller and the current ask
+      // per order: the decayed price of a Dutch auction, for what is left
+      // after partial fills. Ratio-priced orders store no price, so the
+      // listed price is only a fallback when the ask cannot be read.
+      const orderIds = [...new Set([...bidsById.values()].map((bid) => bid.orderId.toString()))];
+      const [ordersData, asksWei] = await Promise.all([
+        Promise.all(orderIds.map((orderId) => reader.read(contract, 'orders', [orderId]))),
+        Promise.all(orderIds.map((orderId) => reader.read(contract, 'getOrderPrice', [orderId]).catch(() => null))),
+      ]);
+      const ordersById = new Map(orderIds.map((orderId, index) => [orderId, ordersData[index]]));
+      const listedAsk = (order) => getCurrentAskWei({
+        priceWei: order.price,
+        floorPriceWei: order.floorPrice,
+        listedAt: Number(order.listedAt),
+        decayDuration: Number(order.decayDuration),
+      });
+      const asksById = new Map(orderIds.map((orderId, index) => [orderId, asksWei[index] ?? listedAsk(ordersData[index])]));
+
+      const mappedBids = [...bidsById.values()].map((bid) => {
+        const orderId = bid.orderId.toString();
+        const order = ordersById.get(orderId);
+        const amount = parseFloat(ethers.formatEther(bid.amount));
+        const askPrice = parseFloat(ethers.formatEther(asksById.get(orderId)));
+        const priceRatio = askPrice > 0 ? amount / askPrice : 0;
+
+        return {
+          id: bid.bidId.toString(),
+          orderId,
+          bidder: bid.bidder,
+          seller: order ? order.seller : null,
+          amount,
+          askPrice,
+          // No ask once the order is closed: no discount to show
+          discount: askPrice > 0 ? Math.max(0, (1 - priceRatio) * 100) : 0,
+          priceRatio,
+          status: BID_STATUSES[Number(bid.status)] || 'pending',
+          createdAt: Number(bid.createdAt),
+        };
+      });
+
+      setBids(mappedBids.sort((a, b) => b.createdAt - a.createdAt));
+    } catch (error) {
+      console.error('❌ Error fetching bids:', error);
+    }
+  }, [contract, reader, account]);
+
+  // Initial load; afterwards the block sync keeps bids current
+  useEffect(() => {
+    if (!contract || !account) {
+      setBids([]);
+      return;
+    }
+
+    fetchBidsFromContract();
+  }, [contract, account, fetchBidsFromContract]);
+
+  // Fetch the standing buy orders placed by the user
+  const fetchBuyOrdersFromContract = useCallback(async () => {
+    if (!contract || !reader || !account) return;
+
+    try {
+      const placed = await reader.read(contract, 'getUserBuyOrders', [account]);
+      const mapped = placed.map((buy) => ({
+        id: buy.buyOrderId.toString(),
+        buyer: buy.buyer,
+        budget: parseFloat(ethers.formatEther(buy.budget)),
+        spent: parseFloat(ethers.formatEther(buy.spent)),
+        minDiscount: (Number(buy.minDiscount) / RATIO_DENOMINATOR) * 100,
+        maxDuration: Number(buy.maxDuration),
+        createdAt: Number(buy.createdAt),
+        isActive: buy.isActive,
+      }));
+
+      setBuyOrders(mapped.sort((a, b) => b.createdAt - a.createdAt));
+    } catch (error) {
+      console.error('❌ Error fetching buy orders:', error);
+    }
+  }, [contract, reader, account]);
+
+  // Initial load; afterwards the block sync keeps buy orders current
+  useEffect(() => {
+    if (!contract || !account) {
+      setBuyOrders([]);
+      return;
+    }
+
+    fetchBuyOrdersFromContract();
+  }, [contract, account, fetchBuyOrdersFromContract]);
+
+  // Approval policy (exact / 2x / unlimited), restored per wallet
+  const [approvalPolicy, setApprovalPolicyState] = useState(DEFAULT_APPROVAL_POLICY);
+  const [approvalPolicyFor, setApprovalPolicyFor] = useState(null);
+  if (account !== approvalPolicyFor) {
+    setApprovalPolicyFor(account);
+    setApprovalPolicyState(loadApprovalPolicy(account));
+  }
+
+  const setApprovalPolicy = useCallback((policy) => {
+    setApprovalPolicyState(policy);
+    saveApprovalPolicy(account, policy);
+  }, [account]);
+
+  // Allowance for a call that pulls vUSDC into VoltProtocol, sized by the approval policy
+  const vusdcAllowance = useCallback((amountWei) => ({
+    token: CONTRACT_ADDRESSES.vusdcToken,
+    amount: amountWei,
+    approveAmount: getApproveAmount(approvalPolicy, amountWei),
+  }), [approvalPolicy]);
+
+  // Allowance manager: current vUSDC allowances of the connected wallet
+  const getVUSDCAllowances = useCallback(() => getAllowances(account), [getAllowances, account]);
+
+  // Allowance manager: set an exact vUSDC allowance for a spender (0 revokes it)
+  const setVUSDCAllowance = useCallback(async (spender, amount) => {
+    if (!account) {
+      throw new Error('Wallet not connected');
+    }
+
+    const amountWei = ethers.parseEther(amount.toString());
+    const revoking = amountWei === 0n;
+    try {
+      await setAllowance(spender, amountWei, {
+        messages: revoking
+          ? { pending: 'Revoking allowance...', success: 'Allowance revoked' }
+          : { pending: 'Setting allowance...', success: `Allowance set to ${amount} vUSDC` },
+      });
+      return true;
+    } catch (error) {
+      console.error('Error setting allowance:', error);
+      toast.error(error.message || 'Failed to update allowance');
+      throw error;
+    }
+  }, [account, setAllowance, toast]);
+
   const connectWallet = useCallback(async () => {
     try {
       const address = await connectWalletContract();
@@ -230,12 +543,16 @@ export const VoltProvider = ({ children }) => {
       if (streamsData && streamsData.length > 0) {
         const newStreams = streamsData.map((streamData) => ({
           id: streamData.id,
-          sender: address,
-          receiver: address,
+          sender: streamData.sender,
+          receiver: streamData.receiver,
           totalDeposit: parseFloat(streamData.totalDeposit),
           startTime: streamData.startTime,
           duration: streamData.duration,
           claimedAmount: parseFloat(streamData.claimedAmount),
+          soldAmount: parseFloat(streamData.soldAmount),
+          pausedAt: streamData.pausedAt,
+          pausedDuration: streamData.pausedDuration,
+          isSoldShare: streamData.isSoldShare,
           flowedAmount: parseFloat(streamData.claimedAmount),
           remainingBalance: parseFloat(streamData.totalDeposit) - parseFloat(streamData.claimedAmount) - parseFloat(streamData.soldAmount),
         }));
@@ -264,7 +581,8 @@ export const VoltProvider = ({ children }) => {
   }, [disconnectWalletContract]);
 
   // NEW: Buy stream via contract
-  const buyStream = useCallback(async (orderId) => {
+  // `percentage` buys part of the order (points of the stream) at a pro-rata price
+  const buyStream = useCallback(async (orderId, { onSubmitted, percentage } = {}) => {
     if (!contract || !account) {
       throw new Error('Wallet not connected');
     }
@@ -273,95 +591,112 @@ export const VoltProvider = ({ children }) => {
     if (!order) {
       throw new Error('Order not found');
     }
+    if (isOrderExpired(order)) {
+      throw new Error('This order has expired');
+    }
 
-    const priceWei = ethers.parseEther(order.price.toString());
+    const fillPercentage = percentage ?? order.percentage;
+    if (!Number.isInteger(fillPercentage) || fillPercentage < 1 || fillPercentage > order.percentage) {
+      throw new Error(`Fill size must be between 1% and ${order.percentage}%`);
+    }
+    const isPartial = fillPercentage < order.percentage;
 
     try {
+      // Same rounding as the contract. Dutch and ratio-priced asks only fall,
+      // so the on-chain ask now covers the fill whenever it is mined.
+      const orderPriceWei = order.isDutch || order.isRatioPriced
+        ? await reader.read(contract, 'getOrderPrice', [orderId])
+        : order.priceWei ?? ethers.parseEther(order.price.toString());
+      const priceWei = (orderPriceWei * BigInt(fillPercentage)) / BigInt(order.percentage);
+      const price = parseFloat(ethers.formatEther(priceWei));
+
       // Check vUSDC balance
       const balance = await getVUSDCBalance(account);
-      if (balance < order.price) {
-        throw new Error(`Insufficient vUSDC balance. Need ${order.price.toFixed(6)} vUSDC`);
+      if (balance < price) {
+        throw new Error(`Insufficient vUSDC balance. Need ${price.toFixed(6)} vUSDC`);
       }
 
-      // Check and approve vUSDC
-      const vusdcAddress = CONTRACT_ADDRESSES.vusdcToken;
-      const vusdcContract = new ethers.Contract(
-        vusdcAddress,
-        ['function allowance(address owner, address spender) view returns (uint256)', 'function approve(address spender, uint256 amount) returns (bool)'],
-        signer
+      // A partial fill pays at most the ask quoted here and takes at least the
+      // quoted share, less FILL_AMOUNT_TOLERANCE
+      const minAmountWei = ethers.parseUnits(
+        ((order.shareValue * fillPercentage * (1 - FILL_AMOUNT_TOLERANCE)) / order.percentage).toFixed(18)
       );
-      
-      const contractAddress = await contract.getAddress();
-      const allowance = await vusdcContract.allowance(account, contractAddress);
-      
-      if (allowance < priceWei) {
-        toast.info('Approving vUSDC...');
-        const approveTx = await vusdcContract.approve(contractAddress, priceWei * BigInt(2));
-        await approveTx.wait();
-      }
+      const call = isPartial
+        ? {
+          method: 'buyPartial',
+          args: [orderId, fillPercentage, priceWei, minAmountWei],
+          permit: { method: 'buyPartialWithPermit', args: [orderId, fillPercentage, priceWei, minAmountWei] },
+        }
+        : {
+          method: 'buyOrder',
+          args: [orderId],
+          permit: { method: 'buyOrderWithPermit', args: [orderId, priceWei] },
+        };
 
-      toast.info('Buying stream...');
-      
-      const tx = await contract.buyOrder(orderId);
-      const receipt = await tx.wait();
-      
-      if (receipt.status === 1) {
-        toast.success('Stream purchased successfully!');
-        
-        // Refresh orders and streams
-        await Promise.all([
-          fetchOrdersFromContract(),
-          fetchUserStreams(account).then((streamsData) => {
-            if (streamsData && streamsData.length > 0) {
-              const newStreams = streamsData.map((streamData) => ({
-                id: streamData.id,
-                sender: account,
-                receiver: account,
-                totalDeposit: parseFloat(streamData.totalDeposit),
-                startTime: streamData.startTime,
-                duration: streamData.duration,
-                claimedAmount: parseFloat(streamData.claimedAmount),
-                flowedAmount: parseFloat(streamData.claimedAmount),
-                remainingBalance: parseFloat(streamData.totalDeposit) - parseFloat(streamData.claimedAmount) - parseFloat(streamData.soldAmount),
-              }));
-              setActiveStreams(newStreams);
-            }
-          })
-        ]);
+      const { receipt } = await sendTransaction(call.method, call.args, {
+        allowance: vusdcAllowance(priceWei),
+        permit: call.permit,
+        label: isPartial ? `Buy ${fillPercentage}% of order` : 'Buy stream',
+        messages: { pending: 'Buying stream...', success: 'Stream purchased successfully!' },
+        onEvent: (event) => {
+          // A replacement (e.g. sped up in the wallet) carries the new hash
+          if (onSubmitted && (event.type === TX_EVENT.SUBMITTED || event.type === TX_EVENT.REPLACED)) {
+            onSubmitted(event.hash);
+          }
+        },
+      });
 
-        // Update balance
-        const vusdcBalance = await getVUSDCBalance(account);
-        setUser((prev) => ({ ...prev, balanceVUSDC: vusdcBalance }));
-        
-        return {
-          type: 'STREAM_REDIRECTED',
-          purchasePrice: order.price,
-        };
-      } else {
-        throw new Error('Transaction failed');
-      }
+      // Refresh orders, streams and history
+      await Promise.all([
+        fetchOrdersFromContract(),
+        refreshHistory(),
+        fetchUserStreams(account).then((streamsData) => {
+          if (streamsData && streamsData.length > 0) {
+            const newStreams = streamsData.map((streamData) => ({
+              id: streamData.id,
+              sender: streamData.sender,
+              receiver: streamData.receiver,
+              totalDeposit: parseFloat(streamData.totalDeposit),
+              startTime: streamData.startTime,
+              duration: streamData.duration,
+              claimedAmount: parseFloat(streamData.claimedAmount),
+              soldAmount: parseFloat(streamData.soldAmount),
+              pausedAt: streamData.pausedAt,
+              pausedDuration: streamData.pausedDuration,
+              isSoldShare: streamData.isSoldShare,
+              flowedAmount: parseFloat(streamData.claimedAmount),
+              remainingBalance: parseFloat(streamData.totalDeposit) - parseFloat(streamData.claimedAmount) - parseFloat(streamData.soldAmount),
+            }));
+            setActiveStreams(newStreams);
+          }
+        })
+      ]);
+
+      // Update balance
+      const vusdcBalance = await getVUSDCBalance(account);
+      setUser((prev) => ({ ...prev, balanceVUSDC: vusdcBalance }));
+      
+      return {
+        type: 'STREAM_REDIRECTED',
+        purchasePrice: price,
+        percentage: fillPercentage,
+        txHash: receipt.hash,
+      };
     } catch (error) {
       console.error('Error buying stream:', error);
       toast.error(error.message || 'Failed to purchase stream');
       throw error;
     }
-  }, [contract, account, orderBook, getVUSDCBalance, signer, toast, fetchOrdersFromContract, fetchUserStreams]);
+  }, [contract, reader, account, orderBook, getVUSDCBalance, sendTransaction, vusdcAllowance, toast, fetchOrdersFromContract, fetchUserStreams, refreshHistory]);
 
   const createStream = useCallback(async (receiver, totalDeposit, duration) => {
     if (!contract || !account) {
       throw new Error('Wallet not connected');
     }
 
-    setTxStatus({ pending: true, hash: null, success: false, error: null });
-
     try {
-      const result = await createStreamContract(duration, totalDeposit);
-
-      setTxStatus({
-        pending: false,
-        hash: result.txHash,
-        success: result.success,
-        error: null,
+      const result = await createStreamContract(receiver, duration, totalDeposit, {
+        allowance: vusdcAllowance(ethers.parseEther(totalDeposit.toString())),
       });
 
       const vusdcBalance = await getVUSDCBalance(account);
@@ -374,7 +709,7 @@ export const VoltProvider = ({ children }) => {
       return {
         id: streamId,
         sender: account,
-        receiver: account,
+        receiver,
         totalDeposit,
         startTime: Math.floor(Date.now() / 1000),
         duration,
@@ -383,18 +718,99 @@ export const VoltProvider = ({ children }) => {
       };
     } catch (error) {
       console.error('Error creating stream:', error);
-      setTxStatus({
-        pending: false,
-        hash: null,
-        success: false,
-        error: error.message,
-      });
       throw error;
     }
-  }, [contract, account, createStreamContract, getVUSDCBalance]);
+  }, [contract, account, createStreamContract, getVUSDCBalance, vusdcAllowance]);
+
+  // Claim everything vested from several streams in one transaction
+  const claimAllStreams = useCallback(async (streamIds) => {
+    if (!contract || !account) {
+      throw new Error('Wallet not connected');
+    }
+
+    try {
+      const result = await withdrawMany(streamIds);
+      toast.success(`Claimed ${result.total.toFixed(6)} vUSDC from ${result.withdrawals.length} streams`);
+
+      // Apply the claims right away; the stream poll picks up the rest
+      const claimed = new Map(result.withdrawals.map((withdrawal) => [withdrawal.streamId, withdrawal.amount]));
+      setActiveStreams((prev) => prev.map((stream) => (claimed.has(stream.id)
+        ? { ...stream, claimedAmount: (stream.claimedAmount || 0) + claimed.get(stream.id) }
+        : stream)));
+
+      const vusdcBalance = await getVUSDCBalance(account);
+      setUser((prev) => ({ ...prev, balanceVUSDC: vusdcBalance }));
+
+      return result;
+    } catch (error) {
+      console.error('Error claiming streams:', error);
+      toast.error(error.message || 'Failed to claim streams');
+      throw error;
+    }
+  }, [contract, account, withdrawMany, toast, getVUSDCBalance]);
+
+  // Cancel a stream the user funds; flowed funds go to the receiver, the rest is refunded
+  const cancelStream = useCallback(async (streamId) => {
+    if (!contract || !account) {
+      throw new Error('Wallet not connected');
+    }
+
+    try {
+      const result = await cancelStreamContract(streamId);
+      toast.success(`Stream cancelled, ${result.refund.toFixed(6)} vUSDC refunded`);
+
+      // Only the stream itself is closed; shares sold out of it keep streaming
+      const cancelledIds = new Set(result.payouts.map((payout) => payout.streamId));
+      setActiveStreams((prev) => prev.filter((stream) => !cancelledIds.has(stream.id)));
+
+      const vusdcBalance = await getVUSDCBalance(account);
+      setUser((prev) => ({ ...prev, balanceVUSDC: vusdcBalance }));
+
+      return result;
+    } catch (error) {
+      console.error('Error cancelling stream:', error);
+      toast.error(error.message || 'Failed to cancel stream');
+      throw error;
+    }
+  }, [contract, account, cancelStreamContract, toast, getVUSDCBalance]);
+
+  // Pause or resume a stream funded by the connected wallet (sold shares keep streaming).
+  // Local state is updated right away; the block sync reconciles exact times.
+  const setStreamPaused = useCallback(async (streamId, paused) => {
+    if (!contract || !account) {
+      throw new Error('Wallet not connected');
+    }
+
+    try {
+      const result = paused ? await pauseStreamContract(streamId) : await resumeStreamContract(streamId);
+      toast.success(paused ? 'Stream paused' : 'Stream resumed');
+
+      const now = Math.floor(Date.now() / 1000);
+      const changedIds = new Set(result.streamIds);
+      setActiveStreams((prev) => prev.map((stream) => {
+        if (!changedIds.has(stream.id)) return stream;
+        return paused
+          ? { ...stream, pausedAt: now }
+          : { ...stream, pausedAt: 0, pausedDuration: (stream.pausedDuration || 0) + Math.max(0, now - stream.pausedAt) };
+      }));
+
+      return result;
+    } catch (error) {
+      console.error(`Error ${paused ? 'pausing' : 'resuming'} stream:`, error);
+      toast.error(error.message || `Failed to ${paused ? 'pause' : 'resume'} stream`);
+      throw error;
+    }
+  }, [contract, account, pauseStreamContract, resumeStreamContract, toast]);
+
+  const pauseStream = useCallback((streamId) => setStreamPaused(streamId, true), [setStreamPaused]);
+  const resumeStream = useCallback((streamId) => setStreamPaused(streamId, false), [setStreamPaused]);
 
   // NEW: List stream for sale via contract
-  const listStreamForSale = useCallback(async (streamId, percentage, priceRatio, sellerHistory = []) => {
+  // Pricing: fixed at priceRatio of the value now (default), `auction`
+  // ({ floorRatio, decayDuration }) for a Dutch auction starting there, or
+  // `ratioPriced` to keep asking priceRatio of the value at fill time.
+  // `expiresAt` (Unix seconds) ends the listing, 0 keeps it until cancelled.
+  const listStreamForSale = useCallback(async (streamId, percentage, priceRatio, sellerHistory = [], { auction = null, ratioPriced = false, expiresAt = 0 } = {}) => {
     if (!contract || !account) {
       throw new Error('Wallet not connected');
     }
@@ -408,38 +824,47 @@ export const VoltProvider = ({ children }) => {
     const riskAssessment = calculateStreamRisk(stream, sellerHistory);
 
     // Calculate price
-    const streamValue = stream.remainingBalance * (percentage / 100);
+    const streamValue = (getUnvestedAmount(stream) * percentage) / 100;
     const price = streamValue * priceRatio;
-    const priceWei = ethers.parseEther(price.toString());
+    const priceWei = ethers.parseUnits(price.toFixed(18));
 
     try {
-      toast.info('Creating sell order...');
-      
-      const tx = await contract.createOrder(streamId, priceWei, percentage);
-      
-      // Wait for transaction confirmation FIRST
-      const receipt = await tx.wait();
-      
-      if (receipt.status === 1) {
-        // Show success AFTER confirmation
-        toast.success('Order created successfully!');
-        
-        // Refresh orders
-        await fetchOrdersFromContract();
-        
-        return {
-          success: true,
-          txHash: receipt.hash,
+      const messages = { pending: 'Creating sell order...', success: 'Order created successfully!' };
+      let call = expiresAt
+        ? { method: 'createOrderWithExpiry', args: [streamId, priceWei, percentage, expiresAt], label: 'Create order' }
+        : { method: 'createOrder', args: [streamId, priceWei, percentage], label: 'Create order' };
+      if (ratioPriced) {
+        call = {
+          method: 'createRatioOrder',
+          args: [streamId, Math.round(priceRatio * RATIO_DENOMINATOR), percentage, expiresAt],
+          label: 'Create ratio-priced order',
         };
-      } else {
-        throw new Error('Transaction failed');
+      } else if (auction) {
+        const floorPriceWei = ethers.parseUnits((streamValue * auction.floorRatio).toFixed(18));
+        call = {
+          method: 'createDutchOrder',
+          args: [streamId, priceWei, floorPriceWei, percentage, auction.decayDuration, expiresAt],
+          label: 'Create Dutch auction',
+        };
+        messages.pending = 'Creating Dutch auction...';
+        messages.success = 'Dutch auction created successfully!';
       }
+
+      const { receipt } = await sendTransaction(call.method, call.args, { label: call.label, messages });
+
+      // Refresh orders and history
+      await Promise.all([fetchOrdersFromContract(), refreshHistory()]);
+
+      return {
+        success: true,
+        txHash: receipt.hash,
+      };
     } catch (error) {
       console.error('Error creating order:', error);
       toast.error(error.message || 'Failed to create order');
       throw error;
     }
-  }, [contract, account, activeStreams, toast, fetchOrdersFromContract]);
+  }, [contract, account, activeStreams, sendTransaction, toast, fetchOrdersFromContract, refreshHistory]);
 
   // NEW: Cancel order via contract
   const cancelOrder = useCallback(async (orderId) => {
@@ -448,193 +873,284 @@ export const VoltProvider = ({ children }) => {
     }
 
     try {
-      toast.info('Cancelling order...');
-      
-      const tx = await contract.cancelOrder(orderId);
-      
-      // Wait for transaction confirmation FIRST
-      const receipt = await tx.wait();
-      
-      if (receipt.status === 1) {
-        // Show success AFTER confirmation
-        toast.success('Order cancelled successfully!');
-        
-        // Refresh orders
-        await fetchOrdersFromContract();
-        
-        return true;
-      } else {
-        throw new Error('Transaction failed');
-      }
+      await sendTransaction('cancelOrder', [orderId], {
+        label: 'Cancel order',
+        messages: { pending: 'Cancelling order...', success: 'Order cancelled successfully!' },
+      });
+
+      // Refresh orders and history
+      await Promise.all([fetchOrdersFromContract(), refreshHistory()]);
+
+      return true;
     } catch (error) {
       console.error('Error cancelling order:', error);
       toast.error(error.message || 'Failed to cancel order');
       throw error;
     }
-  }, [contract, account, toast, fetchOrdersFromContract]);
+  }, [contract, account, sendTransaction, toast, fetchOrdersFromContract, refreshHistory]);
 
-  // Bids - Keep existing functionality (localStorage based)
-  const placeBid = useCallback((orderId, amount, discount) => {
-    const order = orderBook.find((o) => o.id === orderId);
-    if (!order) {
-      throw new Error('Order not found');
+  // Relist what is left of an order (typically an expired one) on the same terms
+  const relistOrder = useCallback(async (orderId, expiresAt = 0) => {
+    if (!contract || !account) {
+      throw new Error('Wallet not connected');
+    }
+
+    try {
+      const { receipt } = await sendTransaction('relistOrder', [orderId, expiresAt], {
+        label: 'Relist order',
+        messages: { pending: 'Relisting order...', success: 'Order relisted successfully!' },
+      });
+
+      // Refresh orders and history
+      await Promise.all([fetchOrdersFromContract(), refreshHistory()]);
+
+      return {
+        success: true,
+        txHash: receipt.hash,
+      };
+    } catch (error) {
+      console.error('Error relisting order:', error);
+      toast.error(error.message || 'Failed to relist order');
+      throw error;
     }
+  }, [contract, account, sendTransaction, toast, fetchOrdersFromContract, refreshHistory]);
 
-    if (!user.address) {
+  // Bids - escrowed on-chain, settled by the seller via acceptBid
+  const placeBid = useCallback(async (orderId, amount) => {
+    if (!contract || !account) {
       throw new Error('Please connect your wallet first');
     }
 
-    const priceRatio = 1 - (discount / 100);
-    const newBid = {
-      id: `bid_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
-      orderId,
-      bidder: user.address,
-      amount: parseFloat(amount),
-      discount: parseFloat(discount),
-      priceRatio,
-      status: 'pending',
-      createdAt: Math.floor(Date.now() / 1000),
-    };
+    try {
+      const order = orderBook.find((o) => o.id === orderId);
+      if (!order) {
+        throw new Error('Order not found');
+      }
+      if (isOrderExpired(order)) {
+        throw new Error('This order has expired');
+      }
 
-    setBids((prev) => {
-      const updated = [...prev, newBid];
-      localStorage.setItem('volt_bids', JSON.stringify(updated));
-      return updated;
-    });
+      const bidAmount = parseFloat(amount);
+      if (!bidAmount || bidAmount <= 0) {
+        throw new Error('Bid amount must be greater than 0');
+      }
 
-    return newBid;
-  }, [orderBook, user.address]);
+      const balance = await getVUSDCBalance(account);
+      if (balance < bidAmount) {
+        throw new Error(`Insufficient vUSDC balance. Need ${bidAmount.toFixed(6)} vUSDC`);
+      }
+
+      const amountWei = ethers.parseEther(bidAmount.toString());
+      const { receipt } = await sendTransaction('placeBid', [orderId, amountWei], {
+        allowance: vusdcAllowance(amountWei),
+        permit: { method: 'placeBidWithPermit', args: [orderId, amountWei] },
+        label: 'Place bid',
+        messages: { pending: 'Placing bid...', success: `Bid placed! ${bidAmount.toFixed(6)} vUSDC held in escrow` },
+      });
+
+      await fetchBidsFromContract();
+      const vusdcBalance = await getVUSDCBalance(account);
+      setUser((prev) => ({ ...prev, balanceVUSDC: vusdcBalance }));
+
+      return {
+        success: true,
+        txHash: receipt.hash,
+      };
+    } catch (error) {
+      console.error('Error placing bid:', error);
+      toast.error(error.message || 'Failed to place bid');
+      throw error;
+    }
+  }, [contract, account, orderBook, getVUSDCBalance, sendTransaction, vusdcAllowance, toast, fetchBidsFromContract]);
 
-  const cancelBid = useCallback((bidId) => {
-    const bid = bids.find((b) => b.id === bidId);
-    if (!bid) {
-      throw new Error('Bid not found');
+  const cancelBid = useCallback(async (bidId) => {
+    if (!contract || !account) {
+      throw new Error('Wallet not connected');
     }
 
-    if (bid.bidder.toLowerCase() !== user.address?.toLowerCase()) {
-      throw new Error('You can only cancel your own bids');
+    try {
+      const bid = bids.find((b) => b.id === bidId);
+      if (!bid) {
+        throw new Error('Bid not found');
+      }
+
+      if (bid.bidder.toLowerCase() !== account.toLowerCase()) {
+        throw new Error('You can only cancel your own bids');
+      }
+
+      if (bid.status !== 'pending') {
+        throw new Error('Only pending bids can be cancelled');
+      }
+
+      await sendTransaction('cancelBid', [bidId], {
+        label: 'Cancel bid',
+        messages: { pending: 'Cancelling bid...', success: 'Bid cancelled, escrow refunded' },
+      });
+
+      await fetchBidsFromContract();
+      const vusdcBalance = await getVUSDCBalance(account);
+      setUser((prev) => ({ ...prev, balanceVUSDC: vusdcBalance }));
+
+      return true;
+    } catch (error) {
+      console.error('Error cancelling bid:', error);
+      toast.error(error.message || 'Failed to cancel bid');
+      throw error;
     }
+  }, [contract, account, bids, getVUSDCBalance, sendTransaction, toast, fetchBidsFromContract]);
 
-    if (bid.status !== 'pending') {
-      throw new Error('Only pending bids can be cancelled');
+  // Standing buy orders - escrowed on-chain, matched as orders are listed or by keepers
+  const placeBuyOrder = useCallback(async (budget, minDiscount, maxDuration = 0) => {
+    if (!contract || !account) {
+      throw new Error('Please connect your wallet first');
     }
 
-    setBids((prev) => {
-      const updated = prev.map((b) =>
-        b.id === bidId ? { ...b, status: 'cancelled' } : b
-      );
-      localStorage.setItem('volt_bids', JSON.stringify(updated));
-      return updated;
-    });
+    try {
+      const budgetAmount = parseFloat(budget);
+      if (!budgetAmount || budgetAmount <= 0) {
+        throw new Error('Budget must be greater than 0');
+      }
+
+      const discount = parseFloat(minDiscount) || 0;
+      if (discount < 0 || discount >= 100) {
+        throw new Error('Minimum discount must be between 0 and 100%');
+      }
 
-    return true;
-  }, [bids, user.address]);
+      const balance = await getVUSDCBalance(account);
+      if (balance < budgetAmount) {
+        throw new Error(`Insufficient vUSDC balance. Need ${budgetAmount.toFixed(6)} vUSDC`);
+      }
 
-  const acceptBid = useCallback((bidId) => {
-    // Keep existing bid acceptance logic (not on contract yet)
-    const bid = bids.find((b) => b.id === bidId);
-    if (!bid) throw new Error('Bid not found');
-    
-    const order = orderBook.find((o) => o.id === bid.orderId);
-    if (!order) throw new Error('Order not found');
-    
-    if (order.seller.toLowerCase() !== user.address?.toLowerCase()) {
-      throw new Error('Only the seller can accept bids');
+      const budgetWei = ethers.parseEther(budgetAmount.toString());
+      const args = [budgetWei, Math.round((discount / 100) * RATIO_DENOMINATOR), Math.max(0, Math.floor(maxDuration))];
+      const { receipt } = await sendTransaction('placeBuyOrder', args, {
+        allowance: vusdcAllowance(budgetWei),
+        permit: { method: 'placeBuyOrderWithPermit', args },
+        label: 'Place buy order',
+        messages: { pending: 'Placing buy order...', success: `Buy order placed! ${budgetAmount.toFixed(6)} vUSDC held in escrow` },
+      });
+
+      await fetchBuyOrdersFromContract();
+      const vusdcBalance = await getVUSDCBalance(account);
+      setUser((prev) => ({ ...prev, balanceVUSDC: vusdcBalance }));
+
+      return {
+        success: true,
+        txHash: receipt.hash,
+      };
+    } catch (error) {
+      console.error('Error placing buy order:', error);
+      toast.error(error.message || 'Failed to place buy order');
+      throw error;
     }
-    
-    if (bid.status !== 'pending') {
-      throw new Error('Only pending bids can be accepted');
+  }, [contract, account, getVUSDCBalance, sendTransaction, vusdcAllowance, toast, fetchBuyOrdersFromContract]);
+
+  const cancelBuyOrder = useCallback(async (buyOrderId) => {
+    if (!contract || !account) {
+      throw new Error('Wallet not connected');
     }
 
-    const stream = activeStreams.find((s) => s.id === order.streamId);
-    if (!stream) throw new Error('Stream not found');
+    try {
+      const buy = buyOrders.find((b) => b.id === buyOrderId);
+      if (!buy) {
+        throw new Error('Buy order not found');
+      }
 
-    setBids((prev) => {
-      const updated = prev.map((b) =>
-        b.id === bidId ? { ...b, status: 'accepted' } : b
-      );
-      localStorage.setItem('volt_bids', JSON.stringify(updated));
-      return updated;
-    });
+      if (!buy.isActive) {
+        throw new Error('Only active buy orders can be cancelled');
+      }
 
-    setOrderBook((prevOrders) => prevOrders.filter((o) => o.id !== order.id));
-    setActiveStreams((prevStreams) =>
-      prevStreams.map((s) =>
-        s.id === order.streamId ? { ...s, receiver: bid.bidder } : s
-      )
-    );
+      await sendTransaction('cancelBuyOrder', [buyOrderId], {
+        label: 'Cancel buy order',
+        messages: { pending: 'Cancelling buy order...', success: 'Buy order cancelled, escrow refunded' },
+      });
 
-    setUser((prev) => ({
-      ...prev,
-      balanceVUSDC: prev.balanceVUSDC - bid.amount,
-    }));
+      await fetchBuyOrdersFromContract();
+      const vusdcBalance = await getVUSDCBalance(account);
+      setUser((prev) => ({ ...prev, balanceVUSDC: vusdcBalance }));
 
-    const tradeEntry = {
-      id: `trade_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
-      orderId: order.id,
-      streamId: stream.id,
-      seller: order.seller,
-      buyer: bid.bidder,
-      amount: (stream.remainingBalance * order.percentage) / 100,
-      price: bid.amount,
-      percentage: order.percentage,
-      executedAt: Math.floor(Date.now() / 1000),
-      txHash: null,
-      viaBid: true,
-      bidId,
-    };
-    setTradeHistory((prev) => {
-      const updated = [...prev, tradeEntry];
-      localStorage.setItem('volt_trade_history', JSON.stringify(updated));
-      return updated;
-    });
+      return true;
+    } catch (error) {
+      console.error('Error cancelling buy order:', error);
+      toast.error(error.message || 'Failed to cancel buy order');
+      throw error;
+    }
+  }, [contract, account, buyOrders, getVUSDCBalance, sendTransaction, toast, fetchBuyOrdersFromContract]);
 
-    return {
-      type: 'BID_ACCEPTED',
-      bidId,
-      orderId: order.id,
-      streamId: stream.id,
-      purchasePrice: bid.amount,
-    };
-  }, [bids, orderBook, activeStreams, user.address]);
+  const acceptBid = useCallback(async (bidId) => {
+    if (!contract || !account) {
+      throw new Error('Wallet not connected');
+    }
+
+    try {
+      const bid = bids.find((b) => b.id === bidId);
+      if (!bid) throw new Error('Bid not found');
+
+      const order = orderBook.find((o) => o.id === bid.orderId);
+      if (!order) throw new Error('Order not found');
 
-  const rejectBid = useCallback((bidId) => {
-    const bid = bids.find((b) => b.id === bidId);
-    if (!bid) throw new Error('Bid not found');
+      if (order.seller.toLowerCase() !== account.toLowerCase()) {
+        throw new Error('Only the seller can accept bids');
+      }
+
+      if (bid.status !== 'pending') {
+        throw new Error('Only pending bids can be accepted');
+      }
+
+      const { receipt } = await sendTransaction('acceptBid', [bidId], {
+        label: 'Accept bid',
+        messages: { pending: 'Accepting bid...', success: 'Bid accepted! Trade executed successfully.' },
+      });
 
-    const order = orderBook.find((o) => o.id === bid.orderId);
-    if (!order) throw new Error('Order not found');
+      await Promise.all([fetchOrdersFromContract(), fetchBidsFromContract(), refreshHistory()]);
+      const vusdcBalance = await getVUSDCBalance(account);
+      setUser((prev) => ({ ...prev, balanceVUSDC: vusdcBalance }));
 
-    if (order.seller.toLowerCase() !== user.address?.toLowerCase()) {
-      throw new Error('Only the seller can reject bids');
+      return {
+        type: 'BID_ACCEPTED',
+        bidId,
+        orderId: order.id,
+        streamId: order.streamId,
+        purchasePrice: bid.amount,
+        txHash: receipt.hash,
+      };
+    } catch (error) {
+      console.error('Error accepting bid:', error);
+      toast.error(error.message || 'Failed to accept bid');
+      throw error;
     }
+  }, [contract, account, bids, orderBook, getVUSDCBalance, sendTransaction, toast, fetchOrdersFromContract, fetchBidsFromContract, refreshHistory]);
 
-    if (bid.status !== 'pending') {
-      throw new Error('Only pending bids can be rejected');
+  const rejectBid = useCallback(async (bidId) => {
+    if (!contract || !account) {
+      throw new Error('Wallet not connected');
     }
 
-    setBids((prev) => {
-      const updated = prev.map((b) =>
-        b.id === bidId ? { ...b, status: 'rejected' } : b
-      );
-      localStorage.setItem('volt_bids', JSON.stringify(updated));
-      return updated;
-    });
+    try {
+      const bid = bids.find((b) => b.id === bidId);
+      if (!bid) throw new Error('Bid not found');
 
-    return true;
-  }, [bids, orderBook, user.address]);
+      if (!bid.seller || bid.seller.toLowerCase() !== account.toLowerCase()) {
+        throw new Error('Only the seller can reject bids');
+      }
 
-  useEffect(() => {
-    localStorage.setItem('volt_bids', JSON.stringify(bids));
-  }, [bids]);
+      if (bid.status !== 'pending') {
+        throw new Error('Only pending bids can be rejected');
+      }
 
-  useEffect(() => {
-    localStorage.setItem('volt_order_history', JSON.stringify(orderHistory));
-  }, [orderHistory]);
+      await sendTransaction('rejectBid', [bidId], {
+        label: 'Reject bid',
+        messages: { pending: 'Rejecting bid...', success: 'Bid rejected, escrow returned to bidder' },
+      });
 
-  useEffect(() => {
-    localStorage.setItem('volt_trade_history', JSON.stringify(tradeHistory));
-  }, [tradeHistory]);
+      await fetchBidsFromContract();
+      return true;
+    } catch (error) {
+      console.error('Error rejecting bid:', error);
+      toast.error(error.message || 'Failed to reject bid');
+      throw error;
+    }
+  }, [contract, account, bids, sendTransaction, toast, fetchBidsFromContract]);
 
   useEffect(() => {
     if (account && account !== user.address) {
@@ -644,7 +1160,9 @@ export const VoltProvider = ({ children }) => {
     }
   }, [account, user.address]);
 
-  useEffect(() => {
+  // Streams and balances of the connected account, read together so they
+  // share a multicall batch
+  const refreshAccountData = useCallback(async () => {
     if (!account || !contract) return;
 
     const fetchUserStreamsData = async () => {
@@ -654,12 +1172,16 @@ export const VoltProvider = ({ children }) => {
         if (streamsData && streamsData.length > 0) {
           const newStreams = streamsData.map((streamData) => ({
             id: streamData.id,
-            sender: account,
-            receiver: account,
+            sender: streamData.sender,
+            receiver: streamData.receiver,
             totalDeposit: parseFloat(streamData.totalDeposit),
             startTime: streamData.startTime,
             duration: streamData.duration,
             claimedAmount: parseFloat(streamData.claimedAmount),
+            soldAmount: parseFloat(streamData.soldAmount),
+            pausedAt: streamData.pausedAt,
+            pausedDuration: streamData.pausedDuration,
+            isSoldShare: streamData.isSoldShare,
             flowedAmount: parseFloat(streamData.claimedAmount),
             remainingBalance: parseFloat(streamData.totalDeposit) - parseFloat(streamData.claimedAmount) - parseFloat(streamData.soldAmount),
           }));
@@ -673,15 +1195,6 @@ export const VoltProvider = ({ children }) => {
       }
     };
 
-    fetchUserStreamsData();
-    const interval = setInterval(fetchUserStreamsData, 10000);
-
-    return () => clearInterval(interval);
-  }, [account, contract, fetchUserStreams]);
-
-  useEffect(() => {
-    if (!account || !contract) return;
-
     const fetchBalance = async () => {
       try {
         const [balance, vusdcBalance] = await Promise.all([
@@ -698,133 +1211,120 @@ export const VoltProvider = ({ children }) => {
       }
     };
 
-    fetchBalance();
-    const interval = setInterval(fetchBalance, 30000);
+    await Promise.all([fetchUserStreamsData(), fetchBalance()]);
+  }, [account, contract, fetchUserStreams, getUSDCBalance, getVUSDCBalance]);
 
-    return () => clearInterval(interval);
-  }, [account, contract, getUSDCBalance, getVUSDCBalance]);
+  // Initial load; afterwards the block sync below keeps it current
+  useEffect(() => {
+    refreshAccountData();
+  }, [refreshAccountData]);
+
+  /**
+   * Reconcile state from the VoltProtocol logs of newly synced blocks:
+   * closed orders leave the book immediately, then only the affected
+   * reads (orders, bids, the account's streams and balances) are refetched
+   */
+  const reconcileBlockEvents = useCallback((events) => {
+    if (events.length === 0) return;
+
+    events.forEach((event) => {
+      if (event.args.streamId !== undefined) {
+        streamCacheRef.current.delete(event.args.streamId.toString());
+      }
+    });
 
-  const toastRef = useRef(toast);
+    // Partially filled orders stay listed and are refetched below
+    const closedOrderIds = new Set(
+      events
+        .filter((event) => event.name === 'OrderCancelled'
+          || (event.name === 'OrderFilled' && event.args.remainingPercentage === 0n))
+        .map((event) => event.args.orderId.toString())
+    );
+    if (closedOrderIds.size > 0) {
+      setOrderBook((prev) => prev.filter((order) => !closedOrderIds.has(order.id)));
+    }
+
+    const names = new Set(events.map((event) => event.name));
+    const touches = (eventNames) => eventNames.some((name) => names.has(name));
+
+    if (touches([...ORDER_EVENTS, ...PAUSE_EVENTS, 'StreamSold'])) {
+      fetchOrdersFromContract();
+    }
+    if (account && touches([...BID_EVENTS, 'OrderFilled', 'OrderCancelled'])) {
+      fetchBidsFromContract();
+    }
+    if (account && touches(BUY_ORDER_EVENTS)) {
+      fetchBuyOrdersFromContract();
+    }
+
+    const ownEvents = getUserActivity(events, account);
+    if (ownEvents.length > 0) {
+      refreshAccountData();
+    }
+    ownEvents
+      .filter((event) => event.name === 'OrderFilled' && event.args.seller.toLowerCase() === account.toLowerCase())
+      .forEach((event) => {
+        const filled = event.args.remainingPercentage === 0n ? 'filled' : `${event.args.percentage}% filled`;
+        toastRef.current.success(`Order #${event.args.orderId} ${filled} for ${ethers.formatEther(event.args.price)} vUSDC`);
+      });
+    ownEvents
+      .filter((event) => event.name === 'BuyOrderMatched')
+      .forEach((event) => {
+        toastRef.current.success(`Buy order #${event.args.buyOrderId} bought order #${event.args.orderId} for ${ethers.formatEther(event.args.price)} vUSDC`);
+      });
+
+    if (touches(INDEXED_EVENTS)) {
+      refreshHistory();
+    }
+  }, [account, fetchOrdersFromContract, fetchBidsFromContract, fetchBuyOrdersFromContract, refreshAccountData, refreshHistory]);
+
+  /**
+   * Blocks were reorged out: drop everything read from them and reload
+   */
+  const handleReorg = useCallback(({ fromBlock }) => {
+    streamCacheRef.current.clear();
+    if (reader) reader.invalidate();
+    rewindHistory(fromBlock - 1);
+    fetchOrdersFromContract();
+    fetchBidsFromContract();
+    fetchBuyOrdersFromContract();
+    refreshAccountData();
+  }, [reader, rewindHistory, fetchOrdersFromContract, fetchBidsFromContract, fetchBuyOrdersFromContract, refreshAccountData]);
+
+  const blockHandlersRef = useRef({ reconcileBlockEvents, handleReorg });
   useEffect(() => {
-    toastRef.current = toast;
-  }, [toast]);
+    blockHandlersRef.current = { reconcileBlockEvents, handleReorg };
+  }, [reconcileBlockEvents, handleReorg]);
 
+  // Follow new blocks (subscription, or polling when unsupported)
   useEffect(() => {
-    if (!contract || !setupEventListeners) return;
-
-    const cleanup = setupEventListeners(
-      (event) => {
-        if (account && event.streamId) {
-          fetchStreamFromContract(event.streamId).then((streamData) => {
-            if (streamData && streamData.isActive) {
-              const stream = {
-                id: streamData.id,
-                sender: account,
-                receiver: account,
-                totalDeposit: parseFloat(streamData.totalDeposit),
-                startTime: streamData.startTime,
-                duration: streamData.duration,
-                claimedAmount: parseFloat(streamData.claimedAmount),
-                remainingBalance: parseFloat(streamData.totalDeposit) - parseFloat(streamData.claimedAmount) - parseFloat(streamData.soldAmount),
-              };
-
-              setActiveStreams((prev) => {
-                const existingIndex = prev.findIndex((s) => s.id === streamData.id);
-                if (existingIndex >= 0) {
-                  const updated = [...prev];
-                  updated[existingIndex] = stream;
-                  return updated;
-                } else {
-                  return [...prev, stream];
-                }
-              });
-            }
-          });
-        }
-      },
-      (event) => {
-        toastRef.current.success(`Stream sold! Amount: ${event.amountSold} vUSDC`);
-        if (account && event.streamId) {
-          fetchStreamFromContract(event.streamId).then((streamData) => {
-            if (streamData) {
-              const stream = {
-                id: streamData.id,
-                sender: account,
-                receiver: account,
-                totalDeposit: parseFloat(streamData.totalDeposit),
-                startTime: streamData.startTime,
-                duration: streamData.duration,
-                claimedAmount: parseFloat(streamData.claimedAmount),
-                remainingBalance: parseFloat(streamData.totalDeposit) - parseFloat(streamData.claimedAmount) - parseFloat(streamData.soldAmount),
-              };
-
-              setActiveStreams((prev) => {
-                const existingIndex = prev.findIndex((s) => s.id === streamData.id);
-                if (existingIndex >= 0) {
-                  const updated = [...prev];
-                  updated[existingIndex] = stream;
-                  return updated;
-                } else {
-                  return [...prev, stream];
-                }
-              });
-            }
-          });
-        }
-      },
-      (event) => {
-        if (account && event.streamId) {
-          Promise.all([
-            fetchStreamFromContract(event.streamId),
-            getUSDCBalance(account),
-            getVUSDCBalance ? getVUSDCBalance(account) : Promise.resolve(0),
-          ]).then(([streamData, balance, vusdcBalance]) => {
-            if (streamData) {
-              const stream = {
-                id: streamData.id,
-                sender: account,
-                receiver: account,
-                totalDeposit: parseFloat(streamData.totalDeposit),
-                startTime: streamData.startTime,
-                duration: streamData.duration,
-                claimedAmount: parseFloat(streamData.claimedAmount),
-                remainingBalance: parseFloat(streamData.totalDeposit) - parseFloat(streamData.claimedAmount) - parseFloat(streamData.soldAmount),
-              };
-
-              setActiveStreams((prev) => {
-                const existingIndex = prev.findIndex((s) => s.id === streamData.id);
-                if (existingIndex >= 0) {
-                  const updated = [...prev];
-                  updated[existingIndex] = stream;
-                  return updated;
-                } else {
-                  return [...prev, stream];
-                }
-              });
-            }
-
-            setUser((prev) => ({
-              ...prev,
-              balanceUSDC: balance !== null && balance !== undefined ? balance : prev.balanceUSDC,
-              balanceVUSDC: vusdcBalance !== null && vusdcBalance !== undefined ? vusdcBalance : prev.balanceVUSDC,
-            }));
-          });
-        }
-      }
-    );
+    if (!contract) return undefined;
+
+    const blockSync = createBlockSync({
+      contract,
+      confirmations: BLOCK_SYNC_CONFIG.confirmations,
+      pollInterval: BLOCK_SYNC_CONFIG.pollInterval,
+      onEvents: (events) => blockHandlersRef.current.reconcileBlockEvents(events),
+      onReorg: (range) => blockHandlersRef.current.handleReorg(range),
+    });
+    blockSync.start();
 
-    return () => {
-      if (cleanup) cleanup();
-    };
+    return () => blockSync.stop();
   }, [contract]);
 
   const value = {
     user,
     activeStreams,
     orderBook,
+    expiredOrders,
     bids,
+    buyOrders,
     orderHistory,
     tradeHistory,
+    historyEvents,
+    isHistorySyncing,
+    historySyncProgress,
+    refreshHistory,
     txStatus,
     provider,
     signer,
@@ -839,16 +1339,30 @@ export const VoltProvider = ({ children }) => {
     createStream,
     listStreamForSale,
     cancelOrder,
+    relistOrder,
     placeBid,
     cancelBid,
     acceptBid,
     rejectBid,
+    placeBuyOrder,
+    cancelBuyOrder,
     withdrawFromStream,
+    claimAllStreams,
+    previewCancelStream,
+    cancelStream,
+    pauseStream,
+    resumeStream,
     sellShare,
     getVUSDCBalance,
     getFaucetBalance,
     requestVUSDCFromFaucet,
+    approvalPolicy,
+    setApprovalPolicy,
+    getVUSDCAllowances,
+    setVUSDCAllowance,
     fetchOrdersFromContract, // NEW
+    fetchBidsFromContract,
+    fetchBuyOrdersFromContract,
     setUser,
     setActiveStreams,
     setOrderBook,
@@ -0,0 +1,39 @@
+import { useState, useEffect } from 'react';
+import { getCurrentAsk, getFloorTime, isDutchOrder } from '../utils/orderPricing';
+
+/**
+ * useDutchAuctionPrice - Live ask of a sell order
+ *
+ * Dutch auctions lower their ask every second until they reach the floor;
+ * this re-evaluates the contract's pricing once per second until then.
+ * Fixed-price orders never tick.
+ *
+ * @param {Object} order - Order from VoltContext's orderBook
+ * @returns {Object} { ask, secondsToFloor, isDutch } - ask in vUSDC for
+ *   everything left in the order, secondsToFloor 0 once at the floor
+ */
+export const useDutchAuctionPrice = (order) => {
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+  const isDutch = isDutchOrder(order);
+  const floorTime = getFloorTime(order);
+  const isDecaying = isDutch && now < floorTime;
+
+  useEffect(() => {
+    if (!isDecaying) return;
+
+    const interval = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(interval);
+  }, [isDecaying]);
+
+  if (!isDutch) {
+    return { ask: order ? order.price : 0, secondsToFloor: 0, isDutch };
+  }
+
+  return {
+    ask: getCurrentAsk(order, now),
+    secondsToFloor: Math.max(0, floorTime - now),
+    isDutch,
+  };
+};
+
+export default useDutchAuctionPrice;
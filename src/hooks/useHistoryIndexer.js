@@ -0,0 +1,170 @@
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { INDEXER_CONFIG } from '../config';
+import {
+  openHistoryStore,
+  syncHistory,
+  sortEvents,
+  buildOrderHistory,
+  buildTradeHistory,
+} from '../utils/historyIndexer';
+
+/**
+ * useHistoryIndexer - Event-sourced trade and order history
+ *
+ * Loads previously indexed events from IndexedDB, then incrementally
+ * indexes new VoltProtocol events up to the chain head. After a reorg,
+ * rewind() drops the events of the replaced blocks before re-indexing.
+ * A refresh or rewind requested mid-sync runs once that sync is done.
+ *
+ * @param {ethers.Contract|null} contract - VoltProtocol contract instance
+ * @param {Object} options
+ * @param {boolean} options.poll - Refresh on INDEXER_CONFIG.pollInterval; turn
+ *   off when something else (e.g. block sync) calls refresh
+ * @returns {Object} Indexed events, derived histories and sync state
+ */
+
+export const useHistoryIndexer = (contract, { poll = true } = {}) => {
+  const [events, setEvents] = useState([]);
+  const [isSyncing, setIsSyncing] = useState(false);
+  const [lastIndexedBlock, setLastIndexedBlock] = useState(null);
+  // { toBlock, latestBlock } of the sync in flight, null when idle
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const storeRef = useRef(null);
+  const runningRef = useRef(null);
+  const rerunRef = useRef(false);
+  // Lowest block to rewind to before the next sync pass
+  const rewindRef = useRef(null);
+
+  const mergeEvents = useCallback((newEvents) => {
+    if (newEvents.length === 0) return;
+    setEvents((prev) => {
+      const byId = new Map(prev.map((event) => [event.id, event]));
+      newEvents.forEach((event) => byId.set(event.id, event));
+      return sortEvents(Array.from(byId.values()));
+    });
+  }, []);
+
+  const syncOnce = useCallback(async (store) => {
+    const rewindTo = rewindRef.current;
+    if (rewindTo !== null) {
+      rewindRef.current = null;
+      setEvents((prev) => prev.filter((event) => event.blockNumber <= rewindTo));
+      setLastIndexedBlock((prev) => (prev !== null ? Math.min(prev, rewindTo) : prev));
+      try {
+        await store.rewind(rewindTo);
+      } catch (err) {
+        console.error('❌ History rewind failed:', err);
+      }
+    }
+
+    try {
+      const { newEvents, lastBlock } = await syncHistory({
+        contract,
+        store,
+        fromBlock: INDEXER_CONFIG.deploymentBlock,
+        chunkSize: INDEXER_CONFIG.chunkSize,
+        onProgress: ({ toBlock, latestBlock }) => setProgress({ toBlock, latestBlock }),
+      });
+
+      mergeEvents(newEvents);
+      setLastIndexedBlock(lastBlock);
+      setError(null);
+    } catch (err) {
+      console.error('❌ History sync failed:', err);
+      setError(err.message);
+    }
+  }, [contract, mergeEvents]);
+
+  /**
+   * Index up to the chain head. While a sync is in flight, another pass is
+   * queued after it and the in-flight promise returned.
+   */
+  const refresh = useCallback(() => {
+    const store = storeRef.current;
+    if (!contract || !store) return Promise.resolve();
+    if (runningRef.current) {
+      rerunRef.current = true;
+      return runningRef.current;
+    }
+
+    setIsSyncing(true);
+    runningRef.current = (async () => {
+      do {
+        rerunRef.current = false;
+        await syncOnce(store);
+      } while (rerunRef.current && storeRef.current === store);
+    })().finally(() => {
+      runningRef.current = null;
+      setIsSyncing(false);
+      setProgress(null);
+    });
+    return runningRef.current;
+  }, [contract, syncOnce]);
+
+  /**
+   * Forget events above a block (reorged out) and re-index from there.
+   * The rewind waits for a sync in flight, so that sync cannot index the
+   * replaced blocks again after it.
+   */
+  const rewind = useCallback((blockNumber) => {
+    rewindRef.current = rewindRef.current !== null ? Math.min(rewindRef.current, blockNumber) : blockNumber;
+    return refresh();
+  }, [refresh]);
+
+  useEffect(() => {
+    if (!contract) return;
+
+    let cancelled = false;
+    let interval = null;
+
+    const start = async () => {
+      const [network, contractAddress] = await Promise.all([
+        contract.runner.provider.getNetwork(),
+        contract.getAddress(),
+      ]);
+      const store = await openHistoryStore(network.chainId.toString(), contractAddress);
+      if (cancelled) {
+        store.close();
+        return;
+      }
+
+      storeRef.current = store;
+      mergeEvents(await store.getEvents());
+
+      await refresh();
+      if (poll && !cancelled) {
+        interval = setInterval(refresh, INDEXER_CONFIG.pollInterval);
+      }
+    };
+
+    start().catch((err) => {
+      console.error('❌ Failed to start history indexer:', err);
+      setError(err.message);
+    });
+
+    return () => {
+      cancelled = true;
+      if (interval) clearInterval(interval);
+      if (storeRef.current) {
+        storeRef.current.close();
+        storeRef.current = null;
+      }
+    };
+  }, [contract, poll, refresh, mergeEvents]);
+
+  const orderHistory = useMemo(() => buildOrderHistory(events), [events]);
+  const tradeHistory = useMemo(() => buildTradeHistory(events), [events]);
+
+  return {
+    events,
+    orderHistory,
+    tradeHistory,
+    isSyncing,
+    progress,
+    lastIndexedBlock,
+    error,
+    refresh,
+    rewind,
+  };
+};
@@ -1,10 +1,12 @@
 import { useState, useEffect, useRef } from 'react';
+import { getActiveElapsed, getUnvestedAmount, isStreamPaused } from '../utils/streamMath';
 
 /**
  * useLiveStreamPrice - Real-time price calculation hook
  * 
  * Calculates current price every second based on:
- * - Remaining balance (decreases as stream flows)
+ * - Remaining balance (decreases as stream flows, frozen while paused,
+ *   excluding shares already sold)
  * - Discount rate (price ratio)
  * 
  * Formula: Current_Price = (Remaining_Balance * (1 - Discount_Rate))
@@ -37,13 +39,12 @@ export const useLiveStreamPrice = (stream, discountRate = 0.1, isActive = true)
 
     const calculatePrice = () => {
       const now = Math.floor(Date.now() / 1000);
-      const elapsed = Math.max(0, now - stream.startTime);
+      const elapsed = getActiveElapsed(stream, now);
       const totalDuration = stream.duration;
       
       // Calculate remaining balance
       const ratePerSecond = totalDuration > 0 ? stream.totalDeposit / totalDuration : 0;
-      const flowedAmount = Math.min(elapsed * ratePerSecond, stream.totalDeposit);
-      const remaining = Math.max(0, stream.totalDeposit - flowedAmount);
+      const remaining = getUnvestedAmount(stream, now);
       
       // Calculate remaining time
       const remainingTime = Math.max(0, totalDuration - elapsed);
@@ -53,8 +54,8 @@ export const useLiveStreamPrice = (stream, discountRate = 0.1, isActive = true)
       const priceRatio = 1 - discountRate;
       const price = remaining * priceRatio;
       
-      // Calculate price decay per second
-      const priceDecayPerSecond = ratePerSecond * priceRatio;
+      // Calculate price decay per second (none while paused)
+      const priceDecayPerSecond = isStreamPaused(stream) ? 0 : ratePerSecond * priceRatio;
 
       setRemainingBalance(remaining);
       setTimeRemaining(remainingTime);
@@ -0,0 +1,32 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * useOrderExpiryClock - Current time that advances when an order expires
+ *
+ * Instead of ticking every second, schedules one timer for the next
+ * expiresAt among the orders, so lists filtered with isOrderExpired drop an
+ * order the moment it expires rather than on the next refetch.
+ *
+ * @param {Array} orders - Orders with an optional expiresAt (Unix seconds)
+ * @returns {number} Unix seconds as of the last expiry (or mount)
+ */
+export const useOrderExpiryClock = (orders) => {
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+
+  const nextExpiry = orders.reduce(
+    (next, order) => (order.expiresAt > now && order.expiresAt < next ? order.expiresAt : next),
+    Infinity
+  );
+
+  useEffect(() => {
+    if (nextExpiry === Infinity) return;
+
+    const delay = Math.max(0, nextExpiry * 1000 - Date.now());
+    const timer = setTimeout(() => setNow(Math.floor(Date.now() / 1000)), delay);
+    return () => clearTimeout(timer);
+  }, [nextExpiry]);
+
+  return now;
+};
+
+export default useOrderExpiryClock;
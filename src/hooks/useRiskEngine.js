@@ -17,9 +17,10 @@ import { useCallback } from 'react';
  * 
  * @param {Object} stream - Stream object from VoltContext
  * @param {Array} sellerHistory - Array of transaction history objects
+ * @param {number} now - Unix time (seconds) to assess the stream at (defaults to now)
  * @returns {Object} Risk assessment with score, level, and discount
  */
-export const calculateStreamRisk = (stream, sellerHistory = []) => {
+export const calculateStreamRisk = (stream, sellerHistory = [], now = Math.floor(Date.now() / 1000)) => {
   if (!stream || !stream.startTime || !stream.duration || !stream.totalDeposit) {
     return {
       score: 100, // Maximum risk if data is invalid
@@ -34,7 +35,6 @@ export const calculateStreamRisk = (stream, sellerHistory = []) => {
     };
   }
 
-  const now = Math.floor(Date.now() / 1000);
   const elapsed = now - stream.startTime;
   const progress = stream.duration > 0 ? elapsed / stream.duration : 0;
 
@@ -1,6 +1,9 @@
 import { useEffect, useRef, useState, useCallback } from 'react';
 import { useVolt } from '../context/VoltContext';
-import { calculateStreamRisk } from './useRiskEngine';
+import { calculateDiscount } from '../utils/sniperCriteria';
+import { getStrategy } from '../utils/sniperStrategies';
+import { createScannerHandler, DEFAULT_SCAN_INTERVAL } from '../utils/sniperScanner';
+import { loadSniperSession, saveSniperSession, saveSniperJournal } from '../utils/sniperJournal';
 
 /**
  * useSniperBot - Automated Agentic Commerce Agent
@@ -9,38 +12,151 @@ import { calculateStreamRisk } from './useRiskEngine';
  * when orders match user-defined criteria.
  * 
  * User Preferences:
- * - maxRisk: Maximum risk score (0-100, lower = less risk)
- * - minDiscount: Minimum discount percentage (e.g., 10 = 10%)
- * - maxDuration: Maximum stream duration in days
+ * - strategy: ID of a strategy from utils/sniperStrategies (default 'threshold')
+ * - strategyParams: Parameters for the chosen strategy
+ * - maxRisk / minDiscount / maxDuration: Threshold strategy parameters
  * 
  * Logic:
- * - Polls orderBook every 3 seconds
- * - Checks if order.riskScore <= maxRisk
- * - Checks if order discount >= minDiscount
- * - Checks if stream duration <= maxDuration
- * - Automatically calls buyStream() if criteria match
- * - Fires Toast notification on execution
+ * - Scans orderBook every 3 seconds in a Web Worker (utils/sniperScanner),
+ *   which keeps running when the tab is in the background
+ * - The worker receives order book and stream snapshots and asks the
+ *   strategy to buy or skip each order, given the user's portfolio and
+ *   the whole book
+ * - Matches come back to the main thread, which signs: buyStream() is
+ *   called for every order the strategy says to buy
+ * - Keeps the latest decision (with its reason) for every order
+ *
+ * Execution pipeline:
+ * - An order is never bought twice concurrently (per-order in-flight lock)
+ * - At most maxConcurrent purchases are pending at any time
+ * - Each execution is recorded as pending, then confirmed or reverted
+ *   once its receipt is in, together with the transaction hash
+ * - Orders whose purchase reverted are blacklisted for the session
+ *
+ * Persistence (per wallet, see utils/sniperJournal):
+ * - Stats and the full execution journal survive reloads and tab switches
+ * - A bot that was running is never restarted silently: resumeAvailable
+ *   is set and the user chooses resume() or dismissResume()
+ * - Purchases still pending when the page closed are reconciled from
+ *   their receipts; those that failed give back their daily spend
+ *
+ * Spend limits (0 = no limit):
+ * - sessionBudget: total spend since START was pressed
+ * - dailySpendCap: total spend per UTC day, per wallet (kept in localStorage)
+ * - maxSpendPerOrder: orders priced above this are never bought
+ * - maxSellerExposure / maxStreamExposure: session spend per seller / stream
+ * Pending purchases count towards every limit. When a matching order would
+ * breach a limit, the bot stops and fires a toast.
  */
 
 /**
- * Calculate discount from price ratio
- * 
- * @param {number} priceRatio - Price as ratio of face value (0-1)
- * @returns {number} Discount percentage (0-100)
+ * Whether a purchase error is an on-chain revert (mined with status 0, or
+ * rejected by gas estimation) rather than a wallet or network failure
+ *
+ * @param {Error} error - Error thrown by buyStream
+ * @returns {boolean} True if the order itself made the transaction revert
  */
-const calculateDiscount = (priceRatio) => {
-  return (1 - priceRatio) * 100;
+const isRevertError = (error) => {
+  return error?.code === 'CALL_EXCEPTION' || error?.receipt?.status === 0;
 };
 
+const DAILY_SPEND_KEY = 'volt_sniper_daily_spend';
+
+const today = () => new Date().toISOString().slice(0, 10);
+
 /**
- * Calculate stream duration in days
- * 
- * @param {Object} stream - Stream object
- * @returns {number} Duration in days
+ * Read today's bot spend for a wallet (resets when the UTC day changes)
+ *
+ * @param {string} address - Wallet address
+ * @returns {number} vUSDC spent today
+ */
+const loadDailySpend = (address) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(`${DAILY_SPEND_KEY}_${address?.toLowerCase()}`));
+    return saved && saved.date === today() ? saved.amount : 0;
+  } catch {
+    return 0;
+  }
+};
+
+/**
+ * Add to (or, with a negative amount, release from) today's bot spend
+ *
+ * @param {string} address - Wallet address
+ * @param {number} amount - vUSDC to add
+ * @returns {number} Updated spend for today
+ */
+const addDailySpend = (address, amount) => {
+  const total = Math.max(0, loadDailySpend(address) + amount);
+  localStorage.setItem(
+    `${DAILY_SPEND_KEY}_${address?.toLowerCase()}`,
+    JSON.stringify({ date: today(), amount: total })
+  );
+  return total;
+};
+
+/**
+ * Find the first cumulative spend limit an order would breach
+ *
+ * @param {Object} order - Order about to be bought
+ * @param {Object} spend - Current spend ({ session, daily, bySeller, byStream })
+ * @param {Object} limits - Spend limits (0 = no limit)
+ * @returns {Object|null} Breached limit ({ label, limit, spent }) or null
+ */
+const findLimitBreach = (order, spend, limits) => {
+  const price = order.price || 0;
+  const seller = order.seller.toLowerCase();
+  const checks = [
+    ['Session budget', limits.sessionBudget, spend.session],
+    ['Daily spend cap', limits.dailySpendCap, spend.daily],
+    ['Seller exposure limit', limits.maxSellerExposure, spend.bySeller[seller] || 0],
+    ['Stream exposure limit', limits.maxStreamExposure, spend.byStream[order.streamId] || 0],
+  ];
+
+  for (const [label, limit, spent] of checks) {
+    if (limit > 0 && spent + price > limit) {
+      return { label, limit, spent };
+    }
+  }
+  return null;
+};
+
+const emptySessionSpend = () => ({ session: 0, bySeller: {}, byStream: {} });
+
+const initialStats = () => ({
+  totalScans: 0,
+  totalMatches: 0,
+  totalExecutions: 0,
+  lastScanTime: null,
+});
+
+/**
+ * Start the scanner in a Web Worker, or in-process where workers are
+ * unavailable (tests, old browsers)
+ *
+ * @param {Function} onMessage - Receives the scanner's messages
+ * @returns {Object} { post(message), terminate() }
  */
-const getStreamDurationDays = (stream) => {
-  if (!stream || !stream.duration) return 0;
-  return stream.duration / (60 * 60 * 24); // Convert seconds to days
+const createScanner = (onMessage) => {
+  if (typeof Worker !== 'undefined') {
+    try {
+      const worker = new Worker(new URL('../workers/sniperBotWorker.js', import.meta.url), { type: 'module' });
+      worker.onmessage = (event) => onMessage(event.data);
+      worker.onerror = (event) => onMessage({ type: 'error', message: event.message });
+      return {
+        post: (message) => worker.postMessage(message),
+        terminate: () => worker.terminate(),
+      };
+    } catch (error) {
+      console.warn('⚠️ [Sniper Bot] Web Worker unavailable, scanning on the main thread:', error);
+    }
+  }
+
+  const handleMessage = createScannerHandler(onMessage);
+  return {
+    post: handleMessage,
+    terminate: () => handleMessage({ type: 'stop' }),
+  };
 };
 
 export const useSniperBot = (preferences = {}) => {
@@ -49,288 +165,482 @@ export const useSniperBot = (preferences = {}) => {
     activeStreams,
     buyStream,
     user,
+    toast,
+    provider,
   } = useVolt();
 
   const [isActive, setIsActive] = useState(false);
   const [executionHistory, setExecutionHistory] = useState([]);
-  const [stats, setStats] = useState({
-    totalScans: 0,
-    totalMatches: 0,
-    totalExecutions: 0,
-    lastScanTime: null,
-  });
-
-  const intervalRef = useRef(null);
+  const [blacklist, setBlacklist] = useState([]);
+  const [spend, setSpend] = useState({ ...emptySessionSpend(), daily: 0 });
+  const [stopReason, setStopReason] = useState(null);
+  const [decisions, setDecisions] = useState({}); // Latest decision per order ID
+  const [stats, setStats] = useState(initialStats);
+  const [resumeAvailable, setResumeAvailable] = useState(false);
+  const [restoredFor, setRestoredFor] = useState(null); // Wallet whose saved state is loaded
+
+  const scannerRef = useRef(null);
   const isMountedRef = useRef(true);
+  const inFlightRef = useRef(new Set()); // Order IDs with a purchase pending
+  const executionHistoryRef = useRef([]);
+  useEffect(() => {
+    executionHistoryRef.current = executionHistory;
+  }, [executionHistory]);
+  const blacklistRef = useRef(new Set()); // Order IDs whose purchase reverted
+  const filledRef = useRef(new Set()); // Order IDs already bought (until the order book refreshes)
+  const sessionSpendRef = useRef(emptySessionSpend()); // Pending + confirmed spend this session
+  const haltedRef = useRef(false); // Set when a limit stops the bot mid-scan
+  const toastRef = useRef(toast);
+  useEffect(() => {
+    toastRef.current = toast;
+  }, [toast]);
+
+  // Load the connected wallet's saved stats and journal (once per wallet)
+  const address = user.address || null;
+  if (address !== restoredFor) {
+    const saved = loadSniperSession(address);
+    setRestoredFor(address);
+    setIsActive(false);
+    setStats(saved && saved.stats ? saved.stats : initialStats());
+    setExecutionHistory(saved ? saved.journal : []);
+    setResumeAvailable(Boolean(saved && saved.wasActive));
+  }
+
+  // Persist stats and whether the bot is running
+  useEffect(() => {
+    if (address && restoredFor === address) {
+      saveSniperSession(address, { stats, wasActive: isActive || resumeAvailable });
+    }
+  }, [address, restoredFor, stats, isActive, resumeAvailable]);
+
+  // Persist the full journal whenever an execution is added or settles
+  useEffect(() => {
+    if (address && restoredFor === address) {
+      saveSniperJournal(address, executionHistory);
+    }
+  }, [address, restoredFor, executionHistory]);
 
   // Default preferences
   const {
     maxRisk = 40, // Default: Only buy streams with risk score <= 40 (A or B rating)
     minDiscount = 10, // Default: Must be at least 10% discount
     maxDuration = 30, // Default: Maximum 30 days duration
+    maxConcurrent = 2, // Default: At most 2 purchases pending at once
+    sessionBudget = 0, // Default: No session budget
+    dailySpendCap = 0, // Default: No daily cap
+    maxSpendPerOrder = 0, // Default: No per-order maximum
+    maxSellerExposure = 0, // Default: No per-seller limit
+    maxStreamExposure = 0, // Default: No per-stream limit
+    strategy: strategyId = 'threshold', // Default: Fixed risk/discount/duration thresholds
+    strategyParams = {},
   } = preferences;
 
+  // Params arrive as a fresh object on every render; key them by value
+  const strategyParamsKey = JSON.stringify(strategyParams);
+
   /**
-   * Check if an order matches sniper bot criteria
-   * 
-   * @param {Object} order - Order from orderBook
-   * @param {Object} stream - Stream object from activeStreams
-   * @returns {boolean} True if order matches criteria
+   * Reserve (amount > 0) or release (amount < 0) an order's price against
+   * the session, daily, seller and stream spend
+   *
+   * @param {Object} order - Order being bought
+   * @param {number} amount - vUSDC to add
    */
-  const orderMatchesCriteria = useCallback(
-    (order, stream) => {
-      // 1. Check risk score (lower is better, so <= maxRisk)
-      if (order.riskScore > maxRisk) {
-        checks.riskScore = false;
-        console.log(`❌ [Criteria Check] Order ${order.id}: Risk score ${order.riskScore} > maxRisk ${maxRisk}`);
-        return false;
-      }
-
-      // 2. Check discount (must be >= minDiscount)
-      const discount = calculateDiscount(order.priceRatio);
-      if (discount < minDiscount) {
-        checks.discount = false;
-        console.log(`❌ [Criteria Check] Order ${order.id}: Discount ${discount.toFixed(2)}% < minDiscount ${minDiscount}%`);
-        return false;
-      }
-
-      // 3. Check duration (must be <= maxDuration days)
-      const durationDays = getStreamDurationDays(stream);
-      if (durationDays > maxDuration) {
-        checks.duration = false;
-        console.log(`❌ [Criteria Check] Order ${order.id}: Duration ${durationDays.toFixed(2)} days > maxDuration ${maxDuration} days`);
-        return false;
-      }
+  const trackSpend = useCallback((order, amount) => {
+    const current = sessionSpendRef.current;
+    const seller = order.seller.toLowerCase();
+    // Clamped: a purchase from a previous session may settle after a restart
+    const add = (value) => Math.max(0, (value || 0) + amount);
+    const next = {
+      session: add(current.session),
+      bySeller: { ...current.bySeller, [seller]: add(current.bySeller[seller]) },
+      byStream: { ...current.byStream, [order.streamId]: add(current.byStream[order.streamId]) },
+    };
 
-      // 4. Check if user has enough vUSDC balance
-      const requiredBalance = order.impliedValue || 0;
-      if (user.balanceVUSDC < requiredBalance) {
-        checks.balance = false;
-        console.log(`❌ [Criteria Check] Order ${order.id}: User balance ${user.balanceVUSDC} < required ${requiredBalance}`);
-        return false;
-      }
+    sessionSpendRef.current = next;
+    setSpend({ ...next, daily: addDailySpend(user.address, amount) });
+  }, [user.address]);
 
-      // 5. Don't buy your own orders
-      if (user.address && order.seller.toLowerCase() === user.address.toLowerCase()) {
-        checks.ownOrder = false;
-        console.log(`❌ [Criteria Check] Order ${order.id}: User is the seller`);
-        return false;
-      }
+  /**
+   * Stop the bot because a spend limit was reached
+   *
+   * @param {Object} breach - Breached limit from findLimitBreach
+   */
+  const haltForLimit = useCallback((breach) => {
+    if (haltedRef.current) return;
+    haltedRef.current = true;
 
-      console.log(`✅ [Criteria Check] Order ${order.id} PASSES all criteria:`, {
-        riskScore: `${order.riskScore} <= ${maxRisk}`,
-        discount: `${discount.toFixed(2)}% >= ${minDiscount}%`,
-        duration: `${durationDays.toFixed(2)} days <= ${maxDuration} days`,
-        balance: `${user.balanceVUSDC} >= ${requiredBalance}`,
-        notOwnOrder: true,
-      });
+    const reason = `${breach.label} reached (${breach.spent.toFixed(2)} / ${breach.limit} vUSDC)`;
+    setStopReason(reason);
+    setIsActive(false);
+    toastRef.current.warning(`🤖 Sniper Bot stopped: ${reason}`);
+    console.warn(`🤖 Sniper Bot stopped: ${reason}`);
+  }, []);
 
-      return true;
-    },
-    [maxRisk, minDiscount, maxDuration, user.balanceVUSDC, user.address]
-  );
+  /**
+   * Update a recorded execution in place
+   *
+   * @param {string} executionId - Execution record ID
+   * @param {Object} changes - Fields to merge into the record
+   */
+  const updateExecution = useCallback((executionId, changes) => {
+    setExecutionHistory((prev) =>
+      prev.map((exec) => (exec.id === executionId ? { ...exec, ...changes } : exec))
+    );
+  }, []);
 
   /**
    * Execute trade for a matching order
+   *
+   * Skips orders that are already in flight or blacklisted, and orders
+   * beyond the concurrency limit (they are picked up again on a later scan).
+   * Resolves once the purchase receipt is in.
    * 
    * @param {Object} order - Order to execute
+   * @param {Object} decision - Strategy decision that triggered the trade
    */
   const executeTrade = useCallback(
-    async (order) => {
-      if (!isMountedRef.current) return;
+    async (order, decision = {}) => {
+      if (!isMountedRef.current || haltedRef.current) return;
+
+      const inFlight = inFlightRef.current;
+      if (inFlight.has(order.id) || blacklistRef.current.has(order.id) || filledRef.current.has(order.id)) return;
+      // At the concurrency limit: a later scan picks the order up again
+      if (inFlight.size >= maxConcurrent) return;
+
+      const breach = findLimitBreach(
+        order,
+        { ...sessionSpendRef.current, daily: loadDailySpend(user.address) },
+        { sessionBudget, dailySpendCap, maxSellerExposure, maxStreamExposure }
+      );
+      if (breach) {
+        haltForLimit(breach);
+        return;
+      }
+
+      // Take the lock and reserve the spend before the first await so the
+      // next scan (and the next order in this scan) sees them
+      inFlight.add(order.id);
+      trackSpend(order, order.price || 0);
+
+      const execution = {
+        id: `exec_${order.id}_${Date.now()}`,
+        orderId: order.id,
+        streamId: order.streamId,
+        status: 'pending',
+        txHash: null,
+        error: null,
+        startedAt: Date.now(),
+        settledAt: null,
+        price: order.price || 0,
+        riskScore: order.riskScore,
+        discount: calculateDiscount(order.priceRatio),
+        strategy: strategyId,
+        reason: decision.reason || null,
+      };
+      setExecutionHistory((prev) => [execution, ...prev]);
 
       try {
-        // Call buyStream from VoltContext
-        const result = buyStream(order.id);
-
-        // Record execution
-        const execution = {
-          id: `exec_${Date.now()}`,
-          orderId: order.id,
-          streamId: order.streamId,
-          executedAt: Date.now(),
-          price: order.impliedValue || 0,
-          riskScore: order.riskScore,
-          discount: calculateDiscount(order.priceRatio),
-        };
-
-        setExecutionHistory((prev) => [execution, ...prev].slice(0, 50)); // Keep last 50
+        // Call buyStream from VoltContext and wait for the receipt
+        const result = await buyStream(order.id, {
+          onSubmitted: (txHash) => updateExecution(execution.id, { txHash }),
+        });
+
+        filledRef.current.add(order.id);
+        updateExecution(execution.id, {
+          status: 'confirmed',
+          settledAt: Date.now(),
+          ...(result?.txHash ? { txHash: result.txHash } : {}),
+        });
         setStats((prev) => ({
           ...prev,
           totalExecutions: prev.totalExecutions + 1,
         }));
 
-        // Fire notification (in production, use a toast system)
-        console.log(`🤖 SNIPER AGENT EXECUTED TRADE: Bought Stream #${order.streamId.slice(-8)}`);
-        console.log(`   Order ID: ${order.id}`);
-        console.log(`   Price: ${execution.price.toFixed(6)} vUSDC`);
-        console.log(`   Risk Score: ${order.riskScore}/100 (${order.riskLevel || 'N/A'})`);
-        console.log(`   Discount: ${execution.discount.toFixed(1)}%`);
-
-        // In production, trigger a toast notification here
-        // toast.success(`🤖 SNIPER AGENT: Bought Stream #${order.streamId.slice(-8)}`);
-
         return result;
       } catch (error) {
+        const reverted = isRevertError(error);
+        trackSpend(order, -(order.price || 0));
+
+        updateExecution(execution.id, {
+          status: reverted ? 'reverted' : 'failed',
+          error: error?.shortMessage || error?.message || 'Unknown error',
+          settledAt: Date.now(),
+          // Keep the hash reported on submission if the error carries none
+          ...(error?.receipt?.hash ? { txHash: error.receipt.hash } : {}),
+        });
+
+        if (reverted) {
+          // Never retry an order that reverted
+          blacklistRef.current.add(order.id);
+          setBlacklist(Array.from(blacklistRef.current));
+          console.warn(`🚫 [Sniper Bot] Order ${order.id} reverted and was blacklisted`);
+        } else if (error?.code === 'ACTION_REJECTED') {
+          // The user declined in their wallet - don't prompt again every scan
+          setIsActive(false);
+          console.warn('🤖 Sniper Bot stopped: transaction rejected in wallet');
+        }
+
         console.error('Sniper Bot execution error:', error);
-        // In production, show error toast
-        // toast.error(`Sniper Bot failed: ${error.message}`);
+      } finally {
+        inFlight.delete(order.id);
       }
     },
-    [buyStream]
+    [
+      buyStream,
+      strategyId,
+      maxConcurrent,
+      updateExecution,
+      trackSpend,
+      haltForLimit,
+      user.address,
+      sessionBudget,
+      dailySpendCap,
+      maxSellerExposure,
+      maxStreamExposure,
+    ]
   );
 
   /**
-   * Main polling loop - scans orderBook every 3 seconds
+   * Remove an order from the blacklist so the bot may retry it
+   *
+   * @param {string} orderId - Order ID to clear (omit to clear all)
    */
-  useEffect(() => {
-    if (!isActive || !isMountedRef.current) {
-      if (intervalRef.current) {
-        clearInterval(intervalRef.current);
-        intervalRef.current = null;
-      }
-      return;
+  const clearBlacklist = useCallback((orderId) => {
+    if (orderId === undefined) {
+      blacklistRef.current.clear();
+    } else {
+      blacklistRef.current.delete(orderId);
     }
+    setBlacklist(Array.from(blacklistRef.current));
+  }, []);
 
-    const scanOrderBook = () => {
+  /**
+   * Handle one scan result from the worker: record the decisions and
+   * execute the matches (orders being bought, blacklisted or already
+   * bought are skipped here, since only the main thread knows about them)
+   *
+   * @param {Object} result - { scannedAt, decisions }
+   */
+  const handleScan = useCallback(
+    ({ scannedAt, decisions: scanned }) => {
       if (!isMountedRef.current) return;
 
+      const ordersById = new Map(orderBook.map((order) => [order.id, order]));
+      const scanDecisions = {};
+      const matches = [];
+
+      scanned.forEach(({ orderId, action, reason }) => {
+        const order = ordersById.get(orderId);
+        if (!order) return; // Gone from the book since the snapshot
+
+        let decision = { action, reason };
+        if (inFlightRef.current.has(orderId)) {
+          decision = { action: 'skip', reason: 'Purchase already pending' };
+        } else if (blacklistRef.current.has(orderId)) {
+          decision = { action: 'skip', reason: 'Blacklisted after a reverted purchase' };
+        } else if (filledRef.current.has(orderId)) {
+          decision = { action: 'skip', reason: 'Already bought' };
+        }
+
+        scanDecisions[orderId] = { orderId, ...decision, strategy: strategyId, at: scannedAt };
+        if (decision.action === 'buy') matches.push({ order, decision });
+      });
+
       setStats((prev) => ({
         ...prev,
         totalScans: prev.totalScans + 1,
-        lastScanTime: Date.now(),
+        totalMatches: prev.totalMatches + matches.length,
+        lastScanTime: scannedAt,
       }));
+      setDecisions(scanDecisions);
 
-      // Debug: Log orderBook status
-      console.log('🤖 [Sniper Bot] Scanning orderBook:', {
-        orderBookLength: orderBook.length,
-        activeStreamsLength: activeStreams.length,
-        orderBook: orderBook,
-        activeStreams: activeStreams.map(s => ({ id: s.id, remainingBalance: s.remainingBalance })),
-      });
-
-      if (orderBook.length === 0) {
-        console.warn('⚠️ [Sniper Bot] orderBook is empty. No orders to scan.');
-        return;
-      }
-
-      // Scan all active orders
-      let scannedCount = 0;
-      let matchedCount = 0;
-      let streamNotFoundCount = 0;
-
-      orderBook.forEach((order) => {
-        scannedCount++;
-        console.log(`\n🔍 [Sniper Bot] Scanning order ${order.id}:`, {
-          orderId: order.id,
-          streamId: order.streamId,
-          seller: order.seller,
-          riskScore: order.riskScore,
-          riskLevel: order.riskLevel,
-          priceRatio: order.priceRatio,
-          percentage: order.percentage,
-          impliedValue: order.impliedValue,
-          userAddress: user.address,
-          userBalance: user.balanceVUSDC,
-        });
-
-        const stream = activeStreams.find((s) => s.id === order.streamId);
-        
-        if (!stream) {
-          streamNotFoundCount++;
-          console.warn(`⚠️ [Sniper Bot] Stream not found for order ${order.id}, streamId: ${order.streamId}`);
-          console.warn(`   Available stream IDs:`, activeStreams.map(s => s.id));
-          return;
-        }
+      // Each purchase is recorded in the execution journal
+      matches.forEach(({ order, decision }) => executeTrade(order, decision));
+    },
+    [orderBook, strategyId, executeTrade]
+  );
 
-        console.log(`   Found stream:`, {
-          streamId: stream.id,
-          remainingBalance: stream.remainingBalance,
-          duration: stream.duration,
-          durationDays: getStreamDurationDays(stream),
-        });
+  // The worker outlives renders; always dispatch to the latest handler
+  const handleScanRef = useRef(handleScan);
+  useEffect(() => {
+    handleScanRef.current = handleScan;
+  }, [handleScan]);
 
-        // Check if order matches criteria
-        if (orderMatchesCriteria(order, stream)) {
-          matchedCount++;
-          setStats((prev) => ({
-            ...prev,
-            totalMatches: prev.totalMatches + 1,
-          }));
-
-          console.log('✅ [Sniper Bot] Order matches criteria - EXECUTING TRADE:', {
-            orderId: order.id,
-            streamId: order.streamId,
-            riskScore: order.riskScore,
-            discount: calculateDiscount(order.priceRatio),
-            durationDays: getStreamDurationDays(stream),
-            price: order.impliedValue,
-          });
-
-          // Execute trade
-          executeTrade(order);
-        }
-      });
+  /**
+   * Start the scanner on mount, stop it on unmount
+   */
+  useEffect(() => {
+    isMountedRef.current = true;
+    const scanner = createScanner((message) => {
+      if (message.type === 'scan') {
+        handleScanRef.current(message);
+      } else if (message.type === 'error') {
+        console.error('Sniper Bot scanner error:', message.message);
+      }
+    });
+    scannerRef.current = scanner;
 
-      console.log(`📊 [Sniper Bot] Scan complete: ${scannedCount} orders scanned, ${matchedCount} matched, ${streamNotFoundCount} streams not found`);
+    return () => {
+      isMountedRef.current = false;
+      scannerRef.current = null;
+      scanner.terminate();
     };
+  }, []);
 
-    // Initial scan
-    scanOrderBook();
-
-    // Set up interval: every 3 seconds (3000ms)
-    intervalRef.current = setInterval(scanOrderBook, 3000);
+  /**
+   * Keep the scanner's strategy and snapshots current
+   */
+  useEffect(() => {
+    scannerRef.current?.post({
+      type: 'configure',
+      strategy: {
+        id: strategyId,
+        params: strategyId === 'threshold'
+          ? { maxRisk, minDiscount, maxDuration, ...JSON.parse(strategyParamsKey) }
+          : JSON.parse(strategyParamsKey),
+      },
+      maxSpendPerOrder,
+    });
+  }, [strategyId, strategyParamsKey, maxRisk, minDiscount, maxDuration, maxSpendPerOrder]);
 
-    return () => {
-      if (intervalRef.current) {
-        clearInterval(intervalRef.current);
-        intervalRef.current = null;
-      }
-    };
-  }, [isActive, orderBook, activeStreams, orderMatchesCriteria, executeTrade]);
+  useEffect(() => {
+    scannerRef.current?.post({
+      type: 'snapshot',
+      orders: orderBook,
+      streams: activeStreams,
+      account: { address: user.address, balance: user.balanceVUSDC },
+    });
+  }, [orderBook, activeStreams, user.address, user.balanceVUSDC]);
 
   /**
-   * Cleanup on unmount
+   * Run the scan loop while the bot is active
    */
   useEffect(() => {
-    isMountedRef.current = true;
+    if (!isActive) return;
+
+    scannerRef.current?.post({ type: 'start', intervalMs: DEFAULT_SCAN_INTERVAL });
     return () => {
-      isMountedRef.current = false;
-      if (intervalRef.current) {
-        clearInterval(intervalRef.current);
-      }
+      scannerRef.current?.post({ type: 'stop' });
     };
-  }, []);
+  }, [isActive]);
 
   /**
    * Start sniper bot
    */
   const start = useCallback(() => {
+    // Every START begins a new session: budget and exposures reset,
+    // still-pending purchases from the previous session do not count
+    sessionSpendRef.current = emptySessionSpend();
+    haltedRef.current = false;
+    setSpend({ ...emptySessionSpend(), daily: loadDailySpend(user.address) });
+    setStopReason(null);
     setIsActive(true);
-    console.log('🤖 Sniper Bot ACTIVATED');
-    console.log(`   Max Risk: ${maxRisk}/100`);
-    console.log(`   Min Discount: ${minDiscount}%`);
-    console.log(`   Max Duration: ${maxDuration} days`);
-  }, [maxRisk, minDiscount, maxDuration]);
+  }, [user.address]);
 
   /**
    * Stop sniper bot
    */
   const stop = useCallback(() => {
     setIsActive(false);
-    console.log('🤖 Sniper Bot DEACTIVATED');
+    setResumeAvailable(false);
   }, []);
 
+  /**
+   * Restart a bot that was running before the page was closed
+   */
+  const resume = useCallback(() => {
+    setResumeAvailable(false);
+    start();
+  }, [start]);
+
+  /**
+   * Keep a previously running bot stopped
+   */
+  const dismissResume = useCallback(() => {
+    setResumeAvailable(false);
+  }, []);
+
+  /**
+   * Release the daily spend reserved by a purchase from an earlier page
+   * load that did not go through. Spend reserved on an earlier UTC day was
+   * already reset with that day's total.
+   */
+  const releaseStaleSpend = useCallback((exec) => {
+    if (new Date(exec.startedAt).toISOString().slice(0, 10) !== today()) return;
+    const daily = addDailySpend(user.address, -(exec.price || 0));
+    setSpend((prev) => ({ ...prev, daily }));
+  }, [user.address]);
+
+  /**
+   * Settle executions that were still pending when the page was closed
+   */
+  useEffect(() => {
+    if (!provider || !restoredFor) return;
+
+    let cancelled = false;
+    const stale = executionHistoryRef.current.filter(
+      (exec) => exec.status === 'pending' && !inFlightRef.current.has(exec.orderId)
+    );
+
+    stale.forEach(async (exec) => {
+      if (!exec.txHash) {
+        // Never reached the chain
+        releaseStaleSpend(exec);
+        updateExecution(exec.id, { status: 'failed', error: 'Interrupted before submission', settledAt: Date.now() });
+        return;
+      }
+
+      try {
+        const receipt = await provider.getTransactionReceipt(exec.txHash);
+        if (cancelled || !receipt) return;
+
+        if (receipt.status === 1) {
+          filledRef.current.add(exec.orderId);
+          updateExecution(exec.id, { status: 'confirmed', settledAt: Date.now() });
+        } else {
+          blacklistRef.current.add(exec.orderId);
+          setBlacklist(Array.from(blacklistRef.current));
+          releaseStaleSpend(exec);
+          updateExecution(exec.id, { status: 'reverted', error: 'Transaction reverted', settledAt: Date.now() });
+        }
+      } catch (error) {
+        console.error(`Failed to reconcile execution ${exec.id}:`, error);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [provider, restoredFor, updateExecution, releaseStaleSpend]);
+
   return {
     isActive,
     start,
     stop,
+    resume,
+    dismissResume,
+    resumeAvailable,
     stats,
     executionHistory,
+    blacklist,
+    clearBlacklist,
+    pendingCount: executionHistory.filter((exec) => exec.status === 'pending').length,
+    spend,
+    stopReason,
+    decisions,
+    strategy: getStrategy(strategyId),
     preferences: {
       maxRisk,
       minDiscount,
       maxDuration,
+      maxConcurrent,
+      sessionBudget,
+      dailySpendCap,
+      maxSpendPerOrder,
+      maxSellerExposure,
+      maxStreamExposure,
+      strategy: strategyId,
+      strategyParams,
     },
   };
 };
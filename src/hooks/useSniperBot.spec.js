@@ -0,0 +1,340 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { useVolt } from '../context/VoltContext';
+import { useSniperBot } from './useSniperBot';
+
+/**
+ * useSniperBot execution pipeline tests
+ *
+ * VoltContext is mocked so each test controls when buyStream settles.
+ */
+
+vi.mock('../context/VoltContext', () => ({ useVolt: vi.fn() }));
+
+const stream = { id: '1', duration: 86400 };
+
+const makeOrder = (id, overrides = {}) => ({
+  id,
+  streamId: '1',
+  seller: '0x00000000000000000000000000000000000000aa',
+  price: 50,
+  priceRatio: 0.5,
+  riskScore: 10,
+  impliedValue: 50,
+  ...overrides,
+});
+
+// buyStream stand-in whose calls resolve or reject on demand
+const createBuyStream = () => {
+  const calls = [];
+  const buyStream = vi.fn((orderId, { onSubmitted } = {}) => new Promise((resolve, reject) => {
+    calls.push({ orderId, onSubmitted, resolve, reject });
+  }));
+  return { buyStream, calls };
+};
+
+const revertError = (hash) => Object.assign(new Error('execution reverted'), {
+  code: 'CALL_EXCEPTION',
+  receipt: { hash, status: 0 },
+});
+
+describe('useSniperBot', () => {
+  let buy;
+  let toast;
+
+  const mockVolt = (orderBook, overrides = {}) => {
+    useVolt.mockReturnValue({
+      orderBook,
+      activeStreams: [stream],
+      buyStream: buy.buyStream,
+      toast,
+      user: { address: '0x00000000000000000000000000000000000000bb', balanceVUSDC: 1000 },
+      ...overrides,
+    });
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    buy = createBuyStream();
+    toast = { warning: vi.fn() };
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('does not buy an order again while its purchase is pending', async () => {
+    mockVolt([makeOrder('1')]);
+    const { result } = renderHook(() => useSniperBot());
+
+    act(() => result.current.start());
+    await act(async () => {
+      vi.advanceTimersByTime(9000);
+    });
+
+    expect(buy.buyStream).toHaveBeenCalledTimes(1);
+    expect(result.current.executionHistory).toHaveLength(1);
+    expect(result.current.executionHistory[0].status).toBe('pending');
+  });
+
+  it('records the tx hash and confirms once the receipt is in', async () => {
+    mockVolt([makeOrder('1')]);
+    const { result } = renderHook(() => useSniperBot());
+
+    act(() => result.current.start());
+    act(() => buy.calls[0].onSubmitted('0xabc'));
+    expect(result.current.executionHistory[0]).toMatchObject({ status: 'pending', txHash: '0xabc' });
+
+    await act(async () => {
+      buy.calls[0].resolve({ txHash: '0xabc' });
+    });
+
+    expect(result.current.executionHistory[0]).toMatchObject({ status: 'confirmed', txHash: '0xabc' });
+    expect(result.current.stats.totalExecutions).toBe(1);
+  });
+
+  it('limits how many purchases are pending at once', async () => {
+    mockVolt([makeOrder('1'), makeOrder('2'), makeOrder('3')]);
+    const { result } = renderHook(() => useSniperBot({ maxConcurrent: 2 }));
+
+    act(() => result.current.start());
+    expect(buy.buyStream).toHaveBeenCalledTimes(2);
+
+    // A slot frees up, so the deferred order is picked up on the next scan
+    await act(async () => {
+      buy.calls[0].resolve({ txHash: '0x1' });
+    });
+    await act(async () => {
+      vi.advanceTimersByTime(3000);
+    });
+
+    expect(buy.buyStream.mock.calls.map(([orderId]) => orderId)).toEqual(['1', '2', '3']);
+  });
+
+  it('blacklists orders whose purchase reverted', async () => {
+    mockVolt([makeOrder('1')]);
+    const { result } = renderHook(() => useSniperBot());
+
+    act(() => result.current.start());
+    await act(async () => {
+      buy.calls[0].reject(revertError('0xdead'));
+    });
+
+    expect(result.current.executionHistory[0]).toMatchObject({ status: 'reverted', txHash: '0xdead' });
+    expect(result.current.blacklist).toEqual(['1']);
+
+    await act(async () => {
+      vi.advanceTimersByTime(9000);
+    });
+    expect(buy.buyStream).toHaveBeenCalledTimes(1);
+
+    act(() => result.current.clearBlacklist('1'));
+    await act(async () => {
+      vi.advanceTimersByTime(3000);
+    });
+    expect(buy.buyStream).toHaveBeenCalledTimes(2);
+  });
+
+  it('retries orders that failed without reverting', async () => {
+    mockVolt([makeOrder('1')]);
+    const { result } = renderHook(() => useSniperBot());
+
+    act(() => result.current.start());
+    await act(async () => {
+      buy.calls[0].reject(new Error('network error'));
+    });
+
+    expect(result.current.executionHistory[0].status).toBe('failed');
+    expect(result.current.blacklist).toEqual([]);
+
+    await act(async () => {
+      vi.advanceTimersByTime(3000);
+    });
+    expect(buy.buyStream).toHaveBeenCalledTimes(2);
+  });
+
+  it('explains every decision and records the reason on executions', () => {
+    mockVolt([makeOrder('1'), makeOrder('2', { riskScore: 90 })]);
+    const { result } = renderHook(() => useSniperBot());
+
+    act(() => result.current.start());
+
+    expect(result.current.decisions['1']).toMatchObject({ action: 'buy', strategy: 'threshold' });
+    expect(result.current.decisions['2']).toMatchObject({ action: 'skip', reason: 'Risk score 90 > maxRisk 40' });
+    expect(result.current.executionHistory[0]).toMatchObject({ orderId: '1', strategy: 'threshold' });
+    expect(result.current.executionHistory[0].reason).toMatch(/Risk 10 <= 40/);
+  });
+
+  it('runs the selected strategy with its params', () => {
+    mockVolt([makeOrder('1', { priceRatio: 0.9, riskScore: 30 }), makeOrder('2', { priceRatio: 0.6, riskScore: 20 })]);
+    const { result } = renderHook(() => useSniperBot({
+      strategy: 'bestDiscountPerRisk',
+      strategyParams: { topN: 1 },
+    }));
+
+    act(() => result.current.start());
+
+    expect(buy.buyStream.mock.calls.map(([orderId]) => orderId)).toEqual(['2']);
+    expect(result.current.decisions['1'].reason).toMatch(/outside top 1/);
+  });
+
+  describe('spend limits', () => {
+    it('stops with a toast before exceeding the session budget', async () => {
+      mockVolt([makeOrder('1'), makeOrder('2'), makeOrder('3')]);
+      const { result } = renderHook(() => useSniperBot({ maxConcurrent: 5, sessionBudget: 120 }));
+
+      act(() => result.current.start());
+
+      // Pending purchases already count, so the third order is never sent
+      expect(buy.buyStream).toHaveBeenCalledTimes(2);
+      expect(result.current.isActive).toBe(false);
+      expect(result.current.spend.session).toBe(100);
+      expect(result.current.stopReason).toMatch(/Session budget/);
+      expect(toast.warning).toHaveBeenCalledTimes(1);
+    });
+
+    it('releases the spend of purchases that did not go through', async () => {
+      mockVolt([makeOrder('1')]);
+      const { result } = renderHook(() => useSniperBot({ sessionBudget: 60 }));
+
+      act(() => result.current.start());
+      await act(async () => {
+        buy.calls[0].reject(new Error('network error'));
+      });
+      expect(result.current.spend.session).toBe(0);
+
+      await act(async () => {
+        vi.advanceTimersByTime(3000);
+      });
+      expect(buy.buyStream).toHaveBeenCalledTimes(2);
+      expect(result.current.isActive).toBe(true);
+    });
+
+    it('skips orders priced above the per-order maximum', () => {
+      mockVolt([makeOrder('1', { price: 80 }), makeOrder('2', { price: 20 })]);
+      const { result } = renderHook(() => useSniperBot({ maxSpendPerOrder: 50 }));
+
+      act(() => result.current.start());
+
+      expect(buy.buyStream.mock.calls.map(([orderId]) => orderId)).toEqual(['2']);
+      expect(result.current.isActive).toBe(true);
+    });
+
+    it('enforces seller and stream exposure', () => {
+      const otherSeller = '0x00000000000000000000000000000000000000cc';
+      mockVolt([makeOrder('1'), makeOrder('2', { seller: otherSeller, streamId: '1' })]);
+      const { result } = renderHook(() => useSniperBot({ maxSellerExposure: 60, maxStreamExposure: 60 }));
+
+      act(() => result.current.start());
+
+      expect(buy.buyStream).toHaveBeenCalledTimes(1);
+      expect(result.current.stopReason).toMatch(/Stream exposure/);
+    });
+
+    it('keeps the daily spend across sessions', async () => {
+      mockVolt([makeOrder('1'), makeOrder('2')]);
+      const first = renderHook(() => useSniperBot({ dailySpendCap: 80 }));
+
+      act(() => first.result.current.start());
+      await act(async () => {
+        buy.calls[0].resolve({ txHash: '0x1' });
+      });
+      first.unmount();
+
+      const second = renderHook(() => useSniperBot({ dailySpendCap: 80 }));
+      act(() => second.result.current.start());
+
+      expect(second.result.current.spend.daily).toBe(50);
+      expect(second.result.current.stopReason).toMatch(/Daily spend cap/);
+      expect(buy.buyStream).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('persistence', () => {
+    it('restores stats and the full journal, and offers to resume', async () => {
+      mockVolt(Array.from({ length: 60 }, (_, i) => makeOrder(String(i + 1), { price: 1 })));
+      const first = renderHook(() => useSniperBot({ maxConcurrent: 60 }));
+
+      act(() => first.result.current.start());
+      await act(async () => {
+        buy.calls.forEach((call, i) => call.resolve({ txHash: `0x${i}` }));
+      });
+      expect(first.result.current.executionHistory).toHaveLength(60);
+      first.unmount(); // e.g. switching away from the sniper tab
+
+      const second = renderHook(() => useSniperBot({ maxConcurrent: 60 }));
+
+      expect(second.result.current.isActive).toBe(false);
+      expect(second.result.current.resumeAvailable).toBe(true);
+      expect(second.result.current.executionHistory).toHaveLength(60);
+      expect(second.result.current.stats.totalExecutions).toBe(60);
+
+      act(() => second.result.current.resume());
+      expect(second.result.current.isActive).toBe(true);
+      expect(second.result.current.resumeAvailable).toBe(false);
+    });
+
+    it('does not offer to resume a bot that was stopped', () => {
+      mockVolt([]);
+      const first = renderHook(() => useSniperBot());
+
+      act(() => first.result.current.start());
+      act(() => first.result.current.stop());
+      first.unmount();
+
+      expect(renderHook(() => useSniperBot()).result.current.resumeAvailable).toBe(false);
+    });
+
+    it('reconciles purchases left pending by a reload from their receipts', async () => {
+      mockVolt([makeOrder('1'), makeOrder('2')]);
+      const first = renderHook(() => useSniperBot());
+
+      act(() => first.result.current.start());
+      act(() => buy.calls[0].onSubmitted('0xaaa'));
+      first.unmount();
+
+      const provider = { getTransactionReceipt: vi.fn(async () => ({ status: 0 })) };
+      mockVolt([], { provider });
+      const second = renderHook(() => useSniperBot());
+      await act(async () => {});
+
+      const byOrder = Object.fromEntries(second.result.current.executionHistory.map((exec) => [exec.orderId, exec]));
+      expect(provider.getTransactionReceipt).toHaveBeenCalledWith('0xaaa');
+      expect(byOrder['1']).toMatchObject({ status: 'reverted', txHash: '0xaaa' });
+      expect(byOrder['2']).toMatchObject({ status: 'failed', error: 'Interrupted before submission' });
+      expect(second.result.current.blacklist).toEqual(['1']);
+    });
+
+    it('releases the daily spend of purchases reconciled as failed', async () => {
+      mockVolt([makeOrder('1'), makeOrder('2'), makeOrder('3')]);
+      const first = renderHook(() => useSniperBot({ maxConcurrent: 3, dailySpendCap: 200 }));
+
+      act(() => first.result.current.start());
+      act(() => buy.calls[0].onSubmitted('0xaaa'));
+      act(() => buy.calls[1].onSubmitted('0xbbb'));
+      expect(first.result.current.spend.daily).toBe(150);
+      first.unmount();
+
+      // Order 1 reverted, order 2 went through, order 3 was never sent
+      const provider = {
+        getTransactionReceipt: vi.fn(async (hash) => ({ status: hash === '0xaaa' ? 0 : 1 })),
+      };
+      mockVolt([], { provider });
+      const second = renderHook(() => useSniperBot({ maxConcurrent: 3, dailySpendCap: 200 }));
+      await act(async () => {});
+
+      expect(second.result.current.pendingCount).toBe(0);
+      expect(second.result.current.spend.daily).toBe(50);
+
+      // The released spend is available again after a restart
+      const third = renderHook(() => useSniperBot({ maxConcurrent: 3, dailySpendCap: 200 }));
+      act(() => third.result.current.start());
+      expect(third.result.current.spend.daily).toBe(50);
+    });
+  });
+});
@@ -0,0 +1,32 @@
+import { vi } from 'vitest';
+
+/**
+ * Headless harness for workers/sniperBotWorker.js
+ *
+ * Loads a fresh copy of the worker module against a fake worker scope, so
+ * tests exercise the real entry point without a browser. Messages are
+ * structured-cloned in both directions, like postMessage does, so data
+ * that could not cross a real worker boundary fails here too.
+ *
+ * @returns {Promise<Object>} { post(message), messages, scans(), clear() }
+ */
+export const createSniperWorkerHarness = async () => {
+  const messages = [];
+  const scope = {
+    onmessage: null,
+    postMessage: (message) => messages.push(structuredClone(message)),
+  };
+
+  vi.stubGlobal('self', scope);
+  vi.resetModules();
+  await import('../workers/sniperBotWorker.js');
+
+  return {
+    post: (message) => scope.onmessage({ data: structuredClone(message) }),
+    messages,
+    scans: () => messages.filter((message) => message.type === 'scan'),
+    clear: () => {
+      messages.length = 0;
+    },
+  };
+};
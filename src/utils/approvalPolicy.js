@@ -0,0 +1,88 @@
+/**
+ * Approval Policy
+ *
+ * How much vUSDC to approve when a transaction needs more allowance than
+ * the wallet has granted and the token cannot take a permit instead.
+ * Chosen per wallet in the allowance manager and kept in localStorage.
+ */
+
+import { ethers } from 'ethers';
+
+const POLICY_KEY = 'volt_approval_policy';
+
+export const APPROVAL_POLICIES = {
+  exact: {
+    label: 'Exact amount',
+    description: 'Approve only what the transaction spends. Every purchase needs a new approval.',
+  },
+  double: {
+    label: '2x amount',
+    description: 'Approve twice the amount, so the next transaction of the same size skips the approval.',
+  },
+  unlimited: {
+    label: 'Unlimited',
+    description: 'Approve once for good. The contract can spend any amount of your vUSDC until you revoke it.',
+  },
+};
+
+export const DEFAULT_APPROVAL_POLICY = 'exact';
+
+// Allowances this large are shown as unlimited (some tokens decrease MaxUint256 on spend)
+const UNLIMITED_THRESHOLD = ethers.MaxUint256 / 2n;
+
+/**
+ * Amount to approve for a transaction spending `amount`
+ *
+ * @param {string} policy - Key of APPROVAL_POLICIES
+ * @param {bigint} amount - Amount the transaction spends (wei)
+ * @returns {bigint} Amount to approve (wei)
+ */
+export const getApproveAmount = (policy, amount) => {
+  switch (policy) {
+    case 'double':
+      return amount * 2n;
+    case 'unlimited':
+      return ethers.MaxUint256;
+    default:
+      return amount;
+  }
+};
+
+/**
+ * Whether an allowance is effectively unlimited
+ *
+ * @param {bigint} allowance - Allowance (wei)
+ */
+export const isUnlimitedAllowance = (allowance) => allowance >= UNLIMITED_THRESHOLD;
+
+/**
+ * Load the approval policy chosen by a wallet
+ *
+ * @param {string} address - Wallet address
+ * @returns {string} Policy key (DEFAULT_APPROVAL_POLICY if none or unknown)
+ */
+export const loadApprovalPolicy = (address) => {
+  if (!address) return DEFAULT_APPROVAL_POLICY;
+  try {
+    const saved = localStorage.getItem(`${POLICY_KEY}_${address.toLowerCase()}`);
+    return APPROVAL_POLICIES[saved] ? saved : DEFAULT_APPROVAL_POLICY;
+  } catch (error) {
+    console.error('Error reading approval policy:', error);
+    return DEFAULT_APPROVAL_POLICY;
+  }
+};
+
+/**
+ * Save the approval policy for a wallet
+ *
+ * @param {string} address - Wallet address
+ * @param {string} policy - Key of APPROVAL_POLICIES
+ */
+export const saveApprovalPolicy = (address, policy) => {
+  if (!address || !APPROVAL_POLICIES[policy]) return;
+  try {
+    localStorage.setItem(`${POLICY_KEY}_${address.toLowerCase()}`, policy);
+  } catch (error) {
+    console.error('Error saving approval policy:', error);
+  }
+};
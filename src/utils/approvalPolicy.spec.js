@@ -0,0 +1,45 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ethers } from 'ethers';
+import {
+  DEFAULT_APPROVAL_POLICY,
+  getApproveAmount,
+  isUnlimitedAllowance,
+  loadApprovalPolicy,
+  saveApprovalPolicy,
+} from './approvalPolicy';
+
+/**
+ * Approval policy tests
+ */
+
+const wallet = '0x00000000000000000000000000000000000000Bb';
+
+describe('approvalPolicy', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('sizes the approval by policy', () => {
+    const amount = ethers.parseEther('25');
+
+    expect(getApproveAmount('exact', amount)).toBe(amount);
+    expect(getApproveAmount('double', amount)).toBe(amount * 2n);
+    expect(getApproveAmount('unlimited', amount)).toBe(ethers.MaxUint256);
+    expect(isUnlimitedAllowance(ethers.MaxUint256 - amount)).toBe(true);
+    expect(isUnlimitedAllowance(amount)).toBe(false);
+  });
+
+  it('stores the policy per wallet and ignores unknown values', () => {
+    expect(loadApprovalPolicy(wallet)).toBe(DEFAULT_APPROVAL_POLICY);
+
+    saveApprovalPolicy(wallet, 'unlimited');
+    expect(loadApprovalPolicy(wallet.toLowerCase())).toBe('unlimited');
+    expect(loadApprovalPolicy('0x00000000000000000000000000000000000000cc')).toBe(DEFAULT_APPROVAL_POLICY);
+
+    saveApprovalPolicy(wallet, 'bogus');
+    expect(loadApprovalPolicy(wallet)).toBe('unlimited');
+
+    localStorage.setItem(`volt_approval_policy_${wallet.toLowerCase()}`, 'bogus');
+    expect(loadApprovalPolicy(wallet)).toBe(DEFAULT_APPROVAL_POLICY);
+  });
+});
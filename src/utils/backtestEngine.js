@@ -0,0 +1,371 @@
+/**
+ * Backtest Engine
+ *
+ * Replays a recorded timeline of streams and orders through the sniper
+ * bot's strategies (utils/sniperStrategies, threshold rules by default) so
+ * parameter sets can be tuned without spending vUSDC.
+ *
+ * Timeline entries (replayed in timestamp order):
+ * - { timestamp, type: 'stream', stream }  stream created or updated (full state)
+ * - { timestamp, type: 'order', order }    order listed (or what is left of it after a partial fill);
+ *   Dutch auctions carry floorPrice and decayDuration and are priced at their ask,
+ *   ratio-priced orders carry priceRatioBps and are priced from their stream
+ * - { timestamp, type: 'close', orderId }  order filled or cancelled by someone else
+ *
+ * A timeline can be a JSON fixture ({ entries } or a plain array) or built
+ * from indexed contract events with buildTimelineFromEvents.
+ *
+ * Simplifications:
+ * - The simulated buyer wins every order it matches, at the first
+ *   evaluation point where it matches
+ * - Payouts are not reinvested, so capital only goes down
+ * - Orders without a recorded riskScore are scored at the evaluation time
+ *   with a neutral seller history
+ */
+
+import { ethers } from 'ethers';
+import { sortEvents } from './historyIndexer';
+import { getEndTime } from './streamMath';
+import { getShareValue } from './orderPricing';
+import { calculateStreamRisk } from '../hooks/useRiskEngine';
+import { calculateDiscount, getStreamDurationDays } from './sniperCriteria';
+import { createStrategy } from './sniperStrategies';
+
+const toAmount = (value) => parseFloat(ethers.formatEther(value));
+
+/**
+ * Normalize a timeline fixture into sorted entries with string IDs
+ *
+ * @param {Array|Object} timeline - Array of entries or { entries }
+ * @returns {Array} Entries sorted by timestamp (stable)
+ */
+export const normalizeTimeline = (timeline) => {
+  const entries = Array.isArray(timeline) ? timeline : timeline && timeline.entries;
+  if (!Array.isArray(entries)) {
+    throw new Error('Invalid backtest timeline');
+  }
+
+  return entries
+    .map((entry, index) => {
+      const normalized = { ...entry, index };
+      if (entry.type === 'stream') {
+        normalized.stream = { ...entry.stream, id: String(entry.stream.id) };
+      } else if (entry.type === 'order') {
+        normalized.order = {
+          ...entry.order,
+          id: String(entry.order.id),
+          streamId: String(entry.order.streamId),
+          listedAt: entry.order.listedAt ?? entry.timestamp,
+        };
+      } else if (entry.type === 'close') {
+        normalized.orderId = String(entry.orderId);
+      } else {
+        throw new Error(`Unknown timeline entry type: ${entry.type}`);
+      }
+      return normalized;
+    })
+    .sort((a, b) => a.timestamp - b.timestamp || a.index - b.index);
+};
+
+/**
+ * Build a backtest timeline from indexed VoltProtocol events
+ * (see utils/historyIndexer)
+ *
+ * @param {Array} events - Indexed event records
+ * @returns {Object} Timeline { entries }
+ */
+export const buildTimelineFromEvents = (events) => {
+  const streams = new Map();
+  const orders = new Map();
+  const entries = [];
+
+  const updateStream = (event, changes) => {
+    const stream = streams.get(event.args.streamId);
+    if (!stream) return;
+    const updated = { ...stream, ...changes(stream) };
+    streams.set(stream.id, updated);
+    entries.push({ timestamp: event.timestamp, type: 'stream', stream: updated });
+  };
+
+  sortEvents(events).forEach((event) => {
+    const { args } = event;
+
+    switch (event.name) {
+      case 'StreamCreated': {
+        // Streams (including carved-out buyer streams) start at creation
+        const stream = {
+          id: args.streamId,
+          sender: args.sender ?? args.user,
+          totalDeposit: toAmount(args.amount),
+          startTime: event.timestamp,
+          duration: Number(args.duration),
+          claimedAmount: 0,
+          soldAmount: 0,
+        };
+        streams.set(stream.id, stream);
+        entries.push({ timestamp: event.timestamp, type: 'stream', stream });
+        break;
+      }
+      case 'StreamSold':
+        updateStream(event, (stream) => ({ soldAmount: stream.soldAmount + toAmount(args.amountSold) }));
+        break;
+      case 'Withdraw':
+        updateStream(event, (stream) => ({ claimedAmount: stream.claimedAmount + toAmount(args.amount) }));
+        break;
+      case 'StreamCancelled':
+        // Nothing is left to vest: the refund leaves the stream like a sale
+        updateStream(event, (stream) => ({
+          claimedAmount: stream.claimedAmount + toAmount(args.receiverAmount),
+          soldAmount: stream.soldAmount + toAmount(args.refundAmount),
+        }));
+        break;
+      case 'StreamPaused':
+        updateStream(event, () => ({ pausedAt: event.timestamp }));
+        break;
+      case 'StreamResumed':
+        updateStream(event, (stream) => ({
+          pausedAt: 0,
+          pausedDuration: (stream.pausedDuration || 0) + Number(args.pausedFor),
+        }));
+        break;
+      case 'OrderCreated': {
+        const order = {
+          id: args.orderId,
+          streamId: args.streamId,
+          seller: args.seller,
+          price: toAmount(args.price),
+          percentage: Number(args.percentage),
+          listedAt: event.timestamp,
+        };
+        orders.set(order.id, order);
+        entries.push({ timestamp: event.timestamp, type: 'order', order });
+        break;
+      }
+      case 'DutchOrderCreated': {
+        const order = orders.get(args.orderId);
+        if (!order) break;
+        const updated = { ...order, floorPrice: toAmount(args.floorPrice), decayDuration: Number(args.decayDuration) };
+        orders.set(order.id, updated);
+        entries.push({ timestamp: event.timestamp, type: 'order', order: updated });
+        break;
+      }
+      case 'RatioOrderCreated': {
+        const order = orders.get(args.orderId);
+        if (!order) break;
+        const updated = { ...order, priceRatioBps: Number(args.priceRatio) };
+        orders.set(order.id, updated);
+        entries.push({ timestamp: event.timestamp, type: 'order', order: updated });
+        break;
+      }
+      case 'OrderFilled': {
+        // A partial fill leaves the rest listed at the same rate per percent
+        const order = orders.get(args.orderId);
+        const remaining = Number(args.remainingPercentage ?? 0);
+        if (order && remaining > 0) {
+          const scale = remaining / order.percentage;
+          const updated = {
+            ...order,
+            percentage: remaining,
+            filledAmount: (order.filledAmount || 0) + toAmount(args.amount),
+            price: order.price * scale,
+            ...(order.decayDuration ? { floorPrice: order.floorPrice * scale } : {}),
+          };
+          orders.set(order.id, updated);
+          entries.push({ timestamp: event.timestamp, type: 'order', order: updated });
+        } else {
+          entries.push({ timestamp: event.timestamp, type: 'close', orderId: args.orderId });
+        }
+        break;
+      }
+      case 'OrderCancelled':
+        entries.push({ timestamp: event.timestamp, type: 'close', orderId: args.orderId });
+        break;
+      default:
+        break;
+    }
+  });
+
+  return { entries };
+};
+
+/**
+ * Ask of an order at a point in time (see utils/orderPricing)
+ */
+const getAskAt = (order, now) => {
+  if (!order.decayDuration) return order.price;
+
+  const progress = Math.min(1, Math.max(0, now - order.listedAt) / order.decayDuration);
+  return order.price - (order.price - order.floorPrice) * progress;
+};
+
+/**
+ * Price an order against its stream at a point in time, the same way
+ * VoltContext prices live orders
+ */
+const priceOrder = (order, stream, now) => {
+  const shareValue = getShareValue(order, stream, now);
+  const price = order.priceRatioBps ? (shareValue * order.priceRatioBps) / 10000 : getAskAt(order, now);
+  const priceRatio = shareValue > 0 ? price / shareValue : 0;
+
+  return {
+    ...order,
+    price,
+    shareValue,
+    priceRatio,
+    riskScore: order.riskScore ?? calculateStreamRisk(stream, [], now).score,
+  };
+};
+
+/**
+ * Replay a timeline with one parameter set
+ *
+ * @param {Array|Object} timeline - Timeline fixture or buildTimelineFromEvents result
+ * @param {Object} criteria - Strategy parameters plus an optional `strategy` ID
+ *   (default 'threshold': { maxRisk, minDiscount, maxDuration, maxSpendPerOrder })
+ * @param {Object} options - { initialCapital, stepSeconds, endTime }
+ *   stepSeconds > 0 also evaluates the open book between entries
+ * @returns {Object} { fills, metrics }
+ */
+export const runBacktest = (timeline, criteria, options = {}) => {
+  const { initialCapital = 1000, stepSeconds = 0, endTime = null } = options;
+  const entries = normalizeTimeline(timeline);
+  const { strategy: strategyId = 'threshold', ...params } = criteria;
+  const decide = createStrategy(strategyId, params);
+
+  const streams = new Map();
+  const book = new Map();
+  const seen = new Set();
+  const fills = [];
+  let balance = initialCapital;
+
+  // Simulated holdings: what is still to be received from each fill
+  const getHoldings = (now) => fills.map((fill) => ({
+    streamId: fill.streamId,
+    amount: fill.endTime > now
+      ? fill.payout * Math.min(1, (fill.endTime - now) / Math.max(1, fill.endTime - fill.timestamp))
+      : 0,
+    endTime: fill.endTime,
+  }));
+
+  const evaluate = (now) => {
+    const orders = [];
+    book.forEach((order) => {
+      const stream = streams.get(order.streamId);
+      if (!stream) return;
+
+      const priced = priceOrder(order, stream, now);
+      if (priced.shareValue <= 0) return;
+      seen.add(order.id);
+      orders.push({ ...priced, stream });
+    });
+
+    const market = { now, orders };
+
+    orders.forEach((order) => {
+      const { stream } = order;
+      const portfolio = { address: null, balance, holdings: getHoldings(now) };
+      const decision = decide(order, stream, portfolio, market);
+      if (decision.action !== 'buy') return;
+
+      balance -= order.price;
+      book.delete(order.id);
+      fills.push({
+        orderId: order.id,
+        streamId: order.streamId,
+        seller: order.seller,
+        timestamp: now,
+        cost: order.price,
+        payout: order.shareValue,
+        pnl: order.shareValue - order.price,
+        discount: calculateDiscount(order.priceRatio),
+        riskScore: order.riskScore,
+        durationDays: getStreamDurationDays(stream),
+        endTime: getEndTime(stream, now),
+        reason: decision.reason,
+      });
+    });
+  };
+
+  const evaluateBetween = (from, to) => {
+    if (stepSeconds <= 0) return;
+    for (let now = from + stepSeconds; now < to; now += stepSeconds) {
+      evaluate(now);
+    }
+  };
+
+  let index = 0;
+  let lastTimestamp = null;
+  while (index < entries.length) {
+    const timestamp = entries[index].timestamp;
+    if (lastTimestamp !== null) evaluateBetween(lastTimestamp, timestamp);
+
+    // Apply every entry recorded at this timestamp, then evaluate once
+    for (; index < entries.length && entries[index].timestamp === timestamp; index++) {
+      const entry = entries[index];
+      if (entry.type === 'stream') {
+        streams.set(entry.stream.id, entry.stream);
+      } else if (entry.type === 'order') {
+        // An order the simulated buyer already took stays closed after later partial fills
+        if (!fills.some((fill) => fill.orderId === entry.order.id)) {
+          book.set(entry.order.id, entry.order);
+        }
+      } else {
+        book.delete(entry.orderId);
+      }
+    }
+
+    evaluate(timestamp);
+    lastTimestamp = timestamp;
+  }
+
+  if (lastTimestamp !== null && endTime) {
+    evaluateBetween(lastTimestamp, endTime + 1);
+  }
+
+  return { fills, metrics: summarizeFills(fills, seen.size, initialCapital) };
+};
+
+/**
+ * Aggregate fills into backtest metrics
+ *
+ * - pnl: payout (the share's full remaining stream payout) minus cost
+ * - hitRate: share of fills with a positive P&L
+ * - fillRate: share of evaluated orders that were bought
+ * - capitalUtilisation: share of the initial capital that was deployed
+ */
+const summarizeFills = (fills, ordersSeen, initialCapital) => {
+  const totalCost = fills.reduce((sum, fill) => sum + fill.cost, 0);
+  const totalPayout = fills.reduce((sum, fill) => sum + fill.payout, 0);
+  const pnl = totalPayout - totalCost;
+  const profitable = fills.filter((fill) => fill.pnl > 0).length;
+
+  return {
+    ordersSeen,
+    fills: fills.length,
+    totalCost,
+    totalPayout,
+    pnl,
+    returnPct: totalCost > 0 ? (pnl / totalCost) * 100 : 0,
+    hitRate: fills.length > 0 ? profitable / fills.length : 0,
+    fillRate: ordersSeen > 0 ? fills.length / ordersSeen : 0,
+    capitalUtilisation: initialCapital > 0 ? totalCost / initialCapital : 0,
+  };
+};
+
+/**
+ * Run several parameter sets against the same timeline
+ *
+ * @param {Array|Object} timeline - Timeline to replay
+ * @param {Array} parameterSets - Criteria objects (an optional `label` is kept)
+ * @param {Object} options - Passed to runBacktest
+ * @returns {Array} [{ label, criteria, fills, metrics }]
+ */
+export const compareBacktests = (timeline, parameterSets, options = {}) => {
+  const entries = normalizeTimeline(timeline);
+
+  return parameterSets.map((criteria, index) => ({
+    label: criteria.label || `Set ${index + 1}`,
+    criteria,
+    ...runBacktest(entries, criteria, options),
+  }));
+};
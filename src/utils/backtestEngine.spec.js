@@ -0,0 +1,175 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { ethers } from 'ethers';
+import timeline from '../test/fixtures/sniperTimeline.json';
+import {
+  buildTimelineFromEvents,
+  compareBacktests,
+  normalizeTimeline,
+  runBacktest,
+} from './backtestEngine';
+import { getEndTime, getUnvestedAmount } from './streamMath';
+
+/**
+ * Backtest engine tests
+ *
+ * The JSON fixture covers replay and metrics; synthetic indexed events
+ * cover the event-sourced timeline.
+ */
+
+const DAY = 86400;
+const seller = '0x000000000000000000000000000000000000000c';
+const wei = (amount) => ethers.parseEther(String(amount)).toString();
+
+const event = (name, timestamp, logIndex, args) => ({
+  id: `0x${timestamp.toString(16)}:${logIndex}`,
+  name,
+  blockNumber: timestamp,
+  logIndex,
+  txHash: `0x${timestamp.toString(16)}`,
+  timestamp,
+  args,
+});
+
+describe('backtestEngine', () => {
+  describe('runBacktest', () => {
+    it('fills matching orders and measures P&L against the stream payout', () => {
+      const { fills, metrics } = runBacktest(timeline, { maxRisk: 40, minDiscount: 10, maxDuration: 30 });
+
+      expect(fills).toHaveLength(1);
+      expect(fills[0]).toMatchObject({ orderId: '1', timestamp: DAY, cost: 360, payout: 450, pnl: 90 });
+      expect(metrics).toMatchObject({ ordersSeen: 3, fills: 1, totalCost: 360, pnl: 90, hitRate: 1 });
+      expect(metrics.returnPct).toBeCloseTo(25);
+      expect(metrics.fillRate).toBeCloseTo(1 / 3);
+      expect(metrics.capitalUtilisation).toBeCloseTo(0.36);
+    });
+
+    it('never spends more than the available capital', () => {
+      const criteria = { maxRisk: 40, minDiscount: 0, maxDuration: 90 };
+
+      expect(runBacktest(timeline, criteria).metrics.fills).toBe(2);
+      expect(runBacktest(timeline, criteria, { initialCapital: 500 }).fills.map((fill) => fill.orderId)).toEqual(['1']);
+    });
+
+    it('applies the per-order spend maximum', () => {
+      const { fills } = runBacktest(timeline, { maxRisk: 40, minDiscount: 0, maxDuration: 90, maxSpendPerOrder: 400 });
+
+      expect(fills.map((fill) => fill.orderId)).toEqual(['1']);
+    });
+
+    it('rejects malformed timelines', () => {
+      expect(() => normalizeTimeline({})).toThrow(/Invalid backtest timeline/);
+      expect(() => normalizeTimeline([{ timestamp: 0, type: 'bogus' }])).toThrow(/Unknown timeline entry/);
+    });
+  });
+
+  describe('compareBacktests', () => {
+    it('runs each parameter set against the same timeline', () => {
+      const results = compareBacktests(timeline, [
+        { label: 'Strict', maxRisk: 40, minDiscount: 10, maxDuration: 30 },
+        { maxRisk: 40, minDiscount: 0, maxDuration: 90 },
+      ]);
+
+      expect(results.map((result) => result.label)).toEqual(['Strict', 'Set 2']);
+      expect(results.map((result) => result.metrics.fills)).toEqual([1, 2]);
+      expect(results[1].metrics.totalPayout).toBeCloseTo(450 + 491.6667, 3);
+    });
+  });
+
+  describe('buildTimelineFromEvents', () => {
+    const start = 1000;
+    const events = [
+      event('StreamCreated', start, 0, { user: seller, streamId: '1', amount: wei(1000), duration: String(10 * DAY) }),
+      event('OrderCreated', start, 1, { orderId: '1', streamId: '1', seller, price: wei(200), percentage: '50' }),
+      event('Withdraw', start + 2 * DAY, 0, { user: seller, streamId: '1', amount: wei(100) }),
+      event('StreamSold', start + 8 * DAY, 0, { user: seller, streamId: '1', amountSold: wei(100), cashReceived: wei(200) }),
+      event('OrderFilled', start + 8 * DAY, 1, { orderId: '1', streamId: '1', buyer: seller, seller, price: wei(200) }),
+    ];
+
+    it('replays stream state and order lifecycle from indexed events', () => {
+      const { entries } = buildTimelineFromEvents(events);
+
+      expect(entries.map((entry) => entry.type)).toEqual(['stream', 'order', 'stream', 'stream', 'close']);
+      expect(entries[0].stream).toMatchObject({ id: '1', totalDeposit: 1000, startTime: start, duration: 10 * DAY });
+      expect(entries[2].stream.claimedAmount).toBe(100);
+      expect(entries[3].stream).toMatchObject({ claimedAmount: 100, soldAmount: 100 });
+      expect(entries[1].order).toMatchObject({ id: '1', price: 200, percentage: 50, listedAt: start });
+    });
+
+    it('scores risk at each evaluation time when re-scanning between events', () => {
+      const criteria = { maxRisk: 40, minDiscount: 10, maxDuration: 30 };
+      const recorded = buildTimelineFromEvents(events);
+
+      // Too risky when listed; the order would only match later as the stream matures
+      expect(runBacktest(recorded, criteria).fills).toHaveLength(0);
+
+      const { fills } = runBacktest(recorded, criteria, { stepSeconds: DAY });
+      expect(fills).toHaveLength(1);
+      expect(fills[0]).toMatchObject({ timestamp: start + 5 * DAY, cost: 200, payout: 250, pnl: 50 });
+      expect(fills[0].riskScore).toBeLessThanOrEqual(40);
+    });
+
+    it('keeps the rest of a partially filled order listed', () => {
+      const { entries } = buildTimelineFromEvents([
+        ...events.slice(0, 2),
+        event('OrderFilled', start + DAY, 0, {
+          orderId: '1', streamId: '1', buyer: seller, seller, price: wei(80), percentage: '20', amount: wei(180), remainingPercentage: '30',
+        }),
+      ]);
+
+      expect(entries.map((entry) => entry.type)).toEqual(['stream', 'order', 'order']);
+      expect(entries[2].order).toMatchObject({ id: '1', percentage: 30, price: 120, listedAt: start });
+    });
+
+    it('prices Dutch auctions at their decayed ask', () => {
+      const criteria = { maxRisk: 100, minDiscount: 20, maxDuration: 30 };
+      const recorded = buildTimelineFromEvents([
+        events[0],
+        event('OrderCreated', start, 1, { orderId: '1', streamId: '1', seller, price: wei(500), percentage: '50' }),
+        event('DutchOrderCreated', start, 2, { orderId: '1', startPrice: wei(500), floorPrice: wei(200), decayDuration: String(4 * DAY) }),
+      ]);
+
+      expect(recorded.entries[2].order).toMatchObject({ price: 500, floorPrice: 200, decayDuration: 4 * DAY });
+      expect(runBacktest(recorded, criteria).fills).toHaveLength(0);
+
+      // After three days the ask has fallen to 275 for a share worth 350
+      const { fills } = runBacktest(recorded, criteria, { stepSeconds: DAY / 2, endTime: start + 5 * DAY });
+      expect(fills).toHaveLength(1);
+      expect(fills[0]).toMatchObject({ timestamp: start + 3 * DAY, cost: 275, payout: 350 });
+    });
+
+    it('prices ratio-priced orders from their stream at each evaluation', () => {
+      const criteria = { maxRisk: 40, minDiscount: 5, maxDuration: 30 };
+      const recorded = buildTimelineFromEvents([
+        events[0],
+        event('OrderCreated', start, 1, { orderId: '1', streamId: '1', seller, price: wei(450), percentage: '50' }),
+        event('RatioOrderCreated', start, 2, { orderId: '1', priceRatio: '9000' }),
+        events[2],
+      ]);
+
+      expect(recorded.entries[2].order).toMatchObject({ price: 450, priceRatioBps: 9000 });
+
+      // Matched once the stream is less risky, at 90% of what is left by then
+      const { fills } = runBacktest(recorded, criteria, { stepSeconds: DAY, endTime: start + 9 * DAY });
+      expect(fills).toHaveLength(1);
+      expect(fills[0]).toMatchObject({ timestamp: start + 5 * DAY, payout: 250 });
+      expect(fills[0].cost).toBeCloseTo(225);
+    });
+
+    it('replays pauses, freezing vesting until the stream resumes', () => {
+      const { entries } = buildTimelineFromEvents([
+        event('StreamCreated', start, 0, { user: seller, streamId: '1', amount: wei(1000), duration: String(10 * DAY) }),
+        event('StreamPaused', start + 2 * DAY, 0, { streamId: '1', sender: seller, receiver: seller }),
+        event('StreamResumed', start + 5 * DAY, 0, { streamId: '1', sender: seller, receiver: seller, pausedFor: String(3 * DAY) }),
+      ]);
+
+      const paused = entries[1].stream;
+      const resumed = entries[2].stream;
+      expect(paused.pausedAt).toBe(start + 2 * DAY);
+      expect(getUnvestedAmount(paused, start + 4 * DAY)).toBe(800);
+      expect(resumed).toMatchObject({ pausedAt: 0, pausedDuration: 3 * DAY });
+      expect(getUnvestedAmount(resumed, start + 6 * DAY)).toBe(700);
+      expect(getEndTime(resumed)).toBe(start + 13 * DAY);
+    });
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Block Sync
+ *
+ * Drives state freshness from new blocks instead of timers:
+ * - every new head triggers one log query for the blocks since the last sync
+ * - the logs are handed to onEvents so the app reconciles only what changed
+ * - the hash of each synced head is kept; when the chain no longer agrees
+ *   with it, the sync rewinds to the last finalized block (head minus
+ *   `confirmations`), reports the dropped range to onReorg and replays it
+ * - providers without block subscriptions are polled instead
+ */
+
+const DEFAULT_CONFIRMATIONS = 12;
+const DEFAULT_POLL_INTERVAL = 4000;
+
+/**
+ * Plain record for a decoded contract log
+ */
+const toEvent = (log) => ({
+  id: `${log.transactionHash}:${log.index}`,
+  name: log.fragment.name,
+  args: log.args,
+  blockNumber: log.blockNumber,
+  logIndex: log.index,
+  txHash: log.transactionHash,
+});
+
+/**
+ * Create a block-driven sync for one contract
+ *
+ * @param {Object} options
+ * @param {ethers.Contract} options.contract - Contract whose logs are synced
+ * @param {Object} options.provider - Block source (defaults to the contract's provider)
+ * @param {number} options.fromBlock - Last block already reflected in app state
+ *   (defaults to the head at start())
+ * @param {number} options.confirmations - Depth after which a block is final
+ * @param {number} options.pollInterval - ms between head checks when polling
+ * @param {Function} options.onEvents - (events, { fromBlock, toBlock }) => void,
+ *   called once per sync, also when the range had no logs
+ * @param {Function} options.onReorg - ({ fromBlock, toBlock }) => void, the
+ *   range whose events must be discarded before it is replayed
+ * @param {Function} options.onError - (error) => void
+ * @returns {Object} { start, stop, sync, getCursor }
+ */
+export const createBlockSync = (options) => {
+  const {
+    contract,
+    provider = contract.runner.provider,
+    confirmations = DEFAULT_CONFIRMATIONS,
+    pollInterval = DEFAULT_POLL_INTERVAL,
+    onEvents,
+    onReorg,
+    onError = (error) => console.error('Block sync failed:', error),
+  } = options;
+
+  let cursor = options.fromBlock ?? null; // Last synced block
+  let baseBlock = cursor; // Never rewind below the starting point
+  const hashes = new Map(); // blockNumber -> hash of synced heads
+  let running = null;
+  let rerun = false;
+  let stopped = true;
+  let timer = null;
+  let blockListener = null;
+
+  const prune = () => {
+    const oldest = cursor - confirmations * 2;
+    hashes.forEach((_, blockNumber) => {
+      if (blockNumber < oldest) hashes.delete(blockNumber);
+    });
+  };
+
+  /**
+   * Whether the chain still agrees with the synced history up to `cursor`
+   */
+  const isCanonical = async (head) => {
+    if (hashes.size === 0) return true;
+
+    if (head.number === cursor + 1 && hashes.has(cursor)) {
+      return head.parentHash === hashes.get(cursor);
+    }
+
+    // Gap, same height or a shorter chain: compare the deepest block both share
+    const checkBlock = Math.min(cursor, head.number);
+    if (!hashes.has(checkBlock)) return true;
+    const block = checkBlock === head.number ? head : await provider.getBlock(checkBlock);
+    return !!block && block.hash === hashes.get(checkBlock);
+  };
+
+  const rewind = (head) => {
+    const finalized = Math.max(baseBlock, Math.min(cursor, head.number) - confirmations);
+    const dropped = { fromBlock: finalized + 1, toBlock: cursor };
+    console.warn(`⛓️ Reorg detected at block ${head.number}, rewinding to ${finalized}`);
+
+    hashes.forEach((_, blockNumber) => {
+      if (blockNumber > finalized) hashes.delete(blockNumber);
+    });
+    cursor = finalized;
+    if (onReorg) onReorg(dropped);
+  };
+
+  const runSync = async () => {
+    const head = await provider.getBlock('latest');
+    if (!head) return;
+
+    if (cursor === null) {
+      cursor = head.number;
+      baseBlock = head.number;
+      hashes.set(head.number, head.hash);
+      return;
+    }
+
+    if (!(await isCanonical(head))) {
+      rewind(head);
+    }
+
+    // Nothing new, or a lagging RPC node behind the synced head
+    if (head.number <= cursor) return;
+
+    const fromBlock = cursor + 1;
+    const logs = await contract.queryFilter('*', fromBlock, head.number);
+    const events = logs
+      .filter((log) => log.fragment)
+      .map(toEvent)
+      .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+    cursor = head.number;
+    hashes.set(head.number, head.hash);
+    prune();
+
+    if (onEvents) onEvents(events, { fromBlock, toBlock: head.number });
+  };
+
+  /**
+   * Sync up to the current head; calls made while a sync is running are
+   * folded into one follow-up sync
+   *
+   * @returns {Promise<void>}
+   */
+  const sync = async () => {
+    if (running) {
+      rerun = true;
+      return running;
+    }
+
+    running = (async () => {
+      do {
+        rerun = false;
+        try {
+          await runSync();
+        } catch (error) {
+          onError(error);
+        }
+      } while (rerun && !stopped);
+    })().finally(() => {
+      running = null;
+    });
+    return running;
+  };
+
+  const startPolling = () => {
+    console.warn('Provider has no block subscriptions, polling for new blocks');
+    timer = setInterval(sync, pollInterval);
+  };
+
+  /**
+   * Subscribe to new blocks (or start polling) and sync once
+   */
+  const start = async () => {
+    if (!stopped) return;
+    stopped = false;
+
+    if (typeof provider.on === 'function') {
+      blockListener = () => sync();
+      try {
+        await provider.on('block', blockListener);
+      } catch (error) {
+        console.warn('Block subscription failed:', error.message);
+        blockListener = null;
+        startPolling();
+      }
+    } else {
+      startPolling();
+    }
+
+    await sync();
+  };
+
+  /**
+   * Unsubscribe and stop polling
+   */
+  const stop = () => {
+    stopped = true;
+    if (blockListener) {
+      Promise.resolve(provider.off('block', blockListener)).catch(() => {});
+      blockListener = null;
+    }
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  return { start, stop, sync, getCursor: () => cursor };
+};
@@ -0,0 +1,126 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import hre from 'hardhat';
+import { createBlockSync } from './blockSync';
+
+/**
+ * Block sync tests
+ *
+ * Runs against the in-process Hardhat network; reorgs are simulated by
+ * reverting to a snapshot and mining a different block at the same height.
+ */
+
+const { ethers } = hre;
+
+// Provider without block subscriptions
+const pollingProvider = () => ({
+  getBlock: (blockTag) => ethers.provider.getBlock(blockTag),
+});
+
+describe('blockSync', () => {
+  let volt;
+  let alice;
+
+  beforeAll(async () => {
+    await hre.run('compile', { quiet: true });
+
+    const [owner, user] = await ethers.getSigners();
+    alice = user;
+    const vusdc = await (await ethers.getContractFactory('vUSDC')).deploy(owner.address);
+    volt = await (await ethers.getContractFactory('VoltProtocol')).deploy(vusdc.target);
+
+    await vusdc.transfer(alice.address, ethers.parseEther('5000'));
+    await vusdc.connect(alice).approve(volt.target, ethers.MaxUint256);
+  });
+
+  const createStream = (amount) => volt.connect(alice).createStreamWithVUSDC(86400, ethers.parseEther(amount));
+
+  it('reconciles each new range of blocks once, in chain order', async () => {
+    const batches = [];
+    const sync = createBlockSync({
+      contract: volt,
+      provider: pollingProvider(),
+      onEvents: (events, range) => batches.push({ events, range }),
+    });
+
+    await sync.sync();
+    const startBlock = sync.getCursor();
+    expect(batches).toHaveLength(0);
+
+    await createStream('100');
+    await createStream('200');
+    await sync.sync();
+    await sync.sync();
+
+    expect(batches).toHaveLength(1);
+    expect(batches[0].range).toEqual({ fromBlock: startBlock + 1, toBlock: startBlock + 2 });
+    expect(batches[0].events.map((event) => event.name)).toEqual(['StreamCreated', 'StreamCreated']);
+    expect(batches[0].events.map((event) => event.args.amount)).toEqual([
+      ethers.parseEther('100'),
+      ethers.parseEther('200'),
+    ]);
+  });
+
+  it('rewinds to the last finalized block on a reorg and replays the new chain', async () => {
+    const events = [];
+    const reorgs = [];
+    const sync = createBlockSync({
+      contract: volt,
+      provider: pollingProvider(),
+      confirmations: 2,
+      onEvents: (batch) => events.push(...batch),
+      onReorg: (range) => reorgs.push(range),
+    });
+
+    await sync.sync();
+    await hre.network.provider.send('evm_mine');
+    await hre.network.provider.send('evm_mine');
+    await sync.sync();
+    const forkBlock = sync.getCursor();
+
+    const snapshot = await hre.network.provider.send('evm_snapshot');
+    await createStream('300');
+    await sync.sync();
+    expect(events.map((event) => event.args.amount)).toEqual([ethers.parseEther('300')]);
+
+    // Replace the block with a different one at the same height
+    await hre.network.provider.send('evm_revert', [snapshot]);
+    await createStream('400');
+    await sync.sync();
+
+    expect(reorgs).toEqual([{ fromBlock: forkBlock, toBlock: forkBlock + 1 }]);
+    expect(events.map((event) => event.args.amount)).toEqual([
+      ethers.parseEther('300'),
+      ethers.parseEther('400'),
+    ]);
+    expect(events[1].blockNumber).toBe(forkBlock + 1);
+  });
+
+  it('subscribes to new blocks, or polls when the provider cannot', async () => {
+    const listeners = new Set();
+    const subscribing = {
+      ...pollingProvider(),
+      on: async (name, listener) => listeners.add(listener),
+      off: async (name, listener) => listeners.delete(listener),
+    };
+    const subscribed = createBlockSync({ contract: volt, provider: subscribing });
+    await subscribed.start();
+    expect(listeners.size).toBe(1);
+    subscribed.stop();
+    expect(listeners.size).toBe(0);
+
+    const events = [];
+    const polled = createBlockSync({
+      contract: volt,
+      provider: pollingProvider(),
+      pollInterval: 20,
+      onEvents: (batch) => events.push(...batch),
+    });
+    await polled.start();
+    await createStream('500');
+
+    await vi.waitFor(() => expect(events).toHaveLength(1), { timeout: 2000 });
+    polled.stop();
+    expect(events[0].args.amount).toBe(ethers.parseEther('500'));
+  });
+});
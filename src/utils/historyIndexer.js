@@ -0,0 +1,391 @@
+/**
+ * History Indexer
+ *
+ * Builds trade and order history from VoltProtocol event logs:
+ * - Backfills events with queryFilter in block-range chunks
+ * - Persists indexed events in IndexedDB (one database per chain + contract)
+ * - Resumes from the last indexed block on the next sync
+ * - Rewinds past reorged blocks (see blockSync)
+ *
+ * History is derived from the events, so it is the same on every device
+ * and includes trades where the user was the counterparty.
+ */
+
+import { ethers } from 'ethers';
+
+export const INDEXED_EVENTS = [
+  'StreamCreated',
+  'StreamSold',
+  'Withdraw',
+  'StreamCancelled',
+  'StreamPaused',
+  'StreamResumed',
+  'OrderCreated',
+  'DutchOrderCreated',
+  'RatioOrderCreated',
+  'OrderFilled',
+  'OrderCancelled',
+  'BidAccepted',
+];
+
+const DB_VERSION = 1;
+const EVENTS_STORE = 'events';
+const META_STORE = 'meta';
+const LAST_BLOCK_KEY = 'lastIndexedBlock';
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+const openDatabase = (name) => new Promise((resolve, reject) => {
+  const request = indexedDB.open(name, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(EVENTS_STORE)) {
+      db.createObjectStore(EVENTS_STORE, { keyPath: 'id' });
+    }
+    if (!db.objectStoreNames.contains(META_STORE)) {
+      db.createObjectStore(META_STORE, { keyPath: 'key' });
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * In-memory store used when IndexedDB is unavailable (private mode, tests)
+ */
+const createMemoryStore = () => {
+  const events = new Map();
+  let lastBlock = null;
+
+  return {
+    getEvents: async () => Array.from(events.values()),
+    getLastBlock: async () => lastBlock,
+    putEvents: async (newEvents, toBlock) => {
+      newEvents.forEach((event) => events.set(event.id, event));
+      lastBlock = toBlock;
+    },
+    rewind: async (blockNumber) => {
+      events.forEach((event, id) => {
+        if (event.blockNumber > blockNumber) events.delete(id);
+      });
+      if (lastBlock !== null) lastBlock = Math.min(lastBlock, blockNumber);
+    },
+    clear: async () => {
+      events.clear();
+      lastBlock = null;
+    },
+    close: () => {},
+  };
+};
+
+/**
+ * Open the event store for a chain + contract pair
+ */
+export const openHistoryStore = async (chainId, contractAddress) => {
+  if (typeof indexedDB === 'undefined') {
+    return createMemoryStore();
+  }
+
+  try {
+    const db = await openDatabase(`volt_history_${chainId}_${contractAddress.toLowerCase()}`);
+
+    return {
+      getEvents: async () => {
+        const transaction = db.transaction(EVENTS_STORE, 'readonly');
+        return requestToPromise(transaction.objectStore(EVENTS_STORE).getAll());
+      },
+      getLastBlock: async () => {
+        const transaction = db.transaction(META_STORE, 'readonly');
+        const entry = await requestToPromise(transaction.objectStore(META_STORE).get(LAST_BLOCK_KEY));
+        return entry ? entry.value : null;
+      },
+      // Events and the block cursor are written in one transaction so an
+      // interrupted sync never skips or half-writes a chunk
+      putEvents: async (newEvents, toBlock) => {
+        const transaction = db.transaction([EVENTS_STORE, META_STORE], 'readwrite');
+        const eventStore = transaction.objectStore(EVENTS_STORE);
+        newEvents.forEach((event) => eventStore.put(event));
+        transaction.objectStore(META_STORE).put({ key: LAST_BLOCK_KEY, value: toBlock });
+        await transactionDone(transaction);
+      },
+      // Drop events above a block and move the cursor back to it
+      rewind: async (blockNumber) => {
+        const transaction = db.transaction([EVENTS_STORE, META_STORE], 'readwrite');
+        const eventStore = transaction.objectStore(EVENTS_STORE);
+        const metaStore = transaction.objectStore(META_STORE);
+        const [stored, cursor] = await Promise.all([
+          requestToPromise(eventStore.getAll()),
+          requestToPromise(metaStore.get(LAST_BLOCK_KEY)),
+        ]);
+        stored
+          .filter((event) => event.blockNumber > blockNumber)
+          .forEach((event) => eventStore.delete(event.id));
+        if (cursor && cursor.value > blockNumber) {
+          metaStore.put({ key: LAST_BLOCK_KEY, value: blockNumber });
+        }
+        await transactionDone(transaction);
+      },
+      clear: async () => {
+        const transaction = db.transaction([EVENTS_STORE, META_STORE], 'readwrite');
+        transaction.objectStore(EVENTS_STORE).clear();
+        transaction.objectStore(META_STORE).clear();
+        await transactionDone(transaction);
+      },
+      close: () => db.close(),
+    };
+  } catch (error) {
+    console.warn('IndexedDB unavailable, history will not persist:', error);
+    return createMemoryStore();
+  }
+};
+
+/**
+ * Convert an ethers EventLog into a plain, storable record
+ * (BigInts become strings so records survive JSON export)
+ */
+const normalizeLog = (log, timestamp) => {
+  const args = {};
+  log.fragment.inputs.forEach((input, index) => {
+    const value = log.args[index];
+    args[input.name] = typeof value === 'bigint' ? value.toString() : value;
+  });
+
+  return {
+    id: `${log.transactionHash}:${log.index}`,
+    name: log.fragment.name,
+    blockNumber: log.blockNumber,
+    logIndex: log.index,
+    txHash: log.transactionHash,
+    timestamp,
+    args,
+  };
+};
+
+/**
+ * Sort events in chain order
+ */
+export const sortEvents = (events) => {
+  return [...events].sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+};
+
+/**
+ * Fetch all indexed events in a single block range
+ */
+export const fetchEventRange = async (contract, fromBlock, toBlock) => {
+  const provider = contract.runner.provider;
+  const eventNames = INDEXED_EVENTS.filter((name) => contract.interface.getEvent(name));
+
+  const logsByEvent = await Promise.all(
+    eventNames.map((name) => contract.queryFilter(contract.filters[name](), fromBlock, toBlock))
+  );
+  const logs = logsByEvent.flat().filter((log) => log.fragment);
+
+  // One getBlock per block that actually has events
+  const blockNumbers = [...new Set(logs.map((log) => log.blockNumber))];
+  const blocks = await Promise.all(blockNumbers.map((blockNumber) => provider.getBlock(blockNumber)));
+  const timestamps = new Map(blocks.map((block, index) => [blockNumbers[index], block ? block.timestamp : 0]));
+
+  return sortEvents(logs.map((log) => normalizeLog(log, timestamps.get(log.blockNumber))));
+};
+
+/**
+ * Index new events from the last indexed block up to the chain head
+ *
+ * Chunks that fail (e.g. RPC range limits) are retried at half the size.
+ */
+export const syncHistory = async ({ contract, store, fromBlock = 0, chunkSize = 5000, onProgress }) => {
+  const latestBlock = await contract.runner.provider.getBlockNumber();
+  const lastIndexed = await store.getLastBlock();
+
+  let start = lastIndexed !== null ? lastIndexed + 1 : fromBlock;
+  let size = chunkSize;
+  const newEvents = [];
+
+  while (start <= latestBlock) {
+    const end = Math.min(start + size - 1, latestBlock);
+
+    let events;
+    try {
+      events = await fetchEventRange(contract, start, end);
+    } catch (error) {
+      if (size > 1) {
+        size = Math.max(1, Math.floor(size / 2));
+        console.warn(`Log query ${start}-${end} failed, retrying with ${size} blocks:`, error.message);
+        continue;
+      }
+      throw error;
+    }
+
+    await store.putEvents(events, end);
+    newEvents.push(...events);
+    if (onProgress) onProgress({ fromBlock: start, toBlock: end, latestBlock });
+
+    start = end + 1;
+  }
+
+  return { newEvents, lastBlock: latestBlock };
+};
+
+/**
+ * Progress of a sync in flight for display, e.g. " (block 120 of 400)"
+ */
+export const formatSyncProgress = (progress) => (
+  progress ? ` (block ${progress.toBlock} of ${progress.latestBlock})` : ''
+);
+
+const toAmount = (value) => parseFloat(ethers.formatEther(value));
+
+/**
+ * Derive order history (listed / sold / cancelled) from indexed events
+ * blockNumber is the block of the latest event that touched the order.
+ * Partially filled orders stay listed with their remaining percentage and
+ * price; soldPrice adds up every fill.
+ */
+export const buildOrderHistory = (events) => {
+  const orders = new Map();
+
+  sortEvents(events).forEach((event) => {
+    const { args } = event;
+
+    if (event.name === 'OrderCreated') {
+      orders.set(args.orderId, {
+        id: args.orderId,
+        streamId: args.streamId,
+        seller: args.seller,
+        price: toAmount(args.price),
+        percentage: Number(args.percentage),
+        remainingPercentage: Number(args.percentage),
+        remainingPrice: toAmount(args.price),
+        floorPrice: null,
+        remainingFloorPrice: null,
+        decayDuration: 0,
+        fills: 0,
+        priceRatio: null,
+        riskScore: null,
+        riskLevel: null,
+        status: 'listed',
+        listedAt: event.timestamp,
+        blockNumber: event.blockNumber,
+        txHash: event.txHash,
+      });
+      return;
+    }
+
+    const order = orders.get(args.orderId);
+    if (!order) return;
+
+    if (event.name === 'DutchOrderCreated') {
+      orders.set(args.orderId, {
+        ...order,
+        floorPrice: toAmount(args.floorPrice),
+        remainingFloorPrice: toAmount(args.floorPrice),
+        decayDuration: Number(args.decayDuration),
+      });
+    } else if (event.name === 'RatioOrderCreated') {
+      // Basis points of the share's value at fill time
+      orders.set(args.orderId, { ...order, priceRatio: Number(args.priceRatio) / 10000 });
+    } else if (event.name === 'OrderFilled') {
+      // Same pro-rata bookkeeping as the contract
+      const filled = args.percentage !== undefined ? Number(args.percentage) : order.remainingPercentage;
+      const remaining = Math.max(0, order.remainingPercentage - filled);
+      const isClosed = remaining === 0;
+
+      orders.set(args.orderId, {
+        ...order,
+        status: isClosed ? 'sold' : 'listed',
+        buyer: args.buyer,
+        remainingPercentage: remaining,
+        remainingPrice: order.remainingPrice - (order.remainingPrice * filled) / order.remainingPercentage,
+        remainingFloorPrice: order.remainingFloorPrice === null
+          ? null
+          : order.remainingFloorPrice - (order.remainingFloorPrice * filled) / order.remainingPercentage,
+        fills: order.fills + 1,
+        soldPrice: (order.soldPrice || 0) + toAmount(args.price),
+        soldAt: isClosed ? event.timestamp : order.soldAt,
+        blockNumber: event.blockNumber,
+        closeTxHash: isClosed ? event.txHash : order.closeTxHash,
+      });
+    } else if (event.name === 'OrderCancelled') {
+      orders.set(args.orderId, {
+        ...order,
+        status: 'cancelled',
+        cancelledAt: event.timestamp,
+        blockNumber: event.blockNumber,
+        closeTxHash: event.txHash,
+      });
+    }
+  });
+
+  return Array.from(orders.values()).sort((a, b) => b.listedAt - a.listedAt);
+};
+
+/**
+ * Derive executed trades from OrderFilled events, one per (partial) fill
+ *
+ * Fills carry their amount and percentage; for events indexed before
+ * OrderFilled had them, the amount comes from the StreamSold event in the
+ * same transaction. A BidAccepted event in that transaction marks a bid fill.
+ */
+export const buildTradeHistory = (events) => {
+  const percentages = new Map();
+  const soldByTx = new Map();
+  const bidsByTx = new Map();
+
+  events.forEach((event) => {
+    if (event.name === 'OrderCreated') {
+      percentages.set(event.args.orderId, Number(event.args.percentage));
+    } else if (event.name === 'StreamSold') {
+      soldByTx.set(`${event.txHash}:${event.args.streamId}`, event.args.amountSold);
+    } else if (event.name === 'BidAccepted') {
+      bidsByTx.set(event.txHash, event.args.bidId);
+    }
+  });
+
+  return events
+    .filter((event) => event.name === 'OrderFilled')
+    .map((event) => {
+      const { args } = event;
+      const amountSold = args.amount ?? soldByTx.get(`${event.txHash}:${args.streamId}`);
+      const bidId = bidsByTx.get(event.txHash);
+
+      return {
+        id: event.id,
+        orderId: args.orderId,
+        streamId: args.streamId,
+        seller: args.seller,
+        buyer: args.buyer,
+        amount: amountSold ? toAmount(amountSold) : 0,
+        price: toAmount(args.price),
+        percentage: args.percentage !== undefined ? Number(args.percentage) : percentages.get(args.orderId) || 0,
+        executedAt: event.timestamp,
+        blockNumber: event.blockNumber,
+        txHash: event.txHash,
+        viaBid: bidId !== undefined,
+        bidId: bidId || null,
+      };
+    })
+    .sort((a, b) => b.executedAt - a.executedAt);
+};
+
+/**
+ * Events where the address appears as stream owner, seller, buyer or bidder
+ */
+export const getUserActivity = (events, address) => {
+  if (!address) return [];
+  const target = address.toLowerCase();
+
+  return events.filter((event) =>
+    Object.values(event.args).some(
+      (value) => typeof value === 'string' && value.toLowerCase() === target
+    )
+  );
+};
@@ -0,0 +1,226 @@
+/**
+ * Multicall Read Layer
+ *
+ * Batches contract reads into Multicall3 aggregate3 calls:
+ * - calls made within a short window go out as one eth_call
+ * - identical in-flight reads share one request (coalescing)
+ * - results are cached per block; a new block (or invalidate()) refetches
+ * - every batch is pinned to one block, so reads in it are consistent
+ *
+ * Without a Multicall3 deployment at the configured address, reads fall
+ * back to one eth_call each, still coalesced and cached.
+ */
+
+import { ethers } from 'ethers';
+import { decodeRevert } from './txPipeline';
+
+export const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+  'function getEthBalance(address addr) view returns (uint256 balance)',
+];
+
+const multicallInterface = new ethers.Interface(MULTICALL3_ABI);
+
+const DEFAULT_BATCH_WINDOW = 10; // ms to collect calls into one batch
+const DEFAULT_MAX_BATCH_SIZE = 200; // Calls per aggregate3
+const DEFAULT_BLOCK_TTL = 1000; // ms a known block number is trusted
+
+/**
+ * Create a batched reader for a provider
+ *
+ * @param {Object} provider - ethers provider
+ * @param {Object} options - { address, batchWindow, maxBatchSize, blockTtl }
+ *   address is the Multicall3 contract; omit it to disable batching
+ * @returns {Object} { read, getBalance, invalidate, stats }
+ */
+export const createMulticallReader = (provider, options = {}) => {
+  const {
+    address = null,
+    batchWindow = DEFAULT_BATCH_WINDOW,
+    maxBatchSize = DEFAULT_MAX_BATCH_SIZE,
+    blockTtl = DEFAULT_BLOCK_TTL,
+  } = options;
+
+  const cache = new Map(); // key -> { blockNumber, data }
+  const inflight = new Map(); // key -> Promise<data>
+  const stats = { requests: 0, batches: 0, rpcCalls: 0, cacheHits: 0, coalesced: 0 };
+  let queue = [];
+  let timer = null;
+  let supported = address ? null : false; // null until the deployment is checked
+  let block = { number: null, fetchedAt: 0, promise: null };
+
+  const getBlockNumber = async () => {
+    if (block.number !== null && Date.now() - block.fetchedAt < blockTtl) return block.number;
+    if (!block.promise) {
+      block.promise = provider.getBlockNumber()
+        .then((number) => {
+          block = { number, fetchedAt: Date.now(), promise: null };
+          return number;
+        })
+        .catch((error) => {
+          block.promise = null;
+          throw error;
+        });
+    }
+    return block.promise;
+  };
+
+  const isSupported = async () => {
+    if (supported === null) {
+      const code = await provider.getCode(address);
+      supported = code !== '0x';
+      if (!supported) console.warn(`No Multicall3 at ${address}, reads are not batched`);
+    }
+    return supported;
+  };
+
+  const prune = (blockNumber) => {
+    cache.forEach((entry, key) => {
+      if (entry.blockNumber < blockNumber) cache.delete(key);
+    });
+  };
+
+  const settle = (request, success, data, blockNumber) => {
+    if (success) {
+      cache.set(request.key, { blockNumber, data });
+      request.resolve(data);
+    } else {
+      request.reject(Object.assign(new Error('Read call reverted'), { code: 'CALL_EXCEPTION', data }));
+    }
+  };
+
+  const runBatched = async (requests, blockNumber) => {
+    for (let start = 0; start < requests.length; start += maxBatchSize) {
+      const chunk = requests.slice(start, start + maxBatchSize);
+      stats.batches++;
+      stats.rpcCalls++;
+      const data = await provider.call({
+        to: address,
+        data: multicallInterface.encodeFunctionData('aggregate3', [
+          chunk.map((request) => [request.target, true, request.data]),
+        ]),
+        blockTag: blockNumber,
+      });
+      const [results] = multicallInterface.decodeFunctionResult('aggregate3', data);
+      results.forEach(([success, returnData], index) => settle(chunk[index], success, returnData, blockNumber));
+    }
+  };
+
+  const runIndividually = (requests, blockNumber) => Promise.all(requests.map(async (request) => {
+    stats.rpcCalls++;
+    try {
+      const data = await provider.call({ to: request.target, data: request.data, blockTag: blockNumber });
+      settle(request, true, data, blockNumber);
+    } catch (error) {
+      request.reject(error);
+    }
+  }));
+
+  const flush = async () => {
+    const batch = queue;
+    queue = [];
+    timer = null;
+
+    try {
+      const blockNumber = await getBlockNumber();
+      prune(blockNumber);
+
+      const pending = batch.filter((request) => {
+        const cached = cache.get(request.key);
+        if (cached && cached.blockNumber >= blockNumber) {
+          stats.cacheHits++;
+          request.resolve(cached.data);
+          return false;
+        }
+        return true;
+      });
+      if (pending.length === 0) return;
+
+      if (await isSupported()) {
+        await runBatched(pending, blockNumber);
+      } else {
+        await runIndividually(pending, blockNumber);
+      }
+    } catch (error) {
+      // Requests already settled ignore this
+      batch.forEach((request) => request.reject(error));
+    }
+  };
+
+  /**
+   * Queue a raw eth_call, resolving with its return data
+   */
+  const request = (target, data) => {
+    stats.requests++;
+    const key = `${target.toLowerCase()}:${data}`;
+
+    const cached = cache.get(key);
+    if (cached && cached.blockNumber === block.number && Date.now() - block.fetchedAt < blockTtl) {
+      stats.cacheHits++;
+      return Promise.resolve(cached.data);
+    }
+
+    if (inflight.has(key)) {
+      stats.coalesced++;
+      return inflight.get(key);
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      queue.push({ key, target, data, resolve, reject });
+    }).finally(() => inflight.delete(key));
+    inflight.set(key, promise);
+
+    if (!timer) timer = setTimeout(flush, batchWindow);
+    return promise;
+  };
+
+  /**
+   * Read a view function through the batch
+   *
+   * @param {Object} contract - ethers.Contract (target and interface are used)
+   * @param {string} method - Function name
+   * @param {Array} args - Function arguments
+   * @returns {Promise<*>} Decoded result, unwrapped like ethers does for a
+   *   single return value
+   */
+  const read = async (contract, method, args = []) => {
+    const { interface: iface } = contract;
+    const target = typeof contract.target === 'string' ? contract.target : await contract.getAddress();
+
+    let data;
+    try {
+      data = await request(target, iface.encodeFunctionData(method, args));
+    } catch (error) {
+      const revert = decodeRevert(error, [iface]);
+      if (!revert) throw error;
+      throw Object.assign(new Error(`${method} reverted: ${revert.message}`), { code: 'CALL_EXCEPTION', revert, cause: error });
+    }
+
+    const result = iface.decodeFunctionResult(method, data);
+    return result.length === 1 ? result[0] : result;
+  };
+
+  /**
+   * Native balance of an address (batched through Multicall3 getEthBalance)
+   *
+   * @param {string} owner - Address to query
+   * @returns {Promise<bigint>} Balance in wei
+   */
+  const getBalance = async (owner) => {
+    if (!(await isSupported().catch(() => false))) {
+      return provider.getBalance(owner);
+    }
+    const data = await request(address, multicallInterface.encodeFunctionData('getEthBalance', [owner]));
+    return multicallInterface.decodeFunctionResult('getEthBalance', data)[0];
+  };
+
+  /**
+   * Drop cached results, e.g. after a transaction from this app is mined
+   */
+  const invalidate = () => {
+    cache.clear();
+    block = { number: null, fetchedAt: 0, promise: null };
+  };
+
+  return { read, getBalance, invalidate, stats };
+};
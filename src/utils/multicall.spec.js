@@ -0,0 +1,122 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll } from 'vitest';
+import hre from 'hardhat';
+import { createMulticallReader } from './multicall';
+
+/**
+ * Multicall read layer tests
+ *
+ * Runs against the in-process Hardhat network with a local Multicall3.
+ * The provider is wrapped to count the eth_calls that reach the node.
+ */
+
+const { ethers } = hre;
+
+const countingProvider = () => {
+  const calls = [];
+  return {
+    calls,
+    call: (tx) => {
+      calls.push(tx);
+      return ethers.provider.call(tx);
+    },
+    getBlockNumber: () => ethers.provider.getBlockNumber(),
+    getCode: (address) => ethers.provider.getCode(address),
+    getBalance: (address) => ethers.provider.getBalance(address),
+  };
+};
+
+describe('multicall', () => {
+  let vusdc;
+  let volt;
+  let multicall;
+  let multicallAddress;
+  let alice;
+
+  beforeAll(async () => {
+    await hre.run('compile', { quiet: true });
+
+    const [owner, user] = await ethers.getSigners();
+    alice = user;
+    vusdc = await (await ethers.getContractFactory('vUSDC')).deploy(owner.address);
+    volt = await (await ethers.getContractFactory('VoltProtocol')).deploy(vusdc.target);
+    multicall = await (await ethers.getContractFactory('Multicall3')).deploy();
+    multicallAddress = multicall.target;
+
+    await vusdc.transfer(alice.address, ethers.parseEther('1000'));
+    await vusdc.connect(alice).approve(volt.target, ethers.MaxUint256);
+    for (const days of [1, 2, 3]) {
+      await volt.connect(alice).createStreamWithVUSDC(days * 86400, ethers.parseEther('100'));
+    }
+  });
+
+  it('batches concurrent reads into one aggregate3 call', async () => {
+    const provider = countingProvider();
+    const reader = createMulticallReader(provider, { address: multicallAddress });
+
+    const streamIds = await reader.read(volt, 'getUserStreams', [alice.address]);
+    const [streams, balance, native] = await Promise.all([
+      Promise.all(streamIds.map((streamId) => reader.read(volt, 'streams', [streamId]))),
+      reader.read(vusdc, 'balanceOf', [alice.address]),
+      reader.getBalance(alice.address),
+    ]);
+
+    expect(streamIds).toEqual([1n, 2n, 3n]);
+    expect(streams.map((stream) => stream.duration)).toEqual([86400n, 172800n, 259200n]);
+    expect(streams[0].owner).toBe(alice.address);
+    expect(balance).toBe(ethers.parseEther('700'));
+    expect(native).toBe(await ethers.provider.getBalance(alice.address));
+    expect(provider.calls).toHaveLength(2);
+    expect(provider.calls.every((call) => call.to === multicallAddress)).toBe(true);
+  });
+
+  it('coalesces identical reads and caches them until the next block', async () => {
+    const provider = countingProvider();
+    const reader = createMulticallReader(provider, { address: multicallAddress, blockTtl: 0 });
+
+    const [first, second] = await Promise.all([
+      reader.read(volt, 'streams', [1]),
+      reader.read(volt, 'streams', [1]),
+    ]);
+    await reader.read(volt, 'streams', [1]);
+
+    expect(first).toEqual(second);
+    expect(reader.stats).toMatchObject({ requests: 3, coalesced: 1, cacheHits: 1, rpcCalls: 1 });
+
+    await hre.network.provider.send('evm_mine');
+    await reader.read(volt, 'streams', [1]);
+    expect(reader.stats.rpcCalls).toBe(2);
+
+    reader.invalidate();
+    await reader.read(volt, 'streams', [1]);
+    expect(reader.stats.rpcCalls).toBe(3);
+  });
+
+  it('rejects only the failing read, with its decoded reason', async () => {
+    const reader = createMulticallReader(countingProvider(), { address: multicallAddress });
+
+    const [ok, failed] = await Promise.allSettled([
+      reader.read(volt, 'nextStreamId'),
+      reader.read(multicall, 'aggregate', [[{ target: volt.target, callData: '0xdeadbeef' }]]),
+    ]);
+
+    expect(ok.value).toBe(4n);
+    expect(failed.reason.message).toBe('aggregate reverted: Multicall3: call failed');
+    expect(failed.reason).toMatchObject({ code: 'CALL_EXCEPTION', revert: { name: 'Error' } });
+    expect(reader.stats.batches).toBe(1);
+  });
+
+  it('falls back to one eth_call per read without a Multicall3 deployment', async () => {
+    const provider = countingProvider();
+    const reader = createMulticallReader(provider, { address: alice.address });
+
+    const [nextStreamId, balance] = await Promise.all([
+      reader.read(volt, 'nextStreamId'),
+      reader.read(vusdc, 'balanceOf', [alice.address]),
+    ]);
+
+    expect(nextStreamId).toBe(4n);
+    expect(balance).toBe(ethers.parseEther('700'));
+    expect(provider.calls.map((call) => call.to)).toEqual([volt.target, vusdc.target]);
+  });
+});
@@ -2,28 +2,24 @@
  * Order Book Sync Utility
  * 
  * Provides utilities for syncing order book data:
- * - localStorage persistence (current)
- * - On-chain sync (future)
- * - IPFS sync (future)
+ * - localStorage persistence
+ * - On-chain sync (rebuilt from OrderCreated/OrderFilled/OrderCancelled events)
+ * - REST API sync
+ * - IPFS sync (content-addressed snapshots through a pluggable gateway)
  * 
- * This module provides a unified interface for order book storage
- * that can be easily migrated to on-chain or IPFS in the future.
+ * Every remote order carries the block number it was last updated at, so
+ * merges keep whichever copy of an order is most recent.
  */
 
+import { fetchEventRange, buildOrderHistory } from './historyIndexer';
+
 /**
- * Save order book to storage
- * Currently uses localStorage, but can be extended to use on-chain or IPFS
+ * Save order book to localStorage
+ * Remote sources (on-chain events, REST API, IPFS) are read by syncOrderBook
  */
 export const saveOrderBook = async (orderBook) => {
   try {
-    // Current implementation: localStorage
     localStorage.setItem('volt_order_book', JSON.stringify(orderBook));
-    
-    // TODO: Future implementation
-    // - Option A: Save to smart contract events
-    // - Option B: Save to IPFS and index with The Graph
-    // - Option C: Save to centralized backend API
-    
     return { success: true };
   } catch (error) {
     console.error('Error saving order book:', error);
@@ -32,65 +28,168 @@ export const saveOrderBook = async (orderBook) => {
 };
 
 /**
- * Load order book from storage
+ * Load order book from localStorage (see syncOrderBook for remote sources)
  */
 export const loadOrderBook = async () => {
   try {
-    // Current implementation: localStorage
     const saved = localStorage.getItem('volt_order_book');
     return saved ? JSON.parse(saved) : [];
-    
-    // TODO: Future implementation
-    // - Option A: Fetch from smart contract events
-    // - Option B: Fetch from IPFS via The Graph
-    // - Option C: Fetch from centralized backend API
   } catch (error) {
     console.error('Error loading order book:', error);
     return [];
   }
 };
 
+/**
+ * Convert an indexed order record into an order book entry
+ */
+const toBookOrder = (order) => ({
+  id: order.id,
+  streamId: order.streamId,
+  seller: order.seller,
+  // A listed order may have been partially filled; closed ones keep their listing
+  price: order.status === 'listed' ? order.remainingPrice : order.price,
+  percentage: order.status === 'listed' ? order.remainingPercentage : order.percentage,
+  // Dutch auctions: the ask falls from price to floorPrice over decayDuration
+  floorPrice: order.status === 'listed' ? order.remainingFloorPrice : order.floorPrice,
+  decayDuration: order.decayDuration,
+  // Ratio-priced orders ask this share of the unvested value at fill time
+  priceRatio: order.priceRatio,
+  listedAt: order.listedAt,
+  isActive: order.status === 'listed',
+  blockNumber: order.blockNumber,
+});
+
+/**
+ * Rebuild the order book from contract events
+ * Pass already indexed `events` (see useHistoryIndexer) to skip the log queries.
+ */
+export const fetchOnchainOrders = async (contract, { events = null, fromBlock = 0, chunkSize = 5000 } = {}) => {
+  if (!events) {
+    if (!contract) throw new Error('Contract is required for on-chain sync');
+
+    const latestBlock = await contract.runner.provider.getBlockNumber();
+    events = [];
+    for (let start = fromBlock; start <= latestBlock; start += chunkSize) {
+      const end = Math.min(start + chunkSize - 1, latestBlock);
+      events.push(...await fetchEventRange(contract, start, end));
+    }
+  }
+
+  return buildOrderHistory(events).map(toBookOrder);
+};
+
+/**
+ * Normalize an order book payload: either an array of orders or
+ * { blockNumber, orders } where blockNumber applies to orders without one
+ */
+const parseOrderPayload = (payload) => {
+  const orders = Array.isArray(payload) ? payload : payload && payload.orders;
+  if (!Array.isArray(orders)) {
+    throw new Error('Invalid order book payload');
+  }
+
+  const snapshotBlock = Array.isArray(payload) ? undefined : payload.blockNumber;
+
+  return orders.map((order) => ({
+    ...order,
+    id: String(order.id),
+    streamId: String(order.streamId),
+    isActive: order.isActive !== false,
+    blockNumber: order.blockNumber ?? snapshotBlock,
+  }));
+};
+
+/**
+ * Fetch the order book from a REST endpoint
+ */
+export const fetchApiOrders = async (apiEndpoint) => {
+  if (!apiEndpoint) throw new Error('API endpoint is not configured');
+
+  const response = await fetch(apiEndpoint, { headers: { Accept: 'application/json' } });
+  if (!response.ok) {
+    throw new Error(`Order book API responded with ${response.status}`);
+  }
+
+  return parseOrderPayload(await response.json());
+};
+
+/**
+ * IPFS client backed by an HTTP gateway (public gateway or a local stand-in)
+ * Any object with an async cat(cid) method can be used instead.
+ */
+export const createGatewayClient = (gatewayUrl) => {
+  const baseUrl = gatewayUrl.replace(/\/+$/, '');
+
+  return {
+    cat: async (cid) => {
+      const response = await fetch(`${baseUrl}/ipfs/${cid}`);
+      if (!response.ok) {
+        throw new Error(`IPFS gateway responded with ${response.status} for ${cid}`);
+      }
+      return response.json();
+    },
+  };
+};
+
+/**
+ * Fetch an order book snapshot from IPFS
+ */
+export const fetchIpfsOrders = async (ipfsClient, cid) => {
+  if (!ipfsClient) throw new Error('IPFS client is not configured');
+  if (!cid) throw new Error('Snapshot CID is required');
+
+  const snapshot = await ipfsClient.cat(cid);
+  return parseOrderPayload(typeof snapshot === 'string' ? JSON.parse(snapshot) : snapshot);
+};
+
 /**
  * Sync order book with remote source
- * This will be used when migrating to on-chain or IPFS
+ * Remote orders are merged into the local book; orders that were filled or
+ * cancelled remotely drop out of the result.
  */
 export const syncOrderBook = async (localOrderBook, options = {}) => {
   const { 
     source = 'localStorage', // 'localStorage' | 'onchain' | 'ipfs' | 'api'
     contract = null,
+    events = null,
+    fromBlock = 0,
+    chunkSize = 5000,
     ipfsClient = null,
+    ipfsGateway = null,
+    cid = null,
     apiEndpoint = null,
   } = options;
 
   try {
+    let remoteOrders;
+
     switch (source) {
       case 'localStorage':
-        // Current implementation - no sync needed
+        // Local book is the source of truth - no sync needed
         return { success: true, data: localOrderBook };
         
       case 'onchain':
-        // TODO: Fetch orders from smart contract events
-        // const events = await contract.queryFilter(contract.filters.OrderCreated());
-        // return { success: true, data: parseOrderEvents(events) };
-        throw new Error('On-chain sync not yet implemented');
+        remoteOrders = await fetchOnchainOrders(contract, { events, fromBlock, chunkSize });
+        break;
         
       case 'ipfs':
-        // TODO: Fetch from IPFS via The Graph
-        // const query = buildGraphQLQuery();
-        // const result = await theGraphClient.query({ query });
-        // return { success: true, data: parseGraphQLResult(result) };
-        throw new Error('IPFS sync not yet implemented');
+        remoteOrders = await fetchIpfsOrders(
+          ipfsClient || (ipfsGateway ? createGatewayClient(ipfsGateway) : null),
+          cid
+        );
+        break;
         
       case 'api':
-        // TODO: Fetch from centralized API
-        // const response = await fetch(apiEndpoint);
-        // const data = await response.json();
-        // return { success: true, data: data.orders };
-        throw new Error('API sync not yet implemented');
+        remoteOrders = await fetchApiOrders(apiEndpoint);
+        break;
         
       default:
         throw new Error(`Unknown sync source: ${source}`);
     }
+
+    const merged = mergeOrderBooks(localOrderBook, remoteOrders);
+    return { success: true, data: merged.filter((order) => order.isActive !== false) };
   } catch (error) {
     console.error('Error syncing order book:', error);
     return { success: false, error: error.message, data: localOrderBook };
@@ -99,9 +198,13 @@ export const syncOrderBook = async (localOrderBook, options = {}) => {
 
 /**
  * Merge local and remote order books
- * Handles conflicts and deduplication
+ * Conflicts are resolved by block number: the copy observed at the later
+ * block wins. Remote wins ties; orders without a block number lose to any
+ * copy that has one.
  */
 export const mergeOrderBooks = (localOrders, remoteOrders) => {
+  const blockOf = (order) => (Number.isFinite(order.blockNumber) ? order.blockNumber : -1);
+
   // Create a map of orders by ID for quick lookup
   const orderMap = new Map();
   
@@ -110,9 +213,12 @@ export const mergeOrderBooks = (localOrders, remoteOrders) => {
     orderMap.set(order.id, order);
   });
   
-  // Merge remote orders (remote takes precedence for conflicts)
+  // Merge remote orders, keeping the most recently updated copy
   remoteOrders.forEach(order => {
-    orderMap.set(order.id, order);
+    const existing = orderMap.get(order.id);
+    if (!existing || blockOf(order) >= blockOf(existing)) {
+      orderMap.set(order.id, order);
+    }
   });
   
   // Convert back to array and sort by listedAt (newest first)
@@ -0,0 +1,198 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import http from 'node:http';
+import { createHash } from 'node:crypto';
+import hre from 'hardhat';
+import {
+  syncOrderBook,
+  mergeOrderBooks,
+  fetchOnchainOrders,
+  createGatewayClient,
+} from './orderBookSync';
+
+/**
+ * orderBookSync adapter tests
+ *
+ * Runs against the in-process Hardhat network plus local HTTP stand-ins
+ * for the REST API and the IPFS gateway.
+ */
+
+const { ethers } = hre;
+
+// Serve fixed JSON routes on a random local port
+const startServer = (routes) => new Promise((resolve) => {
+  const server = http.createServer((req, res) => {
+    const route = routes[req.url];
+    if (!route) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(route.status || 200, { 'Content-Type': 'application/json' });
+    res.end(route.body);
+  });
+  server.listen(0, '127.0.0.1', () => {
+    resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+  });
+});
+
+describe('orderBookSync', () => {
+  let volt;
+  let createdBlock;
+  let filledBlock;
+
+  beforeAll(async () => {
+    await hre.run('compile', { quiet: true });
+
+    const [owner, alice, bob] = await ethers.getSigners();
+    const vusdc = await (await ethers.getContractFactory('vUSDC')).deploy(owner.address);
+    volt = await (await ethers.getContractFactory('VoltProtocol')).deploy(await vusdc.getAddress());
+    const voltAddress = await volt.getAddress();
+
+    for (const user of [alice, bob]) {
+      await vusdc.transfer(user.address, ethers.parseEther('10000'));
+      await vusdc.connect(user).approve(voltAddress, ethers.MaxUint256);
+    }
+
+    await volt.connect(alice).createStreamWithVUSDC(86400, ethers.parseEther('1000'));
+    const created = await (await volt.connect(alice).createOrder(1, ethers.parseEther('400'), 50)).wait();
+    await volt.connect(alice).createOrder(1, ethers.parseEther('100'), 10);
+    await volt.connect(alice).createOrder(1, ethers.parseEther('50'), 5);
+    await volt.connect(alice).cancelOrder(2);
+    const filled = await (await volt.connect(bob).buyOrder(1)).wait();
+    await volt.connect(bob).buyPartial(3, 2, ethers.parseEther('50'), 0);
+
+    createdBlock = created.blockNumber;
+    filledBlock = filled.blockNumber;
+  });
+
+  describe('onchain', () => {
+    it('rebuilds the order book from contract events', async () => {
+      const orders = await fetchOnchainOrders(volt, { chunkSize: 2 });
+      const byId = Object.fromEntries(orders.map((order) => [order.id, order]));
+
+      expect(orders).toHaveLength(3);
+      expect(byId['1']).toMatchObject({ isActive: false, blockNumber: filledBlock, price: 400 });
+      expect(byId['2'].isActive).toBe(false);
+      expect(byId['3']).toMatchObject({ isActive: true, streamId: '1', percentage: 3, price: 30 });
+    });
+
+    it('drops local orders that were filled or cancelled on-chain', async () => {
+      const staleLocal = [
+        { id: '1', streamId: '1', isActive: true, listedAt: 1, blockNumber: createdBlock },
+        { id: '2', streamId: '1', isActive: true, listedAt: 1 },
+      ];
+
+      const result = await syncOrderBook(staleLocal, { source: 'onchain', contract: volt });
+
+      expect(result.success).toBe(true);
+      expect(result.data.map((order) => order.id)).toEqual(['3']);
+    });
+
+    it('fails gracefully without a contract', async () => {
+      const local = [{ id: '9', listedAt: 1 }];
+      const result = await syncOrderBook(local, { source: 'onchain' });
+
+      expect(result.success).toBe(false);
+      expect(result.data).toBe(local);
+    });
+  });
+
+  describe('api', () => {
+    let api;
+
+    beforeAll(async () => {
+      api = await startServer({
+        '/orders': {
+          body: JSON.stringify({
+            blockNumber: 100,
+            orders: [
+              { id: 7, streamId: 3, seller: '0xabc', price: 10, percentage: 20, listedAt: 50 },
+              { id: 8, streamId: 3, seller: '0xabc', price: 5, percentage: 10, listedAt: 60, isActive: false },
+            ],
+          }),
+        },
+        '/broken': { status: 500, body: '{}' },
+      });
+    });
+
+    afterAll(() => new Promise((resolve) => api.server.close(resolve)));
+
+    it('fetches orders from the configured endpoint', async () => {
+      const local = [{ id: '8', streamId: '3', isActive: true, listedAt: 60, blockNumber: 90 }];
+      const result = await syncOrderBook(local, { source: 'api', apiEndpoint: `${api.url}/orders` });
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual([
+        expect.objectContaining({ id: '7', streamId: '3', isActive: true, blockNumber: 100 }),
+      ]);
+    });
+
+    it('keeps the local book when the API errors', async () => {
+      const local = [{ id: '1', listedAt: 1 }];
+      const result = await syncOrderBook(local, { source: 'api', apiEndpoint: `${api.url}/broken` });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/500/);
+      expect(result.data).toBe(local);
+    });
+  });
+
+  describe('ipfs', () => {
+    const snapshot = JSON.stringify({
+      blockNumber: 200,
+      orders: [{ id: '11', streamId: '4', seller: '0xdef', price: 1, percentage: 1, listedAt: 10 }],
+    });
+    // Local stand-in: content is addressed by its sha256 digest
+    const cid = createHash('sha256').update(snapshot).digest('hex');
+    let gateway;
+
+    beforeAll(async () => {
+      gateway = await startServer({ [`/ipfs/${cid}`]: { body: snapshot } });
+    });
+
+    afterAll(() => new Promise((resolve) => gateway.server.close(resolve)));
+
+    it('reads a snapshot through an HTTP gateway', async () => {
+      const result = await syncOrderBook([], { source: 'ipfs', ipfsGateway: `${gateway.url}/`, cid });
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual([expect.objectContaining({ id: '11', blockNumber: 200 })]);
+    });
+
+    it('accepts any client with a cat(cid) method', async () => {
+      const ipfsClient = { cat: async (requested) => (requested === cid ? snapshot : null) };
+      const result = await syncOrderBook([], { source: 'ipfs', ipfsClient, cid });
+
+      expect(result.data.map((order) => order.id)).toEqual(['11']);
+    });
+
+    it('reports unknown CIDs', async () => {
+      const client = createGatewayClient(gateway.url);
+      await expect(client.cat('missing')).rejects.toThrow(/404/);
+    });
+  });
+
+  describe('mergeOrderBooks', () => {
+    it('keeps the copy observed at the later block', () => {
+      const local = [{ id: '1', isActive: true, listedAt: 1, blockNumber: 20 }];
+      const remote = [{ id: '1', isActive: false, listedAt: 1, blockNumber: 10 }];
+
+      expect(mergeOrderBooks(local, remote)[0].isActive).toBe(true);
+      expect(mergeOrderBooks(remote, local)[0].isActive).toBe(true);
+    });
+
+    it('lets remote win ties and orders without a block number', () => {
+      const local = [
+        { id: '1', source: 'local', listedAt: 2, blockNumber: 5 },
+        { id: '2', source: 'local', listedAt: 1 },
+      ];
+      const remote = [
+        { id: '1', source: 'remote', listedAt: 2, blockNumber: 5 },
+        { id: '2', source: 'remote', listedAt: 1, blockNumber: 1 },
+      ];
+
+      expect(mergeOrderBooks(local, remote).map((order) => order.source)).toEqual(['remote', 'remote']);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Order Mapping
+ *
+ * Turns VoltProtocol Order structs into order book entries:
+ * - price is the ask right now (see utils/orderPricing)
+ * - shareValue is what the buyer receives if the order is filled now
+ * - priceRatio is price / shareValue, the basis of every discount shown
+ *   in the order book and used by the sniper bot
+ * - riskScore and riskLevel rate the stream against the seller's history
+ *
+ * On-chain amounts come in as wei and go out as vUSDC; the raw prices are
+ * kept as priceWei and floorPriceWei.
+ */
+
+import { ethers } from 'ethers';
+import { getCurrentAsk, getRatioAsk, getShareValue, isDutchOrder, isRatioOrder } from './orderPricing';
+import { isStreamPaused } from './streamMath';
+import { calculateStreamRisk } from '../hooks/useRiskEngine';
+
+const toAmount = (value) => parseFloat(ethers.formatEther(value));
+
+const round = (value, precision) => Math.round(value * precision) / precision;
+
+/**
+ * Map an on-chain order to an order book entry
+ *
+ * @param {Object} order - Order struct from VoltProtocol
+ * @param {Object} stream - The order's stream, amounts in vUSDC
+ * @param {Object} options
+ * @param {number} options.now - Unix seconds to price the order at
+ * @param {Array} options.sellerHistory - Seller's indexed activity, for the risk score
+ * @param {number} options.listedPercentage - Size the order was listed with, if known
+ * @param {boolean} options.isExpired - Whether the order is past its expiry
+ * @returns {Object} Order book entry
+ */
+export const mapContractOrder = (
+  order,
+  stream,
+  { now = Math.floor(Date.now() / 1000), sellerHistory = [], listedPercentage, isExpired = false } = {}
+) => {
+  const percentage = Number(order.percentage);
+  const pricing = {
+    priceWei: order.price,
+    floorPriceWei: order.floorPrice,
+    listedAt: Number(order.listedAt),
+    decayDuration: Number(order.decayDuration),
+    priceRatioBps: Number(order.priceRatio),
+    filledAmount: toAmount(order.filledAmount),
+    percentage,
+  };
+  // Dutch and ratio-priced orders: the ask right now, which only falls
+  // until the next fetch
+  const price = isRatioOrder(pricing) ? getRatioAsk(pricing, stream, now) : getCurrentAsk(pricing, now);
+
+  const shareValue = getShareValue(pricing, stream, now);
+  const priceRatio = shareValue > 0 ? price / shareValue : 0;
+  const risk = calculateStreamRisk(stream, sellerHistory, now);
+
+  return {
+    id: order.orderId.toString(),
+    streamId: order.streamId.toString(),
+    seller: order.seller,
+    price,
+    ...pricing,
+    startPrice: toAmount(order.price),
+    floorPrice: toAmount(order.floorPrice),
+    isDutch: isDutchOrder(pricing),
+    isRatioPriced: isRatioOrder(pricing),
+    listedPercentage: listedPercentage ?? percentage,
+    priceRatio: round(priceRatio, 10000),
+    shareValue: round(shareValue, 1000000),
+    isActive: order.isActive,
+    expiresAt: Number(order.expiresAt),
+    isExpired,
+    riskScore: risk.score,
+    riskLevel: risk.riskLevel,
+    riskBreakdown: risk.breakdown,
+    impliedValue: round(shareValue * priceRatio, 1000000),
+    isPaused: isStreamPaused(stream),
+    stream,
+  };
+};
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { ethers } from 'ethers';
+import { mapContractOrder } from './orderMapping';
+
+/**
+ * Order mapping tests
+ */
+
+const START = 1_700_000_000;
+const DAY = 86400;
+const NOW = START + 6 * DAY;
+
+// 200 of the 1000 deposit sold; 600 vested after six of ten days
+const stream = {
+  id: '1',
+  sender: '0x000000000000000000000000000000000000000a',
+  receiver: '0x000000000000000000000000000000000000000a',
+  totalDeposit: 1000,
+  startTime: START,
+  duration: 10 * DAY,
+  claimedAmount: 0,
+  soldAmount: 200,
+  isActive: true,
+  pausedAt: 0,
+  pausedDuration: 0,
+};
+
+const contractOrder = (overrides) => ({
+  orderId: 1n,
+  streamId: 1n,
+  seller: stream.receiver,
+  price: 0n,
+  floorPrice: 0n,
+  listedAt: BigInt(START),
+  decayDuration: 0n,
+  priceRatio: 0n,
+  filledAmount: 0n,
+  percentage: 25n,
+  isActive: true,
+  expiresAt: 0n,
+  ...overrides,
+});
+
+describe('orderMapping', () => {
+  it('values an order from the unvested balance the seller still owns', () => {
+    const order = mapContractOrder(contractOrder({ price: ethers.parseEther('45') }), stream, { now: NOW });
+
+    // 25% of the 200 left after the sold share and vesting
+    expect(order).toMatchObject({
+      id: '1',
+      streamId: '1',
+      price: 45,
+      shareValue: 50,
+      priceRatio: 0.9,
+      impliedValue: 45,
+      listedPercentage: 25,
+      isDutch: false,
+      isRatioPriced: false,
+      isExpired: false,
+      isPaused: false,
+      stream,
+    });
+    expect(order.riskScore).toBeGreaterThan(0);
+    expect(order.riskLevel).toMatch(/^[A-D]$/);
+  });
+
+  it('sizes a partly filled order from its listed base', () => {
+    // 200 of the sold amount went through this order, listed at 50%
+    const order = mapContractOrder(
+      contractOrder({ orderId: 2n, priceRatio: 8000n, filledAmount: ethers.parseEther('200') }),
+      stream,
+      { now: NOW, listedPercentage: 50 }
+    );
+
+    expect(order).toMatchObject({
+      id: '2',
+      filledAmount: 200,
+      price: 80,
+      shareValue: 100,
+      priceRatio: 0.8,
+      listedPercentage: 50,
+      isRatioPriced: true,
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Order Pricing
+ *
+ * Client-side mirror of VoltProtocol's order asks:
+ * - fixed-price orders ask their listed price
+ * - Dutch auctions ask a price falling linearly from the start price at
+ *   listedAt to floorPrice after decayDuration seconds, then hold the floor
+ * - ratio-priced orders ask priceRatioBps / RATIO_DENOMINATOR of the share's
+ *   unvested value, which shrinks as the stream vests
+ * - an order's percentage is of its base: the stream's unvested balance plus
+ *   what was already sold through the order, so partial fills leave the rest
+ *   of the order the same size
+ * - the contract charges the ask of the block a fill is mined in, so the
+ *   ask seen when sending a fill is an upper bound on what it costs
+ * - orders with an expiresAt can be filled until the second before it
+ *
+ * Orders carry on-chain prices as wei (priceWei, floorPriceWei) for what is
+ * left of them; times are Unix seconds.
+ */
+
+import { ethers } from 'ethers';
+import { getVestedAmount } from './streamMath';
+
+// Basis points, as VoltProtocol.RATIO_DENOMINATOR
+export const RATIO_DENOMINATOR = 10000;
+
+const nowInSeconds = () => Math.floor(Date.now() / 1000);
+
+export const isDutchOrder = (order) => !!order && order.decayDuration > 0;
+
+export const isOrderExpired = (order, now = nowInSeconds()) => !!order && order.expiresAt > 0 && now >= order.expiresAt;
+
+export const isRatioOrder = (order) => !!order && order.priceRatioBps > 0;
+
+/**
+ * Amount the order's percentage is of, as VoltProtocol._orderBase:
+ * the stream's unvested balance plus what earlier fills of the order took
+ */
+export const getOrderBase = (order, stream, now = nowInSeconds()) => {
+  if (!stream) return 0;
+
+  const owned = stream.totalDeposit - (stream.soldAmount || 0) + (order.filledAmount || 0);
+  return Math.max(0, owned - getVestedAmount(stream, now));
+};
+
+/**
+ * Value in vUSDC of what is left in the order
+ */
+export const getShareValue = (order, stream, now = nowInSeconds()) => (getOrderBase(order, stream, now) * order.percentage) / 100;
+
+/**
+ * Ask in vUSDC of a ratio-priced order, from the value of what is left in it
+ */
+export const getRatioAsk = (order, stream, now = nowInSeconds()) => {
+  const shareValue = getShareValue(order, stream, now);
+  return (shareValue * order.priceRatioBps) / RATIO_DENOMINATOR;
+};
+
+/**
+ * When a Dutch auction reaches its floor price
+ */
+export const getFloorTime = (order) => (isDutchOrder(order) ? order.listedAt + order.decayDuration : 0);
+
+/**
+ * Ask in wei for everything left in the order, with the contract's rounding
+ */
+export const getCurrentAskWei = (order, now = nowInSeconds()) => {
+  if (!isDutchOrder(order)) return order.priceWei;
+
+  const elapsed = Math.max(0, now - order.listedAt);
+  if (elapsed >= order.decayDuration) return order.floorPriceWei;
+
+  const decay = ((order.priceWei - order.floorPriceWei) * BigInt(elapsed)) / BigInt(order.decayDuration);
+  return order.priceWei - decay;
+};
+
+/**
+ * Ask in vUSDC for everything left in the order
+ */
+export const getCurrentAsk = (order, now = nowInSeconds()) => parseFloat(ethers.formatEther(getCurrentAskWei(order, now)));
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { ethers } from 'ethers';
+import {
+  getCurrentAsk,
+  getCurrentAskWei,
+  getFloorTime,
+  getRatioAsk,
+  getShareValue,
+  isDutchOrder,
+  isOrderExpired,
+  isRatioOrder,
+} from './orderPricing';
+
+/**
+ * Order pricing tests
+ */
+
+const LISTED_AT = 1_700_000_000;
+const HOUR = 3600;
+
+const auction = {
+  priceWei: ethers.parseEther('600'),
+  floorPriceWei: ethers.parseEther('300'),
+  listedAt: LISTED_AT,
+  decayDuration: 3 * HOUR,
+};
+
+describe('orderPricing', () => {
+  it('asks the listed price for fixed-price orders', () => {
+    const order = { priceWei: ethers.parseEther('450'), listedAt: LISTED_AT, decayDuration: 0 };
+
+    expect(isDutchOrder(order)).toBe(false);
+    expect(getFloorTime(order)).toBe(0);
+    expect(getCurrentAskWei(order, LISTED_AT + 10 * HOUR)).toBe(ethers.parseEther('450'));
+  });
+
+  it('decays a Dutch auction linearly and holds the floor', () => {
+    expect(isDutchOrder(auction)).toBe(true);
+    expect(getFloorTime(auction)).toBe(LISTED_AT + 3 * HOUR);
+
+    expect(getCurrentAsk(auction, LISTED_AT - 60)).toBe(600);
+    expect(getCurrentAsk(auction, LISTED_AT + HOUR)).toBe(500);
+    expect(getCurrentAskWei(auction, LISTED_AT + 1)).toBe(ethers.parseEther('600') - ethers.parseEther('300') / 10800n);
+    expect(getCurrentAsk(auction, LISTED_AT + 5 * HOUR)).toBe(300);
+  });
+
+  it('prices ratio orders from the unvested balance of their stream', () => {
+    const stream = { totalDeposit: 1000, soldAmount: 100, startTime: LISTED_AT, duration: 10 * HOUR };
+    const order = { priceRatioBps: 9000, percentage: 50 };
+
+    expect(isRatioOrder(order)).toBe(true);
+    expect(isRatioOrder(auction)).toBe(false);
+    // 900 owned, 400 vested after four hours
+    expect(getRatioAsk(order, stream, LISTED_AT + 4 * HOUR)).toBe(225);
+  });
+
+  it('keeps the rest of a partially filled order the same size', () => {
+    // 200 of 400 unvested was sold through the order, which had 50% listed
+    const stream = { totalDeposit: 1000, soldAmount: 200, startTime: LISTED_AT, duration: 10 * HOUR };
+    const order = { priceRatioBps: 9000, percentage: 25, filledAmount: 200 };
+
+    expect(getShareValue(order, stream, LISTED_AT + 6 * HOUR)).toBe(100);
+    expect(getShareValue({ percentage: 25 }, stream, LISTED_AT + 6 * HOUR)).toBe(50);
+    expect(getRatioAsk(order, stream, LISTED_AT + 6 * HOUR)).toBe(90);
+  });
+
+  it('expires orders at their expiresAt', () => {
+    const order = { expiresAt: LISTED_AT + HOUR };
+
+    expect(isOrderExpired(order, LISTED_AT + HOUR - 1)).toBe(false);
+    expect(isOrderExpired(order, LISTED_AT + HOUR)).toBe(true);
+    expect(isOrderExpired({ expiresAt: 0 }, LISTED_AT + 10 * HOUR)).toBe(false);
+  });
+});
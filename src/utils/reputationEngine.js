@@ -82,8 +82,12 @@ export const getReputationLevel = (score) => {
 /**
  * Calculate user statistics from trade and order history
  * Includes blockchain-native metrics
+ *
+ * @param {Array} activity - Indexed contract events involving the user
+ *   (see getUserActivity). When provided, transaction count and account
+ *   age come from real tx hashes and block timestamps.
  */
-export const calculateUserStats = (userAddress, tradeHistory, orderHistory, activeStreams) => {
+export const calculateUserStats = (userAddress, tradeHistory, orderHistory, activeStreams, activity = []) => {
   const userTrades = tradeHistory.filter(
     (trade) =>
       trade.buyer.toLowerCase() === userAddress.toLowerCase() ||
@@ -104,23 +108,28 @@ export const calculateUserStats = (userAddress, tradeHistory, orderHistory, acti
   const totalVolume = userTrades.reduce((sum, trade) => sum + trade.price, 0);
   const averageTradeSize = totalTrades > 0 ? totalVolume / totalTrades : 0;
 
-  // Calculate account age from first trade
+  // Calculate account age from first on-chain activity (or first trade)
   const firstTrade = userTrades.length > 0
     ? userTrades.sort((a, b) => a.executedAt - b.executedAt)[0]
     : null;
-  const accountAge = firstTrade
-    ? Math.floor((Date.now() / 1000 - firstTrade.executedAt) / (60 * 60 * 24))
+  const firstActivityAt = activity.length > 0
+    ? Math.min(...activity.map((event) => event.timestamp))
+    : firstTrade ? firstTrade.executedAt : null;
+  const accountAge = firstActivityAt
+    ? Math.floor((Date.now() / 1000 - firstActivityAt) / (60 * 60 * 24))
     : 0;
 
   // Calculate trades per month
   const monthsActive = accountAge > 0 ? Math.max(1, accountAge / 30) : 1;
   const tradesPerMonth = totalTrades / monthsActive;
 
-  // On-chain transaction count (estimate: trades + orders + streams)
-  const onChainTxCount = totalTrades + userOrders.length + userStreams.length;
+  // On-chain transaction count (unique indexed txs, else estimate: trades + orders + streams)
+  const onChainTxCount = activity.length > 0
+    ? new Set(activity.map((event) => event.txHash)).size
+    : totalTrades + userOrders.length + userStreams.length;
 
   // First transaction date
-  const firstTxDate = firstTrade ? new Date(firstTrade.executedAt * 1000) : null;
+  const firstTxDate = firstActivityAt ? new Date(firstActivityAt * 1000) : null;
 
   const soldOrders = userOrders.filter((o) => o.status === 'sold').length;
   const cancelledOrders = userOrders.filter((o) => o.status === 'cancelled').length;
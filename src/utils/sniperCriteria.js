@@ -0,0 +1,82 @@
+/**
+ * Sniper Criteria
+ *
+ * Order matching rules shared by the live sniper bot (useSniperBot) and the
+ * backtest engine, so a parameter set behaves the same in both.
+ */
+
+/**
+ * Calculate discount from price ratio
+ *
+ * @param {number} priceRatio - Price as ratio of face value (0-1)
+ * @returns {number} Discount percentage (0-100)
+ */
+export const calculateDiscount = (priceRatio) => {
+  return (1 - priceRatio) * 100;
+};
+
+/**
+ * Calculate stream duration in days
+ *
+ * @param {Object} stream - Stream object
+ * @returns {number} Duration in days
+ */
+export const getStreamDurationDays = (stream) => {
+  if (!stream || !stream.duration) return 0;
+  return stream.duration / (60 * 60 * 24); // Convert seconds to days
+};
+
+/**
+ * Check if an order matches sniper bot criteria
+ *
+ * @param {Object} order - Order with riskScore, priceRatio, price and seller
+ * @param {Object} stream - Stream the order sells a share of
+ * @param {Object} criteria - { maxRisk, minDiscount, maxDuration, maxSpendPerOrder }
+ * @param {Object} account - Buyer { address, balance } (address may be null)
+ * @returns {Object} { matches, reason } - reason explains the first failed check
+ */
+export const orderMatchesCriteria = (order, stream, criteria, account) => {
+  const { maxRisk, minDiscount, maxDuration, maxSpendPerOrder = 0 } = criteria;
+
+  // 1. Check risk score (lower is better, so <= maxRisk)
+  if (order.riskScore > maxRisk) {
+    return { matches: false, reason: `Risk score ${order.riskScore} > maxRisk ${maxRisk}` };
+  }
+
+  // 2. Check discount (must be >= minDiscount)
+  const discount = calculateDiscount(order.priceRatio);
+  if (discount < minDiscount) {
+    return { matches: false, reason: `Discount ${discount.toFixed(2)}% < minDiscount ${minDiscount}%` };
+  }
+
+  // 3. Check duration (must be <= maxDuration days)
+  const durationDays = getStreamDurationDays(stream);
+  if (durationDays > maxDuration) {
+    return {
+      matches: false,
+      reason: `Duration ${durationDays.toFixed(2)} days > maxDuration ${maxDuration} days`,
+    };
+  }
+
+  // 4. Check if the buyer has enough vUSDC balance
+  const requiredBalance = order.price || 0;
+  if (account.balance < requiredBalance) {
+    return { matches: false, reason: `Balance ${account.balance} < required ${requiredBalance}` };
+  }
+
+  // 5. Check the per-order spend maximum
+  if (maxSpendPerOrder > 0 && order.price > maxSpendPerOrder) {
+    return { matches: false, reason: `Price ${order.price} > maxSpendPerOrder ${maxSpendPerOrder}` };
+  }
+
+  // 6. Don't buy your own orders
+  if (account.address && order.seller.toLowerCase() === account.address.toLowerCase()) {
+    return { matches: false, reason: 'Buyer is the seller' };
+  }
+
+  return {
+    matches: true,
+    reason: `Risk ${order.riskScore} <= ${maxRisk}, discount ${discount.toFixed(2)}% >= ${minDiscount}%, `
+      + `duration ${durationDays.toFixed(2)} <= ${maxDuration} days`,
+  };
+};
@@ -0,0 +1,134 @@
+/**
+ * Sniper Journal
+ *
+ * Per-wallet persistence for the sniper bot (localStorage):
+ * - config: strategy, thresholds and limits chosen in SniperBotPanel
+ * - session: stats and whether the bot was running
+ * - journal: every execution the bot made, never truncated
+ *
+ * Also exports the journal as CSV or JSON for reconciliation.
+ */
+
+const CONFIG_KEY = 'volt_sniper_config';
+const SESSION_KEY = 'volt_sniper_session';
+const JOURNAL_KEY = 'volt_sniper_journal';
+
+const keyFor = (prefix, address) => `${prefix}_${address.toLowerCase()}`;
+
+const read = (key) => {
+  try {
+    const saved = localStorage.getItem(key);
+    return saved ? JSON.parse(saved) : null;
+  } catch (error) {
+    console.error(`Error reading ${key}:`, error);
+    return null;
+  }
+};
+
+const write = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Error saving ${key}:`, error);
+  }
+};
+
+/**
+ * Load the panel configuration saved for a wallet
+ */
+export const loadSniperConfig = (address) => (address ? read(keyFor(CONFIG_KEY, address)) : null);
+
+/**
+ * Save the panel configuration for a wallet
+ */
+export const saveSniperConfig = (address, config) => {
+  if (address) write(keyFor(CONFIG_KEY, address), config);
+};
+
+/**
+ * Load stats, running flag and journal saved for a wallet
+ *
+ * @returns {Object|null} { stats, wasActive, journal } or null if nothing is saved
+ */
+export const loadSniperSession = (address) => {
+  if (!address) return null;
+
+  const session = read(keyFor(SESSION_KEY, address));
+  const journal = read(keyFor(JOURNAL_KEY, address));
+  if (!session && !journal) return null;
+
+  return {
+    stats: session ? session.stats : null,
+    wasActive: Boolean(session && session.wasActive),
+    journal: Array.isArray(journal) ? journal : [],
+  };
+};
+
+/**
+ * Save stats and whether the bot is running
+ */
+export const saveSniperSession = (address, { stats, wasActive }) => {
+  if (address) write(keyFor(SESSION_KEY, address), { stats, wasActive, savedAt: Date.now() });
+};
+
+/**
+ * Save the full execution journal
+ */
+export const saveSniperJournal = (address, journal) => {
+  if (address) write(keyFor(JOURNAL_KEY, address), journal);
+};
+
+export const JOURNAL_COLUMNS = [
+  'id',
+  'orderId',
+  'streamId',
+  'status',
+  'txHash',
+  'price',
+  'riskScore',
+  'discount',
+  'strategy',
+  'reason',
+  'error',
+  'startedAt',
+  'settledAt',
+];
+
+const toCell = (key, value) => {
+  if (value === null || value === undefined) return '';
+  if ((key === 'startedAt' || key === 'settledAt') && typeof value === 'number') {
+    return new Date(value).toISOString();
+  }
+
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Journal as CSV (one row per execution, timestamps in ISO 8601)
+ */
+export const journalToCSV = (journal) => {
+  const rows = journal.map((entry) => JOURNAL_COLUMNS.map((key) => toCell(key, entry[key])).join(','));
+  return [JOURNAL_COLUMNS.join(','), ...rows].join('\n');
+};
+
+/**
+ * Journal as JSON with the wallet and export time
+ */
+export const journalToJSON = (journal, address) => {
+  return JSON.stringify({ address, exportedAt: new Date().toISOString(), executions: journal }, null, 2);
+};
+
+/**
+ * Trigger a browser download of the given text
+ */
+export const downloadFile = (filename, content, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
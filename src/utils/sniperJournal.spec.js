@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  JOURNAL_COLUMNS,
+  journalToCSV,
+  journalToJSON,
+  loadSniperConfig,
+  loadSniperSession,
+  saveSniperConfig,
+  saveSniperJournal,
+  saveSniperSession,
+} from './sniperJournal';
+
+/**
+ * Sniper journal tests
+ *
+ * Storage is per wallet (case-insensitive); exports must round-trip
+ * awkward values such as reasons containing commas and quotes.
+ */
+
+const wallet = '0x00000000000000000000000000000000000000Bb';
+const otherWallet = '0x00000000000000000000000000000000000000cc';
+
+const entry = {
+  id: 'exec-1',
+  orderId: '7',
+  streamId: '3',
+  status: 'confirmed',
+  txHash: '0xabc',
+  price: 12.5,
+  riskScore: 20,
+  discount: 15,
+  strategy: 'threshold',
+  reason: 'Risk 20 <= 40, discount "15%"',
+  error: null,
+  startedAt: Date.UTC(2024, 0, 1),
+  settledAt: null,
+};
+
+describe('sniperJournal', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('keeps config, session and journal per wallet', () => {
+    saveSniperConfig(wallet, { maxRisk: 25 });
+    saveSniperSession(wallet, { stats: { totalScans: 4 }, wasActive: true });
+    saveSniperJournal(wallet, [entry]);
+
+    expect(loadSniperConfig(wallet.toLowerCase())).toEqual({ maxRisk: 25 });
+    expect(loadSniperSession(wallet)).toEqual({ stats: { totalScans: 4 }, wasActive: true, journal: [entry] });
+    expect(loadSniperSession(otherWallet)).toBeNull();
+    expect(loadSniperConfig(null)).toBeNull();
+  });
+
+  it('exports the journal as CSV with escaped cells and ISO timestamps', () => {
+    const [header, row] = journalToCSV([entry]).split('\n');
+
+    expect(header).toBe(JOURNAL_COLUMNS.join(','));
+    expect(row).toBe('exec-1,7,3,confirmed,0xabc,12.5,20,15,threshold,"Risk 20 <= 40, discount ""15%""",,2024-01-01T00:00:00.000Z,');
+  });
+
+  it('exports the journal as JSON with the wallet', () => {
+    const exported = JSON.parse(journalToJSON([entry], wallet));
+
+    expect(exported.address).toBe(wallet);
+    expect(exported.executions).toEqual([entry]);
+  });
+});
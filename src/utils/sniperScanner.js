@@ -0,0 +1,141 @@
+/**
+ * Sniper Scanner
+ *
+ * Order book scanning and matching for the sniper bot, free of React and
+ * the DOM so it can run inside a Web Worker (workers/sniperBotWorker.js).
+ * Signing never happens here: the scanner only returns decisions and the
+ * main thread (useSniperBot) executes the matches.
+ *
+ * Messages in:
+ * - { type: 'configure', strategy: { id, params }, maxSpendPerOrder }
+ * - { type: 'snapshot', orders, streams, account: { address, balance } }
+ * - { type: 'start', intervalMs }
+ * - { type: 'stop' }
+ *
+ * Messages out:
+ * - { type: 'scan', scannedAt, now, decisions: [{ orderId, action, reason }], summary }
+ * - { type: 'error', message }
+ *
+ * Only built-in strategies (and ones registered inside the worker) are
+ * available, since strategy functions cannot be posted to a worker.
+ */
+
+import { getEndTime, getUnvestedAmount } from './streamMath';
+import { createStrategy } from './sniperStrategies';
+import { isOrderExpired } from './orderPricing';
+
+export const DEFAULT_SCAN_INTERVAL = 3000;
+
+/**
+ * Scan one order book snapshot
+ *
+ * The per-order spend maximum is a hard limit applied before the strategy,
+ * and orders that expired since the snapshot are never bought.
+ *
+ * @param {Object} snapshot - { orders, streams, account }
+ * @param {Object} config - { strategy: { id, params }, maxSpendPerOrder }
+ * @param {number} now - Unix time (seconds)
+ * @returns {Object} { decisions, summary: { scanned, matched, streamNotFound } }
+ */
+export const scanOrders = (snapshot, config, now = Math.floor(Date.now() / 1000)) => {
+  const { orders = [], streams = [], account = {} } = snapshot;
+  const { strategy: { id, params } = { id: 'threshold' }, maxSpendPerOrder = 0 } = config;
+  const decide = createStrategy(id, params);
+
+  const findStream = (order) => order.stream || streams.find((s) => s.id === order.streamId);
+
+  // Snapshot shared by every decision in this scan
+  const market = {
+    now,
+    orders: orders.map((order) => (order.stream ? order : { ...order, stream: findStream(order) })),
+  };
+  const portfolio = {
+    address: account.address,
+    balance: account.balance,
+    holdings: streams.map((s) => ({
+      streamId: s.id,
+      amount: Math.min(getUnvestedAmount(s, now), s.remainingBalance ?? Infinity),
+      endTime: getEndTime(s, now),
+    })),
+  };
+
+  const summary = { scanned: 0, matched: 0, streamNotFound: 0 };
+  const decisions = market.orders.map((order) => {
+    summary.scanned++;
+
+    if (!order.stream) {
+      summary.streamNotFound++;
+      return { orderId: order.id, action: 'skip', reason: 'Stream not found' };
+    }
+
+    let decision;
+    if (isOrderExpired(order, now)) {
+      decision = { action: 'skip', reason: 'Order expired' };
+    } else if (maxSpendPerOrder > 0 && order.price > maxSpendPerOrder) {
+      decision = { action: 'skip', reason: `Price ${order.price} > maxSpendPerOrder ${maxSpendPerOrder}` };
+    } else {
+      decision = decide(order, order.stream, portfolio, market);
+    }
+
+    if (decision.action === 'buy') summary.matched++;
+    return { orderId: order.id, action: decision.action, reason: decision.reason };
+  });
+
+  return { decisions, summary };
+};
+
+/**
+ * Message handler that owns the scan loop
+ *
+ * Scans on start, whenever the snapshot or configuration changes while
+ * running, and every intervalMs in between.
+ *
+ * @param {Function} post - Receives outgoing messages (e.g. self.postMessage)
+ * @returns {Function} (message) => void
+ */
+export const createScannerHandler = (post) => {
+  let config = { strategy: { id: 'threshold', params: {} }, maxSpendPerOrder: 0 };
+  let snapshot = null;
+  let timer = null;
+
+  const scan = () => {
+    if (!snapshot) return;
+
+    try {
+      const now = Math.floor(Date.now() / 1000);
+      post({ type: 'scan', scannedAt: Date.now(), now, ...scanOrders(snapshot, config, now) });
+    } catch (error) {
+      post({ type: 'error', message: error.message });
+    }
+  };
+
+  const stop = () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+
+  return (message) => {
+    switch (message.type) {
+      case 'configure':
+        config = { strategy: message.strategy, maxSpendPerOrder: message.maxSpendPerOrder || 0 };
+        if (timer) scan();
+        break;
+      case 'snapshot':
+        snapshot = { orders: message.orders, streams: message.streams, account: message.account };
+        if (timer) scan();
+        break;
+      case 'start':
+        stop();
+        timer = setInterval(scan, message.intervalMs || DEFAULT_SCAN_INTERVAL);
+        scan();
+        break;
+      case 'stop':
+        stop();
+        break;
+      default:
+        post({ type: 'error', message: `Unknown message type: ${message.type}` });
+    }
+  };
+};
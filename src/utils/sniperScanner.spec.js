@@ -0,0 +1,136 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { scanOrders } from './sniperScanner';
+import { createSniperWorkerHarness } from '../test/sniperWorkerHarness';
+
+/**
+ * Sniper scanner tests
+ *
+ * scanOrders is checked directly; the scan loop is driven through the
+ * real worker entry point with the headless harness.
+ */
+
+const DAY = 86400;
+const now = 100 * DAY;
+const buyer = '0x00000000000000000000000000000000000000bb';
+
+const stream = { id: '1', totalDeposit: 1000, startTime: now, duration: 10 * DAY, claimedAmount: 0, soldAmount: 0 };
+
+const makeOrder = (id, overrides = {}) => ({
+  id,
+  streamId: '1',
+  seller: '0x00000000000000000000000000000000000000aa',
+  price: 80,
+  percentage: 10,
+  shareValue: 100,
+  priceRatio: 0.8,
+  riskScore: 20,
+  ...overrides,
+});
+
+const snapshot = (orders) => ({
+  type: 'snapshot',
+  orders,
+  streams: [stream],
+  account: { address: buyer, balance: 1000 },
+});
+
+const configure = (params = {}, maxSpendPerOrder = 0) => ({
+  type: 'configure',
+  strategy: { id: 'threshold', params: { maxRisk: 40, minDiscount: 10, maxDuration: 30, ...params } },
+  maxSpendPerOrder,
+});
+
+describe('sniperScanner', () => {
+  describe('scanOrders', () => {
+    const config = { strategy: { id: 'threshold', params: { maxRisk: 40 } } };
+
+    it('decides every order with the configured strategy', () => {
+      const { decisions, summary } = scanOrders(
+        snapshot([makeOrder('1'), makeOrder('2', { riskScore: 90 })]),
+        config,
+        now
+      );
+
+      expect(decisions.map((decision) => decision.action)).toEqual(['buy', 'skip']);
+      expect(decisions[1].reason).toBe('Risk score 90 > maxRisk 40');
+      expect(summary).toEqual({ scanned: 2, matched: 1, streamNotFound: 0 });
+    });
+
+    it('skips orders without a stream, expired orders and orders above the per-order maximum', () => {
+      const { decisions, summary } = scanOrders(
+        snapshot([makeOrder('1', { streamId: '9' }), makeOrder('2'), makeOrder('3', { expiresAt: now })]),
+        { ...config, maxSpendPerOrder: 50 },
+        now
+      );
+
+      expect(decisions).toEqual([
+        { orderId: '1', action: 'skip', reason: 'Stream not found' },
+        { orderId: '2', action: 'skip', reason: 'Price 80 > maxSpendPerOrder 50' },
+        { orderId: '3', action: 'skip', reason: 'Order expired' },
+      ]);
+      expect(summary.streamNotFound).toBe(1);
+    });
+  });
+
+  describe('worker', () => {
+    let worker;
+
+    beforeEach(async () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(now * 1000);
+      worker = await createSniperWorkerHarness();
+    });
+
+    afterEach(() => {
+      worker.post({ type: 'stop' });
+      vi.useRealTimers();
+      vi.unstubAllGlobals();
+    });
+
+    it('only scans while started, then on every interval', () => {
+      worker.post(configure());
+      worker.post(snapshot([makeOrder('1')]));
+      expect(worker.scans()).toHaveLength(0);
+
+      worker.post({ type: 'start', intervalMs: 3000 });
+      expect(worker.scans()).toHaveLength(1);
+      expect(worker.scans()[0]).toMatchObject({
+        now,
+        decisions: [{ orderId: '1', action: 'buy' }],
+        summary: { scanned: 1, matched: 1 },
+      });
+
+      vi.advanceTimersByTime(9000);
+      expect(worker.scans()).toHaveLength(4);
+
+      worker.post({ type: 'stop' });
+      vi.advanceTimersByTime(9000);
+      expect(worker.scans()).toHaveLength(4);
+    });
+
+    it('rescans as soon as a new snapshot or configuration arrives', () => {
+      worker.post(configure());
+      worker.post(snapshot([]));
+      worker.post({ type: 'start', intervalMs: 3000 });
+      worker.clear();
+
+      worker.post(snapshot([makeOrder('1')]));
+      worker.post(configure({ maxRisk: 10 }));
+
+      expect(worker.scans().map((scan) => scan.decisions[0].action)).toEqual(['buy', 'skip']);
+    });
+
+    it('reports scan failures instead of throwing', () => {
+      worker.post({ type: 'configure', strategy: { id: 'nope' } });
+      worker.post(snapshot([makeOrder('1')]));
+      worker.post({ type: 'start' });
+      worker.post({ type: 'bogus' });
+
+      expect(worker.messages).toEqual([
+        { type: 'error', message: 'Unknown strategy: nope' },
+        { type: 'error', message: 'Unknown message type: bogus' },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Sniper Strategies
+ *
+ * A strategy is a pure function
+ *   (order, stream, portfolio, market) => { action: 'buy' | 'skip', reason }
+ * built from a definition and user parameters with createStrategy.
+ *
+ * - order: priced order (price, priceRatio, shareValue, riskScore, seller, ...)
+ * - stream: the stream the order sells a share of
+ * - portfolio: { address, balance, holdings: [{ streamId, amount, endTime }] }
+ *   where amount is what is still to be received from the stream
+ * - market: { now, orders } where every order carries its `stream`
+ *
+ * Custom strategies can be added with registerStrategy.
+ */
+
+import { getEndTime } from './streamMath';
+import { getShareValue as getOrderShareValue } from './orderPricing';
+import { calculateDiscount, orderMatchesCriteria } from './sniperCriteria';
+
+const DAY = 60 * 60 * 24;
+
+const buy = (reason) => ({ action: 'buy', reason });
+const skip = (reason) => ({ action: 'skip', reason });
+
+/**
+ * Value of the share the order sells, at the market snapshot time
+ */
+const getShareValue = (order, stream, now) => {
+  if (order.shareValue !== undefined) return order.shareValue;
+  return getOrderShareValue(order, stream, now);
+};
+
+/**
+ * Checks every built-in strategy applies: affordable and not our own order
+ *
+ * @returns {string|null} Reason to skip, or null
+ */
+const checkAccount = (order, portfolio) => {
+  if (portfolio.address && order.seller.toLowerCase() === portfolio.address.toLowerCase()) {
+    return 'Buyer is the seller';
+  }
+  if (portfolio.balance < order.price) {
+    return `Balance ${portfolio.balance} < required ${order.price}`;
+  }
+  return null;
+};
+
+/**
+ * Weighted average remaining duration (days) of the portfolio's holdings
+ *
+ * @param {Array} holdings - [{ amount, endTime }]
+ * @param {number} now - Unix time (seconds)
+ * @returns {Object} { amount, days } - days is 0 for an empty portfolio
+ */
+export const getPortfolioDuration = (holdings, now) => {
+  const active = holdings.filter((holding) => holding.amount > 0 && holding.endTime > now);
+  const amount = active.reduce((sum, holding) => sum + holding.amount, 0);
+  if (amount === 0) return { amount: 0, days: 0 };
+
+  const weighted = active.reduce((sum, holding) => sum + holding.amount * (holding.endTime - now), 0);
+  return { amount, days: weighted / amount / DAY };
+};
+
+const threshold = {
+  id: 'threshold',
+  name: 'Threshold',
+  description: 'Buy every order within the risk, discount and duration limits',
+  params: [
+    { key: 'maxRisk', label: 'Max Risk Score (0-100)', default: 40, min: 0, max: 100 },
+    { key: 'minDiscount', label: 'Min Discount (%)', default: 10, min: 0, max: 100 },
+    { key: 'maxDuration', label: 'Max Duration (days)', default: 30, min: 1 },
+  ],
+  create: (params) => (order, stream, portfolio) => {
+    const { matches, reason } = orderMatchesCriteria(order, stream, params, {
+      address: portfolio.address,
+      balance: portfolio.balance,
+    });
+    return matches ? buy(reason) : skip(reason);
+  },
+};
+
+const bestDiscountPerRisk = {
+  id: 'bestDiscountPerRisk',
+  name: 'Best Discount per Risk Point',
+  description: 'Rank the whole book by discount divided by risk score and buy only the top orders',
+  params: [
+    { key: 'topN', label: 'Buy Top N Orders', default: 1, min: 1 },
+    { key: 'maxRisk', label: 'Max Risk Score (0-100)', default: 70, min: 0, max: 100 },
+    { key: 'minDiscount', label: 'Min Discount (%)', default: 0, min: 0, max: 100 },
+  ],
+  create: ({ topN, maxRisk, minDiscount }) => {
+    const score = (order) => calculateDiscount(order.priceRatio) / Math.max(1, order.riskScore);
+
+    // Reason an order is not eligible for ranking, or null
+    const ineligible = (order, portfolio) => {
+      const accountIssue = checkAccount(order, portfolio);
+      if (accountIssue) return accountIssue;
+      if (!(order.priceRatio > 0)) return 'Order has no remaining value';
+      if (order.riskScore > maxRisk) return `Risk score ${order.riskScore} > maxRisk ${maxRisk}`;
+      const discount = calculateDiscount(order.priceRatio);
+      if (discount < minDiscount) return `Discount ${discount.toFixed(2)}% < minDiscount ${minDiscount}%`;
+      return null;
+    };
+
+    return (order, stream, portfolio, market) => {
+      const issue = ineligible(order, portfolio);
+      if (issue) return skip(issue);
+
+      const ranked = market.orders
+        .filter((candidate) => !ineligible(candidate, portfolio))
+        .sort((a, b) => score(b) - score(a));
+      const rank = ranked.findIndex((candidate) => candidate.id === order.id) + 1;
+      const summary = `Ranked #${rank} of ${ranked.length} by discount per risk point (${score(order).toFixed(3)})`;
+
+      return rank > 0 && rank <= topN ? buy(summary) : skip(`${summary}, outside top ${topN}`);
+    };
+  },
+};
+
+const fillToTargetDuration = {
+  id: 'fillToTargetDuration',
+  name: 'Fill to Target Duration',
+  description: 'Buy orders that move the portfolio\'s average remaining duration towards a target',
+  params: [
+    { key: 'targetDays', label: 'Target Duration (days)', default: 30, min: 1 },
+    { key: 'toleranceDays', label: 'Tolerance (days)', default: 2, min: 0 },
+    { key: 'maxRisk', label: 'Max Risk Score (0-100)', default: 70, min: 0, max: 100 },
+    { key: 'minDiscount', label: 'Min Discount (%)', default: 0, min: 0, max: 100 },
+  ],
+  create: ({ targetDays, toleranceDays, maxRisk, minDiscount }) => (order, stream, portfolio, market) => {
+    const accountIssue = checkAccount(order, portfolio);
+    if (accountIssue) return skip(accountIssue);
+    if (order.riskScore > maxRisk) return skip(`Risk score ${order.riskScore} > maxRisk ${maxRisk}`);
+    const discount = calculateDiscount(order.priceRatio);
+    if (discount < minDiscount) return skip(`Discount ${discount.toFixed(2)}% < minDiscount ${minDiscount}%`);
+
+    const current = getPortfolioDuration(portfolio.holdings, market.now);
+    const currentGap = Math.abs(current.days - targetDays);
+    if (current.amount > 0 && currentGap <= toleranceDays) {
+      return skip(`Portfolio duration ${current.days.toFixed(1)} days is within ${toleranceDays} days of target`);
+    }
+
+    const shareValue = getShareValue(order, stream, market.now);
+    if (shareValue <= 0) return skip('Order has no remaining value');
+
+    const endTime = getEndTime(stream, market.now);
+    const orderDays = Math.max(0, endTime - market.now) / DAY;
+    const nextDays = (current.days * current.amount + orderDays * shareValue) / (current.amount + shareValue);
+    const nextGap = Math.abs(nextDays - targetDays);
+    const change = `${current.days.toFixed(1)} → ${nextDays.toFixed(1)} days (target ${targetDays})`;
+
+    return nextGap < currentGap
+      ? buy(`Moves portfolio duration ${change}`)
+      : skip(`Would move portfolio duration ${change}, away from target`);
+  },
+};
+
+const registry = new Map(
+  [threshold, bestDiscountPerRisk, fillToTargetDuration].map((definition) => [definition.id, definition])
+);
+
+/**
+ * Register a custom strategy definition
+ *
+ * @param {Object} definition - { id, name, description, params, create(params) }
+ */
+export const registerStrategy = (definition) => {
+  if (!definition || !definition.id || typeof definition.create !== 'function') {
+    throw new Error('A strategy needs an id and a create(params) function');
+  }
+  registry.set(definition.id, { params: [], ...definition });
+};
+
+/**
+ * All registered strategy definitions
+ */
+export const listStrategies = () => Array.from(registry.values());
+
+/**
+ * Look up a strategy definition by ID
+ */
+export const getStrategy = (id) => {
+  const definition = registry.get(id);
+  if (!definition) {
+    throw new Error(`Unknown strategy: ${id}`);
+  }
+  return definition;
+};
+
+/**
+ * Default parameters of a strategy
+ */
+export const getDefaultParams = (id) => {
+  return Object.fromEntries(getStrategy(id).params.map((param) => [param.key, param.default]));
+};
+
+/**
+ * Build a strategy function from its ID and parameters
+ * (missing parameters fall back to the definition's defaults)
+ *
+ * @param {string} id - Strategy ID
+ * @param {Object} params - Strategy parameters
+ * @returns {Function} (order, stream, portfolio, market) => { action, reason }
+ */
+export const createStrategy = (id, params = {}) => {
+  return getStrategy(id).create({ ...getDefaultParams(id), ...params });
+};
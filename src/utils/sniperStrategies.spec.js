@@ -0,0 +1,165 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import {
+  createStrategy,
+  getDefaultParams,
+  getPortfolioDuration,
+  listStrategies,
+  registerStrategy,
+} from './sniperStrategies';
+
+/**
+ * Sniper strategy tests
+ *
+ * Strategies are pure, so each case builds its own order, portfolio and
+ * market snapshot.
+ */
+
+const DAY = 86400;
+const now = 100 * DAY;
+const buyer = '0x00000000000000000000000000000000000000bb';
+
+const makeStream = (id, days) => ({
+  id,
+  totalDeposit: 1000,
+  startTime: now,
+  duration: days * DAY,
+});
+
+const makeOrder = (id, overrides = {}) => ({
+  id,
+  streamId: id,
+  seller: '0x00000000000000000000000000000000000000aa',
+  price: 80,
+  percentage: 10,
+  shareValue: 100,
+  priceRatio: 0.8,
+  riskScore: 20,
+  ...overrides,
+});
+
+const portfolio = (holdings = [], balance = 1000) => ({ address: buyer, balance, holdings });
+
+describe('sniperStrategies', () => {
+  it('lists the built-in strategies with default params', () => {
+    expect(listStrategies().map((strategy) => strategy.id)).toEqual(
+      expect.arrayContaining(['threshold', 'bestDiscountPerRisk', 'fillToTargetDuration'])
+    );
+    expect(getDefaultParams('threshold')).toEqual({ maxRisk: 40, minDiscount: 10, maxDuration: 30 });
+    expect(() => createStrategy('nope')).toThrow(/Unknown strategy/);
+  });
+
+  describe('threshold', () => {
+    const strategy = createStrategy('threshold', { maxRisk: 40, minDiscount: 10, maxDuration: 30 });
+    const stream = makeStream('1', 10);
+
+    it('buys orders inside every threshold and explains why', () => {
+      const decision = strategy(makeOrder('1'), stream, portfolio(), { now, orders: [] });
+
+      expect(decision.action).toBe('buy');
+      expect(decision.reason).toMatch(/Risk 20 <= 40/);
+    });
+
+    it('names the threshold that failed', () => {
+      const decision = strategy(makeOrder('1', { riskScore: 55 }), stream, portfolio(), { now, orders: [] });
+
+      expect(decision).toEqual({ action: 'skip', reason: 'Risk score 55 > maxRisk 40' });
+    });
+
+    it('skips own orders', () => {
+      const decision = strategy(makeOrder('1', { seller: buyer }), stream, portfolio(), { now, orders: [] });
+
+      expect(decision).toEqual({ action: 'skip', reason: 'Buyer is the seller' });
+    });
+  });
+
+  describe('bestDiscountPerRisk', () => {
+    // Discount per risk point: a = 20/20 = 1, b = 30/10 = 3, c = 50/50 = 1
+    const orders = [
+      makeOrder('a', { priceRatio: 0.8, riskScore: 20 }),
+      makeOrder('b', { priceRatio: 0.7, riskScore: 10 }),
+      makeOrder('c', { priceRatio: 0.5, riskScore: 50 }),
+    ];
+    const market = { now, orders };
+    const stream = makeStream('1', 10);
+
+    it('buys only the top-ranked orders across the whole book', () => {
+      const strategy = createStrategy('bestDiscountPerRisk', { topN: 1 });
+
+      expect(strategy(orders[1], stream, portfolio(), market)).toMatchObject({
+        action: 'buy',
+        reason: expect.stringMatching(/Ranked #1 of 3/),
+      });
+      expect(strategy(orders[0], stream, portfolio(), market)).toMatchObject({
+        action: 'skip',
+        reason: expect.stringMatching(/outside top 1/),
+      });
+    });
+
+    it('ranks only orders that pass the filters', () => {
+      const strategy = createStrategy('bestDiscountPerRisk', { topN: 1, maxRisk: 15 });
+
+      expect(strategy(orders[0], stream, portfolio(), market).reason).toBe('Risk score 20 > maxRisk 15');
+      expect(strategy(orders[1], stream, portfolio(), market).reason).toMatch(/Ranked #1 of 1/);
+    });
+  });
+
+  describe('fillToTargetDuration', () => {
+    const strategy = createStrategy('fillToTargetDuration', { targetDays: 30, toleranceDays: 2 });
+
+    it('measures the portfolio by remaining amount-weighted duration', () => {
+      const holdings = [
+        { streamId: 'x', amount: 300, endTime: now + 10 * DAY },
+        { streamId: 'y', amount: 100, endTime: now + 50 * DAY },
+        { streamId: 'z', amount: 500, endTime: now - DAY },
+      ];
+
+      expect(getPortfolioDuration(holdings, now)).toEqual({ amount: 400, days: 20 });
+      expect(getPortfolioDuration([], now)).toEqual({ amount: 0, days: 0 });
+    });
+
+    it('buys orders that move the portfolio towards the target', () => {
+      const holdings = [{ streamId: 'x', amount: 100, endTime: now + 10 * DAY }];
+      const decision = strategy(makeOrder('1'), makeStream('1', 45), portfolio(holdings), { now, orders: [] });
+
+      expect(decision).toEqual({ action: 'buy', reason: 'Moves portfolio duration 10.0 → 27.5 days (target 30)' });
+    });
+
+    it('skips orders that overshoot the target', () => {
+      const holdings = [{ streamId: 'x', amount: 100, endTime: now + 25 * DAY }];
+      const decision = strategy(makeOrder('1'), makeStream('1', 365), portfolio(holdings), { now, orders: [] });
+
+      expect(decision.action).toBe('skip');
+      expect(decision.reason).toMatch(/away from target/);
+    });
+
+    it('stops buying once the portfolio is within tolerance', () => {
+      const holdings = [{ streamId: 'x', amount: 100, endTime: now + 31 * DAY }];
+      const decision = strategy(makeOrder('1'), makeStream('1', 30), portfolio(holdings), { now, orders: [] });
+
+      expect(decision.reason).toMatch(/within 2 days of target/);
+    });
+  });
+
+  describe('registerStrategy', () => {
+    it('adds custom strategies with their own params', () => {
+      registerStrategy({
+        id: 'cheapest',
+        name: 'Cheapest',
+        params: [{ key: 'maxPrice', label: 'Max Price', default: 50 }],
+        create: ({ maxPrice }) => (order) => (
+          order.price <= maxPrice
+            ? { action: 'buy', reason: `Price ${order.price} <= ${maxPrice}` }
+            : { action: 'skip', reason: `Price ${order.price} > ${maxPrice}` }
+        ),
+      });
+
+      expect(createStrategy('cheapest')(makeOrder('1'), null, portfolio(), { now, orders: [] }).action).toBe('skip');
+      expect(createStrategy('cheapest', { maxPrice: 100 })(makeOrder('1'), null, portfolio(), { now, orders: [] }).action).toBe('buy');
+    });
+
+    it('rejects definitions without a create function', () => {
+      expect(() => registerStrategy({ id: 'broken' })).toThrow(/create\(params\)/);
+    });
+  });
+});
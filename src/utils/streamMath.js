@@ -0,0 +1,68 @@
+/**
+ * Stream Math
+ *
+ * Client-side mirror of VoltProtocol's vesting rules:
+ * - totalDeposit vests linearly from startTime over duration
+ * - Sold shares are taken from the tail of the stream, so the owner keeps
+ *   vesting at the original rate until reaching totalDeposit - soldAmount
+ * - Nothing vests while a stream is paused (pausedAt set); completed pauses
+ *   add up in pausedDuration and push the end of the stream back
+ *
+ * Amounts are plain numbers (vUSDC), times are Unix seconds.
+ */
+
+const nowInSeconds = () => Math.floor(Date.now() / 1000);
+
+export const isStreamPaused = (stream) => !!stream && stream.pausedAt > 0;
+
+/**
+ * Time the stream has been running, excluding pauses
+ */
+export const getActiveElapsed = (stream, now = nowInSeconds()) => {
+  if (!stream) return 0;
+
+  const until = isStreamPaused(stream) ? Math.min(now, stream.pausedAt) : now;
+  return Math.max(0, until - stream.startTime - (stream.pausedDuration || 0));
+};
+
+/**
+ * End of the stream's schedule, assuming a pause ends now
+ */
+export const getEndTime = (stream, now = nowInSeconds()) => {
+  if (!stream) return 0;
+
+  const ongoingPause = isStreamPaused(stream) ? Math.max(0, now - stream.pausedAt) : 0;
+  return stream.startTime + stream.duration + (stream.pausedDuration || 0) + ongoingPause;
+};
+
+/**
+ * Amount vested so far on the stream's linear schedule
+ */
+export const getVestedAmount = (stream, now = nowInSeconds()) => {
+  if (!stream || !stream.duration) return 0;
+
+  const elapsed = getActiveElapsed(stream, now);
+  if (elapsed >= stream.duration) return stream.totalDeposit;
+  return (stream.totalDeposit * elapsed) / stream.duration;
+};
+
+/**
+ * Unvested funds still owned by the stream owner (what an order can sell)
+ */
+export const getUnvestedAmount = (stream, now = nowInSeconds()) => {
+  if (!stream) return 0;
+
+  const ownerCap = stream.totalDeposit - (stream.soldAmount || 0);
+  return Math.max(0, ownerCap - getVestedAmount(stream, now));
+};
+
+/**
+ * Vested funds the owner can withdraw right now
+ */
+export const getWithdrawableAmount = (stream, now = nowInSeconds()) => {
+  if (!stream) return 0;
+
+  const ownerCap = stream.totalDeposit - (stream.soldAmount || 0);
+  const ownerVested = Math.min(getVestedAmount(stream, now), ownerCap);
+  return Math.max(0, ownerVested - (stream.claimedAmount || 0));
+};
@@ -0,0 +1,563 @@
+/**
+ * Transaction Pipeline
+ *
+ * One path for every contract write, in stages:
+ * 1. preflight  - staticCall, decoding custom errors and revert reasons
+ * 2. allowance  - if the token allowance is too low, sign an EIP-2612
+ *                 permit and switch to the call's permit variant, or
+ *                 approve the spender when the token has no permit
+ * 3. estimate   - estimateGas plus a buffer (no hardcoded fallback)
+ * 4. send       - submit with the estimated gas limit
+ * 5. wait       - poll for the receipt with backoff, detecting replaced
+ *                 (sped up or cancelled) transactions
+ *
+ * Each stage emits a typed lifecycle event ({ type, id, label, ... }) to the
+ * transaction's onEvent callback and to every subscribeTxEvents listener,
+ * which is how VoltContext keeps txStatus and the toasts current.
+ *
+ * Errors keep ethers' `code` (CALL_EXCEPTION, ACTION_REJECTED, ...) and gain
+ * `stage` plus, for reverts, the decoded `revert` ({ name, args }).
+ */
+
+import { ethers } from 'ethers';
+
+export const TX_EVENT = {
+  PREFLIGHT: 'preflight',
+  PERMIT_REQUESTED: 'permit-requested',
+  PERMIT_SIGNED: 'permit-signed',
+  APPROVAL_REQUIRED: 'approval-required',
+  APPROVAL_SUBMITTED: 'approval-submitted',
+  APPROVAL_CONFIRMED: 'approval-confirmed',
+  ESTIMATED: 'estimated',
+  SUBMITTED: 'submitted',
+  REPLACED: 'replaced',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+};
+
+// Errors bubbled up from the vUSDC token (OpenZeppelin v5 ERC20)
+const TOKEN_ERRORS = new ethers.Interface([
+  'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)',
+  'error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)',
+  'error ERC20InvalidApprover(address approver)',
+  'error ERC20InvalidSpender(address spender)',
+]);
+
+const ERC20_ALLOWANCE_ABI = [
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)',
+];
+
+// EIP-2612 permit plus the EIP-5267 domain lookup used to sign it
+const ERC20_PERMIT_ABI = [
+  'function nonces(address owner) view returns (uint256)',
+  'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)',
+];
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+};
+
+const PERMIT_TTL = 20 * 60; // Seconds a permit signature stays valid
+const DEFAULT_GAS_BUFFER = 20; // Percent added to the gas estimate
+const DEFAULT_RECEIPT_TIMEOUT = 5 * 60 * 1000;
+const INITIAL_POLL_DELAY = 1000;
+const MAX_POLL_DELAY = 15000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const listeners = new Set();
+let nextTxId = 1;
+
+/**
+ * Listen to lifecycle events of every pipeline transaction
+ *
+ * @param {Function} listener - (event) => void
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeTxEvents = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const emit = (event, onEvent) => {
+  const payload = { ...event, timestamp: Date.now() };
+  if (onEvent) onEvent(payload);
+  listeners.forEach((listener) => {
+    try {
+      listener(payload);
+    } catch (error) {
+      console.error('Transaction event listener failed:', error);
+    }
+  });
+};
+
+const isRateLimitError = (error) => (
+  error?.code === -32005 ||
+  error?.error?.code === -32005 ||
+  /rate limit/i.test(error?.message || '')
+);
+
+/**
+ * Find raw revert data on an ethers or provider error
+ */
+const getRevertData = (error) => {
+  const candidates = [error?.data, error?.error?.data, error?.info?.error?.data, error?.error?.data?.data];
+  return candidates.find((data) => typeof data === 'string' && data.startsWith('0x') && data.length >= 10) || null;
+};
+
+const formatArg = (value) => (typeof value === 'bigint' ? ethers.formatEther(value) : String(value));
+
+/**
+ * Decode why a call reverted
+ *
+ * Tries the target contract's interface, then the token errors; falls back
+ * to the Error(string) reason ethers already decoded.
+ *
+ * @param {Error} error - Error thrown by staticCall, estimateGas or send
+ * @param {Array} interfaces - ethers.Interface instances to try
+ * @returns {Object|null} { name, args, message } or null if not a revert
+ */
+export const decodeRevert = (error, interfaces = []) => {
+  if (error?.revert && error.revert.name !== 'Error') {
+    const { name, args } = error.revert;
+    return { name, args: [...args], message: describeRevert(name, [...args]) };
+  }
+
+  const data = getRevertData(error);
+  if (data) {
+    for (const iface of [...interfaces, TOKEN_ERRORS]) {
+      try {
+        const parsed = iface.parseError(data);
+        if (parsed) {
+          return { name: parsed.name, args: [...parsed.args], message: describeRevert(parsed.name, [...parsed.args]) };
+        }
+      } catch {
+        // Not one of this interface's errors
+      }
+    }
+  }
+
+  if (error?.code === 'CALL_EXCEPTION' && error.reason) {
+    return { name: 'Error', args: [error.reason], message: error.reason };
+  }
+  return null;
+};
+
+const describeRevert = (name, args) => {
+  switch (name) {
+    case 'Error':
+      return args[0];
+    case 'Panic':
+      return `Panic (code ${args[0]})`;
+    case 'ERC20InsufficientBalance':
+      return `Insufficient vUSDC balance: have ${formatArg(args[1])}, need ${formatArg(args[2])}`;
+    case 'ERC20InsufficientAllowance':
+      return `Insufficient vUSDC allowance: have ${formatArg(args[1])}, need ${formatArg(args[2])}`;
+    default:
+      return `${name}(${args.map(formatArg).join(', ')})`;
+  }
+};
+
+/**
+ * Wrap a failure with the stage it happened in and its decoded revert
+ */
+const stageError = (error, stage, label, interfaces) => {
+  if (error?.stage) return error;
+
+  const revert = decodeRevert(error, interfaces);
+  const message = revert
+    ? `${label} would fail: ${revert.message}`
+    : error?.shortMessage || error?.message || `${label} failed`;
+
+  return Object.assign(new Error(message), {
+    code: revert ? 'CALL_EXCEPTION' : error?.code,
+    stage,
+    revert,
+    receipt: error?.receipt,
+    cause: error,
+  });
+};
+
+/**
+ * Look for the transaction that used a nonce instead of ours
+ *
+ * @returns {Object|null} Replacement transaction
+ */
+const findReplacement = async (provider, tx, fromBlock) => {
+  const latest = await provider.getBlockNumber();
+  for (let blockNumber = fromBlock; blockNumber <= latest; blockNumber++) {
+    const block = await provider.getBlock(blockNumber, true);
+    const replacement = block?.prefetchedTransactions.find(
+      (candidate) => candidate.from.toLowerCase() === tx.from.toLowerCase() && candidate.nonce === tx.nonce
+    );
+    if (replacement) return replacement;
+  }
+  return null;
+};
+
+/**
+ * Wait for a transaction's receipt
+ *
+ * Polls with exponential backoff (rate-limit errors just back off). Once
+ * the sender's nonce is used without our transaction being mined, finds
+ * the replacement: a speed-up (same call) resolves with the replacement's
+ * receipt, anything else throws TRANSACTION_REPLACED.
+ *
+ * @param {Object} provider - ethers provider
+ * @param {Object} tx - Sent transaction ({ hash, from, nonce, to, data, value })
+ * @param {Object} options - { timeout, fromBlock, onReplaced }
+ * @returns {Promise<Object>} Mined receipt (status may be 0)
+ */
+export const waitForReceipt = async (provider, tx, options = {}) => {
+  const { timeout = DEFAULT_RECEIPT_TIMEOUT, fromBlock, onReplaced } = options;
+  const deadline = Date.now() + timeout;
+  const startBlock = fromBlock ?? (await provider.getBlockNumber());
+  let delay = INITIAL_POLL_DELAY;
+
+  while (Date.now() < deadline) {
+    try {
+      const receipt = await provider.getTransactionReceipt(tx.hash);
+      if (receipt) return receipt;
+
+      const nonce = await provider.getTransactionCount(tx.from, 'latest');
+      if (nonce > tx.nonce) {
+        // Our nonce is used; make sure it was not by us in the meantime
+        const late = await provider.getTransactionReceipt(tx.hash);
+        if (late) return late;
+
+        const replacement = await findReplacement(provider, tx, startBlock);
+        if (replacement) {
+          const repriced = replacement.to === tx.to && replacement.data === tx.data && replacement.value === tx.value;
+          const reason = repriced ? 'repriced' : replacement.data === '0x' && replacement.value === 0n ? 'cancelled' : 'replaced';
+          const replacementReceipt = await provider.getTransactionReceipt(replacement.hash);
+          if (onReplaced) onReplaced({ reason, hash: replacement.hash });
+
+          if (repriced && replacementReceipt) return replacementReceipt;
+          throw Object.assign(new Error(`Transaction was ${reason} by ${replacement.hash}`), {
+            code: 'TRANSACTION_REPLACED',
+            reason,
+            replacement,
+            receipt: replacementReceipt,
+          });
+        }
+      }
+    } catch (error) {
+      if (!isRateLimitError(error)) throw error;
+      console.warn(`Rate limited while waiting for ${tx.hash}, backing off ${delay}ms`);
+    }
+
+    await sleep(Math.min(delay, Math.max(0, deadline - Date.now())));
+    delay = Math.min(delay * 2, MAX_POLL_DELAY);
+  }
+
+  throw Object.assign(new Error(`Timed out waiting for transaction ${tx.hash}`), { code: 'TIMEOUT', hash: tx.hash });
+};
+
+/**
+ * Estimate, send and wait for one call
+ *
+ * @returns {Promise<Object>} Successful receipt
+ */
+const sendAndWait = async (contract, method, args, context) => {
+  const { label, stageEvents, interfaces, gasBuffer, overrides, receiptTimeout, emitEvent } = context;
+  const provider = contract.runner.provider;
+
+  let gasLimit;
+  try {
+    const estimate = await contract[method].estimateGas(...args, overrides);
+    gasLimit = (estimate * BigInt(100 + gasBuffer)) / 100n;
+    emitEvent({ type: stageEvents.estimated, gasEstimate: estimate, gasLimit });
+  } catch (error) {
+    throw stageError(error, 'estimate', label, interfaces);
+  }
+
+  let tx;
+  try {
+    const fromBlock = await provider.getBlockNumber();
+    tx = await contract[method](...args, { ...overrides, gasLimit });
+    tx.fromBlock = fromBlock;
+  } catch (error) {
+    throw stageError(error, 'send', label, interfaces);
+  }
+  emitEvent({ type: stageEvents.submitted, hash: tx.hash });
+
+  let receipt;
+  try {
+    receipt = await waitForReceipt(provider, tx, {
+      timeout: receiptTimeout,
+      fromBlock: tx.fromBlock,
+      onReplaced: ({ reason, hash }) => emitEvent({ type: TX_EVENT.REPLACED, reason, hash, replacedHash: tx.hash }),
+    });
+  } catch (error) {
+    throw stageError(error, 'wait', label, interfaces);
+  }
+
+  if (receipt.status !== 1) {
+    throw Object.assign(new Error(`${label} reverted (${receipt.hash})`), {
+      code: 'CALL_EXCEPTION',
+      stage: 'wait',
+      revert: null,
+      receipt,
+    });
+  }
+  return receipt;
+};
+
+/**
+ * EIP-712 domain and current nonce of a token's EIP-2612 permit
+ *
+ * @param {Object} runner - ethers signer or provider
+ * @param {string} token - Token address
+ * @param {string} owner - Permit owner
+ * @returns {Promise<Object|null>} { domain, nonce }, or null when the token
+ *   has no permit or does not expose its domain (EIP-5267)
+ */
+const getPermitDomain = async (runner, token, owner) => {
+  const tokenContract = new ethers.Contract(token, ERC20_PERMIT_ABI, runner);
+  try {
+    const [domain, nonce] = await Promise.all([tokenContract.eip712Domain(), tokenContract.nonces(owner)]);
+    return {
+      domain: { name: domain.name, version: domain.version, chainId: domain.chainId, verifyingContract: domain.verifyingContract },
+      nonce,
+    };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Sign an EIP-2612 permit for a token
+ *
+ * @param {Object} signer - ethers signer of the token owner
+ * @param {Object} permit - { token, spender, value, deadline }
+ * @returns {Promise<Object|null>} { value, deadline, v, r, s }, or null
+ *   when the token does not support permit
+ */
+export const signPermit = async (signer, { token, spender, value, deadline }) => {
+  const owner = await signer.getAddress();
+  const permitDomain = await getPermitDomain(signer, token, owner);
+  if (!permitDomain) return null;
+
+  const { domain, nonce } = permitDomain;
+  const signature = ethers.Signature.from(
+    await signer.signTypedData(domain, PERMIT_TYPES, { owner, spender, value, nonce, deadline })
+  );
+  return { value, deadline, v: signature.v, r: signature.r, s: signature.s };
+};
+
+/**
+ * Sign a permit for exactly the amount if the owner's allowance is below it
+ *
+ * @returns {Promise<Object|null>} Signature, or null if no permit is needed
+ *   or the token does not support one
+ */
+const requestPermit = async (contract, allowance, context) => {
+  const { token, amount } = allowance;
+  const spender = allowance.spender || (await contract.getAddress());
+  const owner = await contract.runner.getAddress();
+  const tokenContract = new ethers.Contract(token, ERC20_ALLOWANCE_ABI, contract.runner);
+  if ((await tokenContract.allowance(owner, spender)) >= amount) return null;
+  if (!(await getPermitDomain(contract.runner, token, owner))) return null;
+
+  const latest = await contract.runner.provider.getBlock('latest');
+  const deadline = BigInt(latest.timestamp + PERMIT_TTL);
+  context.emitEvent({ type: TX_EVENT.PERMIT_REQUESTED, token, spender, amount, deadline });
+
+  const signature = await signPermit(contract.runner, { token, spender, value: amount, deadline });
+  if (signature) context.emitEvent({ type: TX_EVENT.PERMIT_SIGNED, token, spender, amount, deadline });
+  return signature;
+};
+
+/**
+ * Approve the spender if the owner's allowance is below the amount, then
+ * wait until the new allowance is visible (RPC nodes can lag a block)
+ */
+const ensureAllowance = async (contract, allowance, context) => {
+  const { token, amount, approveAmount = amount * 2n } = allowance; // Approve 2x to avoid frequent approvals
+  const spender = allowance.spender || (await contract.getAddress());
+  const owner = await contract.runner.getAddress();
+  const tokenContract = new ethers.Contract(token, ERC20_ALLOWANCE_ABI, contract.runner);
+
+  const current = await tokenContract.allowance(owner, spender);
+  if (current >= amount) return false;
+
+  context.emitEvent({ type: TX_EVENT.APPROVAL_REQUIRED, token, spender, amount, approveAmount, allowance: current });
+  const receipt = await sendAndWait(tokenContract, 'approve', [spender, approveAmount], {
+    ...context,
+    label: 'Approval',
+    overrides: {},
+    stageEvents: { estimated: TX_EVENT.ESTIMATED, submitted: TX_EVENT.APPROVAL_SUBMITTED },
+  });
+
+  let delay = INITIAL_POLL_DELAY;
+  for (let attempt = 0; attempt < 5; attempt++) {
+    if ((await tokenContract.allowance(owner, spender)) >= amount) {
+      context.emitEvent({ type: TX_EVENT.APPROVAL_CONFIRMED, hash: receipt.hash, approveAmount });
+      return true;
+    }
+    await sleep(delay);
+    delay *= 2;
+  }
+  throw Object.assign(new Error('Approval confirmed but the new allowance is not visible yet. Please try again.'), {
+    stage: 'allowance',
+    receipt,
+  });
+};
+
+/**
+ * Run a contract write through the pipeline
+ *
+ * @param {Object} request
+ * @param {Object} request.contract - ethers.Contract connected to a signer
+ * @param {string} request.method - Contract function name
+ * @param {Array} request.args - Function arguments
+ * @param {Object} request.overrides - Extra transaction overrides (value, ...)
+ * @param {Object} request.allowance - { token, amount, approveAmount, spender }
+ *   when the call pulls ERC20 tokens (spender defaults to the contract)
+ * @param {Object} request.permit - { method, args } of the call's permit
+ *   variant; the signature's deadline, v, r and s are appended to args.
+ *   Used instead of an approval when the token supports EIP-2612.
+ * @param {string} request.label - Human-readable name used in events and errors
+ * @param {Object} request.messages - { pending, success } passed on to listeners
+ * @param {number} request.gasBuffer - Percent added to the gas estimate
+ * @param {number} request.receiptTimeout - Max wait for the receipt (ms)
+ * @param {Function} request.onEvent - Lifecycle events of this transaction
+ * @returns {Promise<Object>} { receipt, hash, approved, permitted }
+ */
+export const runTransaction = async ({
+  contract,
+  method,
+  args = [],
+  overrides = {},
+  allowance = null,
+  permit = null,
+  label = method,
+  messages = {},
+  gasBuffer = DEFAULT_GAS_BUFFER,
+  receiptTimeout = DEFAULT_RECEIPT_TIMEOUT,
+  onEvent,
+}) => {
+  const id = nextTxId++;
+  const emitEvent = (event) => emit({ id, label, method, messages, ...event }, onEvent);
+  const interfaces = [contract.interface];
+  const context = {
+    label,
+    interfaces,
+    gasBuffer,
+    overrides,
+    receiptTimeout,
+    emitEvent,
+    stageEvents: { estimated: TX_EVENT.ESTIMATED, submitted: TX_EVENT.SUBMITTED },
+  };
+
+  const preflight = async (call) => {
+    emitEvent({ type: TX_EVENT.PREFLIGHT });
+    try {
+      await contract[call.method].staticCall(...call.args, overrides);
+      return null;
+    } catch (error) {
+      return stageError(error, 'preflight', label, interfaces);
+    }
+  };
+
+  try {
+    // A missing allowance is only fatal if no approval can fix it
+    let call = { method, args };
+    let failure = await preflight(call);
+    const needsAllowance = failure?.revert?.name === 'ERC20InsufficientAllowance';
+    if (failure && !(needsAllowance && allowance)) throw failure;
+
+    let permitted = false;
+    if (allowance && permit) {
+      let signature = null;
+      try {
+        signature = await requestPermit(contract, allowance, context);
+      } catch (error) {
+        if (error?.code === 'ACTION_REJECTED') throw stageError(error, 'permit', 'Permit', interfaces);
+        console.warn('Permit signing failed, falling back to approve:', error?.message || error);
+      }
+
+      if (signature) {
+        const permitCall = { method: permit.method, args: [...permit.args, signature.deadline, signature.v, signature.r, signature.s] };
+        const permitFailure = await preflight(permitCall);
+        // The contract ignores a rejected permit, so it shows up as a missing allowance
+        if (permitFailure?.revert?.name !== 'ERC20InsufficientAllowance') {
+          if (permitFailure) throw permitFailure;
+          call = permitCall;
+          failure = null;
+          permitted = true;
+        } else {
+          console.warn('Permit was not accepted by the token, falling back to approve');
+        }
+      }
+    }
+
+    let approved = false;
+    if (allowance && !permitted) {
+      try {
+        approved = await ensureAllowance(contract, allowance, context);
+      } catch (error) {
+        throw stageError(error, 'allowance', 'Approval', interfaces);
+      }
+    }
+    if (failure) {
+      failure = await preflight(call);
+      if (failure) throw failure;
+    }
+
+    const receipt = await sendAndWait(contract, call.method, call.args, context);
+    emitEvent({ type: TX_EVENT.CONFIRMED, hash: receipt.hash, receipt });
+    return { receipt, hash: receipt.hash, approved, permitted };
+  } catch (error) {
+    emitEvent({ type: TX_EVENT.FAILED, stage: error.stage, error });
+    throw error;
+  }
+};
+
+/**
+ * First parsed log with the given event name
+ *
+ * @param {Object} receipt - Transaction receipt
+ * @param {Object} iface - ethers.Interface of the emitting contract
+ * @param {string} name - Event name
+ * @returns {Object|null} Parsed log
+ */
+export const findEvent = (receipt, iface, name) => {
+  for (const log of receipt?.logs || []) {
+    try {
+      const parsed = iface.parseLog(log);
+      if (parsed && parsed.name === name) return parsed;
+    } catch {
+      // Another contract's event
+    }
+  }
+  return null;
+};
+
+/**
+ * Every parsed log with the given event name, in log order
+ *
+ * @param {Object} receipt - Transaction receipt
+ * @param {Object} iface - ethers.Interface of the emitting contract
+ * @param {string} name - Event name
+ * @returns {Array} Parsed logs
+ */
+export const findEvents = (receipt, iface, name) => {
+  const events = [];
+  for (const log of receipt?.logs || []) {
+    try {
+      const parsed = iface.parseLog(log);
+      if (parsed && parsed.name === name) events.push(parsed);
+    } catch {
+      // Another contract's event
+    }
+  }
+  return events;
+};
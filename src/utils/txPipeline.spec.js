@@ -0,0 +1,211 @@
+// @vitest-environment node
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import hre from 'hardhat';
+import { runTransaction, subscribeTxEvents, waitForReceipt, findEvent, TX_EVENT } from './txPipeline';
+
+/**
+ * Transaction pipeline tests
+ *
+ * Runs against the in-process Hardhat network; automine is switched off
+ * to replace a pending transaction.
+ */
+
+const { ethers } = hre;
+
+describe('txPipeline', () => {
+  let vusdc;
+  let volt;
+  let voltAddress;
+  let alice;
+  let bob;
+  let carol;
+  let dave;
+
+  beforeAll(async () => {
+    await hre.run('compile', { quiet: true });
+
+    const [owner, ...users] = await ethers.getSigners();
+    [alice, bob, carol, dave] = users;
+    vusdc = await (await ethers.getContractFactory('vUSDC')).deploy(owner.address);
+    volt = await (await ethers.getContractFactory('VoltProtocol')).deploy(await vusdc.getAddress());
+    voltAddress = await volt.getAddress();
+
+    await vusdc.transfer(alice.address, ethers.parseEther('10000'));
+    await vusdc.transfer(bob.address, ethers.parseEther('10000'));
+    await vusdc.transfer(dave.address, ethers.parseEther('10000'));
+  });
+
+  afterEach(async () => {
+    await hre.network.provider.send('evm_setAutomine', [true]);
+  });
+
+  const createStream = (signer, events, options = {}) => runTransaction({
+    contract: volt.connect(signer),
+    method: 'createStreamWithVUSDC',
+    args: [86400, ethers.parseEther('100')],
+    allowance: { token: vusdc.target, amount: ethers.parseEther('100') },
+    label: 'Create stream',
+    onEvent: (event) => events.push(event),
+    ...options,
+  });
+
+  const withPermit = { permit: { method: 'createStreamWithPermit', args: [86400, ethers.parseEther('100')] } };
+
+  it('approves, estimates, sends and waits, emitting each stage', async () => {
+    const events = [];
+    const { receipt, approved } = await createStream(alice, events);
+
+    expect(receipt.status).toBe(1);
+    expect(approved).toBe(true);
+    expect(findEvent(receipt, volt.interface, 'StreamCreated').args.streamId).toBe(1n);
+    expect(await vusdc.allowance(alice.address, voltAddress)).toBe(ethers.parseEther('100')); // 2x approved, 1x spent
+    expect(events.map((event) => event.type)).toEqual([
+      TX_EVENT.PREFLIGHT,
+      TX_EVENT.APPROVAL_REQUIRED,
+      TX_EVENT.ESTIMATED,
+      TX_EVENT.APPROVAL_SUBMITTED,
+      TX_EVENT.APPROVAL_CONFIRMED,
+      TX_EVENT.PREFLIGHT,
+      TX_EVENT.ESTIMATED,
+      TX_EVENT.SUBMITTED,
+      TX_EVENT.CONFIRMED,
+    ]);
+    expect(new Set(events.map((event) => event.id)).size).toBe(1);
+  });
+
+  it('skips the approval when the allowance already covers the amount', async () => {
+    const events = [];
+    const { approved } = await createStream(alice, events);
+
+    expect(approved).toBe(false);
+    expect(events.map((event) => event.type)).not.toContain(TX_EVENT.APPROVAL_REQUIRED);
+  });
+
+  it('stops at preflight with the revert reason, before any approval', async () => {
+    await volt.connect(alice).createOrder(1, ethers.parseEther('10'), 10);
+    const events = [];
+
+    const error = await runTransaction({
+      contract: volt.connect(alice),
+      method: 'buyOrder',
+      args: [1],
+      allowance: { token: vusdc.target, amount: ethers.parseEther('10') },
+      label: 'Buy stream',
+      onEvent: (event) => events.push(event),
+    }).catch((err) => err);
+
+    expect(error.message).toBe('Buy stream would fail: Cannot buy own order');
+    expect(error).toMatchObject({ stage: 'preflight', code: 'CALL_EXCEPTION' });
+    expect(events.map((event) => event.type)).toEqual([TX_EVENT.PREFLIGHT, TX_EVENT.FAILED]);
+  });
+
+  it('decodes custom errors bubbled up from the token', async () => {
+    await vusdc.connect(carol).approve(voltAddress, ethers.MaxUint256);
+
+    const error = await runTransaction({
+      contract: volt.connect(carol),
+      method: 'buyOrder',
+      args: [1],
+      label: 'Buy stream',
+    }).catch((err) => err);
+
+    expect(error.revert).toMatchObject({ name: 'ERC20InsufficientBalance' });
+    expect(error.message).toBe('Buy stream would fail: Insufficient vUSDC balance: have 0.0, need 10.0');
+  });
+
+  it('notifies subscribers until they unsubscribe', async () => {
+    const seen = [];
+    const unsubscribe = subscribeTxEvents((event) => seen.push(event.type));
+
+    await runTransaction({ contract: vusdc.connect(bob), method: 'approve', args: [voltAddress, 1n], label: 'Approve' });
+    unsubscribe();
+    await runTransaction({ contract: vusdc.connect(bob), method: 'approve', args: [voltAddress, 2n], label: 'Approve' });
+
+    expect(seen).toEqual([TX_EVENT.PREFLIGHT, TX_EVENT.ESTIMATED, TX_EVENT.SUBMITTED, TX_EVENT.CONFIRMED]);
+  });
+
+  it('signs a permit and calls the permit variant instead of approving', async () => {
+    const events = [];
+    const { receipt, approved, permitted } = await createStream(dave, events, withPermit);
+
+    expect({ approved, permitted }).toEqual({ approved: false, permitted: true });
+    expect(findEvent(receipt, volt.interface, 'StreamCreated').args.user).toBe(dave.address);
+    expect(await vusdc.allowance(dave.address, voltAddress)).toBe(0n);
+    expect(await vusdc.nonces(dave.address)).toBe(1n);
+    expect(events.map((event) => event.type)).toEqual([
+      TX_EVENT.PREFLIGHT,
+      TX_EVENT.PERMIT_REQUESTED,
+      TX_EVENT.PERMIT_SIGNED,
+      TX_EVENT.PREFLIGHT,
+      TX_EVENT.ESTIMATED,
+      TX_EVENT.SUBMITTED,
+      TX_EVENT.CONFIRMED,
+    ]);
+  });
+
+  it('falls back to approve for tokens without permit', async () => {
+    const plain = await (await ethers.getContractFactory('PlainERC20')).deploy(ethers.parseEther('1000'));
+    const plainVolt = await (await ethers.getContractFactory('VoltProtocol')).deploy(plain.target);
+    await plain.transfer(bob.address, ethers.parseEther('1000'));
+    const events = [];
+
+    const { approved, permitted } = await runTransaction({
+      contract: plainVolt.connect(bob),
+      method: 'createStreamWithVUSDC',
+      args: [86400, ethers.parseEther('100')],
+      allowance: { token: plain.target, amount: ethers.parseEther('100') },
+      ...withPermit,
+      onEvent: (event) => events.push(event.type),
+    });
+
+    expect({ approved, permitted }).toEqual({ approved: true, permitted: false });
+    expect(events).toContain(TX_EVENT.APPROVAL_CONFIRMED);
+    expect(events).not.toContain(TX_EVENT.PERMIT_REQUESTED);
+  });
+
+  describe('waitForReceipt', () => {
+    const sendPending = async (request) => {
+      const nonce = await ethers.provider.getTransactionCount(bob.address, 'pending');
+      const fromBlock = await ethers.provider.getBlockNumber();
+      await hre.network.provider.send('evm_setAutomine', [false]);
+      const original = await bob.sendTransaction({ ...request, nonce, maxFeePerGas: ethers.parseUnits('10', 'gwei') });
+      return { original, nonce, fromBlock };
+    };
+
+    it('follows a sped-up transaction to its receipt', async () => {
+      const call = { to: vusdc.target, data: vusdc.interface.encodeFunctionData('approve', [voltAddress, 5n]) };
+      const { original, nonce, fromBlock } = await sendPending(call);
+      const replacement = await bob.sendTransaction({
+        ...call,
+        nonce,
+        maxFeePerGas: ethers.parseUnits('50', 'gwei'),
+        maxPriorityFeePerGas: ethers.parseUnits('5', 'gwei'),
+      });
+      await hre.network.provider.send('evm_mine');
+
+      const replaced = [];
+      const receipt = await waitForReceipt(ethers.provider, original, { fromBlock, onReplaced: (info) => replaced.push(info) });
+
+      expect(receipt.hash).toBe(replacement.hash);
+      expect(replaced).toEqual([{ reason: 'repriced', hash: replacement.hash }]);
+    });
+
+    it('rejects when the transaction was cancelled', async () => {
+      const call = { to: vusdc.target, data: vusdc.interface.encodeFunctionData('approve', [voltAddress, 6n]) };
+      const { original, nonce, fromBlock } = await sendPending(call);
+      await bob.sendTransaction({
+        to: bob.address,
+        value: 0,
+        nonce,
+        maxFeePerGas: ethers.parseUnits('50', 'gwei'),
+        maxPriorityFeePerGas: ethers.parseUnits('5', 'gwei'),
+      });
+      await hre.network.provider.send('evm_mine');
+
+      await expect(waitForReceipt(ethers.provider, original, { fromBlock })).rejects.toMatchObject({
+        code: 'TRANSACTION_REPLACED',
+        reason: 'cancelled',
+      });
+    });
+  });
+});
@@ -0,0 +1,13 @@
+/**
+ * Sniper Bot Worker
+ *
+ * Runs the sniper bot's scan loop off the main thread, so scanning is not
+ * throttled with the page's timers when the tab is in the background.
+ * See utils/sniperScanner for the message protocol.
+ */
+
+import { createScannerHandler } from '../utils/sniperScanner';
+
+const handleMessage = createScannerHandler((message) => self.postMessage(message));
+
+self.onmessage = (event) => handleMessage(event.data);
@@ -0,0 +1,1101 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+/**
+ * VoltProtocol test suite
+ *
+ * Run with: npm run test:contracts
+ */
+
+const DAY = 24 * 60 * 60;
+const DEPOSIT = ethers.parseEther("1000");
+
+async function deployFixture() {
+  const [owner, alice, bob, carol] = await ethers.getSigners();
+
+  const vUSDC = await ethers.getContractFactory("vUSDC");
+  const vusdc = await vUSDC.deploy(owner.address);
+
+  const VoltProtocol = await ethers.getContractFactory("VoltProtocol");
+  const volt = await VoltProtocol.deploy(await vusdc.getAddress());
+  const voltAddress = await volt.getAddress();
+
+  for (const user of [alice, bob, carol]) {
+    await vusdc.transfer(user.address, ethers.parseEther("100000"));
+    await vusdc.connect(user).approve(voltAddress, ethers.MaxUint256);
+  }
+
+  return { volt, vusdc, owner, alice, bob, carol };
+}
+
+async function streamFixture() {
+  const fixture = await deployFixture();
+  const { volt, alice } = fixture;
+  await volt.connect(alice).createStreamWithVUSDC(10 * DAY, DEPOSIT);
+  return { ...fixture, streamId: 1n };
+}
+
+async function outgoingFixture() {
+  const fixture = await deployFixture();
+  const { volt, alice, bob } = fixture;
+  await volt.connect(alice).createStreamFor(bob.address, 10 * DAY, DEPOSIT);
+  const { startTime } = await volt.streams(1);
+  return { ...fixture, streamId: 1n, startTime };
+}
+
+async function signPermit(vusdc, owner, spender, value, deadline) {
+  const { chainId } = await ethers.provider.getNetwork();
+  const signature = await owner.signTypedData(
+    { name: "Volt USDC", version: "1", chainId, verifyingContract: await vusdc.getAddress() },
+    {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+    },
+    { owner: owner.address, spender, value, nonce: await vusdc.nonces(owner.address), deadline }
+  );
+  return ethers.Signature.from(signature);
+}
+
+describe("VoltProtocol", function () {
+  describe("Deployment", function () {
+    it("sets the deployer as owner and stores the vUSDC token", async function () {
+      const { volt, vusdc, owner } = await loadFixture(deployFixture);
+      expect(await volt.owner()).to.equal(owner.address);
+      expect(await volt.vusdcTokenAddress()).to.equal(await vusdc.getAddress());
+      expect(await volt.vusdcToken()).to.equal(await vusdc.getAddress());
+      expect(await volt.nextStreamId()).to.equal(1n);
+      expect(await volt.nextOrderId()).to.equal(1n);
+    });
+  });
+
+  describe("Stream creation", function () {
+    it("creates a vUSDC stream and pulls the deposit", async function () {
+      const { volt, vusdc, alice } = await loadFixture(deployFixture);
+      const voltAddress = await volt.getAddress();
+
+      await expect(volt.connect(alice).createStreamWithVUSDC(10 * DAY, DEPOSIT))
+        .to.emit(volt, "StreamCreated")
+        .withArgs(alice.address, 1n, DEPOSIT, 10 * DAY, alice.address);
+
+      const stream = await volt.streams(1);
+      expect(stream.totalDeposit).to.equal(DEPOSIT);
+      expect(stream.duration).to.equal(10 * DAY);
+      expect(stream.isActive).to.equal(true);
+      expect(stream.owner).to.equal(alice.address);
+      expect(await vusdc.balanceOf(voltAddress)).to.equal(DEPOSIT);
+      expect(await volt.getUserStreams(alice.address)).to.deep.equal([1n]);
+      expect(await volt.getUserStreamCount(alice.address)).to.equal(1n);
+    });
+
+    it("allows multiple streams per user", async function () {
+      const { volt, alice } = await loadFixture(deployFixture);
+      await volt.connect(alice).createStreamWithVUSDC(DAY, DEPOSIT);
+      await volt.connect(alice).createStreamWithVUSDC(2 * DAY, DEPOSIT);
+      expect(await volt.getUserStreams(alice.address)).to.deep.equal([1n, 2n]);
+    });
+
+    it("rejects zero duration and zero amount", async function () {
+      const { volt, alice } = await loadFixture(deployFixture);
+      await expect(volt.connect(alice).createStreamWithVUSDC(0, DEPOSIT))
+        .to.be.revertedWith("Duration must be greater than 0");
+      await expect(volt.connect(alice).createStreamWithVUSDC(DAY, 0))
+        .to.be.revertedWith("Amount must be greater than 0");
+    });
+
+    it("rejects vUSDC streams until the token is configured", async function () {
+      const { alice } = await loadFixture(deployFixture);
+      const VoltProtocol = await ethers.getContractFactory("VoltProtocol");
+      const unconfigured = await VoltProtocol.deploy(ethers.ZeroAddress);
+      await expect(unconfigured.connect(alice).createStreamWithVUSDC(DAY, DEPOSIT))
+        .to.be.revertedWith("vUSDC token not set");
+    });
+
+    it("creates native streams and pays them out in native currency", async function () {
+      const { volt, alice } = await loadFixture(deployFixture);
+      const amount = ethers.parseEther("10");
+      await volt.connect(alice).createStream(DAY, { value: amount });
+
+      await time.increase(DAY);
+      await expect(volt.connect(alice).withdraw(1, amount))
+        .to.changeEtherBalances([alice, volt], [amount, -amount]);
+    });
+  });
+
+  describe("Sender and receiver", function () {
+    it("streams to another receiver, funded by the caller", async function () {
+      const { volt, vusdc, alice, bob } = await loadFixture(deployFixture);
+
+      const tx = volt.connect(alice).createStreamFor(bob.address, 10 * DAY, DEPOSIT);
+      await expect(tx)
+        .to.emit(volt, "StreamCreated")
+        .withArgs(bob.address, 1n, DEPOSIT, 10 * DAY, alice.address);
+      await expect(tx).to.changeTokenBalance(vusdc, alice, -DEPOSIT);
+
+      const stream = await volt.streams(1);
+      expect(stream.owner).to.equal(bob.address);
+      expect(stream.sender).to.equal(alice.address);
+      expect(await volt.getIncomingStreams(bob.address)).to.deep.equal([1n]);
+      expect(await volt.getOutgoingStreams(alice.address)).to.deep.equal([1n]);
+      expect(await volt.getIncomingStreams(alice.address)).to.deep.equal([]);
+    });
+
+    it("only lets the receiver withdraw, sell or list the stream", async function () {
+      const { volt, vusdc, alice, bob } = await loadFixture(deployFixture);
+      await volt.connect(alice).createStreamFor(bob.address, 10 * DAY, DEPOSIT);
+      await time.increase(5 * DAY);
+
+      await expect(volt.connect(alice).withdraw(1, 1n)).to.be.revertedWith("Not stream owner");
+      await expect(volt.connect(alice).createOrder(1, 1n, 10)).to.be.revertedWith("Not stream owner");
+      await expect(volt.connect(bob).withdraw(1, DEPOSIT / 2n)).to.changeTokenBalance(vusdc, bob, DEPOSIT / 2n);
+    });
+
+    it("keeps self-funded streams out of the outgoing list", async function () {
+      const { volt, alice } = await loadFixture(deployFixture);
+      await volt.connect(alice).createStreamWithVUSDC(DAY, DEPOSIT);
+      await volt.connect(alice).createStreamFor(alice.address, DAY, DEPOSIT);
+
+      expect((await volt.streams(2)).sender).to.equal(alice.address);
+      expect(await volt.getIncomingStreams(alice.address)).to.deep.equal([1n, 2n]);
+      expect(await volt.getOutgoingStreams(alice.address)).to.deep.equal([]);
+      await expect(volt.connect(alice).createStreamFor(ethers.ZeroAddress, DAY, DEPOSIT))
+        .to.be.revertedWith("Invalid receiver");
+    });
+  });
+
+  describe("Stream cancellation", function () {
+    const PRICE = ethers.parseEther("300");
+
+    it("pays the receiver what has flowed and refunds the rest to the sender", async function () {
+      const { volt, vusdc, alice, bob, streamId, startTime } = await loadFixture(outgoingFixture);
+
+      await expect(volt.connect(bob).cancelStream(streamId)).to.be.revertedWith("Not stream sender");
+
+      await time.setNextBlockTimestamp(startTime + BigInt(4 * DAY));
+      const tx = volt.connect(alice).cancelStream(streamId);
+      await expect(tx)
+        .to.emit(volt, "StreamCancelled")
+        .withArgs(streamId, alice.address, bob.address, ethers.parseEther("400"), ethers.parseEther("600"));
+      await expect(tx).to.changeTokenBalances(
+        vusdc,
+        [bob, alice],
+        [ethers.parseEther("400"), ethers.parseEther("600")]
+      );
+
+      expect((await volt.streams(streamId)).isActive).to.equal(false);
+      await expect(volt.connect(alice).cancelStream(streamId)).to.be.revertedWith("No active stream");
+    });
+
+    it("previews the split of a cancellation", async function () {
+      const { volt, bob, streamId, startTime } = await loadFixture(outgoingFixture);
+
+      await time.increaseTo(startTime + BigInt(4 * DAY));
+      const [shares, refund] = await volt.previewCancel(streamId);
+
+      expect(shares.map((share) => [share.streamId, share.receiver, share.amount])).to.deep.equal([
+        [streamId, bob.address, ethers.parseEther("400")],
+      ]);
+      expect(refund).to.equal(ethers.parseEther("600"));
+    });
+
+    it("keeps sold shares streaming to their buyers and voids active orders", async function () {
+      const { volt, vusdc, alice, carol, streamId } = await loadFixture(streamFixture);
+      const { startTime } = await volt.streams(streamId);
+
+      // Carol buys half of the unvested 800 two days in
+      await volt.connect(alice).createOrder(streamId, PRICE, 50);
+      await time.setNextBlockTimestamp(startTime + BigInt(2 * DAY));
+      await volt.connect(carol).buyOrder(1);
+      expect((await volt.streams(2)).sender).to.equal(alice.address);
+      await volt.connect(alice).createOrder(streamId, PRICE, 10);
+
+      // Alice's own 600 has vested 400 by day 4; only her other 200 is refunded
+      await time.setNextBlockTimestamp(startTime + BigInt(4 * DAY));
+      const tx = volt.connect(alice).cancelStream(streamId);
+      await expect(tx)
+        .to.emit(volt, "StreamCancelled")
+        .withArgs(streamId, alice.address, alice.address, ethers.parseEther("400"), ethers.parseEther("200"));
+      await expect(tx).to.emit(volt, "OrderCancelled").withArgs(2n, alice.address);
+      await expect(tx).to.changeTokenBalances(
+        vusdc,
+        [alice, carol],
+        [ethers.parseEther("600"), 0n]
+      );
+      expect(await volt.getActiveOrderCount()).to.equal(0n);
+
+      expect(await volt.soldShares(2)).to.equal(true);
+      await expect(volt.connect(alice).cancelStream(2)).to.be.revertedWith("Cannot cancel a sold share");
+
+      // Carol's 400 over 8 days keeps vesting to her
+      await time.setNextBlockTimestamp(startTime + BigInt(10 * DAY));
+      await expect(volt.connect(carol).withdraw(2, ethers.parseEther("400")))
+        .to.changeTokenBalance(vusdc, carol, ethers.parseEther("400"));
+      expect((await volt.streams(2)).isActive).to.equal(false);
+    });
+  });
+
+  describe("Pause and resume", function () {
+    it("stops accrual while paused and moves the end back by the pause", async function () {
+      const { volt, alice, bob, streamId, startTime } = await loadFixture(outgoingFixture);
+
+      await expect(volt.connect(bob).pauseStream(streamId)).to.be.revertedWith("Not stream sender");
+
+      await time.setNextBlockTimestamp(startTime + BigInt(4 * DAY));
+      await expect(volt.connect(alice).pauseStream(streamId))
+        .to.emit(volt, "StreamPaused")
+        .withArgs(streamId, alice.address, bob.address);
+      await expect(volt.connect(alice).pauseStream(streamId)).to.be.revertedWith("Stream already paused");
+
+      // Only what vested before the pause can be withdrawn
+      await time.setNextBlockTimestamp(startTime + BigInt(6 * DAY));
+      await volt.connect(bob).withdraw(streamId, ethers.parseEther("400"));
+      await expect(volt.connect(bob).withdraw(streamId, 1n)).to.be.revertedWith("Nothing to withdraw");
+
+      await time.setNextBlockTimestamp(startTime + BigInt(7 * DAY));
+      await expect(volt.connect(alice).resumeStream(streamId))
+        .to.emit(volt, "StreamResumed")
+        .withArgs(streamId, alice.address, bob.address, BigInt(3 * DAY));
+      await expect(volt.connect(alice).resumeStream(streamId)).to.be.revertedWith("Stream not paused");
+
+      // 10 days of accrual end on day 13 instead of day 10
+      await time.setNextBlockTimestamp(startTime + BigInt(13 * DAY));
+      await volt.connect(bob).withdraw(streamId, ethers.parseEther("600"));
+      const stream = await volt.streams(streamId);
+      expect(stream.pausedDuration).to.equal(BigInt(3 * DAY));
+      expect(stream.isActive).to.equal(false);
+    });
+
+    it("keeps sold shares streaming while the stream is paused", async function () {
+      const { volt, vusdc, alice, bob, carol, streamId } = await loadFixture(streamFixture);
+      const { startTime } = await volt.streams(streamId);
+      const PRICE = ethers.parseEther("100");
+
+      // Carol buys half of the unvested 800 two days in
+      await volt.connect(alice).createOrder(streamId, PRICE, 50);
+      await time.setNextBlockTimestamp(startTime + BigInt(2 * DAY));
+      await volt.connect(carol).buyOrder(1);
+
+      await time.setNextBlockTimestamp(startTime + BigInt(4 * DAY));
+      await expect(volt.connect(alice).pauseStream(streamId))
+        .to.emit(volt, "StreamPaused")
+        .withArgs(streamId, alice.address, alice.address);
+      expect((await volt.streams(2)).pausedAt).to.equal(0n);
+      await expect(volt.connect(alice).pauseStream(2)).to.be.revertedWith("Cannot pause a sold share");
+
+      // Bob buys half of the remaining 200 while the stream is paused
+      await volt.connect(alice).createOrder(streamId, PRICE, 50);
+      await time.setNextBlockTimestamp(startTime + BigInt(5 * DAY));
+      await volt.connect(bob).buyOrder(2);
+      const share = await volt.streams(3);
+      expect(share.totalDeposit).to.equal(ethers.parseEther("100"));
+      expect(share.duration).to.equal(BigInt(6 * DAY));
+      expect(share.pausedAt).to.equal(0n);
+
+      // Carol's 400 over 8 days has run for 4 of them by day 6, pause or not
+      await time.setNextBlockTimestamp(startTime + BigInt(6 * DAY));
+      await expect(volt.connect(carol).withdraw(2n, ethers.parseEther("200")))
+        .to.changeTokenBalance(vusdc, carol, ethers.parseEther("200"));
+      await expect(volt.connect(carol).withdraw(2n, ethers.parseEther("1"))).to.be.revertedWith("Nothing to withdraw");
+
+      await expect(volt.connect(alice).resumeStream(streamId))
+        .to.emit(volt, "StreamResumed")
+        .withArgs(streamId, alice.address, alice.address, anyValue);
+    });
+  });
+
+  describe("Accrual and withdrawals", function () {
+    it("accrues linearly and lets the owner withdraw vested funds", async function () {
+      const { volt, vusdc, alice, streamId } = await loadFixture(streamFixture);
+
+      await time.increase(5 * DAY);
+      const half = DEPOSIT / 2n;
+
+      const tx = volt.connect(alice).withdraw(streamId, half);
+      await expect(tx).to.emit(volt, "Withdraw").withArgs(alice.address, streamId, half);
+      await expect(tx).to.changeTokenBalances(vusdc, [alice, volt], [half, -half]);
+
+      expect((await volt.streams(streamId)).claimedAmount).to.equal(half);
+    });
+
+    it("rejects withdrawals above the vested amount", async function () {
+      const { volt, alice, streamId } = await loadFixture(streamFixture);
+      await time.increase(DAY);
+      await expect(volt.connect(alice).withdraw(streamId, DEPOSIT / 2n))
+        .to.be.revertedWith("Nothing to withdraw");
+    });
+
+    it("closes the stream once everything is claimed", async function () {
+      const { volt, alice, streamId } = await loadFixture(streamFixture);
+      await time.increase(20 * DAY);
+      await volt.connect(alice).withdraw(streamId, DEPOSIT);
+
+      expect((await volt.streams(streamId)).isActive).to.equal(false);
+      await expect(volt.connect(alice).withdraw(streamId, 1))
+        .to.be.revertedWith("No active stream");
+    });
+
+    it("only lets the stream owner withdraw", async function () {
+      const { volt, bob, streamId } = await loadFixture(streamFixture);
+      await time.increase(5 * DAY);
+      await expect(volt.connect(bob).withdraw(streamId, 1))
+        .to.be.revertedWith("Not stream owner");
+    });
+
+    it("rejects zero withdrawals", async function () {
+      const { volt, alice, streamId } = await loadFixture(streamFixture);
+      await expect(volt.connect(alice).withdraw(streamId, 0))
+        .to.be.revertedWith("Amount must be greater than 0");
+    });
+  });
+
+  describe("Batch withdrawals", function () {
+    it("withdraws every vested amount in one transaction", async function () {
+      const { volt, vusdc, alice, streamId } = await loadFixture(streamFixture);
+      await volt.connect(alice).createStreamWithVUSDC(5 * DAY, DEPOSIT);
+      await volt.connect(alice).createStream(DAY, { value: ethers.parseEther("10") });
+
+      await time.increase(5 * DAY);
+      const tx = volt.connect(alice).withdrawMany([streamId, 2n, 3n]);
+
+      await expect(tx)
+        .to.emit(volt, "Withdraw").withArgs(alice.address, 2n, DEPOSIT)
+        .and.to.emit(volt, "Withdraw").withArgs(alice.address, 3n, ethers.parseEther("10"));
+      await expect(tx).to.changeEtherBalance(alice, ethers.parseEther("10"));
+
+      const first = await volt.streams(streamId);
+      expect(first.claimedAmount).to.be.closeTo(DEPOSIT / 2n, DEPOSIT / 10000n);
+      expect(await vusdc.balanceOf(await volt.getAddress())).to.equal(DEPOSIT - first.claimedAmount);
+      expect((await volt.streams(2)).isActive).to.equal(false);
+    });
+
+    it("skips streams with nothing vested and rejects an empty claim", async function () {
+      const { volt, alice, streamId } = await loadFixture(streamFixture);
+      await time.increase(DAY);
+
+      // Create stream 2 and claim in the same block, so nothing has vested on it yet
+      await network.provider.send("evm_setAutomine", [false]);
+      await volt.connect(alice).createStreamWithVUSDC(DAY, DEPOSIT);
+      const tx = await volt.connect(alice).withdrawMany([streamId, 2n]);
+      await network.provider.send("evm_mine");
+      await network.provider.send("evm_setAutomine", [true]);
+
+      const receipt = await tx.wait();
+      const withdrawn = receipt.logs.filter((log) => log.fragment?.name === "Withdraw").map((log) => log.args.streamId);
+      expect(withdrawn).to.deep.equal([streamId]);
+      expect((await volt.streams(2)).claimedAmount).to.equal(0n);
+
+      await expect(volt.connect(alice).withdrawMany([])).to.be.revertedWith("Nothing to withdraw");
+    });
+
+    it("only withdraws from the caller's streams", async function () {
+      const { volt, bob, streamId } = await loadFixture(streamFixture);
+      await time.increase(DAY);
+
+      await expect(volt.connect(bob).withdrawMany([streamId])).to.be.revertedWith("Not stream owner");
+    });
+  });
+
+  describe("Partial sells", function () {
+    it("advances unvested funds and shortens the stream tail", async function () {
+      const { volt, vusdc, alice, streamId } = await loadFixture(streamFixture);
+      const sold = ethers.parseEther("200");
+
+      const tx = volt.connect(alice).sellShare(streamId, sold);
+      await expect(tx).to.emit(volt, "StreamSold").withArgs(alice.address, streamId, sold, sold);
+      await expect(tx).to.changeTokenBalance(vusdc, alice, sold);
+
+      expect((await volt.streams(streamId)).soldAmount).to.equal(sold);
+
+      // Vesting continues at the original rate up to totalDeposit - soldAmount
+      await time.increase(5 * DAY);
+      await volt.connect(alice).withdraw(streamId, DEPOSIT / 2n);
+
+      await time.increase(5 * DAY);
+      await expect(volt.connect(alice).withdraw(streamId, DEPOSIT / 2n))
+        .to.be.revertedWith("Nothing to withdraw");
+      await volt.connect(alice).withdraw(streamId, DEPOSIT / 2n - sold);
+
+      expect((await volt.streams(streamId)).isActive).to.equal(false);
+    });
+
+    it("rejects sells above the unvested balance", async function () {
+      const { volt, alice, streamId } = await loadFixture(streamFixture);
+      await time.increase(5 * DAY);
+      await expect(volt.connect(alice).sellShare(streamId, DEPOSIT))
+        .to.be.revertedWith("Amount exceeds unvested balance");
+    });
+
+    it("only lets the stream owner sell", async function () {
+      const { volt, bob, streamId } = await loadFixture(streamFixture);
+      await expect(volt.connect(bob).sellShare(streamId, 1))
+        .to.be.revertedWith("Not stream owner");
+    });
+  });
+
+  describe("Order lifecycle", function () {
+    const PRICE = ethers.parseEther("450");
+
+    it("creates an order and lists it as active", async function () {
+      const { volt, alice, streamId } = await loadFixture(streamFixture);
+
+      await expect(volt.connect(alice).createOrder(streamId, PRICE, 50))
+        .to.emit(volt, "OrderCreated")
+        .withArgs(1n, streamId, alice.address, PRICE, 50n);
+
+      const orders = await volt.getAllOrders();
+      expect(orders.length).to.equal(1);
+      expect(orders[0].seller).to.equal(alice.address);
+      expect(orders[0].percentage).to.equal(50n);
+      expect(orders[0].isActive).to.equal(true);
+      expect(await volt.getActiveOrderCount()).to.equal(1n);
+      expect(await volt.activeOrderIds(0)).to.equal(1n);
+    });
+
+    it("validates order parameters", async function () {
+      const { volt, alice, bob, streamId } = await loadFixture(streamFixture);
+      await expect(volt.connect(bob).createOrder(streamId, PRICE, 50))
+        .to.be.revertedWith("Not stream owner");
+      await expect(volt.connect(alice).createOrder(streamId, 0, 50))
+        .to.be.revertedWith("Price must be greater than 0");
+      await expect(volt.connect(alice).createOrder(streamId, PRICE, 0))
+        .to.be.revertedWith("Invalid percentage");
+      await expect(volt.connect(alice).createOrder(streamId, PRICE, 101))
+        .to.be.revertedWith("Invalid percentage");
+    });
+
+    it("fills an order: pays the seller and moves the share to the buyer", async function () {
+      const { volt, vusdc, alice, bob, streamId } = await loadFixture(streamFixture);
+      await volt.connect(alice).createOrder(streamId, PRICE, 50);
+
+      const tx = volt.connect(bob).buyOrder(1);
+      await expect(tx)
+        .to.emit(volt, "OrderFilled")
+        .withArgs(1n, streamId, bob.address, alice.address, PRICE, 50n, anyValue, 0n)
+        .and.to.emit(volt, "StreamSold");
+      await expect(tx).to.changeTokenBalances(vusdc, [bob, alice], [-PRICE, PRICE]);
+
+      const sellerStream = await volt.streams(streamId);
+      const buyerStreamIds = await volt.getUserStreams(bob.address);
+      expect(buyerStreamIds.length).to.equal(1);
+
+      const buyerStream = await volt.streams(buyerStreamIds[0]);
+      expect(buyerStream.owner).to.equal(bob.address);
+      expect(buyerStream.totalDeposit).to.equal(sellerStream.soldAmount);
+      expect(buyerStream.totalDeposit).to.be.closeTo(DEPOSIT / 2n, ethers.parseEther("0.01"));
+
+      expect(await volt.getActiveOrderCount()).to.equal(0n);
+      expect((await volt.orders(1)).isActive).to.equal(false);
+    });
+
+    it("lets the buyer withdraw from the purchased share", async function () {
+      const { volt, vusdc, alice, bob, streamId } = await loadFixture(streamFixture);
+      await volt.connect(alice).createOrder(streamId, PRICE, 50);
+      await volt.connect(bob).buyOrder(1);
+
+      const [buyerStreamId] = await volt.getUserStreams(bob.address);
+      const share = (await volt.streams(buyerStreamId)).totalDeposit;
+
+      await time.increase(10 * DAY);
+      await expect(volt.connect(bob).withdraw(buyerStreamId, share))
+        .to.changeTokenBalance(vusdc, bob, share);
+      await volt.connect(alice).withdraw(streamId, DEPOSIT - share);
+
+      expect(await vusdc.balanceOf(await volt.getAddress())).to.equal(0n);
+    });
+
+    it("fills part of an order at a pro-rata price and keeps the rest listed", async function () {
+      const { volt, vusdc, alice, bob, carol, streamId } = await loadFixture(streamFixture);
+      const { startTime } = await volt.streams(streamId);
+      await volt.connect(alice).createOrder(streamId, PRICE, 50);
+
+      // 20% of the unvested 800, for 20/50 of the price
+      await time.setNextBlockTimestamp(startTime + BigInt(2 * DAY));
+      const partial = volt.connect(bob).buyPartial(1, 20, PRICE * 2n / 5n, ethers.parseEther("160"));
+      await expect(partial)
+        .to.emit(volt, "OrderFilled")
+        .withArgs(1n, streamId, bob.address, alice.address, PRICE * 2n / 5n, 20n, ethers.parseEther("160"), 30n);
+      await expect(partial).to.changeTokenBalances(vusdc, [bob, alice], [-PRICE * 2n / 5n, PRICE * 2n / 5n]);
+
+      const order = await volt.orders(1);
+      expect(order.isActive).to.equal(true);
+      expect(order.percentage).to.equal(30n);
+      expect(order.price).to.equal(PRICE * 3n / 5n);
+      expect(await volt.getActiveOrderCount()).to.equal(1n);
+
+      // Later fills apply to the unvested balance as if the first had not
+      // happened: 10% of 600 after four days, not of the 440 left to Alice
+      await expect(volt.connect(carol).buyPartial(1, 10, PRICE / 5n - 1n, 0))
+        .to.be.revertedWith("Price above max");
+      await expect(volt.connect(carol).buyPartial(1, 10, PRICE, ethers.parseEther("100")))
+        .to.be.revertedWith("Share below min amount");
+      await time.setNextBlockTimestamp(startTime + BigInt(4 * DAY));
+      await expect(volt.connect(carol).buyPartial(1, 10, PRICE / 5n, ethers.parseEther("60")))
+        .to.emit(volt, "OrderFilled")
+        .withArgs(1n, streamId, carol.address, alice.address, PRICE / 5n, 10n, ethers.parseEther("60"), 20n);
+
+      await time.setNextBlockTimestamp(startTime + BigInt(5 * DAY));
+      await expect(volt.connect(carol).buyOrder(1))
+        .to.emit(volt, "OrderFilled")
+        .withArgs(1n, streamId, carol.address, alice.address, PRICE * 2n / 5n, 20n, ethers.parseEther("100"), 0n);
+      expect((await volt.orders(1)).filledAmount).to.equal(ethers.parseEther("320"));
+      expect((await volt.orders(1)).isActive).to.equal(false);
+      expect(await volt.getActiveOrderCount()).to.equal(0n);
+    });
+
+    it("rejects fills larger than what is left of the order", async function () {
+      const { volt, alice, bob, streamId } = await loadFixture(streamFixture);
+      await volt.connect(alice).createOrder(streamId, PRICE, 50);
+
+      await expect(volt.connect(bob).buyPartial(1, 0, PRICE, 0)).to.be.revertedWith("Invalid fill percentage");
+      await expect(volt.connect(bob).buyPartial(1, 51, PRICE, 0)).to.be.revertedWith("Invalid fill percentage");
+
+      await volt.connect(bob).buyPartial(1, 40, PRICE, 0);
+      await expect(volt.connect(bob).buyPartial(1, 11, PRICE, 0)).to.be.revertedWith("Invalid fill percentage");
+    });
+
+    it("prevents buying your own or an inactive order", async function () {
+      const { volt, alice, bob, carol, streamId } = await loadFixture(streamFixture);
+      await volt.connect(alice).createOrder(streamId, PRICE, 50);
+
+      await expect(volt.connect(alice).buyOrder(1))
+        .to.be.revertedWith("Cannot buy own order");
+
+      await volt.connect(bob).buyOrder(1);
+      await expect(volt.connect(carol).buyOrder(1))
+        .to.be.revertedWith("Order not active");
+    });
+
+    it("cancels an order and removes it from the active list", async function () {
+      const { volt, alice, bob, streamId } = await loadFixture(streamFixture);
+      await volt.connect(alice).createOrder(streamId, PRICE, 10);
+      await volt.connect(alice).createOrder(streamId, PRICE, 20);
+      await volt.connect(alice).createOrder(streamId, PRICE, 30);
+
+      await expect(volt.connect(bob).cancelOrder(2))
+        .to.be.revertedWith("Not order seller");
+      await expect(volt.connect(alice).cancelOrder(2))
+        .to.emit(volt, "OrderCancelled")
+        .withArgs(2n, alice.address);
+
+      const active = (await volt.getAllOrders()).map((order) => order.orderId);
+      expect(active).to.have.members([1n, 3n]);
+      expect(await volt.getUserOrders(alice.address)).to.have.length(3);
+
+      await expect(volt.connect(alice).cancelOrder(2))
+        .to.be.revertedWith("Order not active");
+    });
+
+    it("reverts a fill once the seller's stream has fully vested", async function () {
+      const { volt, alice, bob, streamId } = await loadFixture(streamFixture);
+      await volt.connect(alice).createOrder(streamId, PRICE, 50);
+      await time.increase(20 * DAY);
+
+      await expect(volt.connect(bob).buyOrder(1))
+        .to.be.revertedWith("Nothing left to sell");
+    });
+  });
+
+  describe("Dutch auctions", function () {
+    const START = ethers.parseEther("600");
+    const FLOOR = ethers.parseEther("300");
+
+    async function auctionFixture() {
+      const fixture = await streamFixture();
+      const { volt, alice, streamId } = fixture;
+      await volt.connect(alice).createDutchOrder(streamId, START, FLOOR, 50, 3 * DAY, 0);
+      const { listedAt } = await volt.orders(1);
+      return { ...fixture, listedAt };
+    }
+
+    it("creates an auction and validates its schedule", async function () {
+      const { volt, alice, streamId } = await loadFixture(streamFixture);
+
+      await expect(volt.connect(alice).createDutchOrder(streamId, START, FLOOR, 50, 3 * DAY, 0))
+        .to.emit(volt, "OrderCreated")
+        .withArgs(1n, streamId, alice.address, START, 50n)
+        .and.to.emit(volt, "DutchOrderCreated")
+        .withArgs(1n, START, FLOOR, BigInt(3 * DAY));
+
+      const order = await volt.orders(1);
+      expect(order.floorPrice).to.equal(FLOOR);
+      expect(order.decayDuration).to.equal(BigInt(3 * DAY));
+
+      await expect(volt.connect(alice).createDutchOrder(streamId, START, 0, 50, DAY, 0))
+        .to.be.revertedWith("Price must be greater than 0");
+      await expect(volt.connect(alice).createDutchOrder(streamId, FLOOR, FLOOR, 50, DAY, 0))
+        .to.be.revertedWith("Start price must exceed floor price");
+      await expect(volt.connect(alice).createDutchOrder(streamId, START, FLOOR, 50, 0, 0))
+        .to.be.revertedWith("Decay duration must be greater than 0");
+    });
+
+    it("decays the ask linearly to the floor and fills at the ask of the fill block", async function () {
+      const { volt, vusdc, alice, bob, streamId, listedAt } = await loadFixture(auctionFixture);
+
+      expect(await volt.getOrderPrice(1)).to.equal(START);
+
+      await time.increaseTo(listedAt + BigInt(DAY));
+      expect(await volt.getOrderPrice(1)).to.equal(ethers.parseEther("500"));
+
+      // Two thirds of the way down
+      const ask = ethers.parseEther("400");
+      await time.setNextBlockTimestamp(listedAt + BigInt(2 * DAY));
+      const tx = volt.connect(bob).buyOrder(1);
+      await expect(tx)
+        .to.emit(volt, "OrderFilled")
+        .withArgs(1n, streamId, bob.address, alice.address, ask, 50n, anyValue, 0n);
+      await expect(tx).to.changeTokenBalances(vusdc, [bob, alice], [-ask, ask]);
+    });
+
+    it("holds the floor after the schedule and keeps the rate across partial fills", async function () {
+      const { volt, alice, bob, carol, streamId, listedAt } = await loadFixture(auctionFixture);
+
+      // Half way down the ask is 450 for 50%, so 20% costs 180
+      await time.setNextBlockTimestamp(listedAt + BigInt(DAY) + BigInt(DAY / 2));
+      await expect(volt.connect(bob).buyPartial(1, 20, ethers.parseEther("180"), 0))
+        .to.emit(volt, "OrderFilled")
+        .withArgs(1n, streamId, bob.address, alice.address, ethers.parseEther("180"), 20n, anyValue, 30n);
+
+      const order = await volt.orders(1);
+      expect(order.price).to.equal(START * 3n / 5n);
+      expect(order.floorPrice).to.equal(FLOOR * 3n / 5n);
+
+      await time.increaseTo(listedAt + BigInt(5 * DAY));
+      expect(await volt.getOrderPrice(1)).to.equal(FLOOR * 3n / 5n);
+      await expect(volt.connect(carol).buyOrder(1))
+        .to.emit(volt, "OrderFilled")
+        .withArgs(1n, streamId, carol.address, alice.address, FLOOR * 3n / 5n, 30n, anyValue, 0n);
+    });
+  });
+
+  describe("Ratio-priced orders", function () {
+    it("creates a ratio-priced order and validates the ratio", async function () {
+      const { volt, alice, bob, streamId } = await loadFixture(streamFixture);
+      const { startTime } = await volt.streams(streamId);
+
+      // 90% of the 50% share of 900 unvested after one day
+      await time.setNextBlockTimestamp(startTime + BigInt(DAY));
+      await expect(volt.connect(alice).createRatioOrder(streamId, 9000, 50, 0))
+        .to.emit(volt, "OrderCreated")
+        .withArgs(1n, streamId, alice.address, ethers.parseEther("405"), 50n)
+        .and.to.emit(volt, "RatioOrderCreated")
+        .withArgs(1n, 9000n);
+      expect((await volt.orders(1)).priceRatio).to.equal(9000n);
+
+      await expect(volt.connect(alice).createRatioOrder(streamId, 0, 50, 0))
+        .to.be.revertedWith("Invalid price ratio");
+      await expect(volt.connect(alice).createRatioOrder(streamId, 10001, 50, 0))
+        .to.be.revertedWith("Invalid price ratio");
+      await expect(volt.connect(bob).createRatioOrder(streamId, 9000, 50, 0))
+        .to.be.revertedWith("Not stream owner");
+    });
+
+    it("prices fills from the unvested balance at fill time", async function () {
+      const { volt, vusdc, alice, bob, carol, streamId } = await loadFixture(streamFixture);
+      const { startTime } = await volt.streams(streamId);
+      await volt.connect(alice).createRatioOrder(streamId, 9000, 50, 0);
+
+      // 600 unvested after four days: 20% is 120, sold for 108
+      await time.setNextBlockTimestamp(startTime + BigInt(4 * DAY));
+      const partial = volt.connect(bob).buyPartial(1, 20, ethers.parseEther("108"), ethers.parseEther("120"));
+      await expect(partial)
+        .to.emit(volt, "OrderFilled")
+        .withArgs(1n, streamId, bob.address, alice.address, ethers.parseEther("108"), 20n, ethers.parseEther("120"), 30n);
+      await expect(partial).to.changeTokenBalances(vusdc, [bob, alice], [-ethers.parseEther("108"), ethers.parseEther("108")]);
+
+      // 400 unvested after six days without the first fill: 30% is 120, sold for 108
+      await time.increaseTo(startTime + BigInt(6 * DAY));
+      expect(await volt.getOrderPrice(1)).to.equal(ethers.parseEther("108"));
+      await expect(volt.connect(carol).buyOrder(1))
+        .to.emit(volt, "OrderFilled")
+        .withArgs(1n, streamId, carol.address, alice.address, anyValue, 30n, anyValue, 0n);
+    });
+  });
+
+  describe("Order expiry", function () {
+    const PRICE = ethers.parseEther("450");
+
+    async function expiringFixture() {
+      const fixture = await streamFixture();
+      const { volt, alice, streamId } = fixture;
+      const expiresAt = BigInt(await time.latest()) + BigInt(DAY);
+      await volt.connect(alice).createOrderWithExpiry(streamId, PRICE, 50, expiresAt);
+      await volt.connect(alice).createOrder(streamId, PRICE, 10);
+      return { ...fixture, expiresAt };
+    }
+
+    it("fills until the expiry and then drops the order from the book", async function () {
+      const { volt, alice, bob, streamId, expiresAt } = await loadFixture(expiringFixture);
+      expect((await volt.orders(1)).expiresAt).to.equal(expiresAt);
+      expect(await volt.getActiveOrderCount()).to.equal(2n);
+
+      await time.setNextBlockTimestamp(expiresAt - 1n);
+      await expect(volt.connect(bob).buyPartial(1, 10, PRICE, 0)).to.emit(volt, "OrderFilled");
+
+      await time.increaseTo(expiresAt);
+      await expect(volt.connect(bob).buyOrder(1)).to.be.revertedWith("Order expired");
+      await expect(volt.connect(bob).placeBid(1, PRICE)).to.be.revertedWith("Order expired");
+      expect(await volt.getActiveOrderCount()).to.equal(1n);
+      expect((await volt.getAllOrders()).map((order) => order.orderId)).to.deep.equal([2n]);
+      expect((await volt.orders(1)).isActive).to.equal(true);
+
+      await expect(volt.connect(alice).createOrderWithExpiry(streamId, PRICE, 50, expiresAt))
+        .to.be.revertedWith("Expiry must be in the future");
+    });
+
+    it("relists what is left of an order on the same terms", async function () {
+      const { volt, alice, bob, streamId, expiresAt } = await loadFixture(expiringFixture);
+      await volt.connect(bob).buyPartial(1, 20, PRICE, 0);
+      await time.increaseTo(expiresAt);
+
+      await expect(volt.connect(bob).relistOrder(1, 0)).to.be.revertedWith("Not order seller");
+      await expect(volt.connect(alice).relistOrder(1, 0))
+        .to.emit(volt, "OrderCancelled")
+        .withArgs(1n, alice.address)
+        .and.to.emit(volt, "OrderCreated")
+        .withArgs(3n, streamId, alice.address, PRICE * 3n / 5n, 30n);
+
+      expect((await volt.orders(1)).isActive).to.equal(false);
+      expect((await volt.orders(3)).expiresAt).to.equal(0n);
+      expect(await volt.getActiveOrderCount()).to.equal(2n);
+      await expect(volt.connect(bob).buyOrder(3)).to.emit(volt, "OrderFilled");
+    });
+  });
+
+  describe("Bids", function () {
+    const PRICE = ethers.parseEther("450");
+    const BID = ethers.parseEther("400");
+
+    async function orderFixture() {
+      const fixture = await streamFixture();
+      await fixture.volt.connect(fixture.alice).createOrder(fixture.streamId, PRICE, 50);
+      return { ...fixture, orderId: 1n };
+    }
+
+    it("escrows the bid amount and records the bid", async function () {
+      const { volt, vusdc, alice, bob, orderId } = await loadFixture(orderFixture);
+
+      const tx = volt.connect(bob).placeBid(orderId, BID);
+      await expect(tx).to.emit(volt, "BidPlaced").withArgs(1n, orderId, bob.address, BID);
+      await expect(tx).to.changeTokenBalances(vusdc, [bob, volt], [-BID, BID]);
+
+      const [bid] = await volt.getOrderBids(orderId);
+      expect(bid.bidder).to.equal(bob.address);
+      expect(bid.amount).to.equal(BID);
+      expect(bid.status).to.equal(0n);
+      expect(await volt.getUserBids(bob.address)).to.have.length(1);
+      expect(await volt.getSellerBids(alice.address)).to.have.length(1);
+    });
+
+    it("validates bids", async function () {
+      const { volt, alice, bob, orderId } = await loadFixture(orderFixture);
+      await expect(volt.connect(alice).placeBid(orderId, BID))
+        .to.be.revertedWith("Cannot bid on own order");
+      await expect(volt.connect(bob).placeBid(orderId, 0))
+        .to.be.revertedWith("Amount must be greater than 0");
+      await expect(volt.connect(bob).placeBid(99, BID))
+        .to.be.revertedWith("Order not active");
+    });
+
+    it("fills the order at the bid amount when the seller accepts", async function () {
+      const { volt, vusdc, alice, bob, carol, orderId, streamId } = await loadFixture(orderFixture);
+      await volt.connect(bob).placeBid(orderId, BID);
+      await volt.connect(carol).placeBid(orderId, BID / 2n);
+
+      await expect(volt.connect(bob).acceptBid(1))
+        .to.be.revertedWith("Not order seller");
+
+      const tx = volt.connect(alice).acceptBid(1);
+      await expect(tx)
+        .to.emit(volt, "BidAccepted")
+        .withArgs(1n, orderId, alice.address, bob.address, BID)
+        .and.to.emit(volt, "OrderFilled")
+        .withArgs(orderId, streamId, bob.address, alice.address, BID, 50n, anyValue, 0n);
+      await expect(tx).to.changeTokenBalances(vusdc, [alice, volt], [BID, -BID]);
+
+      const buyerStreamIds = await volt.getUserStreams(bob.address);
+      expect(buyerStreamIds).to.have.length(1);
+      expect((await volt.bids(1)).status).to.equal(1n);
+      expect((await volt.orders(orderId)).isActive).to.equal(false);
+
+      // Losing bids stay escrowed until the bidder reclaims them
+      await expect(volt.connect(alice).acceptBid(2))
+        .to.be.revertedWith("Order not active");
+      await expect(volt.connect(carol).cancelBid(2))
+        .to.changeTokenBalance(vusdc, carol, BID / 2n);
+    });
+
+    it("refunds the bidder on reject", async function () {
+      const { volt, vusdc, alice, bob, orderId } = await loadFixture(orderFixture);
+      await volt.connect(bob).placeBid(orderId, BID);
+
+      const tx = volt.connect(alice).rejectBid(1);
+      await expect(tx).to.emit(volt, "BidRejected").withArgs(1n, orderId, alice.address);
+      await expect(tx).to.changeTokenBalance(vusdc, bob, BID);
+      expect((await volt.bids(1)).status).to.equal(2n);
+
+      await expect(volt.connect(alice).acceptBid(1))
+        .to.be.revertedWith("Bid not pending");
+    });
+
+    it("refunds the bidder on cancel", async function () {
+      const { volt, vusdc, alice, bob, orderId } = await loadFixture(orderFixture);
+      await volt.connect(bob).placeBid(orderId, BID);
+
+      await expect(volt.connect(alice).cancelBid(1))
+        .to.be.revertedWith("Not bidder");
+
+      const tx = volt.connect(bob).cancelBid(1);
+      await expect(tx).to.emit(volt, "BidCancelled").withArgs(1n, orderId, bob.address);
+      await expect(tx).to.changeTokenBalance(vusdc, bob, BID);
+      expect((await volt.bids(1)).status).to.equal(3n);
+
+      await expect(volt.connect(bob).cancelBid(1))
+        .to.be.revertedWith("Bid not pending");
+    });
+  });
+
+  describe("Buy orders", function () {
+    const BUDGET = ethers.parseEther("600");
+
+    async function buyOrderFixture() {
+      const fixture = await streamFixture();
+      // Bob buys any listing at least 10% below its value
+      await fixture.volt.connect(fixture.bob).placeBuyOrder(BUDGET, 1000, 0);
+      return { ...fixture, buyOrderId: 1n };
+    }
+
+    it("escrows the budget and fills a matching order as it is listed", async function () {
+      const { volt, vusdc, alice, bob, streamId } = await loadFixture(streamFixture);
+      const price = ethers.parseEther("400");
+
+      let tx = volt.connect(bob).placeBuyOrder(BUDGET, 1000, 0);
+      await expect(tx).to.emit(volt, "BuyOrderPlaced").withArgs(1n, bob.address, BUDGET, 1000n, 0n);
+      await expect(tx).to.changeTokenBalances(vusdc, [bob, volt], [-BUDGET, BUDGET]);
+
+      tx = volt.connect(alice).createOrder(streamId, price, 50);
+      await expect(tx)
+        .to.emit(volt, "BuyOrderMatched")
+        .withArgs(1n, 1n, bob.address, price)
+        .and.to.emit(volt, "OrderFilled")
+        .withArgs(1n, streamId, bob.address, alice.address, price, 50n, anyValue, 0n);
+      await expect(tx).to.changeTokenBalances(vusdc, [alice, volt], [price, -price]);
+
+      const [buy] = await volt.getActiveBuyOrders();
+      expect(buy.budget).to.equal(BUDGET - price);
+      expect(buy.spent).to.equal(price);
+      expect(await volt.getIncomingStreams(bob.address)).to.have.length(1);
+
+      // Over the remaining budget, or the buyer's own listing
+      await volt.connect(alice).createOrder(streamId, ethers.parseEther("300"), 50);
+      await volt.connect(bob).createStreamWithVUSDC(10 * DAY, DEPOSIT);
+      await volt.connect(bob).createOrder(3, ethers.parseEther("100"), 50);
+      expect(await volt.getActiveOrderCount()).to.equal(2n);
+    });
+
+    it("matches listed orders by keeper once discount and duration fit", async function () {
+      const { volt, alice, bob, carol, streamId } = await loadFixture(streamFixture);
+      const { startTime } = await volt.streams(streamId);
+      await volt.connect(bob).placeBuyOrder(BUDGET, 2000, 5 * DAY);
+
+      await volt.connect(alice).createRatioOrder(streamId, 7000, 50, 0);
+      await volt.connect(alice).createOrder(streamId, ethers.parseEther("90"), 10);
+      expect(await volt.canMatch(1, 1)).to.equal(false);
+      await expect(volt.connect(carol).matchBuyOrder(1, 1)).to.be.revertedWith("Orders do not match");
+
+      await time.increaseTo(startTime + BigInt(6 * DAY));
+      expect(await volt.canMatch(1, 1)).to.equal(true);
+      expect(await volt.canMatch(1, 2)).to.equal(false);
+
+      await expect(volt.connect(carol).matchBuyOrder(1, 1))
+        .to.emit(volt, "BuyOrderMatched")
+        .withArgs(1n, 1n, bob.address, anyValue)
+        .and.to.emit(volt, "OrderFilled")
+        .withArgs(1n, streamId, bob.address, alice.address, anyValue, 50n, anyValue, 0n);
+      expect(await volt.canMatch(1, 1)).to.equal(false);
+    });
+
+    it("reaches buy orders queued behind ones that never match", async function () {
+      const { volt, alice, bob, carol, streamId } = await loadFixture(streamFixture);
+      const scan = await volt.MAX_MATCH_SCAN();
+      // Dust budgets too small for any listing fill the first scan window
+      for (let i = 0n; i < scan; i++) {
+        await volt.connect(carol).placeBuyOrder(1, 0, 0);
+      }
+      await volt.connect(bob).placeBuyOrder(BUDGET, 1000, 0);
+      const buyOrderId = scan + 1n;
+
+      await expect(volt.connect(alice).createOrder(streamId, ethers.parseEther("400"), 50))
+        .not.to.emit(volt, "BuyOrderMatched");
+      expect(await volt.canMatch(buyOrderId, 1)).to.equal(true);
+
+      // The next listing picks up the scan where the last one stopped
+      const price = ethers.parseEther("300");
+      await expect(volt.connect(alice).createOrder(streamId, price, 50))
+        .to.emit(volt, "BuyOrderMatched")
+        .withArgs(buyOrderId, 2n, bob.address, price);
+    });
+
+    it("refunds what is left of the budget on cancel", async function () {
+      const { volt, vusdc, alice, bob, carol, streamId, buyOrderId } = await loadFixture(buyOrderFixture);
+      await expect(volt.connect(bob).placeBuyOrder(0, 1000, 0))
+        .to.be.revertedWith("Amount must be greater than 0");
+      await expect(volt.connect(bob).placeBuyOrder(BUDGET, 10000, 0))
+        .to.be.revertedWith("Invalid discount");
+
+      await volt.connect(alice).createOrder(streamId, ethers.parseEther("400"), 50);
+      await expect(volt.connect(carol).cancelBuyOrder(buyOrderId)).to.be.revertedWith("Not buyer");
+
+      const refund = ethers.parseEther("200");
+      const tx = volt.connect(bob).cancelBuyOrder(buyOrderId);
+      await expect(tx).to.emit(volt, "BuyOrderCancelled").withArgs(buyOrderId, bob.address, refund);
+      await expect(tx).to.changeTokenBalances(vusdc, [bob, volt], [refund, -refund]);
+
+      expect(await volt.getActiveBuyOrders()).to.have.length(0);
+      const [buy] = await volt.getUserBuyOrders(bob.address);
+      expect(buy.isActive).to.equal(false);
+      expect(buy.spent).to.equal(ethers.parseEther("400"));
+      await expect(volt.connect(bob).cancelBuyOrder(buyOrderId)).to.be.revertedWith("Buy order not active");
+    });
+  });
+
+  describe("Permit", function () {
+    const PRICE = ethers.parseEther("450");
+
+    async function permitFixture() {
+      const fixture = await streamFixture();
+      const { volt, vusdc, alice, carol } = fixture;
+      await volt.connect(alice).createOrder(fixture.streamId, PRICE, 50);
+      await vusdc.connect(carol).approve(await volt.getAddress(), 0);
+      const deadline = (await time.latest()) + DAY;
+      return { ...fixture, orderId: 1n, deadline };
+    }
+
+    it("creates a stream from a permit without a prior approval", async function () {
+      const { volt, vusdc, carol, deadline } = await loadFixture(permitFixture);
+      const voltAddress = await volt.getAddress();
+      const { v, r, s } = await signPermit(vusdc, carol, voltAddress, DEPOSIT, deadline);
+
+      await expect(volt.connect(carol).createStreamWithPermit(DAY, DEPOSIT, deadline, v, r, s))
+        .to.emit(volt, "StreamCreated")
+        .withArgs(carol.address, 2n, DEPOSIT, DAY, carol.address);
+
+      expect(await vusdc.nonces(carol.address)).to.equal(1n);
+      expect(await vusdc.allowance(carol.address, voltAddress)).to.equal(0n);
+    });
+
+    it("buys an order and places a bid from permits", async function () {
+      const { volt, vusdc, alice, carol, orderId, deadline } = await loadFixture(permitFixture);
+      const voltAddress = await volt.getAddress();
+      const bid = ethers.parseEther("100");
+
+      let sig = await signPermit(vusdc, carol, voltAddress, bid, deadline);
+      await expect(volt.connect(carol).placeBidWithPermit(orderId, bid, deadline, sig.v, sig.r, sig.s))
+        .to.emit(volt, "BidPlaced")
+        .withArgs(1n, orderId, carol.address, bid);
+
+      sig = await signPermit(vusdc, carol, voltAddress, PRICE, deadline);
+      const tx = volt.connect(carol).buyOrderWithPermit(orderId, PRICE, deadline, sig.v, sig.r, sig.s);
+      await expect(tx)
+        .to.emit(volt, "OrderFilled")
+        .withArgs(orderId, 1n, carol.address, alice.address, PRICE, 50n, anyValue, 0n);
+      await expect(tx).to.changeTokenBalance(vusdc, alice, PRICE);
+    });
+
+    it("places a buy order from a permit", async function () {
+      const { volt, vusdc, carol, deadline } = await loadFixture(permitFixture);
+      const budget = ethers.parseEther("500");
+      const { v, r, s } = await signPermit(vusdc, carol, await volt.getAddress(), budget, deadline);
+
+      const tx = volt.connect(carol).placeBuyOrderWithPermit(budget, 1000, 0, deadline, v, r, s);
+      await expect(tx).to.emit(volt, "BuyOrderPlaced").withArgs(1n, carol.address, budget, 1000n, 0n);
+      await expect(tx).to.changeTokenBalance(vusdc, carol, -budget);
+    });
+
+    it("still succeeds when the permit was front-run", async function () {
+      const { volt, vusdc, bob, carol, deadline } = await loadFixture(permitFixture);
+      const voltAddress = await volt.getAddress();
+      const { v, r, s } = await signPermit(vusdc, carol, voltAddress, DEPOSIT, deadline);
+
+      await vusdc.connect(bob).permit(carol.address, voltAddress, DEPOSIT, deadline, v, r, s);
+
+      await expect(volt.connect(carol).createStreamWithPermit(DAY, DEPOSIT, deadline, v, r, s))
+        .to.emit(volt, "StreamCreated");
+    });
+
+    it("reverts on the allowance when the permit is invalid", async function () {
+      const { volt, vusdc, carol } = await loadFixture(permitFixture);
+      const voltAddress = await volt.getAddress();
+      const expired = (await time.latest()) - 1;
+      const { v, r, s } = await signPermit(vusdc, carol, voltAddress, DEPOSIT, expired);
+
+      await expect(volt.connect(carol).createStreamWithPermit(DAY, DEPOSIT, expired, v, r, s))
+        .to.be.revertedWithCustomError(vusdc, "ERC20InsufficientAllowance");
+    });
+  });
+
+  describe("Access control", function () {
+    it("lets only the owner change the vUSDC token", async function () {
+      const { volt, alice, bob } = await loadFixture(deployFixture);
+
+      await expect(volt.connect(alice).setVusdcTokenAddress(bob.address))
+        .to.be.revertedWithCustomError(volt, "OwnableUnauthorizedAccount")
+        .withArgs(alice.address);
+
+      await volt.setVusdcTokenAddress(bob.address);
+      expect(await volt.vusdcTokenAddress()).to.equal(bob.address);
+    });
+
+    it("rejects the zero address as vUSDC token", async function () {
+      const { volt } = await loadFixture(deployFixture);
+      await expect(volt.setVusdcTokenAddress(ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid token address");
+    });
+
+    it("transfers and renounces ownership", async function () {
+      const { volt, owner, alice } = await loadFixture(deployFixture);
+
+      await expect(volt.transferOwnership(ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(volt, "OwnableInvalidOwner");
+
+      await volt.transferOwnership(alice.address);
+      expect(await volt.owner()).to.equal(alice.address);
+      await expect(volt.connect(owner).renounceOwnership())
+        .to.be.revertedWithCustomError(volt, "OwnableUnauthorizedAccount");
+
+      await volt.connect(alice).renounceOwnership();
+      expect(await volt.owner()).to.equal(ethers.ZeroAddress);
+    });
+  });
+
+  describe("Reentrancy", function () {
+    it("blocks re-entering withdraw from a native payout", async function () {
+      const { volt } = await loadFixture(deployFixture);
+
+      const Attacker = await ethers.getContractFactory("ReentrancyAttacker");
+      const attacker = await Attacker.deploy(await volt.getAddress());
+      const amount = ethers.parseEther("10");
+      await attacker.openStream(DAY, { value: amount });
+
+      await time.increase(DAY);
+      await attacker.attack(amount / 2n, amount / 2n);
+
+      const reentrantCall = volt.interface.getError("ReentrancyGuardReentrantCall").selector;
+      expect(await attacker.lastRevertData()).to.equal(reentrantCall);
+      expect((await volt.streams(await attacker.streamId())).claimedAmount).to.equal(amount / 2n);
+    });
+
+    it("surfaces SafeERC20 failures from the token", async function () {
+      const { volt, vusdc, alice } = await loadFixture(deployFixture);
+      await vusdc.connect(alice).approve(await volt.getAddress(), 0);
+
+      await expect(volt.connect(alice).createStreamWithVUSDC(DAY, DEPOSIT))
+        .to.be.revertedWithCustomError(vusdc, "ERC20InsufficientAllowance");
+    });
+  });
+});